@@ -19,6 +19,9 @@ import About from './pages/About'
 import Contact from './pages/Contact'
 import StoriesPage from './pages/StoriesPage'
 import StoryDetail from './pages/StoryDetail'
+import JournalsPage from './pages/JournalsPage'
+import JournalPage from './pages/JournalPage'
+import CollectionPage from './pages/CollectionPage'
 import NotFound from './components/NotFound'
 import DevNetInspector from './components/DevNetInspector'
 
@@ -70,6 +73,9 @@ function AppShell() {
             <Route path="/contact" element={<Contact />} />
             <Route path="/stories" element={<StoriesPage />} />
             <Route path="/stories/:slug" element={<StoryDetail />} />
+            <Route path="/journals" element={<JournalsPage />} />
+            <Route path="/journals/:slug" element={<JournalPage />} />
+            <Route path="/journals/:slug/:collectionSlug" element={<CollectionPage />} />
             
             {/* Authentication routes */}
             <Route path="/auth/signin" element={<SignIn />} />
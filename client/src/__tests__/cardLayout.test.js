@@ -0,0 +1,77 @@
+// client/src/__tests__/cardLayout.test.js
+import {
+  getCardBounds,
+  getCardDimensions,
+  getConveyorLength,
+  getFontStack,
+  getWallpaperOffset,
+  hexToRgba
+} from '../utils/cardLayout'
+
+describe('Card Layout Utilities', () => {
+  const points = [
+    { x: 20, y: 60 },
+    { x: 300, y: 60 },
+    { x: 300, y: 220 },
+    { x: 20, y: 220 }
+  ]
+
+  describe('getCardBounds / getCardDimensions', () => {
+    test('computes bounds from corner points', () => {
+      expect(getCardBounds(points)).toEqual({ minX: 20, maxX: 300, minY: 60, maxY: 220 })
+    })
+
+    test('computes size and center', () => {
+      const dims = getCardDimensions(points)
+      expect(dims.width).toBe(280)
+      expect(dims.height).toBe(160)
+      expect(dims.centerX).toBe(160)
+      expect(dims.centerY).toBe(140)
+    })
+  })
+
+  describe('hexToRgba', () => {
+    test('converts hex and opacity to rgba', () => {
+      expect(hexToRgba('#ffffff', 1)).toBe('rgba(255, 255, 255, 1)')
+      expect(hexToRgba('#102030', 0.5)).toBe('rgba(16, 32, 48, 0.5)')
+    })
+  })
+
+  describe('getFontStack', () => {
+    test('returns known stacks and falls back to sans', () => {
+      expect(getFontStack('mono')).toContain('monospace')
+      expect(getFontStack('unknown')).toBe(getFontStack('sans'))
+      expect(getFontStack()).toBe(getFontStack('sans'))
+    })
+  })
+
+  describe('getWallpaperOffset', () => {
+    const viewport = 1000
+    const settings = { scrollRatio: 2, scrollSpeed: 1, wallpaperPosition: 0 }
+
+    test('conveyor length scales with ratio', () => {
+      expect(getConveyorLength(1)).toBe(150)
+      expect(getConveyorLength(2)).toBe(300)
+    })
+
+    test('wallpaper starts at the top', () => {
+      expect(getWallpaperOffset(0, settings, viewport)).toBe(0)
+    })
+
+    test('wallpaper scrolls proportionally inside its window', () => {
+      // 2:1 -> 2000px scrollable, 1000px window, max offset 500px
+      expect(getWallpaperOffset(500, settings, viewport)).toBe(250)
+    })
+
+    test('wallpaper stops at max offset after its window', () => {
+      expect(getWallpaperOffset(1500, settings, viewport)).toBe(500)
+    })
+
+    test('window start follows wallpaperPosition and speed', () => {
+      const shifted = { ...settings, wallpaperPosition: 50 }
+      expect(getWallpaperOffset(900, shifted, viewport)).toBe(0)
+      expect(getWallpaperOffset(1500, shifted, viewport)).toBe(250)
+      expect(getWallpaperOffset(750, { ...shifted, scrollSpeed: 2 }, viewport)).toBe(250)
+    })
+  })
+})
@@ -0,0 +1,43 @@
+// client/src/__tests__/embedProviders.test.js
+import { resolveEmbedUrl } from '../utils/embedProviders'
+
+describe('resolveEmbedUrl', () => {
+  test('builds privacy-friendly YouTube embeds from page and short URLs', () => {
+    expect(resolveEmbedUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1m30s&list=x')).toEqual({
+      provider: 'youtube',
+      src: 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?start=90',
+      url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=90s'
+    })
+    expect(resolveEmbedUrl('https://youtu.be/dQw4w9WgXcQ').src).toBe('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ')
+  })
+
+  test('keeps the hash of unlisted Vimeo videos', () => {
+    expect(resolveEmbedUrl('https://vimeo.com/76979871/abc123def0')).toEqual({
+      provider: 'vimeo',
+      src: 'https://player.vimeo.com/video/76979871?dnt=1&h=abc123def0',
+      url: 'https://vimeo.com/76979871/abc123def0'
+    })
+  })
+
+  test('turns OpenStreetMap map links into embed URLs', () => {
+    const embed = resolveEmbedUrl('https://www.openstreetmap.org/?mlat=48.8584&mlon=2.2945#map=15/48.8584/2.2945')
+
+    expect(embed.provider).toBe('openstreetmap')
+    expect(embed.src).toBe('https://www.openstreetmap.org/export/embed.html?bbox=2.28351,48.85291,2.30549,48.86389&layer=mapnik&marker=48.8584,2.2945')
+  })
+
+  test('accepts its own embed URLs unchanged', () => {
+    for (const url of ['https://youtu.be/dQw4w9WgXcQ?t=42', 'https://vimeo.com/76979871', 'https://www.openstreetmap.org/#map=12/51.5/-0.12']) {
+      const embed = resolveEmbedUrl(url)
+      expect(resolveEmbedUrl(embed.src)).toEqual(embed)
+    }
+  })
+
+  test('rejects other hosts and malformed ids', () => {
+    expect(resolveEmbedUrl('https://example.com/watch?v=dQw4w9WgXcQ')).toBeNull()
+    expect(resolveEmbedUrl('https://www.youtube.com.evil.com/watch?v=dQw4w9WgXcQ')).toBeNull()
+    expect(resolveEmbedUrl('https://www.youtube.com/watch?v=short')).toBeNull()
+    expect(resolveEmbedUrl('javascript:alert(1)')).toBeNull()
+    expect(resolveEmbedUrl('')).toBeNull()
+  })
+})
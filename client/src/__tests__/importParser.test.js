@@ -148,6 +148,72 @@ describe('Import Parser Utilities', () => {
       })
     })
 
+    describe('Markdown parsing', () => {
+      test('maps front matter keys to entry fields', () => {
+        const input = [
+          '---',
+          'title: "My Markdown Entry"',
+          'summary: A short summary',
+          'cover:',
+          '  url: https://example.com/cover.jpg',
+          '  alt: Cover alt',
+          'status: published',
+          'journals: [Travel, "Notes, misc"]',
+          'tags:',
+          '  - Spring',
+          '  - Summer',
+          '---',
+          '',
+          '# Heading',
+          '',
+          'Some **bold** text.'
+        ].join('\n')
+
+        const result = parseImportContent(input, 'markdown', false)
+
+        expect(result.success).toBe(true)
+        expect(result.detectedFormat).toBe('markdown')
+        expect(result.fields.title).toBe('My Markdown Entry')
+        expect(result.fields.excerpt).toBe('A short summary')
+        expect(result.fields.coverImageUrl).toBe('https://example.com/cover.jpg')
+        expect(result.fields.coverImageAlt).toBe('Cover alt')
+        expect(result.fields.status).toBe('published')
+        expect(result.fields.journals).toEqual(['Travel', 'Notes, misc'])
+        expect(result.fields.collections).toEqual(['Spring', 'Summer'])
+        expect(result.fields.content.json.type).toBe('doc')
+        expect(result.fields.content.json.content[0]).toMatchObject({ type: 'heading', attrs: { level: 1 } })
+      })
+
+      test('keeps existing content when the body is empty', () => {
+        const input = '---\ntitle: Only front matter\n---\n'
+
+        const result = parseImportContent(input, 'markdown', false)
+
+        expect(result.success).toBe(true)
+        expect(result.fields.title).toBe('Only front matter')
+        expect(result.fields.content).toBeUndefined()
+      })
+
+      test('reports invalid front matter', () => {
+        const input = '---\ntitle: "unterminated\n---\n\nBody'
+
+        const result = parseImportContent(input, 'markdown', false)
+
+        expect(result.success).toBe(false)
+        expect(result.error).toContain('Front matter parsing failed')
+      })
+
+      test('respects overwrite=false for front matter fields', () => {
+        const input = '---\ntitle: New title\n---\n\nBody text'
+
+        const result = parseImportContent(input, 'markdown', false, { title: 'Existing' })
+
+        expect(result.fields.title).toBeUndefined()
+        expect(result.skippedFields).toContain('title')
+        expect(result.fields.content).toBeDefined()
+      })
+    })
+
     describe('auto-detect mode', () => {
       test('detects JSON format', () => {
         const input = '{"title": "Test"}'
@@ -167,6 +233,24 @@ describe('Import Parser Utilities', () => {
         expect(result.detectedFormat).toBe('html')
       })
 
+      test('detects Markdown with front matter', () => {
+        const input = '---\ntitle: Test\n---\n\nHello'
+        
+        const result = parseImportContent(input, 'auto', false)
+        
+        expect(result.success).toBe(true)
+        expect(result.detectedFormat).toBe('markdown')
+      })
+
+      test('detects Markdown without front matter', () => {
+        const input = '## A heading\n\n- one\n- two'
+        
+        const result = parseImportContent(input, 'auto', false)
+        
+        expect(result.success).toBe(true)
+        expect(result.detectedFormat).toBe('markdown')
+      })
+
       test('returns error when format cannot be detected', () => {
         const input = 'Just some plain text without structure'
         
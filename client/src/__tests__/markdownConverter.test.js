@@ -0,0 +1,367 @@
+// client/src/__tests__/markdownConverter.test.js
+import {
+  entryToMarkdown,
+  markdownFileName,
+  markdownToTiptap,
+  parseFrontMatter,
+  stringifyFrontMatter,
+  tiptapToMarkdown
+} from '../utils/markdownConverter'
+import { parseImportContent } from '../utils/importParser'
+
+const text = (value, marks) => (marks ? { type: 'text', text: value, marks } : { type: 'text', text: value })
+const para = (...content) => ({ type: 'paragraph', content })
+const doc = (...content) => ({ type: 'doc', content })
+
+// Export then import must give back the same document
+const roundTrip = (document) => markdownToTiptap(tiptapToMarkdown(document))
+
+describe('Markdown Converter', () => {
+  describe('front matter', () => {
+    test('parses scalars, quoted strings and lists', () => {
+      const { data, body, hasFrontMatter } = parseFrontMatter([
+        '---',
+        'title: Plain title',
+        'excerpt: "Quoted: with colon"',
+        "alt: 'It''s single quoted'",
+        'published: true',
+        'journals: [One, "Two, Three"]',
+        'collections:',
+        '  - Alpha',
+        '  - "Beta"',
+        '---',
+        'Body'
+      ].join('\n'))
+
+      expect(hasFrontMatter).toBe(true)
+      expect(data).toEqual({
+        title: 'Plain title',
+        excerpt: 'Quoted: with colon',
+        alt: "It's single quoted",
+        published: true,
+        journals: ['One', 'Two, Three'],
+        collections: ['Alpha', 'Beta']
+      })
+      expect(body).toBe('Body')
+    })
+
+    test('parses block scalars', () => {
+      const { data } = parseFrontMatter('---\nexcerpt: >\n  folded\n  lines\nnotes: |\n  kept\n  lines\n---\n')
+
+      expect(data.excerpt).toBe('folded lines')
+      expect(data.notes).toBe('kept\nlines')
+    })
+
+    test('returns the whole input when there is no front matter', () => {
+      const result = parseFrontMatter('# Just a heading')
+
+      expect(result.hasFrontMatter).toBe(false)
+      expect(result.body).toBe('# Just a heading')
+    })
+
+    test('stringified values parse back unchanged', () => {
+      const data = {
+        title: 'Title: with "quotes" and # hash',
+        excerpt: 'true',
+        status: 'draft',
+        journals: ['Plain', '- dash', '123'],
+        collections: []
+      }
+
+      expect(parseFrontMatter(`${stringifyFrontMatter(data)}\n`).data).toEqual(data)
+    })
+  })
+
+  describe('markdownToTiptap', () => {
+    test('parses block structure', () => {
+      const result = markdownToTiptap([
+        '# Title',
+        '',
+        'Paragraph one',
+        'continues here.',
+        '',
+        '> Quoted',
+        '',
+        '- one',
+        '- two',
+        '  - nested',
+        '',
+        '3. three',
+        '4. four',
+        '',
+        '```js',
+        'const a = 1',
+        '```',
+        '',
+        '---',
+        '',
+        '![Alt text](/img/photo.jpg "Caption")'
+      ].join('\n'))
+
+      expect(result.content.map(node => node.type)).toEqual([
+        'heading', 'paragraph', 'blockquote', 'bulletList', 'orderedList', 'codeBlock', 'horizontalRule', 'image'
+      ])
+      expect(result.content[1].content[0].text).toBe('Paragraph one continues here.')
+      expect(result.content[3].content[1].content[1].type).toBe('bulletList')
+      expect(result.content[4].attrs.start).toBe(3)
+      expect(result.content[5]).toEqual({ type: 'codeBlock', attrs: { language: 'js' }, content: [text('const a = 1')] })
+      expect(result.content[7].attrs).toEqual({ src: '/img/photo.jpg', alt: 'Alt text', title: 'Caption' })
+    })
+
+    test('parses inline marks', () => {
+      const result = markdownToTiptap('**bold** *italic* ~~strike~~ `code` <u>under</u> [link](https://example.com)')
+
+      expect(result.content[0].content).toEqual([
+        text('bold', [{ type: 'bold' }]),
+        text(' '),
+        text('italic', [{ type: 'italic' }]),
+        text(' '),
+        text('strike', [{ type: 'strike' }]),
+        text(' '),
+        text('code', [{ type: 'code' }]),
+        text(' '),
+        text('under', [{ type: 'underline' }]),
+        text(' '),
+        text('link', [{ type: 'link', attrs: { href: 'https://example.com' } }])
+      ])
+    })
+
+    test('leaves intraword underscores alone', () => {
+      const result = markdownToTiptap('snake_case_name and 2 * 3 * 4')
+
+      expect(result.content[0].content).toEqual([text('snake_case_name and 2 * 3 * 4')])
+    })
+
+    test('clamps heading levels to the editor range', () => {
+      const result = markdownToTiptap('#### Deep')
+
+      expect(result.content[0].attrs.level).toBe(3)
+    })
+
+    test('returns an empty paragraph for an empty body', () => {
+      expect(markdownToTiptap('')).toEqual({ type: 'doc', content: [{ type: 'paragraph' }] })
+    })
+  })
+
+  describe('round trip', () => {
+    test('keeps nested and adjacent marks', () => {
+      const document = doc(
+        para(
+          text('Plain '),
+          text('bold ', [{ type: 'bold' }]),
+          text('bold italic', [{ type: 'bold' }, { type: 'italic' }]),
+          text(' then '),
+          text('italic', [{ type: 'italic' }]),
+          text('bold', [{ type: 'italic' }, { type: 'bold' }]),
+          text('.')
+        ),
+        para(
+          text('A '),
+          text('linked ', [{ type: 'link', attrs: { href: 'https://example.com/a_(b)' } }]),
+          text('bold link', [{ type: 'link', attrs: { href: 'https://example.com/a_(b)' } }, { type: 'bold' }]),
+          text(' and '),
+          text('under', [{ type: 'underline' }]),
+          text(' and '),
+          text('x`y', [{ type: 'code' }])
+        )
+      )
+
+      const result = roundTrip(document)
+
+      expect(result.content[0].content.map(node => node.text).join('')).toBe('Plain bold bold italic then italicbold.')
+      expect(result.content[0].content[2].marks.map(mark => mark.type).sort()).toEqual(['bold', 'italic'])
+      expect(result.content[0].content[4]).toEqual(text('italic', [{ type: 'italic' }]))
+      expect(result.content[0].content[5].marks.map(mark => mark.type).sort()).toEqual(['bold', 'italic'])
+      expect(result.content[1].content[1].marks).toEqual([{ type: 'link', attrs: { href: 'https://example.com/a_(b)' } }])
+      expect(result.content[1].content[6]).toEqual(text('x`y', [{ type: 'code' }]))
+    })
+
+    test('escapes Markdown syntax in text', () => {
+      const document = doc(
+        para(text('# not a heading * _ [x](y) <b> ~~ & \\ `tick`')),
+        para(text('1. not a list')),
+        para(text('- not a bullet'))
+      )
+
+      expect(roundTrip(document)).toEqual(document)
+    })
+
+    test('keeps alignment, empty paragraphs and hard breaks', () => {
+      const document = doc(
+        { type: 'heading', attrs: { level: 2, textAlign: 'center' }, content: [text('Centered')] },
+        { type: 'paragraph' },
+        { type: 'paragraph', attrs: { textAlign: 'right' }, content: [text('Line one'), { type: 'hardBreak' }, text('- line two')] }
+      )
+
+      expect(roundTrip(document)).toEqual(document)
+    })
+
+    test('keeps lists, quotes, code and images', () => {
+      const document = doc(
+        {
+          type: 'bulletList',
+          content: [
+            { type: 'listItem', content: [para(text('First')), { type: 'bulletList', content: [{ type: 'listItem', content: [para(text('Nested'))] }] }] },
+            { type: 'listItem', content: [para(text('Second')), para(text('More text'))] }
+          ]
+        },
+        {
+          type: 'orderedList',
+          attrs: { start: 9 },
+          content: [
+            { type: 'listItem', content: [para(text('Nine'))] },
+            { type: 'listItem', content: [para(text('Ten')), { type: 'codeBlock', attrs: { language: null }, content: [text('a\n\nb')] }] }
+          ]
+        },
+        { type: 'blockquote', content: [para(text('Quote')), para(text('Second quote paragraph'))] },
+        { type: 'codeBlock', attrs: { language: 'md' }, content: [text('```\n**not bold**\n```')] },
+        { type: 'horizontalRule' },
+        { type: 'image', attrs: { src: '/uploads/a b.jpg', alt: 'Alt [1]', title: 'Say "hi"' } }
+      )
+
+      expect(roundTrip(document)).toEqual(document)
+    })
+  })
+
+  describe('tables, callouts and footnotes', () => {
+    const cell = (type, content, attrs = {}) => ({
+      type,
+      attrs: { colspan: 1, rowspan: 1, colwidth: null, ...attrs },
+      content: [content]
+    })
+
+    test('writes simple tables as pipe tables', () => {
+      const document = doc({
+        type: 'table',
+        content: [
+          { type: 'tableRow', content: [cell('tableHeader', para(text('Place'))), cell('tableHeader', { type: 'paragraph', attrs: { textAlign: 'right' }, content: [text('Nights')] })] },
+          { type: 'tableRow', content: [cell('tableCell', para(text('Kyoto | Osaka', [{ type: 'bold' }]))), cell('tableCell', { type: 'paragraph', attrs: { textAlign: 'right' }, content: [text('3')] })] },
+          { type: 'tableRow', content: [cell('tableCell', para(text('Nara'), { type: 'hardBreak' }, text('day trip'))), cell('tableCell', { type: 'paragraph', attrs: { textAlign: 'right' } })] }
+        ]
+      })
+
+      const markdown = tiptapToMarkdown(document)
+
+      expect(markdown).toBe([
+        '| Place | Nights |',
+        '| --- | ---: |',
+        '| **Kyoto \\| Osaka** | 3 |',
+        '| Nara<br>day trip |  |'
+      ].join('\n'))
+      expect(markdownToTiptap(markdown)).toEqual(document)
+    })
+
+    test('keeps tables a pipe table cannot express', () => {
+      const document = doc({
+        type: 'table',
+        content: [
+          { type: 'tableRow', content: [cell('tableCell', para(text('a <b> -->')), { colspan: 2 })] },
+          { type: 'tableRow', content: [cell('tableCell', para(text('b'))), cell('tableCell', para(text('c')))] }
+        ]
+      })
+
+      const markdown = tiptapToMarkdown(document)
+
+      expect(markdown).toMatch(/^<!-- tiptap: \{.*\} -->$/)
+      expect(markdownToTiptap(markdown)).toEqual(document)
+    })
+
+    test('writes callouts as GFM alerts', () => {
+      const document = doc(
+        { type: 'callout', attrs: { variant: 'warning' }, content: [para(text('Carry cash')), para(text('Cards are rare'))] },
+        { type: 'blockquote', content: [para(text('[!NOTE] is just text here'))] }
+      )
+
+      const markdown = tiptapToMarkdown(document)
+
+      expect(markdown.split('\n').slice(0, 4)).toEqual(['> [!WARNING]', '> Carry cash', '>', '> Cards are rare'])
+      expect(roundTrip(document)).toEqual(document)
+    })
+
+    test('reads other alert types', () => {
+      const result = markdownToTiptap('> [!caution]\n> Mind the gap')
+
+      expect(result.content[0]).toEqual({ type: 'callout', attrs: { variant: 'warning' }, content: [para(text('Mind the gap'))] })
+    })
+
+    test('numbers footnotes and writes their definitions last', () => {
+      const document = doc(
+        para(text('Arrived'), { type: 'footnote', attrs: { content: 'After a *long* delay' } }, text(' late.')),
+        para(text('Left early'), { type: 'footnote', attrs: { content: 'Before dawn' } })
+      )
+
+      const markdown = tiptapToMarkdown(document)
+
+      expect(markdown).toBe('Arrived[^1] late.\n\nLeft early[^2]\n\n[^1]: After a \\*long\\* delay\n[^2]: Before dawn')
+      expect(markdownToTiptap(markdown)).toEqual(document)
+    })
+
+    test('leaves references without a definition as text', () => {
+      expect(markdownToTiptap('See [^x]').content[0]).toEqual(para(text('See [^x]')))
+    })
+  })
+
+  describe('embeds, media and galleries', () => {
+    test('keeps embeds and audio / video players', () => {
+      const document = doc(
+        para(text('Watch this')),
+        { type: 'embed', attrs: { provider: 'youtube', src: 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', title: 'A <talk>' } },
+        { type: 'media', attrs: { kind: 'audio', src: '/uploads/2024/05/01/episode.mp3', title: 'Episode 1' } }
+      )
+
+      const markdown = tiptapToMarkdown(document)
+
+      expect(markdown.split('\n\n').slice(1).every(block => /^<!-- tiptap: \{.*\} -->$/.test(block))).toBe(true)
+      expect(roundTrip(document)).toEqual(document)
+    })
+
+    test('keeps galleries with their layout and captions', () => {
+      const document = doc({
+        type: 'gallery',
+        attrs: { layout: 'two-up' },
+        content: [
+          { type: 'galleryImage', attrs: { src: '/uploads/a.jpg', alt: 'Harbour', caption: 'Morning -->' } },
+          { type: 'galleryImage', attrs: { src: '/uploads/b.jpg', alt: 'Market', caption: '' } }
+        ]
+      })
+
+      expect(tiptapToMarkdown(document)).toMatch(/^<!-- tiptap: \{.*\} -->$/)
+      expect(roundTrip(document)).toEqual(document)
+    })
+  })
+
+  describe('entry export', () => {
+    test('exports entries that import back to the same fields', () => {
+      const content = doc(para(text('Hello '), text('world', [{ type: 'bold' }])))
+      const markdown = entryToMarkdown({
+        title: 'My Entry: Part 1',
+        excerpt: 'Summary',
+        coverImageUrl: 'https://example.com/cover.jpg',
+        coverImageAlt: 'Cover',
+        status: 'published',
+        journals: ['Travel'],
+        collections: ['Spring', 'Summer'],
+        content
+      })
+
+      const result = parseImportContent(markdown, 'auto', true)
+
+      expect(result.detectedFormat).toBe('markdown')
+      expect(result.fields).toEqual({
+        title: 'My Entry: Part 1',
+        excerpt: 'Summary',
+        coverImageUrl: 'https://example.com/cover.jpg',
+        coverImageAlt: 'Cover',
+        content: { json: content, html: '' },
+        status: 'published',
+        journals: ['Travel'],
+        collections: ['Spring', 'Summer']
+      })
+    })
+
+    test('builds file names from titles', () => {
+      expect(markdownFileName('Café Notes: Day 1!')).toBe('cafe-notes-day-1.md')
+      expect(markdownFileName('')).toBe('entry.md')
+    })
+  })
+})
@@ -0,0 +1,78 @@
+// client/src/__tests__/postContent.test.js
+import { renderEmbeds, renderFootnotes, renderGalleries, renderHeadingAnchors, renderPostContent } from '../utils/postContent'
+
+const ref = (content) => `<sup data-type="footnote" data-content="${content}" class="footnote-ref"></sup>`
+
+describe('renderFootnotes', () => {
+  test('numbers references and appends the notes in order', () => {
+    const html = renderFootnotes(`<p>One${ref('First')} two${ref('Second &amp; last')}</p>`)
+
+    expect(html).toContain('<p>One<sup class="footnote-ref" id="fnref-1"><a href="#fn-1" aria-describedby="footnotes-label">1</a></sup> two<sup class="footnote-ref" id="fnref-2">')
+    expect(html).toMatch(/<section class="footnotes"[^>]*>.*<ol><li id="fn-1">First <a href="#fnref-1"[^>]*>↩<\/a><\/li><li id="fn-2">Second &amp; last /)
+  })
+
+  test('renders note text as text only', () => {
+    const html = renderFootnotes(`<p>x${ref('<img src=x onerror=alert(1)>')}</p>`)
+
+    expect(html).not.toContain('<img')
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;')
+  })
+
+  test('leaves content without footnotes unchanged', () => {
+    expect(renderFootnotes('<p>Plain <sup>2</sup></p>')).toBe('<p>Plain <sup>2</sup></p>')
+    expect(renderFootnotes(null)).toBe('')
+  })
+})
+
+describe('renderEmbeds', () => {
+  const stored = (src, inner = '<a href="https://www.youtube.com/watch?v=dQw4w9WgXcQ" target="_blank" rel="noopener noreferrer">Our trip</a>') =>
+    `<figure data-type="embed" data-provider="youtube" data-src="${src}" class="embed embed-youtube align-center">${inner}</figure>`
+
+  test('replaces embeds with a click-to-load placeholder', () => {
+    const html = renderEmbeds(stored('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?start=90'))
+
+    expect(html).not.toContain('<iframe')
+    expect(html).toContain('<figure class="embed embed-youtube align-center" data-embed-src="https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?start=90" data-embed-title="Our trip">')
+    expect(html).toContain('<p class="embed-title">Our trip</p>')
+    expect(html).toContain('<button type="button" class="embed-load">Load video</button>')
+    expect(html).toContain('<a href="https://www.youtube.com/watch?v=dQw4w9WgXcQ" target="_blank" rel="noopener noreferrer">Open on YouTube</a>')
+  })
+
+  test('keeps only the link for sources outside the allowlist', () => {
+    const html = renderEmbeds(stored('https://tracker.example.com/embed', '<a href="https://tracker.example.com/">Video</a>'))
+
+    expect(html).toBe('<p><a href="https://tracker.example.com/">Video</a></p>')
+  })
+
+  test('runs with the footnote transform in renderPostContent', () => {
+    const html = renderPostContent(`<p>x${ref('Note')}</p>${stored('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ')}`)
+
+    expect(html).toContain('id="fnref-1"')
+    expect(html).toContain('class="embed-load"')
+  })
+})
+
+describe('renderGalleries', () => {
+  test('makes carousels focusable, labelled regions', () => {
+    const carousel = '<figure data-type="gallery" data-layout="carousel" class="gallery gallery-carousel"><figure class="gallery-item"><img src="/a.jpg" alt="A" /></figure></figure>'
+    const grid = '<figure data-type="gallery" data-layout="grid" class="gallery gallery-grid"></figure>'
+
+    expect(renderGalleries(carousel)).toContain('<figure data-type="gallery" data-layout="carousel" class="gallery gallery-carousel" role="region" aria-label="Image carousel" tabindex="0"><figure class="gallery-item">')
+    expect(renderGalleries(grid)).toBe(grid)
+  })
+})
+
+describe('renderHeadingAnchors', () => {
+  test('adds a deep link to headings that have an id', () => {
+    const html = renderHeadingAnchors('<h2 id="getting-started" class="align-center">Getting <em>started</em></h2><h3>No id</h3><p id="x">Text</p>')
+
+    expect(html).toBe('<h2 id="getting-started" class="align-center">Getting <em>started</em><a href="#getting-started" class="heading-anchor" aria-label="Copy link to this section">#</a></h2><h3>No id</h3><p id="x">Text</p>')
+  })
+
+  test('leaves the footnotes heading alone when run before renderPostContent', () => {
+    const html = renderPostContent(renderHeadingAnchors(`<h1 id="intro">Intro</h1><p>x${ref('Note')}</p>`))
+
+    expect(html).toContain('<a href="#intro" class="heading-anchor"')
+    expect(html).toContain('<h2 id="footnotes-label" class="sr-only">Footnotes</h2>')
+  })
+})
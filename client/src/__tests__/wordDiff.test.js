@@ -0,0 +1,52 @@
+// client/src/__tests__/wordDiff.test.js
+import { diffWords, getDiffStats, tokenizeWords } from '../utils/wordDiff'
+
+// Rebuild one side of the diff to check nothing is lost
+const rebuild = (parts, side) =>
+  parts
+    .filter(p => p.type === 'equal' || p.type === (side === 'before' ? 'removed' : 'added'))
+    .map(p => p.text)
+    .join('')
+
+describe('Word Diff Utilities', () => {
+  test('tokenizes words and keeps whitespace', () => {
+    expect(tokenizeWords('one  two\nthree')).toEqual(['one', '  ', 'two', '\n', 'three'])
+    expect(tokenizeWords('')).toEqual([])
+  })
+
+  test('identical texts produce a single equal part', () => {
+    expect(diffWords('same text', 'same text')).toEqual([{ type: 'equal', text: 'same text' }])
+  })
+
+  test('detects a replaced word', () => {
+    const parts = diffWords('the quick brown fox', 'the slow brown fox')
+    expect(parts).toEqual([
+      { type: 'equal', text: 'the ' },
+      { type: 'removed', text: 'quick' },
+      { type: 'added', text: 'slow' },
+      { type: 'equal', text: ' brown fox' }
+    ])
+  })
+
+  test('detects insertions and deletions in the middle', () => {
+    const before = 'a b c d e f'
+    const after = 'a c d x e f'
+    const parts = diffWords(before, after)
+    expect(rebuild(parts, 'before')).toBe(before)
+    expect(rebuild(parts, 'after')).toBe(after)
+    expect(getDiffStats(parts)).toEqual({ added: 1, removed: 1 })
+  })
+
+  test('handles empty sides', () => {
+    expect(diffWords('', 'new words')).toEqual([{ type: 'added', text: 'new words' }])
+    expect(diffWords('old words', '')).toEqual([{ type: 'removed', text: 'old words' }])
+  })
+
+  test('round-trips paragraphs with several edits', () => {
+    const before = 'First line here.\nSecond line stays.\nThird line goes away.'
+    const after = 'First line changed here.\nSecond line stays.\nA brand new ending.'
+    const parts = diffWords(before, after)
+    expect(rebuild(parts, 'before')).toBe(before)
+    expect(rebuild(parts, 'after')).toBe(after)
+  })
+})
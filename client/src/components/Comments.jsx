@@ -0,0 +1,278 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link, useLocation } from 'react-router-dom'
+import { useAuth } from '../hooks/useAuth'
+import { commentsAPI } from '../utils/api'
+import { formatRelativeTime } from '../utils/formatDate'
+
+// Deeper replies stop indenting so narrow screens stay readable
+const MAX_INDENT_DEPTH = 3
+
+const MAX_COMMENT_LENGTH = 5000
+
+// The server's message for a failed request, if it sent one
+const errorMessage = (error, fallback) => {
+  const data = error.response?.data
+  return data?.fields?.body?.[0] || data?.error || fallback
+}
+
+const CommentForm = ({ initialBody = '', submitLabel, onSubmit, onCancel, autoFocus = false }) => {
+  const [body, setBody] = useState(initialBody)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!body.trim()) return
+
+    setSubmitting(true)
+    setError(null)
+    try {
+      await onSubmit(body.trim())
+      setBody('')
+    } catch (submitError) {
+      setError(errorMessage(submitError, 'Could not save your comment. Please try again.'))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        maxLength={MAX_COMMENT_LENGTH}
+        rows={3}
+        autoFocus={autoFocus}
+        aria-label={submitLabel}
+        placeholder="Share your thoughts..."
+        className="w-full px-3 py-2 border border-secondary-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex items-center gap-3">
+        <button type="submit" disabled={submitting || !body.trim()} className="btn-primary disabled:opacity-50">
+          {submitting ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="text-sm text-secondary-600 hover:text-secondary-800">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+const Comment = ({ comment, depth, open, viewerId, onReply, onEdit, onDelete }) => {
+  const [mode, setMode] = useState(null) // 'reply' | 'edit' | null
+  const isOwn = viewerId && comment.author?.id === viewerId
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this comment?')) return
+    try {
+      await onDelete(comment.id)
+    } catch (deleteError) {
+      alert(errorMessage(deleteError, 'Could not delete the comment. Please try again.'))
+    }
+  }
+
+  return (
+    <li>
+      <article className="py-4">
+        {comment.removed ? (
+          <p className="text-sm italic text-secondary-500">This comment was removed.</p>
+        ) : (
+          <>
+            <header className="flex flex-wrap items-baseline gap-x-2 text-sm">
+              <span className="font-medium text-secondary-900">{comment.author?.display_name || 'Reader'}</span>
+              <time dateTime={comment.created_at} className="text-secondary-500">
+                {formatRelativeTime(comment.created_at)}
+              </time>
+              {comment.edited_at && <span className="text-secondary-400">(edited)</span>}
+              {comment.status === 'pending' && (
+                <span className="text-xs px-2 py-0.5 rounded-full bg-amber-100 text-amber-800">Awaiting moderation</span>
+              )}
+              {(comment.status === 'rejected' || comment.status === 'spam') && (
+                <span className="text-xs px-2 py-0.5 rounded-full bg-secondary-200 text-secondary-700">Not published</span>
+              )}
+            </header>
+
+            {mode === 'edit' ? (
+              <div className="mt-2">
+                <CommentForm
+                  initialBody={comment.body}
+                  submitLabel="Save"
+                  autoFocus
+                  onSubmit={async (body) => {
+                    await onEdit(comment.id, body)
+                    setMode(null)
+                  }}
+                  onCancel={() => setMode(null)}
+                />
+              </div>
+            ) : (
+              <p className="mt-1 text-secondary-800 whitespace-pre-line break-words">{comment.body}</p>
+            )}
+
+            <div className="mt-2 flex gap-4 text-sm">
+              {open && viewerId && comment.status === 'approved' && mode !== 'reply' && (
+                <button type="button" onClick={() => setMode('reply')} className="text-primary-600 hover:text-primary-700">
+                  Reply
+                </button>
+              )}
+              {isOwn && mode !== 'edit' && (
+                <button type="button" onClick={() => setMode('edit')} className="text-secondary-600 hover:text-secondary-800">
+                  Edit
+                </button>
+              )}
+              {isOwn && (
+                <button type="button" onClick={handleDelete} className="text-red-600 hover:text-red-700">
+                  Delete
+                </button>
+              )}
+            </div>
+
+            {mode === 'reply' && (
+              <div className="mt-3">
+                <CommentForm
+                  submitLabel="Reply"
+                  autoFocus
+                  onSubmit={async (body) => {
+                    await onReply(comment.id, body)
+                    setMode(null)
+                  }}
+                  onCancel={() => setMode(null)}
+                />
+              </div>
+            )}
+          </>
+        )}
+      </article>
+
+      {comment.replies.length > 0 && (
+        <ul className={depth < MAX_INDENT_DEPTH ? 'ml-4 sm:ml-6 pl-4 border-l border-secondary-200' : ''}>
+          {comment.replies.map(reply => (
+            <Comment
+              key={reply.id}
+              comment={reply}
+              depth={depth + 1}
+              open={open}
+              viewerId={viewerId}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  )
+}
+
+/**
+ * Comment thread and form under a published post
+ * Anyone can read approved comments; signed-in readers can comment, reply
+ * and edit or delete their own comments. New comments wait for moderation.
+ */
+const Comments = ({ postId }) => {
+  const { user } = useAuth()
+  const location = useLocation()
+  const [thread, setThread] = useState(null)
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  const viewerId = user?.id || null
+
+  const loadThread = useCallback(async () => {
+    try {
+      setThread(await commentsAPI.getComments(postId))
+      setError(null)
+    } catch (loadError) {
+      setError('Comments could not be loaded.')
+    }
+  }, [postId])
+
+  // Signing in or out changes which pending comments are visible
+  useEffect(() => {
+    loadThread()
+  }, [loadThread, viewerId])
+
+  const handleAdd = async (body, parentId = null) => {
+    const comment = await commentsAPI.addComment(postId, body, parentId)
+    setNotice(comment.status === 'pending' ? 'Thanks! Your comment will appear once it has been approved.' : null)
+    await loadThread()
+  }
+
+  const handleEdit = async (id, body) => {
+    const comment = await commentsAPI.updateComment(id, body)
+    setNotice(comment.status === 'pending' ? 'Your edit will appear once it has been approved.' : null)
+    await loadThread()
+  }
+
+  const handleDelete = async (id) => {
+    await commentsAPI.deleteComment(id)
+    await loadThread()
+  }
+
+  if (error) {
+    return <p className="mt-12 text-sm text-secondary-500">{error}</p>
+  }
+
+  if (!thread) {
+    return null
+  }
+
+  const { open, count, comments } = thread
+
+  // Closed and empty: nothing worth a section
+  if (!open && comments.length === 0) {
+    return null
+  }
+
+  return (
+    <section aria-labelledby="comments-heading" className="mt-12">
+      <h2 id="comments-heading" className="text-2xl font-serif font-semibold text-secondary-900 mb-4">
+        Comments{count > 0 && <span className="text-secondary-500 font-normal"> ({count})</span>}
+      </h2>
+
+      {open ? (
+        viewerId ? (
+          <div className="mb-6">
+            <CommentForm submitLabel="Post comment" onSubmit={(body) => handleAdd(body)} />
+            {notice && <p className="mt-2 text-sm text-green-700" role="status">{notice}</p>}
+          </div>
+        ) : (
+          <p className="mb-6 text-secondary-600">
+            <Link to="/auth/signin" state={{ from: location }} className="text-primary-600 hover:text-primary-700 font-medium">
+              Sign in
+            </Link>{' '}
+            to join the conversation.
+          </p>
+        )
+      ) : (
+        <p className="mb-6 text-secondary-600">Comments are closed.</p>
+      )}
+
+      {comments.length === 0 ? (
+        <p className="text-secondary-500">No comments yet.</p>
+      ) : (
+        <ul className="divide-y divide-secondary-200">
+          {comments.map(comment => (
+            <Comment
+              key={comment.id}
+              comment={comment}
+              depth={1}
+              open={open}
+              viewerId={viewerId}
+              onReply={(parentId, body) => handleAdd(body, parentId)}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+            />
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default Comments
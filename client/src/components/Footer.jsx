@@ -2,6 +2,7 @@
 import { Link } from 'react-router-dom'
 import { SITE_NAME, SITE_VERSION } from '../config/branding'
 import BrandImage from './BrandImage'
+import { buildApiUrl } from '../lib/apiBase'
 
 export default function Footer() {
   const currentYear = new Date().getFullYear()
@@ -42,6 +43,12 @@ export default function Footer() {
           >
             Journals
           </Link>
+          <a 
+            href={buildApiUrl('/feed.xml')} 
+            className="hover:text-white transition-colors"
+          >
+            RSS
+          </a>
         </nav>
 
         {/* Copyright */}
@@ -0,0 +1,21 @@
+// Journal icon - emoji or uploaded image depending on icon_type
+
+const JournalIcon = ({ journal, className = 'w-10 h-10 text-3xl' }) => {
+  if (journal.icon_type === 'image' && journal.icon_image_url) {
+    return (
+      <img
+        src={journal.icon_image_url}
+        alt=""
+        className={`${className} rounded object-cover`}
+      />
+    )
+  }
+
+  return (
+    <span className={`${className} inline-flex items-center justify-center`} aria-hidden="true">
+      {journal.icon_emoji || '📚'}
+    </span>
+  )
+}
+
+export default JournalIcon
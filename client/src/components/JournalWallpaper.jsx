@@ -0,0 +1,32 @@
+// Fixed background for journal and collection pages
+// Uses the journal's own wallpaper and blur, falling back to the hero banner
+
+import { BRAND_IMAGES } from '../config/branding'
+
+const JournalWallpaper = ({ journal }) => {
+  const wallpaperUrl = journal?.wallpaper_url || BRAND_IMAGES['hero-banner']
+  const blur = journal?.wallpaper_url ? journal.wallpaper_blur || 0 : 0
+
+  if (!wallpaperUrl) {
+    return null
+  }
+
+  return (
+    <div className="fixed top-0 left-0 right-0 w-full h-screen overflow-hidden -z-10">
+      <img
+        src={wallpaperUrl}
+        alt=""
+        className="w-full h-full object-cover"
+        style={{
+          filter: blur ? `blur(${blur}px)` : 'none',
+          // Scale slightly so blurred edges don't show through
+          transform: blur ? 'scale(1.05)' : 'none'
+        }}
+        loading="eager"
+      />
+      <div className="absolute inset-0 bg-black/20" />
+    </div>
+  )
+}
+
+export default JournalWallpaper
@@ -63,7 +63,7 @@ export default function Navbar() {
 
         <nav className="links-desktop" aria-label="Primary">
           {!isHidden('home') && <NavLink to="/" className="link">{getLabel('home', 'Home')}</NavLink>}
-          {!isHidden('journals') && <NavLink to="/blog" className="link">{getLabel('journals', 'Journals')}</NavLink>}
+          {!isHidden('journals') && <NavLink to="/journals" className="link">{getLabel('journals', 'Journals')}</NavLink>}
           {!isHidden('about') && <NavLink to="/about" className="link">{getLabel('about', 'About')}</NavLink>}
           {!isHidden('contact') && <NavLink to="/contact" className="link">{getLabel('contact', 'Contact')}</NavLink>}
           {isAdmin && <NavLink to="/dashboard" className="link">Dashboard</NavLink>}
@@ -90,7 +90,7 @@ export default function Navbar() {
         aria-label="Primary"
       >
         {!isHidden('home') && <NavLink to="/" className="panel-link" onClick={onNav}>{getLabel('home', 'Home')}</NavLink>}
-        {!isHidden('journals') && <NavLink to="/blog" className="panel-link" onClick={onNav}>{getLabel('journals', 'Journals')}</NavLink>}
+        {!isHidden('journals') && <NavLink to="/journals" className="panel-link" onClick={onNav}>{getLabel('journals', 'Journals')}</NavLink>}
         {!isHidden('about') && <NavLink to="/about" className="panel-link" onClick={onNav}>{getLabel('about', 'About')}</NavLink>}
         {!isHidden('contact') && <NavLink to="/contact" className="panel-link" onClick={onNav}>{getLabel('contact', 'Contact')}</NavLink>}
         {isAdmin && <NavLink to="/dashboard" className="panel-link" onClick={onNav}>Dashboard</NavLink>}
@@ -1,7 +1,8 @@
 import { Link } from 'react-router-dom'
+import ResponsiveImage, { CARD_IMAGE_SIZES } from './ResponsiveImage'
 
 const PostCard = ({ post }) => {
-  const { title, slug, cover_image_url } = post
+  const { title, slug, cover_image_url, cover_image_variants } = post
 
   return (
     <Link to={`/blog/${slug}`} className="group block">
@@ -9,8 +10,10 @@ const PostCard = ({ post }) => {
         {/* Cover Image or Placeholder */}
         <div className="aspect-video bg-gradient-to-br from-primary-100 to-primary-200 relative overflow-hidden">
           {cover_image_url ? (
-            <img 
-              src={cover_image_url} 
+            <ResponsiveImage
+              src={cover_image_url}
+              variants={cover_image_variants}
+              sizes={CARD_IMAGE_SIZES}
               alt={title}
               className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300"
             />
@@ -0,0 +1,162 @@
+// client/src/components/PublishedLayout.jsx
+// Public renderer for Card Builder layouts - draws wallpaper, cards, text boxes and images
+// exactly where the builder previews them
+import {
+  CANVAS_OFFSET_TOP,
+  DEFAULT_CARD_STYLE,
+  getCardDimensions,
+  getConveyorLength,
+  getFontStack,
+  getWallpaperOffset,
+  hexToRgba
+} from '../utils/cardLayout'
+
+// Text box content (plain, bullet list or numbered list)
+const TextBoxContent = ({ textBox }) => {
+  const lines = (textBox.content || '').split('\n')
+
+  if (textBox.listType === 'bullet') {
+    return (
+      <ul style={{ listStyleType: 'disc', listStylePosition: 'inside', margin: 0, padding: 0 }}>
+        {lines.map((line, i) => <li key={i}>{line}</li>)}
+      </ul>
+    )
+  }
+
+  if (textBox.listType === 'numbered') {
+    return (
+      <ol style={{ listStyleType: 'decimal', listStylePosition: 'inside', margin: 0, padding: 0 }}>
+        {lines.map((line, i) => <li key={i}>{line}</li>)}
+      </ol>
+    )
+  }
+
+  return textBox.content
+}
+
+const LayoutTextBox = ({ textBox }) => {
+  const style = {
+    position: 'absolute',
+    left: textBox.x,
+    top: textBox.y,
+    width: textBox.width,
+    height: textBox.height,
+    fontSize: `${textBox.fontSize}px`,
+    fontWeight: textBox.fontWeight,
+    fontStyle: textBox.isQuote ? 'italic' : textBox.fontStyle,
+    textAlign: textBox.textAlign,
+    textDecoration: textBox.textDecoration || 'none',
+    fontFamily: getFontStack(textBox.fontFamily),
+    overflow: 'hidden',
+    padding: '4px',
+    color: textBox.link ? '#2563eb' : '#000',
+    borderLeft: textBox.isQuote ? '3px solid #9ca3af' : 'none',
+    paddingLeft: textBox.isQuote ? '12px' : '4px',
+    backgroundColor: textBox.isQuote ? 'rgba(243,244,246,0.5)' : 'transparent',
+    whiteSpace: 'pre-wrap'
+  }
+
+  if (textBox.link) {
+    const isExternal = /^https?:\/\//i.test(textBox.link)
+    return (
+      <a
+        href={textBox.link}
+        style={style}
+        {...(isExternal && { target: '_blank', rel: 'noopener noreferrer' })}
+      >
+        <TextBoxContent textBox={textBox} />
+      </a>
+    )
+  }
+
+  return (
+    <div style={style}>
+      <TextBoxContent textBox={textBox} />
+    </div>
+  )
+}
+
+const LayoutCard = ({ card }) => {
+  const dimensions = getCardDimensions(card.points)
+  const cardStyle = card.style || DEFAULT_CARD_STYLE
+
+  return (
+    <div
+      className="absolute overflow-hidden box-border"
+      style={{
+        left: dimensions.minX,
+        top: dimensions.minY,
+        width: dimensions.width,
+        height: dimensions.height,
+        backgroundColor: hexToRgba(cardStyle.backgroundColor, cardStyle.opacity),
+        borderRadius: cardStyle.borderRadius,
+        border: cardStyle.borderWidth > 0
+          ? `${cardStyle.borderWidth}px ${cardStyle.borderStyle} ${cardStyle.borderColor}`
+          : 'none'
+      }}
+    >
+      {/* Image slots (unassigned slots are builder-only placeholders) */}
+      {(card.images || []).filter(img => img.url).map(img => (
+        <img
+          key={img.id}
+          src={img.url}
+          alt={img.alt || ''}
+          className="absolute object-cover"
+          style={{ left: img.x, top: img.y, width: img.width, height: img.height }}
+          loading="lazy"
+        />
+      ))}
+
+      {(card.textBoxes || []).map(tb => (
+        <LayoutTextBox key={tb.id} textBox={tb} />
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Renders a published layout slot
+ * @param {object} props.layout - Published page_layouts row
+ * @param {object} props.settings - Layout settings (scrollRatio, scrollSpeed, wallpaperPosition)
+ * @param {object} props.wallpaper - Wallpaper { url, alt, blur } or null
+ * @param {number} props.scrollY - Current window scroll position
+ */
+const PublishedLayout = ({ layout, settings, wallpaper, scrollY }) => {
+  const conveyorLength = getConveyorLength(settings.scrollRatio)
+  const viewportHeight = typeof window !== 'undefined' ? window.innerHeight : 1000
+  const imageOffset = getWallpaperOffset(scrollY, settings, viewportHeight)
+
+  return (
+    <div className="relative" style={{ minHeight: `${conveyorLength}vh` }}>
+      {/* Fixed wallpaper with conveyor parallax */}
+      <div className="fixed top-0 left-0 right-0 w-full h-screen overflow-hidden z-0">
+        {wallpaper?.url && (
+          <img
+            src={wallpaper.url}
+            alt={wallpaper.alt || 'Page wallpaper'}
+            className="w-full object-cover"
+            style={{
+              height: '150vh',
+              transform: `translateY(-${imageOffset}px)`,
+              filter: wallpaper.blur ? `blur(${wallpaper.blur}px)` : 'none'
+            }}
+            loading="eager"
+          />
+        )}
+        <div className="absolute inset-0 bg-black/30" />
+      </div>
+
+      {/* Card conveyor */}
+      <div
+        className="absolute left-0 right-0 z-20"
+        style={{ top: CANVAS_OFFSET_TOP, height: `${conveyorLength}vh` }}
+      >
+        {(layout?.cards || []).map(card => (
+          <LayoutCard key={card.id} card={card} />
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default PublishedLayout
@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import PostCard from './PostCard'
+import { postsAPI } from '../utils/api'
+
+/**
+ * What follows a post on its public page: previous / next within each of its
+ * collections, the posts that link to it, and related posts.
+ * Renders nothing until loaded, and nothing at all if the request fails.
+ */
+const RelatedEntries = ({ postId }) => {
+  const [content, setContent] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setContent(null)
+
+    postsAPI.getRelated(postId)
+      .then(data => {
+        if (!cancelled) setContent(data)
+      })
+      .catch(() => {
+        // Extra reading is optional; the post itself is already shown
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [postId])
+
+  if (!content) {
+    return null
+  }
+
+  const { related = [], backlinks = [], collections = [] } = content
+
+  if (related.length === 0 && backlinks.length === 0 && collections.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="mt-12 space-y-12">
+      {/* Previous / next in each collection */}
+      {collections.map(({ collection, journal, position, count, previous, next }) => (
+        <nav
+          key={collection.id}
+          aria-label={`${collection.name} navigation`}
+          className="rounded-lg border border-secondary-200 bg-secondary-50 p-5"
+        >
+          <p className="text-sm text-secondary-600 mb-4 text-center">
+            Entry {position} of {count} in{' '}
+            <Link
+              to={`/journals/${journal.slug}/${collection.slug}`}
+              className="font-medium text-primary-600 hover:text-primary-700"
+            >
+              {collection.name}
+            </Link>
+          </p>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              {previous && (
+                <Link to={`/blog/${previous.slug}`} rel="prev" className="group block">
+                  <span className="block text-xs uppercase tracking-wide text-secondary-500">← Previous</span>
+                  <span className="font-serif text-secondary-900 group-hover:text-primary-600 transition-colors">
+                    {previous.title}
+                  </span>
+                </Link>
+              )}
+            </div>
+            <div className="text-right">
+              {next && (
+                <Link to={`/blog/${next.slug}`} rel="next" className="group block">
+                  <span className="block text-xs uppercase tracking-wide text-secondary-500">Next →</span>
+                  <span className="font-serif text-secondary-900 group-hover:text-primary-600 transition-colors">
+                    {next.title}
+                  </span>
+                </Link>
+              )}
+            </div>
+          </div>
+        </nav>
+      ))}
+
+      {/* Posts that link here */}
+      {backlinks.length > 0 && (
+        <section aria-labelledby="linked-from-heading">
+          <h2 id="linked-from-heading" className="text-2xl font-serif font-semibold text-secondary-900 mb-4">
+            Linked from
+          </h2>
+          <ul className="space-y-3">
+            {backlinks.map(post => (
+              <li key={post.id}>
+                <Link to={`/blog/${post.slug}`} className="group block">
+                  <span className="font-medium text-primary-600 group-hover:text-primary-700">{post.title}</span>
+                  {post.excerpt && (
+                    <span className="block text-sm text-secondary-600 line-clamp-2">{post.excerpt}</span>
+                  )}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {/* Related posts */}
+      {related.length > 0 && (
+        <section aria-labelledby="related-heading">
+          <h2 id="related-heading" className="text-2xl font-serif font-semibold text-secondary-900 mb-4">
+            Related
+          </h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+            {related.map(post => (
+              <PostCard key={post.id} post={post} />
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  )
+}
+
+export default RelatedEntries
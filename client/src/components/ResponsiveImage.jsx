@@ -0,0 +1,33 @@
+// Sizes for cover images in the post card grids (one to four columns)
+export const CARD_IMAGE_SIZES = '(min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw'
+
+/**
+ * An uploaded image with its smaller AVIF / WebP / original-format copies
+ * `variants` is the { sources, srcset, width, height } object the API sends
+ * alongside image URLs (e.g. cover_image_variants); without it this is a
+ * plain <img>. `sizes` says how wide the image is shown.
+ */
+const ResponsiveImage = ({ src, variants, sizes, alt = '', ...imgProps }) => {
+  if (!variants) {
+    return <img src={src} alt={alt} {...imgProps} />
+  }
+
+  return (
+    <picture>
+      {variants.sources.map(source => (
+        <source key={source.type} type={source.type} srcSet={source.srcset} sizes={sizes} />
+      ))}
+      <img
+        src={src}
+        srcSet={variants.srcset}
+        sizes={sizes}
+        width={variants.width}
+        height={variants.height}
+        alt={alt}
+        {...imgProps}
+      />
+    </picture>
+  )
+}
+
+export default ResponsiveImage
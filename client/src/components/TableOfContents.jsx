@@ -0,0 +1,88 @@
+import { useEffect, useState } from 'react'
+
+// A heading becomes the current section once its top scrolls above this line (px)
+const ACTIVE_OFFSET = 120
+
+/**
+ * Outline of a post's h1-h3 that highlights the section being read
+ * `outline` is the list the posts API returns: [{ id, level, text }]
+ */
+const TableOfContents = ({ outline, title = 'On this page', className = '' }) => {
+  const [activeId, setActiveId] = useState(outline[0]?.id || null)
+
+  // Scroll spy: the current section is the last heading above ACTIVE_OFFSET
+  useEffect(() => {
+    let frame = null
+
+    const update = () => {
+      frame = null
+      let current = outline[0]?.id || null
+      for (const item of outline) {
+        const heading = document.getElementById(item.id)
+        if (!heading) continue
+        if (heading.getBoundingClientRect().top > ACTIVE_OFFSET) break
+        current = item.id
+      }
+      setActiveId(current)
+    }
+
+    const handleScroll = () => {
+      if (frame === null) {
+        frame = window.requestAnimationFrame(update)
+      }
+    }
+
+    update()
+    window.addEventListener('scroll', handleScroll, { passive: true })
+    window.addEventListener('resize', handleScroll)
+    return () => {
+      window.removeEventListener('scroll', handleScroll)
+      window.removeEventListener('resize', handleScroll)
+      if (frame !== null) window.cancelAnimationFrame(frame)
+    }
+  }, [outline])
+
+  const handleClick = (event, id) => {
+    event.preventDefault()
+    document.getElementById(id)?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+    window.history.replaceState(null, '', `#${id}`)
+    setActiveId(id)
+  }
+
+  // Indent relative to the highest level used, so a post without an h1 isn't pushed right
+  const topLevel = Math.min(...outline.map(item => item.level))
+
+  return (
+    <nav aria-label="Table of contents" className={className}>
+      {title && (
+        <p className="text-xs font-semibold uppercase tracking-wide text-secondary-500 mb-3">
+          {title}
+        </p>
+      )}
+      <ol className="border-l border-secondary-200 text-sm">
+        {outline.map(item => {
+          const isActive = item.id === activeId
+          return (
+            <li key={item.id}>
+              <a
+                href={`#${item.id}`}
+                onClick={(event) => handleClick(event, item.id)}
+                aria-current={isActive ? 'location' : undefined}
+                className={`block -ml-px border-l-2 py-1 pr-2 leading-snug transition-colors ${
+                  isActive
+                    ? 'border-primary-600 text-primary-700 font-medium'
+                    : 'border-transparent text-secondary-600 hover:text-secondary-900 hover:border-secondary-300'
+                }`}
+                style={{ paddingLeft: `${0.75 + (item.level - topLevel) * 0.75}rem` }}
+              >
+                {item.text}
+              </a>
+            </li>
+          )
+        })}
+      </ol>
+    </nav>
+  )
+}
+
+export default TableOfContents
@@ -11,9 +11,19 @@ import {
   ImageMetadata 
 } from '../../utils/imageTypeDetection'
 
+// Smaller AVIF / WebP / original-format copies of an upload, as the API sends them
+export interface ResponsiveImageVariants {
+  sources: { type: string; srcset: string }[]
+  srcset: string
+  width: number
+  height: number
+}
+
 interface EnhancedImageProps {
   src: string
   alt?: string
+  variants?: ResponsiveImageVariants | null
+  sizes?: string
   className?: string
   style?: React.CSSProperties
   onLoad?: (e: React.SyntheticEvent<HTMLImageElement>) => void
@@ -27,6 +37,8 @@ interface EnhancedImageProps {
 const EnhancedImage: React.FC<EnhancedImageProps> = ({
   src,
   alt,
+  variants,
+  sizes = '100vw',
   className = '',
   style,
   onLoad,
@@ -101,15 +113,22 @@ const EnhancedImage: React.FC<EnhancedImageProps> = ({
     >
       {/* Main Image with Smart Tooltip */}
       <SmartTooltip content={tooltip} delay={500}>
-        <img
-          ref={imgRef}
-          src={src}
-          alt={alt}
-          className={`${className} ${metadata?.isUpload ? 'ring-2 ring-blue-200' : 'ring-2 ring-orange-200'} ring-opacity-0 group-hover:ring-opacity-100 transition-all duration-200`}
-          style={style}
-          onLoad={handleImageLoad}
-          onError={handleImageError}
-        />
+        <picture>
+          {variants?.sources.map(source => (
+            <source key={source.type} type={source.type} srcSet={source.srcset} sizes={sizes} />
+          ))}
+          <img
+            ref={imgRef}
+            src={src}
+            srcSet={variants?.srcset}
+            sizes={variants ? sizes : undefined}
+            alt={alt}
+            className={`${className} ${metadata?.isUpload ? 'ring-2 ring-blue-200' : 'ring-2 ring-orange-200'} ring-opacity-0 group-hover:ring-opacity-100 transition-all duration-200`}
+            style={style}
+            onLoad={handleImageLoad}
+            onError={handleImageError}
+          />
+        </picture>
       </SmartTooltip>
 
       {/* Loading Indicator */}
@@ -26,18 +26,21 @@ interface LibraryImage {
 interface ImagePickerProps {
   open: boolean
   onClose: () => void
-  onConfirm: (payload: { file?: File; url?: string; alt: string }) => void
+  onConfirm: (payload: { file?: File; url?: string; alt: string; caption?: string }) => void
   showLibraryOption?: boolean // Whether to show the "Browse Library" tab
+  showCaption?: boolean // Whether to ask for a caption (gallery images)
+  title?: string
 }
 
 const ACCEPTED_TYPES = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp']
 const MAX_FILE_SIZE = 5 * 1024 * 1024 // 5MB
 
-export default function ImagePicker({ open, onClose, onConfirm, showLibraryOption = true }: ImagePickerProps) {
+export default function ImagePicker({ open, onClose, onConfirm, showLibraryOption = true, showCaption = false, title = 'Insert Image' }: ImagePickerProps) {
   const [selectedFile, setSelectedFile] = useState<File | null>(null)
   const [imageUrl, setImageUrl] = useState('')
   const [previewUrl, setPreviewUrl] = useState<string | null>(null)
   const [altText, setAltText] = useState('')
+  const [caption, setCaption] = useState('')
   const [isDragOver, setIsDragOver] = useState(false)
   const [errors, setErrors] = useState<{ file?: string; url?: string; alt?: string }>({})
   const [isLarge, setIsLarge] = useState(false)
@@ -381,6 +384,7 @@ export default function ImagePicker({ open, onClose, onConfirm, showLibraryOptio
     setSelectedFile(null)
     setImageUrl('')
     setAltText('')
+    setCaption('')
     setErrors({})
     setIsDragOver(false)
     setIsLarge(false)
@@ -427,14 +431,15 @@ export default function ImagePicker({ open, onClose, onConfirm, showLibraryOptio
     }
     
     // Pass either file, URL, or library image URL to parent
+    const details = showCaption ? { alt: altText.trim(), caption: caption.trim() } : { alt: altText.trim() }
     if (selectedFile) {
-      onConfirm({ file: selectedFile, alt: altText.trim() })
+      onConfirm({ file: selectedFile, ...details })
     } else if (selectedLibraryImage) {
-      onConfirm({ url: selectedLibraryImage.url, alt: altText.trim() })
+      onConfirm({ url: selectedLibraryImage.url, ...details })
     } else {
       // Use compressed URL if available, otherwise use original URL
       const finalUrl = urlCompressionResult?.compressedUrl || imageUrl.trim()
-      onConfirm({ url: finalUrl, alt: altText.trim() })
+      onConfirm({ url: finalUrl, ...details })
     }
     
     handleClose()
@@ -457,7 +462,7 @@ export default function ImagePicker({ open, onClose, onConfirm, showLibraryOptio
         {/* Header */}
         <div className="flex items-center justify-between p-6 border-b border-gray-700">
           <h2 id="image-picker-title" className="text-lg font-semibold text-gray-100">
-            Insert Image
+            {title}
           </h2>
           <button
             type="button"
@@ -1014,6 +1019,23 @@ export default function ImagePicker({ open, onClose, onConfirm, showLibraryOptio
               </p>
             )}
           </div>
+
+          {/* Caption Input */}
+          {showCaption && (
+            <div>
+              <label htmlFor="image-caption" className="block text-sm font-medium text-gray-300 mb-1">
+                Caption
+              </label>
+              <input
+                type="text"
+                id="image-caption"
+                value={caption}
+                onChange={(e) => setCaption(e.target.value)}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-gray-200 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-transparent"
+                placeholder="Shown under the image (optional)"
+              />
+            </div>
+          )}
         </div>
 
         {/* Footer */}
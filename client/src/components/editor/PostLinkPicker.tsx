@@ -0,0 +1,142 @@
+// Post Link Picker: search posts by title and link to one
+import { useState, useRef, useEffect } from 'react'
+import { supabaseAdminGet } from '../../lib/api'
+import type { PostLinkTarget } from './extensions/PostLink'
+
+interface PostLinkResult extends PostLinkTarget {
+  status: string
+}
+
+interface PostLinkPickerProps {
+  open: boolean
+  onClose: () => void
+  onSelect: (post: PostLinkTarget) => void
+}
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 200
+
+export default function PostLinkPicker({ open, onClose, onSelect }: PostLinkPickerProps) {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState<PostLinkResult[]>([])
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const inputRef = useRef<HTMLInputElement>(null)
+
+  // Start fresh every time the picker opens
+  useEffect(() => {
+    if (open) {
+      setQuery('')
+      setActiveIndex(0)
+      setError(null)
+      inputRef.current?.focus()
+    }
+  }, [open])
+
+  useEffect(() => {
+    if (!open) return
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      setLoading(true)
+      try {
+        const data = await supabaseAdminGet(`/api/posts/link-targets?q=${encodeURIComponent(query.trim())}`)
+        if (!cancelled) {
+          setResults(data.posts || [])
+          setActiveIndex(0)
+          setError(null)
+        }
+      } catch (fetchError) {
+        console.error('Error searching posts to link:', fetchError)
+        if (!cancelled) setError('Could not load posts')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }, SEARCH_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [open, query])
+
+  if (!open) return null
+
+  const handleKeyDown = (e: React.KeyboardEvent) => {
+    if (e.key === 'Escape') {
+      e.preventDefault()
+      onClose()
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex(index => Math.min(index + 1, results.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(index => Math.max(index - 1, 0))
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      const post = results[activeIndex]
+      if (post) onSelect(post)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center pt-24 bg-black bg-opacity-60" onMouseDown={onClose}>
+      <div
+        role="dialog"
+        aria-labelledby="post-link-picker-title"
+        aria-modal="true"
+        className="bg-gray-900 rounded-lg shadow-xl max-w-md w-full mx-4 border border-gray-700"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-gray-700">
+          <h2 id="post-link-picker-title" className="text-sm font-semibold text-gray-100 mb-3">
+            Link to a post
+          </h2>
+          <input
+            ref={inputRef}
+            type="text"
+            role="combobox"
+            aria-expanded={results.length > 0}
+            aria-controls="post-link-picker-results"
+            aria-activedescendant={results[activeIndex] ? `post-link-option-${results[activeIndex].id}` : undefined}
+            placeholder="Search posts by title..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-sm text-gray-200 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-transparent"
+          />
+        </div>
+
+        <ul id="post-link-picker-results" role="listbox" className="max-h-72 overflow-y-auto py-2">
+          {error && <li className="px-4 py-2 text-sm text-red-400">{error}</li>}
+          {!error && !loading && results.length === 0 && (
+            <li className="px-4 py-2 text-sm text-gray-400">No posts found</li>
+          )}
+          {results.map((post, index) => (
+            <li
+              key={post.id}
+              id={`post-link-option-${post.id}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => onSelect(post)}
+              className={`flex items-center justify-between gap-3 px-4 py-2 cursor-pointer text-sm ${
+                index === activeIndex ? 'bg-gray-700 text-white' : 'text-gray-200'
+              }`}
+            >
+              <span className="truncate">{post.title}</span>
+              {post.status !== 'published' && (
+                <span className="shrink-0 text-xs text-amber-400">{post.status}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <p className="px-4 py-2 border-t border-gray-700 text-xs text-gray-500">
+          ↑↓ to choose, Enter to link, Esc to close. Links follow the post if its URL changes.
+        </p>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { supabaseAdminGet, supabaseAdminPost } from '../../lib/api'
+import { diffWords, getDiffStats, DiffPart } from '../../utils/wordDiff'
+
+interface RevisionSummary {
+  id: string
+  revision_number: number
+  title: string
+  status: string | null
+  created_at: string
+  profiles?: { display_name?: string } | null
+}
+
+interface Revision extends RevisionSummary {
+  excerpt: string | null
+  content_text: string | null
+}
+
+interface RevisionHistoryPanelProps {
+  postId: string
+  isOpen: boolean
+  onClose: () => void
+  onRestored: () => void
+  // Bump to reload the list (e.g. after the post is saved)
+  refreshKey?: number
+}
+
+// Text compared between revisions: title, excerpt and body
+const revisionText = (revision: Revision) =>
+  [revision.title, revision.excerpt, revision.content_text].filter(Boolean).join('\n\n')
+
+const formatRevisionLabel = (revision: RevisionSummary) =>
+  `#${revision.revision_number} · ${new Date(revision.created_at).toLocaleString()}`
+
+const DiffView: React.FC<{ parts: DiffPart[] }> = ({ parts }) => (
+  <div className="text-sm leading-relaxed whitespace-pre-wrap break-words font-serif text-gray-800">
+    {parts.map((part, index) => {
+      if (part.type === 'added') {
+        return <ins key={index} className="bg-green-100 text-green-900 no-underline">{part.text}</ins>
+      }
+      if (part.type === 'removed') {
+        return <del key={index} className="bg-red-100 text-red-900">{part.text}</del>
+      }
+      return <span key={index}>{part.text}</span>
+    })}
+  </div>
+)
+
+const RevisionHistoryPanel: React.FC<RevisionHistoryPanelProps> = ({
+  postId,
+  isOpen,
+  onClose,
+  onRestored,
+  refreshKey = 0
+}) => {
+  const [revisions, setRevisions] = useState<RevisionSummary[]>([])
+  const [loadedRevisions, setLoadedRevisions] = useState<Record<string, Revision>>({})
+  const [fromId, setFromId] = useState('')
+  const [toId, setToId] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [restoring, setRestoring] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  // Load the revision list when the panel opens (newest first)
+  useEffect(() => {
+    if (!isOpen || !postId) return
+    let cancelled = false
+
+    const loadRevisions = async () => {
+      setLoading(true)
+      setError(null)
+      try {
+        const response = await supabaseAdminGet(`/api/posts/${postId}/revisions`)
+        if (cancelled) return
+        const list: RevisionSummary[] = response.revisions || []
+        setRevisions(list)
+        setToId(list[0]?.id || '')
+        setFromId(list[1]?.id || list[0]?.id || '')
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load revisions')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadRevisions()
+    return () => { cancelled = true }
+  }, [isOpen, postId, refreshKey])
+
+  // Fetch full content for the selected revisions
+  useEffect(() => {
+    const missing = [fromId, toId].filter(id => id && !loadedRevisions[id])
+    if (missing.length === 0) return
+    let cancelled = false
+
+    Promise.all(missing.map(id => supabaseAdminGet(`/api/posts/${postId}/revisions/${id}`)))
+      .then(responses => {
+        if (cancelled) return
+        setLoadedRevisions(prev => {
+          const next = { ...prev }
+          responses.forEach(response => {
+            if (response.revision) next[response.revision.id] = response.revision
+          })
+          return next
+        })
+      })
+      .catch(err => {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load revision')
+      })
+
+    return () => { cancelled = true }
+  }, [fromId, toId, postId, loadedRevisions])
+
+  const fromRevision = loadedRevisions[fromId]
+  const toRevision = loadedRevisions[toId]
+
+  const diff = useMemo(() => {
+    if (!fromRevision || !toRevision) return null
+    return diffWords(revisionText(fromRevision), revisionText(toRevision))
+  }, [fromRevision, toRevision])
+
+  const stats = diff ? getDiffStats(diff) : null
+
+  const handleRestore = async (revisionId: string) => {
+    const revision = revisions.find(r => r.id === revisionId)
+    if (!revision) return
+    if (!confirm(`Restore revision #${revision.revision_number}? Unsaved changes in the editor will be lost.`)) {
+      return
+    }
+
+    setRestoring(true)
+    setError(null)
+    try {
+      await supabaseAdminPost(`/api/posts/${postId}/revisions/${revisionId}/restore`, {})
+      onRestored()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to restore revision')
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  return (
+    <div className={`fixed right-0 top-0 h-screen bg-white border-l border-gray-200 shadow-lg transition-transform duration-300 z-40 flex flex-col ${
+      isOpen ? 'translate-x-0' : 'translate-x-full'
+    }`} style={{ width: '420px' }}>
+      {/* Header */}
+      <div className="flex items-center justify-between p-4 border-b border-gray-200 flex-shrink-0">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Revision History</h3>
+          <p className="text-xs text-gray-500">{revisions.length} revision{revisions.length === 1 ? '' : 's'}</p>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-2 text-gray-400 hover:text-gray-600 rounded"
+          title="Close"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        {loading && <div className="text-sm text-gray-500">Loading revisions...</div>}
+
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded">{error}</div>
+        )}
+
+        {!loading && revisions.length === 0 && !error && (
+          <div className="text-sm text-gray-500">No revisions yet. One is recorded every time the entry is saved.</div>
+        )}
+
+        {revisions.length > 0 && (
+          <>
+            {/* Revision pickers */}
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-xs font-medium text-gray-600">
+                From
+                <select
+                  value={fromId}
+                  onChange={(e) => setFromId(e.target.value)}
+                  className="mt-1 w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                >
+                  {revisions.map(r => (
+                    <option key={r.id} value={r.id}>{formatRevisionLabel(r)}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-xs font-medium text-gray-600">
+                To
+                <select
+                  value={toId}
+                  onChange={(e) => setToId(e.target.value)}
+                  className="mt-1 w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                >
+                  {revisions.map(r => (
+                    <option key={r.id} value={r.id}>{formatRevisionLabel(r)}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            {stats && (
+              <div className="flex items-center gap-3 text-xs">
+                <span className="text-green-700">+{stats.added} words</span>
+                <span className="text-red-700">−{stats.removed} words</span>
+              </div>
+            )}
+
+            {/* Diff */}
+            <div className="border border-gray-200 rounded p-3 bg-gray-50">
+              {diff ? <DiffView parts={diff} /> : <div className="text-sm text-gray-500">Loading diff...</div>}
+            </div>
+
+            {/* Revision list with restore */}
+            <ul className="divide-y divide-gray-100 border-t border-gray-200">
+              {revisions.map((revision, index) => (
+                <li key={revision.id} className="py-2 flex items-center justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="text-sm text-gray-800 truncate">
+                      #{revision.revision_number} {revision.title}
+                      {index === 0 && <span className="ml-2 text-xs text-blue-600">current</span>}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {new Date(revision.created_at).toLocaleString()}
+                      {revision.profiles?.display_name && ` · ${revision.profiles.display_name}`}
+                    </div>
+                  </div>
+                  {index > 0 && (
+                    <button
+                      type="button"
+                      onClick={() => handleRestore(revision.id)}
+                      disabled={restoring}
+                      className="px-2 py-1 text-xs border border-gray-300 rounded text-gray-700 hover:bg-gray-50 disabled:opacity-50 flex-shrink-0"
+                    >
+                      Restore
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default RevisionHistoryPanel
@@ -1,14 +1,26 @@
 // Rich Text Editor with TipTap
 import { useEditor, EditorContent } from '@tiptap/react'
 import StarterKit from '@tiptap/starter-kit'
-import Link from '@tiptap/extension-link'
 import Image from '@tiptap/extension-image'
 import TextAlign from '@tiptap/extension-text-align'
 import Underline from '@tiptap/extension-underline'
+import Table from '@tiptap/extension-table'
+import TableRow from '@tiptap/extension-table-row'
+import TableHeader from '@tiptap/extension-table-header'
+import TableCell from '@tiptap/extension-table-cell'
+import Callout, { CALLOUT_VARIANTS, CalloutVariant } from './extensions/Callout'
+import Footnote from './extensions/Footnote'
+import Embed from './extensions/Embed'
+import Media from './extensions/Media'
+import Gallery, { GalleryImage, GALLERY_LAYOUTS, GalleryLayout } from './extensions/Gallery'
+import PostLink, { PostLinkTarget } from './extensions/PostLink'
 import { useState, useImperativeHandle, forwardRef, useRef, useEffect } from 'react'
 import { supabase, getSessionToken, isSupabaseConfigured } from '../../lib/supabase'
 import { API_MISCONFIGURED } from '../../lib/api'
+import { uploadMedia, MEDIA_ACCEPT } from '../../utils/uploadMedia'
+import { uploadImage } from '../../utils/uploadImage'
 import ImagePicker from './ImagePicker'
+import PostLinkPicker from './PostLinkPicker'
 
 interface RichTextEditorProps {
   content?: any
@@ -25,7 +37,11 @@ export interface RichTextEditorRef {
 
 const RichTextEditor = forwardRef<RichTextEditorRef, RichTextEditorProps>(({ content, onChange, onInsertImage, onImageDoubleClick, className = '' }, ref) => {
   const [uploading, setUploading] = useState(false)
+  const [uploadingMedia, setUploadingMedia] = useState(false)
   const [imagePickerOpen, setImagePickerOpen] = useState(false)
+  const [galleryPickerOpen, setGalleryPickerOpen] = useState(false)
+  // Open post link picker; mentionAt is the position of the @ that opened it
+  const [postLinkPicker, setPostLinkPicker] = useState<{ mentionAt: number | null } | null>(null)
   const [editorHeight, setEditorHeight] = useState('700px')
   const [editorWidth, setEditorWidth] = useState('840px')
   
@@ -79,7 +95,7 @@ const RichTextEditor = forwardRef<RichTextEditorRef, RichTextEditorProps>(({ con
           title: 'Double-click to open image manager'
         }
       }),
-      Link.configure({
+      PostLink.configure({
         openOnClick: false,
         HTMLAttributes: {
           class: 'text-blue-600 underline'
@@ -88,7 +104,19 @@ const RichTextEditor = forwardRef<RichTextEditorRef, RichTextEditorProps>(({ con
       TextAlign.configure({
         types: ['heading', 'paragraph']
       }),
-      Underline
+      Underline,
+      Table.configure({
+        resizable: false
+      }),
+      TableRow,
+      TableHeader,
+      TableCell,
+      Callout,
+      Footnote,
+      Embed,
+      Media,
+      Gallery,
+      GalleryImage
     ],
     content,
     onUpdate: ({ editor }) => {
@@ -101,6 +129,16 @@ const RichTextEditor = forwardRef<RichTextEditorRef, RichTextEditorProps>(({ con
       attributes: {
         class: 'prose prose-sm sm:prose lg:prose-lg xl:prose-2xl mx-auto focus:outline-none'
       },
+      // @ at the start of a word opens the post link picker (the @ is typed as usual)
+      handleTextInput: (view, from, _to, text) => {
+        if (text === '@' && !view.state.selection.$from.parent.type.spec.code) {
+          const before = view.state.doc.textBetween(Math.max(0, from - 1), from, '\n', '\n')
+          if (before === '' || /\s/.test(before)) {
+            setPostLinkPicker({ mentionAt: from })
+          }
+        }
+        return false
+      },
       handleDOMEvents: {
         dblclick: (view, event) => {
           const target = event.target as HTMLElement
@@ -383,7 +421,118 @@ const RichTextEditor = forwardRef<RichTextEditorRef, RichTextEditorProps>(({ con
       return
     }
 
-    editor?.chain().focus().extendMarkRange('link').setLink({ href: url }).run()
+    // A hand-typed URL is no longer a link to a post
+    editor?.chain().focus().extendMarkRange('link').setLink({ href: url, postId: null } as any).run()
+  }
+
+  // Link to the picked post, replacing the @ that opened the picker
+  const handlePostLinkSelect = (post: PostLinkTarget) => {
+    const mentionAt = postLinkPicker?.mentionAt ?? null
+    setPostLinkPicker(null)
+    if (!editor) return
+
+    const chain = editor.chain().focus()
+    const { doc } = editor.state
+    if (mentionAt !== null && mentionAt + 1 <= doc.content.size && doc.textBetween(mentionAt, mentionAt + 1) === '@') {
+      chain.deleteRange({ from: mentionAt, to: mentionAt + 1 })
+    }
+    chain.setPostLink(post).run()
+  }
+
+  // Insert a footnote, or edit / remove the selected one (empty text removes it)
+  const setFootnote = () => {
+    if (!editor) return
+
+    const editing = editor.isActive('footnote')
+    const previous = editing ? editor.getAttributes('footnote').content : ''
+    const text = window.prompt('Footnote text', previous)
+
+    if (text === null) return
+
+    if (editing) {
+      if (text.trim() === '') {
+        editor.chain().focus().deleteSelection().run()
+      } else {
+        editor.chain().focus().updateFootnote(text.trim()).run()
+      }
+      return
+    }
+
+    if (text.trim() !== '') {
+      editor.chain().focus().insertFootnote(text.trim()).run()
+    }
+  }
+
+  // Add the picked image to the gallery at the cursor, or start a new gallery with it
+  const handleGalleryPickerConfirm = async (payload: { file?: File; url?: string; alt: string; caption?: string }) => {
+    setGalleryPickerOpen(false)
+    if (!editor) return
+
+    let src = payload.url
+    if (payload.file) {
+      setUploading(true)
+      try {
+        src = (await uploadImage(payload.file)).url
+      } catch (error: any) {
+        console.error('Gallery image upload failed:', error)
+        alert(error?.message || 'Image upload failed')
+        return
+      } finally {
+        setUploading(false)
+      }
+    }
+    if (!src) return
+
+    const image = { src, alt: payload.alt, caption: payload.caption || '' }
+    if (editor.isActive('gallery')) {
+      editor.chain().focus().addGalleryImage(image).run()
+    } else {
+      editor.chain().focus().insertGallery({ images: [image] }).run()
+    }
+  }
+
+  const editGalleryCaption = () => {
+    if (!editor) return
+
+    const caption = window.prompt('Caption', editor.getAttributes('galleryImage').caption || '')
+    if (caption === null) return
+
+    editor.chain().focus().updateGalleryImage({ caption: caption.trim() }).run()
+  }
+
+  // Embed a YouTube, Vimeo or OpenStreetMap URL (loaded on click when the post is read)
+  const addEmbed = () => {
+    if (!editor) return
+
+    const url = window.prompt('YouTube, Vimeo or OpenStreetMap URL')
+    if (!url || url.trim() === '') return
+
+    if (!editor.chain().focus().setEmbed({ url: url.trim() }).run()) {
+      alert('Only YouTube, Vimeo and OpenStreetMap links can be embedded')
+    }
+  }
+
+  // Upload an audio or video file and insert a player for it
+  const addMedia = () => {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.accept = MEDIA_ACCEPT
+    input.onchange = async (e) => {
+      const file = (e.target as HTMLInputElement).files?.[0]
+      if (!file || !editor) return
+
+      setUploadingMedia(true)
+      try {
+        const result = await uploadMedia(file)
+        editor.chain().focus().setMedia({ kind: result.kind, src: result.url, title: file.name.replace(/\.[^.]+$/, '') }).run()
+      } catch (error: any) {
+        console.error('Media upload failed:', error)
+        alert(error?.message || 'Media upload failed')
+      } finally {
+        setUploadingMedia(false)
+      }
+    }
+    input.click()
   }
 
   if (!editor) {
@@ -652,6 +801,43 @@ const RichTextEditor = forwardRef<RichTextEditorRef, RichTextEditorProps>(({ con
         >
           Code
         </button>
+        <button
+          type="button"
+          onClick={() => editor.chain().focus().toggleCallout().run()}
+          aria-label="Callout"
+          aria-pressed={editor.isActive('callout')}
+          className={`px-2 py-1 text-sm rounded ${
+            editor.isActive('callout') ? 'bg-gray-200' : 'hover:bg-gray-100'
+          }`}
+        >
+          Callout
+        </button>
+        {editor.isActive('callout') && (
+          <select
+            value={editor.getAttributes('callout').variant || 'info'}
+            onChange={(e) => editor.chain().focus().setCalloutVariant(e.target.value as CalloutVariant).run()}
+            aria-label="Callout style"
+            className="px-1 py-1 text-sm rounded border border-gray-300 bg-white"
+          >
+            {CALLOUT_VARIANTS.map(variant => (
+              <option key={variant} value={variant}>
+                {variant.charAt(0).toUpperCase() + variant.slice(1)}
+              </option>
+            ))}
+          </select>
+        )}
+        <button
+          type="button"
+          onClick={() => editor.chain().focus().insertTable({ rows: 3, cols: 3, withHeaderRow: true }).run()}
+          disabled={editor.isActive('table')}
+          aria-label="Insert table"
+          aria-pressed={editor.isActive('table')}
+          className={`px-2 py-1 text-sm rounded disabled:opacity-50 ${
+            editor.isActive('table') ? 'bg-gray-200' : 'hover:bg-gray-100'
+          }`}
+        >
+          Table
+        </button>
 
         <div className="w-px h-6 bg-gray-300 mx-1"></div>
 
@@ -667,6 +853,26 @@ const RichTextEditor = forwardRef<RichTextEditorRef, RichTextEditorProps>(({ con
         >
           Link
         </button>
+        <button
+          type="button"
+          onClick={() => setPostLinkPicker({ mentionAt: null })}
+          aria-label="Link to a post"
+          title="Link to a post (or type @)"
+          className="px-2 py-1 text-sm rounded hover:bg-gray-100"
+        >
+          @ Post
+        </button>
+        <button
+          type="button"
+          onClick={setFootnote}
+          aria-label={editor.isActive('footnote') ? 'Edit footnote' : 'Insert footnote'}
+          aria-pressed={editor.isActive('footnote')}
+          className={`px-2 py-1 text-sm rounded ${
+            editor.isActive('footnote') ? 'bg-gray-200' : 'hover:bg-gray-100'
+          }`}
+        >
+          Footnote
+        </button>
         <button
           type="button"
           onClick={addImage}
@@ -677,6 +883,123 @@ const RichTextEditor = forwardRef<RichTextEditorRef, RichTextEditorProps>(({ con
         >
           {uploading ? 'Uploading...' : 'Image'}
         </button>
+        <button
+          type="button"
+          onClick={() => setGalleryPickerOpen(true)}
+          disabled={uploading || !uploadsAvailable}
+          aria-label={editor.isActive('gallery') ? 'Add image to gallery' : 'Insert gallery'}
+          title={editor.isActive('gallery') ? 'Add an image to this gallery' : 'Insert a gallery of images in a grid, carousel or side by side'}
+          className="px-2 py-1 text-sm rounded hover:bg-gray-100 disabled:opacity-50"
+        >
+          Gallery
+        </button>
+        <button
+          type="button"
+          onClick={addEmbed}
+          aria-label="Embed YouTube, Vimeo or OpenStreetMap"
+          title="Embed a YouTube or Vimeo video or an OpenStreetMap map"
+          className="px-2 py-1 text-sm rounded hover:bg-gray-100"
+        >
+          Embed
+        </button>
+        <button
+          type="button"
+          onClick={addMedia}
+          disabled={uploadingMedia || !uploadsAvailable}
+          aria-label={uploadsAvailable ? 'Upload audio or video' : 'Uploads not configured in this environment'}
+          title={uploadsAvailable ? 'Upload an audio or video file' : 'Uploads not configured in this environment'}
+          className="px-2 py-1 text-sm rounded hover:bg-gray-100 disabled:opacity-50"
+        >
+          {uploadingMedia ? 'Uploading...' : 'Audio/Video'}
+        </button>
+
+        {/* Gallery controls (shown while a gallery or one of its images is selected) */}
+        {editor.isActive('gallery') && (
+          <div className="w-full flex flex-wrap items-center gap-1 pt-1 mt-1 border-t border-gray-100">
+            <span className="text-xs text-gray-500 mr-1">Gallery:</span>
+            <select
+              value={editor.getAttributes('gallery').layout || 'grid'}
+              onChange={(e) => editor.chain().focus().setGalleryLayout(e.target.value as GalleryLayout).run()}
+              aria-label="Gallery layout"
+              className="px-1 py-1 text-sm rounded border border-gray-300 bg-white"
+            >
+              {GALLERY_LAYOUTS.map(layout => (
+                <option key={layout} value={layout}>
+                  {layout === 'two-up' ? 'Two-up' : layout.charAt(0).toUpperCase() + layout.slice(1)}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => setGalleryPickerOpen(true)}
+              disabled={uploading}
+              aria-label="Add image to gallery"
+              className="px-2 py-1 text-sm rounded hover:bg-gray-100 disabled:opacity-50"
+            >
+              + Image
+            </button>
+            {editor.isActive('galleryImage') && [
+              { label: 'Caption', title: 'Edit caption', run: editGalleryCaption },
+              { label: '←', title: 'Move image left', run: () => editor.chain().focus().moveGalleryImage(-1).run() },
+              { label: '→', title: 'Move image right', run: () => editor.chain().focus().moveGalleryImage(1).run() }
+            ].map(control => (
+              <button
+                key={control.title}
+                type="button"
+                onClick={control.run}
+                aria-label={control.title}
+                title={control.title}
+                className="px-2 py-1 text-sm rounded hover:bg-gray-100"
+              >
+                {control.label}
+              </button>
+            ))}
+            {editor.isActive('galleryImage') && (
+              <button
+                type="button"
+                onClick={() => editor.chain().focus().removeGalleryImage().run()}
+                aria-label="Remove image from gallery"
+                className="px-2 py-1 text-sm rounded text-red-600 hover:bg-red-50"
+              >
+                Remove image
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Table controls (shown while the cursor is in a table) */}
+        {editor.isActive('table') && (
+          <div className="w-full flex flex-wrap items-center gap-1 pt-1 mt-1 border-t border-gray-100">
+            <span className="text-xs text-gray-500 mr-1">Table:</span>
+            {[
+              { label: '+ Row', title: 'Add row below', run: () => editor.chain().focus().addRowAfter().run() },
+              { label: '+ Column', title: 'Add column to the right', run: () => editor.chain().focus().addColumnAfter().run() },
+              { label: '− Row', title: 'Delete row', run: () => editor.chain().focus().deleteRow().run() },
+              { label: '− Column', title: 'Delete column', run: () => editor.chain().focus().deleteColumn().run() },
+              { label: 'Header row', title: 'Toggle header row', run: () => editor.chain().focus().toggleHeaderRow().run() },
+              { label: 'Merge/split', title: 'Merge selected cells or split a merged cell', run: () => editor.chain().focus().mergeOrSplit().run() }
+            ].map(control => (
+              <button
+                key={control.label}
+                type="button"
+                onClick={control.run}
+                aria-label={control.title}
+                title={control.title}
+                className="px-2 py-1 text-sm rounded hover:bg-gray-100"
+              >
+                {control.label}
+              </button>
+            ))}
+            <button
+              type="button"
+              onClick={() => editor.chain().focus().deleteTable().run()}
+              aria-label="Delete table"
+              className="px-2 py-1 text-sm rounded text-red-600 hover:bg-red-50"
+            >
+              Delete table
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Scrollable Content Area */}
@@ -784,6 +1107,25 @@ const RichTextEditor = forwardRef<RichTextEditorRef, RichTextEditorProps>(({ con
         onClose={() => setImagePickerOpen(false)}
         onConfirm={handleImagePickerConfirm}
       />
+
+      {/* Gallery Image Picker Modal */}
+      <ImagePicker
+        open={galleryPickerOpen}
+        onClose={() => setGalleryPickerOpen(false)}
+        onConfirm={handleGalleryPickerConfirm}
+        showCaption
+        title={editor.isActive('gallery') ? 'Add Gallery Image' : 'New Gallery'}
+      />
+
+      {/* Post Link Picker Modal */}
+      <PostLinkPicker
+        open={postLinkPicker !== null}
+        onClose={() => {
+          setPostLinkPicker(null)
+          editor.commands.focus()
+        }}
+        onSelect={handlePostLinkSelect}
+      />
     </div>
   )
 })
@@ -0,0 +1,64 @@
+// Callout / aside block for the rich text editor
+import { Node, mergeAttributes } from '@tiptap/react'
+
+export const CALLOUT_VARIANTS = ['info', 'tip', 'warning'] as const
+
+export type CalloutVariant = typeof CALLOUT_VARIANTS[number]
+
+declare module '@tiptap/core' {
+  interface Commands<ReturnType> {
+    callout: {
+      toggleCallout: (attributes?: { variant?: CalloutVariant }) => ReturnType
+      setCalloutVariant: (variant: CalloutVariant) => ReturnType
+    }
+  }
+}
+
+function normalizeVariant(value: string | null): CalloutVariant {
+  return CALLOUT_VARIANTS.includes(value as CalloutVariant) ? value as CalloutVariant : 'info'
+}
+
+/**
+ * Block container rendered as <aside data-type="callout" data-variant="...">
+ * Holds any block content (paragraphs, lists, images).
+ */
+export const Callout = Node.create({
+  name: 'callout',
+  group: 'block',
+  content: 'block+',
+  defining: true,
+
+  addAttributes() {
+    return {
+      variant: {
+        default: 'info',
+        parseHTML: element => normalizeVariant(element.getAttribute('data-variant')),
+        renderHTML: attributes => ({ 'data-variant': normalizeVariant(attributes.variant) })
+      }
+    }
+  },
+
+  parseHTML() {
+    return [{ tag: 'aside[data-type="callout"]' }]
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    return [
+      'aside',
+      mergeAttributes(HTMLAttributes, {
+        'data-type': 'callout',
+        class: `callout callout-${normalizeVariant(node.attrs.variant)}`
+      }),
+      0
+    ]
+  },
+
+  addCommands() {
+    return {
+      toggleCallout: attributes => ({ commands }) => commands.toggleWrap(this.name, attributes),
+      setCalloutVariant: variant => ({ commands }) => commands.updateAttributes(this.name, { variant })
+    }
+  }
+})
+
+export default Callout
@@ -0,0 +1,95 @@
+// Click-to-load embed (YouTube, Vimeo, OpenStreetMap) for the rich text editor
+import { Node, mergeAttributes } from '@tiptap/react'
+import { EMBED_PROVIDER_LABELS, EmbedProvider, resolveEmbedUrl } from '../../../utils/embedProviders'
+
+declare module '@tiptap/core' {
+  interface Commands<ReturnType> {
+    embed: {
+      setEmbed: (attributes: { url: string; title?: string }) => ReturnType
+    }
+  }
+}
+
+/**
+ * Text of the fallback link when the embed has no title
+ */
+export function defaultEmbedLabel(provider: EmbedProvider): string {
+  const label = EMBED_PROVIDER_LABELS[provider] || 'the web'
+  return provider === 'openstreetmap' ? `View map on ${label}` : `Watch on ${label}`
+}
+
+/**
+ * Block atom stored as
+ *   <figure data-type="embed" data-provider="..." data-src="..."><a href="...">title</a></figure>
+ * No iframe is stored: posts show a placeholder and only load the provider
+ * when the reader clicks it (renderEmbeds in utils/postContent). Feed readers
+ * and anything else without JavaScript see the link.
+ */
+export const Embed = Node.create({
+  name: 'embed',
+  group: 'block',
+  atom: true,
+  draggable: true,
+
+  addAttributes() {
+    return {
+      provider: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-provider'),
+        renderHTML: attributes => ({ 'data-provider': attributes.provider })
+      },
+      src: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-src'),
+        renderHTML: attributes => ({ 'data-src': attributes.src })
+      },
+      url: {
+        default: null,
+        parseHTML: element => element.querySelector('a')?.getAttribute('href') || null,
+        rendered: false
+      },
+      title: {
+        default: null,
+        parseHTML: element => {
+          const text = element.querySelector('a')?.textContent?.trim() || ''
+          const provider = element.getAttribute('data-provider') as EmbedProvider
+          return text && text !== defaultEmbedLabel(provider) ? text : null
+        },
+        rendered: false
+      }
+    }
+  },
+
+  parseHTML() {
+    return [{ tag: 'figure[data-type="embed"]' }]
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    const provider = node.attrs.provider as EmbedProvider
+    return [
+      'figure',
+      mergeAttributes(HTMLAttributes, {
+        'data-type': 'embed',
+        class: `embed embed-${provider}`
+      }),
+      [
+        'a',
+        { href: node.attrs.url || node.attrs.src, target: '_blank', rel: 'noopener noreferrer' },
+        node.attrs.title || defaultEmbedLabel(provider)
+      ]
+    ]
+  },
+
+  addCommands() {
+    return {
+      // Fails (returns false) for URLs outside the provider allowlist
+      setEmbed: ({ url, title }) => ({ commands }) => {
+        const embed = resolveEmbedUrl(url)
+        if (!embed) return false
+        return commands.insertContent({ type: this.name, attrs: { ...embed, title: title || null } })
+      }
+    }
+  }
+})
+
+export default Embed
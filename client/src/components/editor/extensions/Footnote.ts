@@ -0,0 +1,65 @@
+// Numbered footnote reference for the rich text editor
+import { Node, mergeAttributes } from '@tiptap/react'
+
+declare module '@tiptap/core' {
+  interface Commands<ReturnType> {
+    footnote: {
+      insertFootnote: (content: string) => ReturnType
+      updateFootnote: (content: string) => ReturnType
+    }
+  }
+}
+
+/**
+ * Inline atom that stores the note text in data-content.
+ * Numbers are not stored: the editor shows them with a CSS counter and
+ * renderFootnotes() (utils/postContent) numbers them and builds the list
+ * of notes when a post is displayed.
+ */
+export const Footnote = Node.create({
+  name: 'footnote',
+  group: 'inline',
+  inline: true,
+  atom: true,
+  selectable: true,
+
+  addAttributes() {
+    return {
+      content: {
+        default: '',
+        parseHTML: element => element.getAttribute('data-content') || '',
+        renderHTML: attributes => ({ 'data-content': attributes.content })
+      }
+    }
+  },
+
+  parseHTML() {
+    return [{ tag: 'sup[data-type="footnote"]' }]
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    return [
+      'sup',
+      mergeAttributes(HTMLAttributes, {
+        'data-type': 'footnote',
+        class: 'footnote-ref',
+        title: node.attrs.content
+      })
+    ]
+  },
+
+  renderText({ node }) {
+    return ` (${node.attrs.content})`
+  },
+
+  addCommands() {
+    return {
+      insertFootnote: content => ({ commands }) =>
+        commands.insertContent({ type: this.name, attrs: { content } }),
+      updateFootnote: content => ({ commands }) =>
+        commands.updateAttributes(this.name, { content })
+    }
+  }
+})
+
+export default Footnote
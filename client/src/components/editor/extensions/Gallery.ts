@@ -0,0 +1,184 @@
+// Image gallery (grid, carousel, two-up) for the rich text editor
+import { Node, mergeAttributes, findParentNode, isNodeSelection } from '@tiptap/react'
+
+export const GALLERY_LAYOUTS = ['grid', 'carousel', 'two-up'] as const
+
+export type GalleryLayout = typeof GALLERY_LAYOUTS[number]
+
+export interface GalleryImageAttributes {
+  src: string
+  alt: string
+  caption?: string
+}
+
+declare module '@tiptap/core' {
+  interface Commands<ReturnType> {
+    gallery: {
+      insertGallery: (attributes: { layout?: GalleryLayout; images: GalleryImageAttributes[] }) => ReturnType
+      addGalleryImage: (image: GalleryImageAttributes) => ReturnType
+      setGalleryLayout: (layout: GalleryLayout) => ReturnType
+      updateGalleryImage: (attributes: Partial<GalleryImageAttributes>) => ReturnType
+      moveGalleryImage: (direction: -1 | 1) => ReturnType
+      removeGalleryImage: () => ReturnType
+    }
+  }
+}
+
+function normalizeLayout(value: string | null): GalleryLayout {
+  return GALLERY_LAYOUTS.includes(value as GalleryLayout) ? value as GalleryLayout : 'grid'
+}
+
+function galleryImageNode(image: GalleryImageAttributes) {
+  return { type: 'galleryImage', attrs: { src: image.src, alt: image.alt, caption: image.caption || '' } }
+}
+
+/**
+ * One picture in a gallery: <figure class="gallery-item"><img><figcaption>
+ * An atom, so the caption is edited from the toolbar rather than inline.
+ */
+export const GalleryImage = Node.create({
+  name: 'galleryImage',
+  atom: true,
+  selectable: true,
+  draggable: false,
+
+  addAttributes() {
+    return {
+      src: {
+        default: null,
+        parseHTML: element => element.querySelector('img')?.getAttribute('src') || null,
+        rendered: false
+      },
+      alt: {
+        default: '',
+        parseHTML: element => element.querySelector('img')?.getAttribute('alt') || '',
+        rendered: false
+      },
+      caption: {
+        default: '',
+        parseHTML: element => element.querySelector('figcaption')?.textContent?.trim() || '',
+        rendered: false
+      }
+    }
+  },
+
+  parseHTML() {
+    return [{ tag: 'figure.gallery-item' }]
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    const image = ['img', { src: node.attrs.src, alt: node.attrs.alt, loading: 'lazy' }]
+    return [
+      'figure',
+      mergeAttributes(HTMLAttributes, { class: 'gallery-item' }),
+      image,
+      ...(node.attrs.caption ? [['figcaption', {}, node.attrs.caption]] : [])
+    ] as any
+  }
+})
+
+/**
+ * Block holding two or more images, stored as
+ *   <figure data-type="gallery" data-layout="grid" class="gallery gallery-grid">
+ * The layout is pure CSS (index.css), so posts need no script to show it.
+ */
+export const Gallery = Node.create({
+  name: 'gallery',
+  group: 'block',
+  content: 'galleryImage+',
+  isolating: true,
+
+  addAttributes() {
+    return {
+      layout: {
+        default: 'grid',
+        parseHTML: element => normalizeLayout(element.getAttribute('data-layout')),
+        renderHTML: attributes => ({ 'data-layout': normalizeLayout(attributes.layout) })
+      }
+    }
+  },
+
+  parseHTML() {
+    return [{ tag: 'figure[data-type="gallery"]' }]
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    return [
+      'figure',
+      mergeAttributes(HTMLAttributes, {
+        'data-type': 'gallery',
+        class: `gallery gallery-${normalizeLayout(node.attrs.layout)}`
+      }),
+      0
+    ]
+  },
+
+  addCommands() {
+    return {
+      insertGallery: ({ layout = 'grid', images }) => ({ commands }) => {
+        if (images.length === 0) return false
+        return commands.insertContent({
+          type: this.name,
+          attrs: { layout },
+          content: images.map(galleryImageNode)
+        })
+      },
+
+      // Append to the gallery around the selection
+      addGalleryImage: image => ({ state, tr, dispatch }) => {
+        const gallery = findParentNode(node => node.type.name === this.name)(state.selection)
+        if (!gallery) return false
+        if (dispatch) {
+          tr.insert(gallery.pos + gallery.node.nodeSize - 1, state.schema.nodeFromJSON(galleryImageNode(image)))
+        }
+        return true
+      },
+
+      setGalleryLayout: layout => ({ commands }) => commands.updateAttributes(this.name, { layout }),
+
+      updateGalleryImage: attributes => ({ commands }) => commands.updateAttributes('galleryImage', attributes),
+
+      // Swap the selected image with its neighbour
+      moveGalleryImage: direction => ({ state, tr, dispatch }) => {
+        const { selection } = state
+        if (!isNodeSelection(selection) || selection.node.type.name !== 'galleryImage') return false
+
+        const $pos = selection.$from
+        const index = $pos.index()
+        const target = index + direction
+        if (target < 0 || target >= $pos.parent.childCount) return false
+
+        if (dispatch) {
+          const node = selection.node
+          tr.delete(selection.from, selection.to)
+          const start = $pos.start()
+          let insertAt = start
+          for (let i = 0; i < target; i++) {
+            insertAt += tr.doc.resolve(start).parent.child(i).nodeSize
+          }
+          tr.insert(insertAt, node)
+          tr.setSelection((selection.constructor as any).create(tr.doc, insertAt))
+        }
+        return true
+      },
+
+      // Removing the last image removes the gallery
+      removeGalleryImage: () => ({ state, tr, dispatch }) => {
+        const { selection } = state
+        if (!isNodeSelection(selection) || selection.node.type.name !== 'galleryImage') return false
+
+        if (dispatch) {
+          const $pos = selection.$from
+          if ($pos.parent.childCount === 1) {
+            tr.delete($pos.before(), $pos.after())
+          } else {
+            tr.delete(selection.from, selection.to)
+          }
+        }
+        return true
+      }
+    }
+  }
+})
+
+export default Gallery
@@ -0,0 +1,66 @@
+// Uploaded audio / video player for the rich text editor
+import { Node, mergeAttributes } from '@tiptap/react'
+
+export type MediaKind = 'audio' | 'video'
+
+declare module '@tiptap/core' {
+  interface Commands<ReturnType> {
+    media: {
+      setMedia: (attributes: { kind: MediaKind; src: string; title?: string }) => ReturnType
+    }
+  }
+}
+
+/**
+ * Block atom rendered as a native <audio> or <video> element with controls.
+ * Files are uploaded through the server's storage driver (utils/uploadMedia).
+ */
+export const Media = Node.create({
+  name: 'media',
+  group: 'block',
+  atom: true,
+  draggable: true,
+
+  addAttributes() {
+    return {
+      kind: {
+        default: 'video',
+        rendered: false
+      },
+      src: {
+        default: null
+      },
+      title: {
+        default: null
+      }
+    }
+  },
+
+  parseHTML() {
+    return [
+      { tag: 'video[src]', getAttrs: () => ({ kind: 'video' }) },
+      { tag: 'audio[src]', getAttrs: () => ({ kind: 'audio' }) }
+    ]
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    const kind: MediaKind = node.attrs.kind === 'audio' ? 'audio' : 'video'
+    return [
+      kind,
+      mergeAttributes(HTMLAttributes, {
+        controls: 'controls',
+        preload: 'metadata',
+        class: `media media-${kind}`
+      })
+    ]
+  },
+
+  addCommands() {
+    return {
+      setMedia: attributes => ({ commands }) =>
+        commands.insertContent({ type: this.name, attrs: attributes })
+    }
+  }
+})
+
+export default Media
@@ -0,0 +1,57 @@
+// Link mark that can point at another post by id
+import Link from '@tiptap/extension-link'
+
+export interface PostLinkTarget {
+  id: string
+  title: string
+  slug: string
+}
+
+declare module '@tiptap/core' {
+  interface Commands<ReturnType> {
+    postLink: {
+      setPostLink: (post: PostLinkTarget) => ReturnType
+    }
+  }
+}
+
+/**
+ * The editor's Link mark plus a postId attribute, stored as
+ *   <a href="/blog/slug" data-post-id="...">
+ * The server rewrites the href to the target's current slug when the post
+ * is read, so renaming the target doesn't break the link.
+ */
+export const PostLink = Link.extend({
+  addAttributes() {
+    return {
+      ...this.parent?.(),
+      postId: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-post-id'),
+        renderHTML: attributes => (attributes.postId ? { 'data-post-id': attributes.postId } : {})
+      }
+    }
+  },
+
+  addCommands() {
+    return {
+      ...this.parent?.(),
+
+      // Link the selected text, or insert the post's title as the link text
+      setPostLink: post => ({ state, chain }) => {
+        const attributes = { href: `/blog/${post.slug}`, postId: post.id }
+
+        if (state.selection.empty) {
+          return chain()
+            .insertContent({ type: 'text', text: post.title, marks: [{ type: this.name, attrs: attributes }] })
+            .unsetMark(this.name)
+            .run()
+        }
+
+        return chain().extendMarkRange(this.name).setMark(this.name, attributes).run()
+      }
+    }
+  }
+})
+
+export default PostLink
@@ -1,5 +1,5 @@
 // Post Editor Component
-import React, { useState, useEffect, useRef } from 'react'
+import React, { useState, useEffect, useRef, useMemo } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { supabaseAdminGet, supabaseAdminPost, supabaseAdminPatch } from '../../lib/api'
 import { useAuth } from '../../hooks/useAuth'
@@ -9,12 +9,16 @@ import { validateImageUrl, extractImageUrlsFromHtml } from '../../utils/imageVal
 import { generateCoverImageAlt } from '../../utils/altTextGenerator'
 import { parseImportContent, getFieldsSummary, ImportMode, ParsedEntryFields } from '../../utils/importParser'
 import { generateTemplate, TemplateFormat, getFieldDescriptions } from '../../utils/templateGenerator'
+import { entryToMarkdown, markdownFileName } from '../../utils/markdownConverter'
 import { getSupabaseClient } from '../../lib/supabase'
 import ImageManagementPanel from '../editor/ImageManagementPanel'
+import RevisionHistoryPanel from '../editor/RevisionHistoryPanel'
 import CompressionControls from '../editor/CompressionControls'
 import SmartTooltip from '../editor/SmartTooltip'
 import { useCompressionSettingsStatic } from '../../hooks/useCompressionSettings'
 import { compressImageFromUrl } from '../../lib/compressionApi'
+import { NEW_DRAFT_KEY } from '../../lib/draftApi'
+import { useDraftAutosave } from '../../hooks/useDraftAutosave'
 
 // Session-based state for preview preferences
 let sessionCoverPreviewState = false
@@ -22,6 +26,17 @@ let sessionCoverPreviewState = false
 // Storage key for preserving draft state when navigating to Curator
 const DRAFT_STORAGE_KEY = 'entry_editor_draft'
 
+type PostStatus = 'draft' | 'published' | 'scheduled' | 'archived'
+
+// Convert an ISO timestamp to a datetime-local input value (local time)
+function toDateTimeLocal(iso: string | null | undefined): string {
+  if (!iso) return ''
+  const date = new Date(iso)
+  if (isNaN(date.getTime())) return ''
+  const offsetMs = date.getTimezoneOffset() * 60000
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16)
+}
+
 // Interface for draft state
 interface DraftState {
   title: string
@@ -29,7 +44,8 @@ interface DraftState {
   coverImageUrl: string
   coverImageAlt: string
   content: { json: any; html: string } | null
-  status: 'draft' | 'published' | 'archived'
+  status: PostStatus
+  publishAt?: string
   selectedJournals: string[]
   selectedCollections: string[]
   postId: string | null
@@ -134,7 +150,11 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
   const [excerpt, setExcerpt] = useState(initialDraft?.excerpt ?? '')
   const [coverImageUrl, setCoverImageUrl] = useState(initialDraft?.coverImageUrl ?? '')
   const [coverImageAlt, setCoverImageAlt] = useState(initialDraft?.coverImageAlt ?? '')
-  const [status, setStatus] = useState<'draft' | 'published' | 'archived'>(initialDraft?.status ?? 'draft')
+  const [status, setStatus] = useState<PostStatus>(initialDraft?.status ?? 'draft')
+  // Local datetime-local value; only sent when status is 'scheduled'
+  const [publishAt, setPublishAt] = useState(initialDraft?.publishAt ?? '')
+  // null follows the entry's journals
+  const [commentsEnabled, setCommentsEnabled] = useState<boolean | null>(null)
   const [selectedLabels, setSelectedLabels] = useState<string[]>([])
   const [availableLabels, setAvailableLabels] = useState<Label[]>([])
   
@@ -159,11 +179,15 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
   const [saving, setSaving] = useState(false)
   const [error, setError] = useState<string | null>(null)
   const [successMessage, setSuccessMessage] = useState<string | null>(null)
+  // Links to posts that were deleted or aren't published (reported by the server)
+  const [brokenLinks, setBrokenLinks] = useState<{ post_id: string; text: string; reason: 'missing' | 'unpublished' }[]>([])
   const [pendingImageInserts, setPendingImageInserts] = useState<{ file: File; alt: string }[]>([])
   const [uploadingImage, setUploadingImage] = useState(false)
   const [uploadError, setUploadError] = useState<string | null>(null)
   const [showCoverPreview, setShowCoverPreview] = useState(sessionCoverPreviewState)
   const [showImagePanel, setShowImagePanel] = useState(false)
+  const [showHistoryPanel, setShowHistoryPanel] = useState(false)
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0)
   const [focusedImageUrl, setFocusedImageUrl] = useState<string | null>(null)
   
   // Compression states for cover image
@@ -187,6 +211,27 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
   const [templateContent, setTemplateContent] = useState('')
   const [templateCopied, setTemplateCopied] = useState(false)
   
+  // Server-side draft autosave (starts once the entry has loaded)
+  const [autosaveReady, setAutosaveReady] = useState(!routePostId)
+  const [loadedUpdatedAt, setLoadedUpdatedAt] = useState<string | null>(null)
+  const autosaveSnapshot = useMemo(() => ({
+    title,
+    excerpt,
+    coverImageUrl,
+    coverImageAlt,
+    content,
+    status,
+    publishAt,
+    // Existing entries save curator assignments immediately, so only new entries carry them
+    ...(!postId && { selectedJournals, selectedCollections })
+  }), [title, excerpt, coverImageUrl, coverImageAlt, content, status, publishAt, selectedJournals, selectedCollections, postId])
+  const autosave = useDraftAutosave({
+    draftKey: postId || NEW_DRAFT_KEY,
+    data: autosaveSnapshot,
+    enabled: autosaveReady && !loading,
+    baselineUpdatedAt: loadedUpdatedAt
+  })
+  
   // Get compression settings
   const { settings: compressionSettings, isCompressionEnabled } = useCompressionSettingsStatic()
 
@@ -592,6 +637,9 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
         cover_image_url = '',
         cover_image_alt = '',
         status = 'draft',
+        publish_at = null,
+        comments_enabled = null,
+        updated_at = null,
         post_labels = []
       } = post || {}
       
@@ -617,7 +665,12 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
       setCoverImageUrl(cover_image_url || '')
       setCoverImageAlt(cover_image_alt || '')
       setStatus(status)
+      setPublishAt(toDateTimeLocal(publish_at))
+      setCommentsEnabled(comments_enabled)
+      setLoadedUpdatedAt(updated_at)
+      setAutosaveReady(true)
       setSelectedLabels(Array.isArray(post_labels) ? post_labels.map((pl: any) => pl?.labels?.id).filter(Boolean) : [])
+      setBrokenLinks(Array.isArray(post?.broken_links) ? post.broken_links : [])
     } catch (error) {
       console.error('Error fetching post:', error)
       
@@ -651,6 +704,19 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
       return
     }
 
+    // Scheduled posts need a future publish time
+    if (status === 'scheduled') {
+      const scheduledTime = publishAt ? new Date(publishAt).getTime() : NaN
+      if (isNaN(scheduledTime)) {
+        setError('Choose a publish date and time for scheduled posts')
+        return
+      }
+      if (scheduledTime <= Date.now()) {
+        setError('Scheduled publish time must be in the future')
+        return
+      }
+    }
+
     // Validate cover image alt text if cover image is present
     if (coverImageUrl?.trim() && !coverImageAlt?.trim()) {
       setError('Cover image alt text is required when a cover image is provided')
@@ -713,6 +779,8 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
         cover_image_url: (coverCompressionResult?.url || coverImageUrl)?.trim() || null,
         cover_image_alt: coverImageAlt?.trim() || null,
         status,
+        ...(status === 'scheduled' && { publish_at: new Date(publishAt).toISOString() }),
+        comments_enabled: commentsEnabled,
         label_ids: selectedLabels,
         author_id: profile?.id || user?.id // Use profile ID (which matches database) or fallback to user ID
       }
@@ -722,6 +790,12 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
         // Edit existing post
         savedPost = await supabaseAdminPatch(`/api/posts/${postId}`, postData)
         setError(null)
+        if (Array.isArray(savedPost?.post?.broken_links)) {
+          setBrokenLinks(savedPost.post.broken_links)
+        }
+        setHistoryRefreshKey(key => key + 1)
+        // The saved entry supersedes any autosaved draft
+        autosave.discardDraft()
         // Clear any saved draft since we've successfully saved
         clearDraftState()
         // Show success message briefly
@@ -762,6 +836,7 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
         
         // Clear any saved draft since we've successfully created
         clearDraftState()
+        autosave.discardDraft(NEW_DRAFT_KEY)
         
         // Navigate back to entries list after creation
         navigate('/dashboard/posts')
@@ -1034,6 +1109,22 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
       setFocusedImageUrl(null)
     }
     setShowImagePanel(!showImagePanel)
+    setShowHistoryPanel(false)
+  }
+
+  // Revision history panel - only one side panel is open at a time
+  const handleHistoryPanelToggle = () => {
+    setShowHistoryPanel(!showHistoryPanel)
+    setShowImagePanel(false)
+  }
+
+  // Reload the post after a revision restore (remounts the editor with restored content)
+  const handleRevisionRestored = async () => {
+    await fetchPost()
+    await autosave.discardDraft()
+    setHistoryRefreshKey(key => key + 1)
+    setSuccessMessage('Revision restored')
+    setTimeout(() => setSuccessMessage(null), 3000)
   }
 
   // Import modal handlers
@@ -1134,7 +1225,8 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
       if (fields.content.html && editorRef.current?.editor) {
         editorRef.current.editor.commands.setContent(fields.content.html)
       } else if (fields.content.json && editorRef.current?.editor) {
-        editorRef.current.editor.commands.setContent(fields.content.json)
+        // Emit an update so content state also gets the editor's HTML
+        editorRef.current.editor.commands.setContent(fields.content.json, true)
       }
     }
     if (fields.status !== undefined) {
@@ -1324,6 +1416,56 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
     }
   }
 
+  // Load an import file (.md, .json, .html) into the import textarea
+  const handleImportFile = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const text = await file.text()
+      setImportInput(text)
+      setImportError(null)
+      setImportPreview(null)
+      if (/\.(md|markdown)$/i.test(file.name)) {
+        setImportMode('markdown')
+      }
+    } catch (error) {
+      console.error('Failed to read import file:', error)
+      setImportError('Could not read the selected file')
+    }
+  }
+
+  // Download the entry as Markdown with front matter (re-importable)
+  const handleExportMarkdown = () => {
+    const journalNames = availableJournals
+      .filter(j => selectedJournals.includes(j.journal_id))
+      .map(j => j.journal_name)
+    const collectionNames = availableCollections
+      .filter(c => selectedCollections.includes(c.collection_id))
+      .map(c => c.collection_name)
+
+    const markdown = entryToMarkdown({
+      title,
+      excerpt,
+      coverImageUrl,
+      coverImageAlt,
+      status,
+      journals: journalNames,
+      collections: collectionNames,
+      content: editorRef.current?.editor?.getJSON() || content?.json || null
+    })
+
+    const url = URL.createObjectURL(new Blob([markdown], { type: 'text/markdown;charset=utf-8' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = markdownFileName(title)
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  }
+
   // Save draft state to sessionStorage before navigating to Curator
   const saveDraftState = () => {
     const draftState: DraftState = {
@@ -1333,6 +1475,7 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
       coverImageAlt,
       content,
       status,
+      publishAt,
       selectedJournals,
       selectedCollections,
       postId: postId || null,
@@ -1377,9 +1520,32 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
     } else if (postId && restoredFromDraft) {
       // Still fetch curator assignments even if we restored draft
       fetchPostCuratorAssignments(postId)
+      setAutosaveReady(true)
     }
   }, [postId])
 
+  // Load the newer server draft into the editor
+  const handleRestoreServerDraft = () => {
+    const draft = autosave.acceptPendingDraft()
+    if (!draft) return
+
+    setTitle(draft.title ?? '')
+    setExcerpt(draft.excerpt ?? '')
+    setCoverImageUrl(draft.coverImageUrl ?? '')
+    setCoverImageAlt(draft.coverImageAlt ?? '')
+    setStatus(draft.status ?? 'draft')
+    setPublishAt(draft.publishAt ?? '')
+    if (draft.selectedJournals) setSelectedJournals(draft.selectedJournals)
+    if (draft.selectedCollections) setSelectedCollections(draft.selectedCollections)
+    if (draft.content) {
+      setContent(draft.content)
+      const editorContent = draft.content.json || draft.content.html
+      if (editorContent && editorRef.current?.editor) {
+        editorRef.current.editor.commands.setContent(editorContent)
+      }
+    }
+  }
+
   if (loading) {
     return (
       <div className="max-w-4xl mx-auto p-6">
@@ -1423,7 +1589,7 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
             type="button"
             onClick={handleImportOpen}
             className="px-3 py-2 text-sm font-medium bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 transition-colors flex items-center gap-2"
-            title="Import content from JSON or HTML"
+            title="Import content from JSON, HTML or Markdown"
           >
             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
@@ -1442,6 +1608,20 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
             </svg>
             Template
           </button>
+          {/* Export as Markdown Button (existing entries) */}
+          {postId && (
+            <button
+              type="button"
+              onClick={handleExportMarkdown}
+              className="px-3 py-2 text-sm font-medium bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 transition-colors flex items-center gap-2"
+              title="Download this entry as Markdown with front matter"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+              </svg>
+              Export as Markdown
+            </button>
+          )}
           {/* View Curator Button */}
           <button
             type="button"
@@ -1476,11 +1656,71 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
         </div>
       )}
 
-      {/* Image Management Toggle */}
-      <div className="mb-4 flex justify-end">
+      {brokenLinks.length > 0 && (
+        <div className="mb-4 p-3 bg-amber-50 border border-amber-300 text-amber-900 rounded text-sm">
+          <p className="font-medium">
+            {brokenLinks.length === 1 ? '1 link to another post is broken' : `${brokenLinks.length} links to other posts are broken`}
+          </p>
+          <ul className="mt-1 list-disc list-inside text-amber-800">
+            {brokenLinks.map((link, index) => (
+              <li key={`${link.post_id}-${index}`}>
+                “{link.text || 'Untitled link'}” {link.reason === 'missing' ? 'points to a deleted post' : 'points to a post that isn’t published'}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Newer draft on server (another tab/device, or a session that wasn't saved) */}
+      {autosave.pendingDraft && (
+        <div className="mb-4 p-4 bg-amber-50 border border-amber-300 rounded flex items-center justify-between gap-4">
+          <div className="text-sm text-amber-900">
+            <p className="font-medium">A newer draft of this entry is saved on the server</p>
+            <p className="text-amber-800">
+              Autosaved {new Date(autosave.pendingDraft.updated_at).toLocaleString()}
+              {autosave.state === 'conflict' && ' from another tab or device'}
+            </p>
+          </div>
+          <div className="flex gap-2 flex-shrink-0">
+            <button
+              type="button"
+              onClick={handleRestoreServerDraft}
+              className="px-3 py-1.5 text-sm bg-amber-600 text-white rounded hover:bg-amber-700"
+            >
+              Restore server draft
+            </button>
+            <button
+              type="button"
+              onClick={autosave.dismissPendingDraft}
+              className="px-3 py-1.5 text-sm border border-amber-300 text-amber-800 rounded hover:bg-amber-100"
+            >
+              Keep mine
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Side Panel Toggles */}
+      <div className="mb-4 flex justify-end gap-2">
+        {postId && (
+          <button
+            type="button"
+            onClick={handleHistoryPanelToggle}
+            className={`px-4 py-2 text-sm font-medium rounded-lg border transition-colors ${
+              showHistoryPanel
+                ? 'bg-blue-50 text-blue-700 border-blue-200 hover:bg-blue-100'
+                : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            History
+          </button>
+        )}
         <button
           type="button"
-          onClick={() => setShowImagePanel(!showImagePanel)}
+          onClick={handleImagePanelToggle}
           className={`px-4 py-2 text-sm font-medium rounded-lg border transition-colors ${
             showImagePanel
               ? 'bg-blue-50 text-blue-700 border-blue-200 hover:bg-blue-100'
@@ -2057,13 +2297,48 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
             <select
               id="status"
               value={status}
-              onChange={(e) => setStatus(e.target.value as 'draft' | 'published' | 'archived')}
+              onChange={(e) => setStatus(e.target.value as PostStatus)}
               className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
               <option value="draft">Draft</option>
               <option value="published">Published</option>
+              <option value="scheduled">Scheduled</option>
               <option value="archived">Archived</option>
             </select>
+            {status === 'scheduled' && (
+              <div className="mt-2">
+                <label htmlFor="publish-at" className="block text-xs font-medium text-gray-600 mb-1">
+                  Publish at
+                </label>
+                <input
+                  id="publish-at"
+                  type="datetime-local"
+                  value={publishAt}
+                  onChange={(e) => setPublishAt(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            )}
+            <div className="mt-2">
+              <label htmlFor="comments-enabled" className="block text-xs font-medium text-gray-600 mb-1">
+                Comments
+              </label>
+              <select
+                id="comments-enabled"
+                value={commentsEnabled === null ? 'journal' : commentsEnabled ? 'open' : 'closed'}
+                onChange={(e) => setCommentsEnabled(e.target.value === 'journal' ? null : e.target.value === 'open')}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="journal">Follow journal</option>
+                <option value="open">Open</option>
+                <option value="closed">Closed</option>
+              </select>
+            </div>
+            <p className="mt-1 text-xs text-gray-500" aria-live="polite">
+              {autosave.state === 'saving' && 'Saving draft...'}
+              {autosave.state === 'saved' && autosave.lastSavedAt && `Draft autosaved ${new Date(autosave.lastSavedAt).toLocaleTimeString()}`}
+              {autosave.state === 'error' && <span className="text-red-600">Draft autosave failed</span>}
+            </p>
           </div>
 
           <div className="flex gap-3">
@@ -2140,6 +2415,17 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
         onUpdateImage={handleUpdateImage}
       />
 
+      {/* Revision History Panel */}
+      {postId && (
+        <RevisionHistoryPanel
+          postId={postId}
+          isOpen={showHistoryPanel}
+          onClose={() => setShowHistoryPanel(false)}
+          onRestored={handleRevisionRestored}
+          refreshKey={historyRefreshKey}
+        />
+      )}
+
       {/* Import Modal */}
       {showImportModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -2165,9 +2451,20 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
             <div className="px-6 py-4 flex-1 overflow-y-auto">
               {/* Textarea for paste */}
               <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Paste content
-                </label>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Paste content
+                  </label>
+                  <label className="text-sm text-blue-600 hover:text-blue-800 cursor-pointer">
+                    or choose a file
+                    <input
+                      type="file"
+                      accept=".md,.markdown,.json,.html,.htm,.txt,text/markdown,application/json,text/html"
+                      onChange={handleImportFile}
+                      className="hidden"
+                    />
+                  </label>
+                </div>
                 <textarea
                   value={importInput}
                   onChange={(e) => {
@@ -2176,7 +2473,7 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
                     setImportPreview(null)
                   }}
                   className="w-full h-48 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono text-sm resize-none"
-                  placeholder='Paste JSON like {"title": "My Entry", "content": "..."} or HTML content'
+                  placeholder='Paste JSON like {"title": "My Entry", "content": "..."}, HTML, or Markdown with --- front matter ---'
                 />
               </div>
 
@@ -2196,6 +2493,7 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
                     <option value="auto">Auto-detect</option>
                     <option value="json">JSON</option>
                     <option value="html">HTML</option>
+                    <option value="markdown">Markdown</option>
                   </select>
                 </div>
 
@@ -2269,6 +2567,10 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
                   <strong>HTML extraction:</strong> First &lt;h1&gt; → title, first &lt;img&gt; → cover image, 
                   first &lt;p&gt; → excerpt (if short), remaining → content
                 </p>
+                <p className="text-xs text-blue-700">
+                  <strong>Markdown:</strong> YAML front matter (between --- lines) uses the JSON keys above; 
+                  the body becomes content
+                </p>
                 <p className="text-xs text-green-700 mt-1">
                   <strong>Auto-create:</strong> Non-existing journals/collections will be created automatically.
                 </p>
@@ -2346,6 +2648,17 @@ export default function PostEditor({ onSave, onCancel }: PostEditorProps) {
                   >
                     HTML
                   </button>
+                  <button
+                    type="button"
+                    onClick={() => handleTemplateFormatChange('markdown')}
+                    className={`px-4 py-2 text-sm font-medium rounded-lg border transition-colors ${
+                      templateFormat === 'markdown'
+                        ? 'bg-blue-50 border-blue-300 text-blue-700'
+                        : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    Markdown
+                  </button>
                 </div>
               </div>
 
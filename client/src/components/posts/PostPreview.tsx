@@ -5,6 +5,7 @@ import { supabaseAdminGet } from '../../lib/api'
 import LoadingSpinner from '../LoadingSpinner'
 import { formatDate } from '../../utils/formatDate'
 import { setDocumentTitle, setMetaDescription } from '../../utils/metadata'
+import { renderPostContent, loadEmbedOnClick } from '../../utils/postContent'
 
 interface Label {
   id: string
@@ -20,7 +21,8 @@ interface Post {
   excerpt?: string
   cover_image_url?: string
   cover_image_alt?: string
-  status: 'draft' | 'published' | 'archived'
+  status: 'draft' | 'published' | 'scheduled' | 'archived'
+  publish_at?: string | null
   created_at: string
   labels?: Label[]
 }
@@ -189,7 +191,8 @@ export default function PostPreview() {
           {/* Content */}
           <div className="prose-custom">
             <div 
-              dangerouslySetInnerHTML={{ __html: post.content_html || post.content }} 
+              onClick={loadEmbedOnClick}
+              dangerouslySetInnerHTML={{ __html: renderPostContent(post.content_html || post.content) }} 
               className="leading-relaxed"
             />
           </div>
@@ -99,6 +99,7 @@ export default function PostsList({ showDrafts = false, labelFilter }: PostsList
     const colors = {
       draft: 'bg-yellow-100 text-yellow-800',
       published: 'bg-green-100 text-green-800',
+      scheduled: 'bg-orange-100 text-orange-800',
       archived: 'bg-gray-100 text-gray-800'
     }
     return (
@@ -8,7 +8,7 @@ const NavbarContext = createContext(null)
 // Default nav items (fallback when Supabase is not available)
 const DEFAULT_NAV_ITEMS = [
   { id: 'home', label: 'Home', path: '/', hidden: false, order: 1 },
-  { id: 'journals', label: 'Journals', path: '/blog', hidden: false, order: 2 },
+  { id: 'journals', label: 'Journals', path: '/journals', hidden: false, order: 2 },
   { id: 'about', label: 'About', path: '/about', hidden: false, order: 3 },
   { id: 'contact', label: 'Contact', path: '/contact', hidden: false, order: 4 },
 ]
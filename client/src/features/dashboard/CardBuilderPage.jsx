@@ -15,6 +15,16 @@ import {
 import { getPageWallpaper, getUniversalWallpaper, setPageWallpaper, removePageWallpaper, setUniversalWallpaper, clearUniversalWallpaper } from '../../lib/wallpaperApi'
 import ImagePicker from '../../components/editor/ImagePicker'
 import { uploadImage } from '../../utils/uploadImage'
+import {
+  BASE_WALLPAPER_HEIGHT,
+  DEFAULT_CARD_STYLE,
+  getCardBounds,
+  getCardDimensions,
+  getConveyorLength,
+  getFontStack,
+  getWallpaperOffset,
+  hexToRgba
+} from '../../utils/cardLayout'
 
 // Grid configuration
 const GRID_SPACING = 40 // pixels between anchor points
@@ -56,48 +66,6 @@ const createRectangleFromCorners = (p1, p2) => {
   ]
 }
 
-// Helper: get card dimensions from points
-const getCardDimensions = (points) => {
-  const minX = Math.min(...points.map(p => p.x))
-  const maxX = Math.max(...points.map(p => p.x))
-  const minY = Math.min(...points.map(p => p.y))
-  const maxY = Math.max(...points.map(p => p.y))
-  return {
-    width: maxX - minX,
-    height: maxY - minY,
-    centerX: (minX + maxX) / 2,
-    centerY: (minY + maxY) / 2,
-    minX, maxX, minY, maxY
-  }
-}
-
-// Helper: get card bounds
-const getCardBounds = (points) => {
-  const minX = Math.min(...points.map(p => p.x))
-  const maxX = Math.max(...points.map(p => p.x))
-  const minY = Math.min(...points.map(p => p.y))
-  const maxY = Math.max(...points.map(p => p.y))
-  return { minX, maxX, minY, maxY }
-}
-
-// Helper: get font stack from font family key
-const getFontStack = (fontFamily) => {
-  const fontStacks = {
-    sans: 'Inter, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
-    serif: 'Georgia, Cambria, "Times New Roman", Times, serif',
-    mono: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace',
-    cursive: 'cursive',
-    fantasy: 'fantasy',
-    times: '"Times New Roman", Times, serif',
-    arial: 'Arial, Helvetica, sans-serif',
-    courier: '"Courier New", Courier, monospace',
-    verdana: 'Verdana, Geneva, sans-serif',
-    trebuchet: '"Trebuchet MS", Helvetica, sans-serif',
-    impact: 'Impact, Charcoal, sans-serif',
-  }
-  return fontStacks[fontFamily] || fontStacks.sans
-}
-
 // Helper: detect which edge of a card the mouse is near (within threshold)
 const detectEdge = (mouseX, mouseY, points, threshold = 10) => {
   const { minX, maxX, minY, maxY } = getCardBounds(points)
@@ -153,14 +121,7 @@ const CardBuilderPage = () => {
   const [mousePos, setMousePos] = useState(null) // Track mouse position for preview
   
   // Pencil tool card styling settings
-  const defaultCardStyle = {
-    backgroundColor: '#ffffff',
-    opacity: 1,
-    borderRadius: 0,
-    borderWidth: 0,
-    borderStyle: 'solid',
-    borderColor: '#000000'
-  }
+  const defaultCardStyle = DEFAULT_CARD_STYLE
   const [pencilSettings, setPencilSettings] = useState(defaultCardStyle)
   const [previewSettings, setPreviewSettings] = useState(null) // Live preview before apply
   const [pencilSettingsLocked, setPencilSettingsLocked] = useState(false) // Lock settings for new cards
@@ -226,13 +187,13 @@ const CardBuilderPage = () => {
   const wallpaperTrackRef = useRef(null)
 
   // Base wallpaper height
-  const baseWallpaperHeight = 150 // vh
+  const baseWallpaperHeight = BASE_WALLPAPER_HEIGHT // vh
   
   // Calculate conveyor length based on ratio
   // Ratio 1:1 = conveyor matches wallpaper (150vh)
   // Ratio 2:1 = conveyor is 2x wallpaper (300vh)
   // Ratio 3:1 = conveyor is 3x wallpaper (450vh)
-  const conveyorLength = baseWallpaperHeight * scrollRatio
+  const conveyorLength = getConveyorLength(scrollRatio)
   
   // Calculate max wallpaper position (percentage)
   // At ratio 2:1, wallpaper (150vh) can slide from 0% to 50% of conveyor (300vh)
@@ -1971,45 +1932,12 @@ const CardBuilderPage = () => {
 
   // Parallax effect with position offset
   // wallpaperPosition controls where in the conveyor journey the wallpaper scrolling occurs
-  
   const viewportHeight = typeof window !== 'undefined' ? window.innerHeight : 1000
-  
-  // Total SCROLLABLE distance (conveyor length minus viewport)
-  // This is the actual distance you can scroll, not the total page height
-  const totalScrollableVh = conveyorLength - 100 // e.g., 300vh - 100vh = 200vh scrollable
-  const totalScrollablePx = (totalScrollableVh / 100) * viewportHeight
-  
-  // Wallpaper scroll window size as a portion of the scrollable distance
-  // The wallpaper window should be proportional: at 2:1 ratio, wallpaper window is 50% of scrollable
-  const wallpaperWindowRatio = baseWallpaperHeight / conveyorLength // e.g., 150/300 = 0.5 at 2:1
-  const wallpaperWindowPx = totalScrollablePx * wallpaperWindowRatio
-  
-  // Max position for wallpaper (so it doesn't go past the end)
-  const maxPositionRatio = 1 - wallpaperWindowRatio // e.g., 0.5 at 2:1
-  const clampedPosition = Math.min(wallpaperPosition / 100, maxPositionRatio)
-  
-  // Where the wallpaper scroll window starts and ends (in scroll pixels)
-  const wallpaperStartPx = clampedPosition * totalScrollablePx
-  const wallpaperEndPx = wallpaperStartPx + wallpaperWindowPx
-  
-  // Current scroll position (adjusted by speed)
-  const currentScrollPx = scrollProgress * scrollSpeed
-  
-  // Calculate wallpaper offset based on where we are in the scroll window
-  let imageOffset = 0
-  const maxWallpaperScroll = viewportHeight * 0.5 // 50vh max scroll (150vh - 100vh viewport)
-  
-  if (currentScrollPx < wallpaperStartPx) {
-    // Before wallpaper window - wallpaper at top
-    imageOffset = 0
-  } else if (currentScrollPx > wallpaperEndPx) {
-    // After wallpaper window - wallpaper at bottom (max scroll)
-    imageOffset = maxWallpaperScroll
-  } else {
-    // Within wallpaper window - scroll proportionally
-    const progressInWindow = (currentScrollPx - wallpaperStartPx) / wallpaperWindowPx
-    imageOffset = progressInWindow * maxWallpaperScroll
-  }
+  const imageOffset = getWallpaperOffset(
+    scrollProgress,
+    { scrollRatio, scrollSpeed, wallpaperPosition },
+    viewportHeight
+  )
 
   // Scroll animation calculations for home page text
   // Title starts at 280px, navbar is at ~112px, so fade should start around scroll 120-130
@@ -3340,14 +3268,6 @@ const CardBuilderPage = () => {
               const dimensions = getCardDimensions(displayPoints)
               const cardStyle = getCardStyle(card)
               
-              // Convert hex color + opacity to rgba
-              const hexToRgba = (hex, opacity) => {
-                const r = parseInt(hex.slice(1, 3), 16)
-                const g = parseInt(hex.slice(3, 5), 16)
-                const b = parseInt(hex.slice(5, 7), 16)
-                return `rgba(${r}, ${g}, ${b}, ${opacity})`
-              }
-              
               return (
                 <g 
                   key={card.id}
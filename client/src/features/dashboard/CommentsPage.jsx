@@ -0,0 +1,242 @@
+// client/src/features/dashboard/CommentsPage.jsx
+// Comment moderation queue - approve, reject or mark reader comments as spam
+
+import { useState, useEffect, useCallback } from 'react'
+import { supabaseAdminGet, supabaseAdminPost, supabaseAdminDelete } from '../../lib/api'
+
+const PAGE_SIZE = 20
+
+const TABS = [
+  { status: 'pending', label: 'Pending' },
+  { status: 'approved', label: 'Approved' },
+  { status: 'spam', label: 'Spam' },
+  { status: 'rejected', label: 'Rejected' }
+]
+
+// Actions offered for comments in each tab (everything but the tab's own status)
+const ACTIONS = [
+  { status: 'approved', label: 'Approve', className: 'text-green-700 hover:text-green-900' },
+  { status: 'rejected', label: 'Reject', className: 'text-gray-600 hover:text-gray-800' },
+  { status: 'spam', label: 'Spam', className: 'text-amber-700 hover:text-amber-900' },
+  { status: 'pending', label: 'Back to queue', className: 'text-blue-600 hover:text-blue-800' }
+]
+
+const CommentsPage = () => {
+  const [status, setStatus] = useState('pending')
+  const [page, setPage] = useState(1)
+  const [comments, setComments] = useState([])
+  const [total, setTotal] = useState(0)
+  const [counts, setCounts] = useState({})
+  const [selectedIds, setSelectedIds] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchComments = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const data = await supabaseAdminGet(`/api/comments/moderation?status=${status}&page=${page}&limit=${PAGE_SIZE}`)
+      setComments(data.items || [])
+      setTotal(data.total || 0)
+      setCounts(data.counts || {})
+    } catch (err) {
+      console.error('Failed to fetch comments:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [status, page])
+
+  useEffect(() => {
+    fetchComments()
+    setSelectedIds([])
+  }, [fetchComments])
+
+  const switchTab = (nextStatus) => {
+    setStatus(nextStatus)
+    setPage(1)
+  }
+
+  const moderate = async (ids, nextStatus) => {
+    if (ids.length === 0) return
+    try {
+      setWorking(true)
+      await supabaseAdminPost('/api/comments/moderation', { comment_ids: ids, status: nextStatus })
+      setSelectedIds([])
+      await fetchComments()
+    } catch (err) {
+      console.error('Failed to moderate comments:', err)
+      alert('Failed to update comments. Please try again.')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const deleteComment = async (id) => {
+    if (!window.confirm('Delete this comment permanently?')) return
+    try {
+      setWorking(true)
+      await supabaseAdminDelete(`/api/comments/${id}`)
+      await fetchComments()
+    } catch (err) {
+      console.error('Failed to delete comment:', err)
+      alert('Failed to delete comment. Please try again.')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id])
+  }
+
+  const allSelected = comments.length > 0 && comments.every(comment => selectedIds.includes(comment.id))
+  const actions = ACTIONS.filter(action => action.status !== status)
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE))
+
+  return (
+    <div className="p-8 max-w-6xl w-full">
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900">Comments</h1>
+        <p className="text-gray-500 mt-1">New reader comments wait here until they are approved</p>
+      </div>
+
+      {/* Status tabs */}
+      <div className="flex gap-2 mb-4 border-b border-gray-200">
+        {TABS.map(tab => (
+          <button
+            key={tab.status}
+            onClick={() => switchTab(tab.status)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              status === tab.status
+                ? 'border-blue-600 text-blue-700'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {tab.label}
+            <span className="ml-2 text-xs text-gray-400">{counts[tab.status] ?? 0}</span>
+          </button>
+        ))}
+      </div>
+
+      {/* Bulk actions */}
+      {selectedIds.length > 0 && (
+        <div className="flex items-center gap-4 mb-4 px-4 py-2 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+          <span className="text-blue-800 font-medium">{selectedIds.length} selected</span>
+          {actions.map(action => (
+            <button
+              key={action.status}
+              onClick={() => moderate(selectedIds, action.status)}
+              disabled={working}
+              className={`font-medium disabled:opacity-50 ${action.className}`}
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        {error ? (
+          <div className="p-8 text-center text-red-600">{error}</div>
+        ) : loading ? (
+          <div className="p-8 text-center text-gray-500">Loading comments...</div>
+        ) : comments.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            {status === 'pending' ? 'Nothing waiting for moderation' : 'No comments here'}
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            <li className="px-6 py-3 bg-gray-50">
+              <label className="flex items-center gap-3 text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={() => setSelectedIds(allSelected ? [] : comments.map(comment => comment.id))}
+                  className="rounded border-gray-300"
+                />
+                Select all
+              </label>
+            </li>
+            {comments.map(comment => (
+              <li key={comment.id} className={`px-6 py-4 flex gap-3 ${selectedIds.includes(comment.id) ? 'bg-blue-50' : ''}`}>
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(comment.id)}
+                  onChange={() => toggleSelected(comment.id)}
+                  aria-label="Select comment"
+                  className="mt-1 rounded border-gray-300"
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-baseline gap-x-2 text-sm">
+                    <span className="font-medium text-gray-900">{comment.profiles?.display_name || 'Reader'}</span>
+                    <span className="text-gray-400">on</span>
+                    {comment.posts ? (
+                      <a
+                        href={`/blog/${comment.posts.slug}`}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="text-blue-600 hover:text-blue-800 truncate"
+                      >
+                        {comment.posts.title}
+                      </a>
+                    ) : (
+                      <span className="text-gray-500">a deleted post</span>
+                    )}
+                    <span className="text-gray-400">{new Date(comment.created_at).toLocaleString()}</span>
+                    {comment.parent_id && <span className="text-xs text-gray-400">(reply)</span>}
+                    {comment.edited_at && <span className="text-xs text-gray-400">(edited)</span>}
+                  </div>
+                  <p className="mt-1 text-gray-700 whitespace-pre-line break-words">{comment.body}</p>
+                  <div className="mt-2 flex gap-4 text-sm">
+                    {actions.map(action => (
+                      <button
+                        key={action.status}
+                        onClick={() => moderate([comment.id], action.status)}
+                        disabled={working}
+                        className={`font-medium disabled:opacity-50 ${action.className}`}
+                      >
+                        {action.label}
+                      </button>
+                    ))}
+                    <button
+                      onClick={() => deleteComment(comment.id)}
+                      disabled={working}
+                      className="font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {pageCount > 1 && (
+        <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+          <button
+            onClick={() => setPage(p => Math.max(1, p - 1))}
+            disabled={page === 1}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {page} of {pageCount}</span>
+          <button
+            onClick={() => setPage(p => Math.min(pageCount, p + 1))}
+            disabled={page === pageCount}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CommentsPage
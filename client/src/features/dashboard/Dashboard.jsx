@@ -4,6 +4,8 @@ import { Routes, Route, Link, useLocation, useNavigate } from 'react-router-dom'
 import ErrorBoundary from '../../components/ErrorBoundary'
 import Overview from './Overview'
 import PostsPage from './PostsPage'
+import CommentsPage from './CommentsPage'
+import InboxPage from './InboxPage'
 import SettingsPage from './SettingsPage'
 import ImageLibrary from './ImageLibrary'
 import WebUIPage from './WebUIPage'
@@ -56,6 +58,24 @@ const Dashboard = () => {
         </svg>
       )
     },
+    { 
+      path: '/dashboard/comments', 
+      label: 'Comments',
+      icon: (
+        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
+        </svg>
+      )
+    },
+    { 
+      path: '/dashboard/inbox', 
+      label: 'Inbox',
+      icon: (
+        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 13V6a2 2 0 00-2-2H6a2 2 0 00-2 2v7m16 0v5a2 2 0 01-2 2H6a2 2 0 01-2-2v-5m16 0h-2.586a1 1 0 00-.707.293l-2.414 2.414a1 1 0 01-.707.293h-3.172a1 1 0 01-.707-.293l-2.414-2.414A1 1 0 006.586 13H4" />
+        </svg>
+      )
+    },
     { 
       path: '/dashboard/images', 
       label: 'Images',
@@ -191,6 +211,8 @@ const Dashboard = () => {
                     <PostEditor />
                   </Suspense>
                 } />
+                <Route path="comments" element={<CommentsPage />} />
+                <Route path="inbox" element={<InboxPage />} />
                 <Route path="images" element={<ImageLibrary />} />
                 <Route path="statistics" element={
                   <div className="p-8 max-w-4xl">
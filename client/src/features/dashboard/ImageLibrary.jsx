@@ -26,6 +26,7 @@ const ImageLibrary = () => {
   const [duplicates, setDuplicates] = useState(null)
   const [duplicatesLoading, setDuplicatesLoading] = useState(false)
   const [deduplicating, setDeduplicating] = useState(false)
+  const [cleaningOrphans, setCleaningOrphans] = useState(false)
   
   // Gallery display options
   const [collapseSharedImages, setCollapseSharedImages] = useState(false)
@@ -76,7 +77,7 @@ const ImageLibrary = () => {
       const data = await supabaseAdminPost('/api/images/deduplicate', { dryRun })
       
       if (!dryRun) {
-        alert(`Deduplication complete!\n\nRemoved: ${data.stats.recordsRemoved} duplicate records\nKept: ${data.stats.recordsKept} original records`)
+        alert(`Deduplication complete!\n\nRemoved: ${data.stats.recordsRemoved} duplicate records\nKept: ${data.stats.recordsKept} original records\nDeleted: ${data.files?.filesRemoved || 0} duplicate files${data.files?.bytesFreed ? ` (${formatFileSize(data.files.bytesFreed)})` : ''}`)
         setShowDuplicatesModal(false)
         setDuplicates(null)
         // Refresh images
@@ -96,6 +97,35 @@ const ImageLibrary = () => {
     }
   }
 
+  // Delete stored files that no post, page or library entry uses
+  const cleanUpUnusedFiles = async () => {
+    try {
+      setCleaningOrphans(true)
+      
+      const preview = await supabaseAdminPost('/api/images/orphans/cleanup', { dryRun: true })
+      
+      if (preview.stats.orphanedFiles === 0) {
+        alert('No unused files found.')
+        return
+      }
+      
+      const confirmed = window.confirm(
+        `Delete ${preview.stats.orphanedFiles} unused files (${formatFileSize(preview.stats.bytes)})?\n\nFiles uploaded in the last 24 hours are kept. This cannot be undone.`
+      )
+      if (!confirmed) return
+      
+      const data = await supabaseAdminPost('/api/images/orphans/cleanup', { dryRun: false })
+      
+      alert(`Cleanup complete!\n\nDeleted: ${data.stats.filesRemoved} files${data.stats.bytesFreed ? ` (${formatFileSize(data.stats.bytesFreed)})` : ''}${data.stats.filesFailed ? `\nFailed: ${data.stats.filesFailed}` : ''}`)
+      await fetchImages()
+    } catch (err) {
+      console.error('Unused file cleanup failed:', err)
+      alert('Cleanup failed: ' + err.message)
+    } finally {
+      setCleaningOrphans(false)
+    }
+  }
+
   const triggerReconciliation = async () => {
     try {
       setReconciling(true)
@@ -489,6 +519,30 @@ const ImageLibrary = () => {
               )}
             </button>
             
+            {/* Unused Files Button */}
+            <button
+              onClick={cleanUpUnusedFiles}
+              disabled={cleaningOrphans}
+              className="px-4 py-2 rounded-lg font-medium transition-colors bg-gray-700 text-white hover:bg-gray-800 disabled:bg-gray-100 disabled:text-gray-500 disabled:cursor-not-allowed flex items-center gap-2"
+            >
+              {cleaningOrphans ? (
+                <>
+                  <svg className="w-4 h-4 animate-spin" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                  Cleaning Up...
+                </>
+              ) : (
+                <>
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                  Clean Up Unused Files
+                </>
+              )}
+            </button>
+            
             {/* Reconciliation Button */}
             <button
               onClick={triggerReconciliation}
@@ -1036,6 +1090,7 @@ const ImageLibrary = () => {
                           <li><strong>True duplicates</strong> are the same URL appearing multiple times in the same post - these can be safely removed</li>
                           <li><strong>Shared images</strong> are the same URL used in different posts - these are valid and will be kept</li>
                           <li>After deduplication, shared images will show all associated post names</li>
+                          <li><strong>Duplicate files</strong> (identical uploads) are deleted too, keeping the copies posts use</li>
                         </ul>
                       </div>
                     </div>
@@ -1103,11 +1158,21 @@ const ImageLibrary = () => {
             </div>
             
             {/* Footer */}
-            {duplicates && duplicates.stats.trueDuplicates > 0 && (
+            {duplicates && (
               <div className="p-6 border-t border-gray-200 bg-gray-50">
                 <div className="flex items-center justify-between">
                   <div className="text-sm text-gray-600">
-                    <span className="font-medium">{duplicates.stats.potentialSavings}</span> duplicate records can be removed
+                    {duplicates.dryRunResult ? (
+                      <>
+                        <span className="font-medium">{duplicates.dryRunResult.stats.recordsRemoved}</span> duplicate records and{' '}
+                        <span className="font-medium">{duplicates.dryRunResult.files?.filesRemoved || 0}</span> duplicate files
+                        {duplicates.dryRunResult.files?.bytesFreed > 0 && ` (${formatFileSize(duplicates.dryRunResult.files.bytesFreed)})`} will be removed
+                      </>
+                    ) : (
+                      <>
+                        <span className="font-medium">{duplicates.stats.potentialSavings}</span> duplicate records can be removed; preview to check for duplicate files
+                      </>
+                    )}
                   </div>
                   <div className="flex gap-3">
                     <button
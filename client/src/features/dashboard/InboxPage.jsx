@@ -0,0 +1,266 @@
+// client/src/features/dashboard/InboxPage.jsx
+// Contact form inbox - read, mark and archive messages from visitors
+
+import { useState, useEffect, useCallback } from 'react'
+import { supabaseAdminGet, supabaseAdminPatch } from '../../lib/api'
+
+const PAGE_SIZE = 20
+
+const TABS = [
+  { status: 'new', label: 'New' },
+  { status: 'read', label: 'Read' },
+  { status: 'archived', label: 'Archived' }
+]
+
+// Actions offered for messages in each tab
+const ACTIONS = {
+  new: [
+    { status: 'read', label: 'Mark read' },
+    { status: 'archived', label: 'Archive' }
+  ],
+  read: [
+    { status: 'new', label: 'Mark unread' },
+    { status: 'archived', label: 'Archive' }
+  ],
+  archived: [
+    { status: 'read', label: 'Move to inbox' }
+  ]
+}
+
+const replyHref = (message) => {
+  const subject = `Re: ${message.subject || 'Your message'}`
+  return `mailto:${message.email}?subject=${encodeURIComponent(subject)}`
+}
+
+const InboxPage = () => {
+  const [status, setStatus] = useState('new')
+  const [page, setPage] = useState(1)
+  const [messages, setMessages] = useState([])
+  const [total, setTotal] = useState(0)
+  const [counts, setCounts] = useState({})
+  const [selectedIds, setSelectedIds] = useState([])
+  const [openId, setOpenId] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchMessages = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const data = await supabaseAdminGet(`/api/contact/messages?status=${status}&page=${page}&limit=${PAGE_SIZE}`)
+      setMessages(data.items || [])
+      setTotal(data.total || 0)
+      setCounts(data.counts || {})
+    } catch (err) {
+      console.error('Failed to fetch messages:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [status, page])
+
+  useEffect(() => {
+    fetchMessages()
+    setSelectedIds([])
+    setOpenId(null)
+  }, [fetchMessages])
+
+  const switchTab = (nextStatus) => {
+    setStatus(nextStatus)
+    setPage(1)
+  }
+
+  const updateStatus = async (ids, nextStatus) => {
+    if (ids.length === 0) return
+    try {
+      setWorking(true)
+      await supabaseAdminPatch('/api/contact/messages', { message_ids: ids, status: nextStatus })
+      setSelectedIds([])
+      await fetchMessages()
+    } catch (err) {
+      console.error('Failed to update messages:', err)
+      alert('Failed to update messages. Please try again.')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  // Opening a new message marks it read, but it stays in view until the tab reloads
+  const toggleOpen = async (message) => {
+    if (openId === message.id) {
+      setOpenId(null)
+      return
+    }
+
+    setOpenId(message.id)
+    if (message.status !== 'new') return
+
+    try {
+      await supabaseAdminPatch('/api/contact/messages', { message_ids: [message.id], status: 'read' })
+      setMessages(prev => prev.map(m => m.id === message.id ? { ...m, status: 'read' } : m))
+      setCounts(prev => ({ ...prev, new: Math.max(0, (prev.new || 0) - 1), read: (prev.read || 0) + 1 }))
+    } catch (err) {
+      console.error('Failed to mark message read:', err)
+    }
+  }
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id])
+  }
+
+  const allSelected = messages.length > 0 && messages.every(message => selectedIds.includes(message.id))
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE))
+
+  return (
+    <div className="p-8 max-w-6xl w-full">
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900">Inbox</h1>
+        <p className="text-gray-500 mt-1">Messages sent through the contact form</p>
+      </div>
+
+      {/* Status tabs */}
+      <div className="flex gap-2 mb-4 border-b border-gray-200">
+        {TABS.map(tab => (
+          <button
+            key={tab.status}
+            onClick={() => switchTab(tab.status)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              status === tab.status
+                ? 'border-blue-600 text-blue-700'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {tab.label}
+            <span className="ml-2 text-xs text-gray-400">{counts[tab.status] ?? 0}</span>
+          </button>
+        ))}
+      </div>
+
+      {/* Bulk actions */}
+      {selectedIds.length > 0 && (
+        <div className="flex items-center gap-4 mb-4 px-4 py-2 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+          <span className="text-blue-800 font-medium">{selectedIds.length} selected</span>
+          {ACTIONS[status].map(action => (
+            <button
+              key={action.status}
+              onClick={() => updateStatus(selectedIds, action.status)}
+              disabled={working}
+              className="font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        {error ? (
+          <div className="p-8 text-center text-red-600">{error}</div>
+        ) : loading ? (
+          <div className="p-8 text-center text-gray-500">Loading messages...</div>
+        ) : messages.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            {status === 'new' ? 'No new messages' : 'No messages here'}
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            <li className="px-6 py-3 bg-gray-50">
+              <label className="flex items-center gap-3 text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={() => setSelectedIds(allSelected ? [] : messages.map(message => message.id))}
+                  className="rounded border-gray-300"
+                />
+                Select all
+              </label>
+            </li>
+            {messages.map(message => {
+              const isOpen = openId === message.id
+              return (
+                <li key={message.id} className={`px-6 py-4 flex gap-3 ${selectedIds.includes(message.id) ? 'bg-blue-50' : ''}`}>
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(message.id)}
+                    onChange={() => toggleSelected(message.id)}
+                    aria-label="Select message"
+                    className="mt-1 rounded border-gray-300"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <button
+                      type="button"
+                      onClick={() => toggleOpen(message)}
+                      aria-expanded={isOpen}
+                      className="w-full text-left"
+                    >
+                      <div className="flex flex-wrap items-baseline gap-x-2 text-sm">
+                        <span className={`text-gray-900 ${message.status === 'new' ? 'font-semibold' : 'font-medium'}`}>
+                          {message.name}
+                        </span>
+                        <span className="text-gray-500">{message.email}</span>
+                        <span className="text-gray-400">{new Date(message.created_at).toLocaleString()}</span>
+                        {!message.notified_at && (
+                          <span className="text-xs text-gray-400" title="No notification email was sent for this message">
+                            (not emailed)
+                          </span>
+                        )}
+                      </div>
+                      <p className={`mt-1 text-gray-800 ${message.status === 'new' ? 'font-semibold' : ''}`}>
+                        {message.subject || '(no subject)'}
+                      </p>
+                      {!isOpen && <p className="mt-1 text-sm text-gray-500 truncate">{message.message}</p>}
+                    </button>
+
+                    {isOpen && (
+                      <p className="mt-3 text-gray-700 whitespace-pre-line break-words">{message.message}</p>
+                    )}
+
+                    <div className="mt-2 flex gap-4 text-sm">
+                      <a href={replyHref(message)} className="font-medium text-blue-600 hover:text-blue-800">
+                        Reply
+                      </a>
+                      {ACTIONS[status].map(action => (
+                        <button
+                          key={action.status}
+                          onClick={() => updateStatus([message.id], action.status)}
+                          disabled={working}
+                          className="font-medium text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                        >
+                          {action.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {pageCount > 1 && (
+        <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+          <button
+            onClick={() => setPage(p => Math.max(1, p - 1))}
+            disabled={page === 1}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {page} of {pageCount}</span>
+          <button
+            onClick={() => setPage(p => Math.min(pageCount, p + 1))}
+            disabled={page === pageCount}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default InboxPage
@@ -6,6 +6,7 @@ import { isHTTPError } from '../../lib/httpErrors'
 import { getSupabaseClient } from '../../lib/supabase'
 import PostFormModal from './components/PostFormModal'
 import StatusBadge from './components/StatusBadge'
+import BulkActionsBar from './components/BulkActionsBar'
 import EmojiPicker from '../../components/EmojiPicker'
 // Removed AdminTokenControls - using Supabase JWT auth now
 
@@ -27,6 +28,8 @@ const PostsPage = () => {
   const [editingPost, setEditingPost] = useState(null)
   const [deletingId, setDeletingId] = useState(null)
   const [updatingStatusId, setUpdatingStatusId] = useState(null)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [bulkResult, setBulkResult] = useState(null)
   const [sortBy, setSortBy] = useState('created_at') // 'title', 'created_at', 'status'
   const [sortDirection, setSortDirection] = useState('desc') // 'asc' or 'desc'
   const [organizationView, setOrganizationView] = useState('journal') // 'journal' or 'collection'
@@ -316,6 +319,26 @@ const PostsPage = () => {
     }
   }
   
+  // Open or close comments on a journal's entries (entries can override it)
+  const setJournalComments = async (journalId, enabled) => {
+    const supabase = getSupabaseClient()
+    if (!supabase) return
+    
+    try {
+      const { error } = await supabase
+        .from('journals')
+        .update({ comments_enabled: enabled })
+        .eq('id', journalId)
+      
+      if (error) throw error
+      
+      await fetchJournals()
+    } catch (err) {
+      console.error('Failed to update journal comments setting:', err)
+      alert('Failed to update the comments setting. Please try again.')
+    }
+  }
+  
   // Delete journal
   const deleteJournal = async (journalId) => {
     const supabase = getSupabaseClient()
@@ -408,6 +431,7 @@ const PostsPage = () => {
       
       // Optimistic update
       setPosts(prev => prev.filter(post => post.id !== postId))
+      setSelectedIds(prev => prev.filter(id => id !== postId))
     } catch (err) {
       console.error('Failed to delete post:', err)
       alert(`Failed to delete post: ${err.message}`)
@@ -424,9 +448,11 @@ const PostsPage = () => {
       const response = await supabaseAdminPatch(`/api/posts/${postId}`, { status: newStatus })
       const updatedPost = response.post || response
       
-      // Optimistic update
+      // Optimistic update (the server may adjust status/publish_at for scheduled posts)
       setPosts(prev => prev.map(post => 
-        post.id === postId ? { ...post, status: newStatus } : post
+        post.id === postId
+          ? { ...post, status: updatedPost?.status || newStatus, publish_at: updatedPost?.publish_at ?? post.publish_at }
+          : post
       ))
     } catch (err) {
       console.error('Failed to update status:', err)
@@ -436,6 +462,51 @@ const PostsPage = () => {
     }
   }
 
+  const toggleSelected = (postId) => {
+    setSelectedIds(prev => prev.includes(postId)
+      ? prev.filter(id => id !== postId)
+      : [...prev, postId])
+  }
+
+  const allVisibleSelected = filteredPosts.length > 0 && filteredPosts.every(post => selectedIds.includes(post.id))
+
+  const toggleSelectAll = () => {
+    const visibleIds = filteredPosts.map(post => post.id)
+    setSelectedIds(prev => allVisibleSelected
+      ? prev.filter(id => !visibleIds.includes(id))
+      : [...new Set([...prev, ...visibleIds])])
+  }
+
+  const handleBulkComplete = (result) => {
+    const results = result.results || []
+    const succeededIds = result.committed ? results.filter(item => item.ok).map(item => item.post_id) : []
+
+    if (result.action === 'delete') {
+      setPosts(prev => prev.filter(post => !succeededIds.includes(post.id)))
+    } else if (['publish', 'draft', 'archive'].includes(result.action)) {
+      const statusById = new Map(results.filter(item => item.ok).map(item => [item.post_id, item.status]))
+      setPosts(prev => prev.map(post =>
+        succeededIds.includes(post.id) ? { ...post, status: statusById.get(post.id) || post.status } : post
+      ))
+    }
+
+    // Keep failed items selected so they can be retried
+    const failedIds = results.filter(item => !item.ok).map(item => item.post_id)
+    setSelectedIds(result.committed ? failedIds : results.map(item => item.post_id))
+
+    setBulkResult({
+      committed: result.committed,
+      succeeded: result.summary?.succeeded ?? succeededIds.length,
+      failures: results
+        .filter(item => !item.ok)
+        .map(item => ({
+          id: item.post_id,
+          title: posts.find(post => post.id === item.post_id)?.title || item.post_id,
+          error: item.error
+        }))
+    })
+  }
+
   const openEditModal = (post) => {
     navigate(`/dashboard/posts/${post.id}/edit`)
   }
@@ -510,6 +581,46 @@ const PostsPage = () => {
             />
           </div>
 
+          {selectedIds.length > 0 && (
+            <BulkActionsBar
+              selectedIds={selectedIds}
+              onComplete={handleBulkComplete}
+              onClear={() => setSelectedIds([])}
+            />
+          )}
+
+          {bulkResult && (
+            <div className={`p-4 rounded-lg border text-sm ${
+              bulkResult.failures.length === 0
+                ? 'bg-green-50 border-green-200 text-green-800'
+                : 'bg-red-50 border-red-200 text-red-800'
+            }`}>
+              <div className="flex justify-between items-start">
+                <p className="font-medium">
+                  {bulkResult.committed
+                    ? `${bulkResult.succeeded} ${bulkResult.succeeded === 1 ? 'entry' : 'entries'} updated${bulkResult.failures.length ? `, ${bulkResult.failures.length} failed` : ''}`
+                    : `No changes were made: ${bulkResult.failures.length} ${bulkResult.failures.length === 1 ? 'entry' : 'entries'} failed`}
+                </p>
+                <button
+                  onClick={() => setBulkResult(null)}
+                  className="text-gray-500 hover:text-gray-700"
+                  aria-label="Dismiss"
+                >
+                  ✕
+                </button>
+              </div>
+              {bulkResult.failures.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                  {bulkResult.failures.map(failure => (
+                    <li key={failure.id}>
+                      <span className="font-medium">{failure.title}</span>: {failure.error}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
           {/* Entries Table */}
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
             {loading ? (
@@ -558,6 +669,15 @@ const PostsPage = () => {
                 <table className="w-full">
                   <thead className="bg-gray-50 border-b border-gray-200">
                     <tr>
+                      <th className="pl-6 py-3 w-8">
+                        <input
+                          type="checkbox"
+                          checked={allVisibleSelected}
+                          onChange={toggleSelectAll}
+                          aria-label="Select all entries"
+                          className="rounded border-gray-300"
+                        />
+                      </th>
                       <th 
                         className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider cursor-pointer hover:bg-gray-100 select-none"
                         onClick={() => handleSort('title')}
@@ -594,6 +714,9 @@ const PostsPage = () => {
                           Status {sortBy === 'status' && (sortDirection === 'asc' ? '↑' : '↓')}
                         </span>
                       </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Comments
+                      </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         <div className="flex items-center gap-1">
                           <button
@@ -615,7 +738,16 @@ const PostsPage = () => {
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-200">
                     {filteredPosts.map((post) => (
-                      <tr key={post.id} className="hover:bg-gray-50">
+                      <tr key={post.id} className={selectedIds.includes(post.id) ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                        <td className="pl-6 py-4 w-8">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(post.id)}
+                            onChange={() => toggleSelected(post.id)}
+                            aria-label={`Select ${post.title}`}
+                            className="rounded border-gray-300"
+                          />
+                        </td>
                         <td className="px-6 py-4">
                           <div className="font-bold text-gray-900">{post.title}</div>
                           <div className="text-sm text-gray-500 truncate max-w-xs">
@@ -639,16 +771,33 @@ const PostsPage = () => {
                                 ? 'bg-purple-50 text-purple-700 border-purple-200'
                                 : post.status === 'system'
                                 ? 'bg-blue-50 text-blue-700 border-blue-200'
+                                : post.status === 'scheduled'
+                                ? 'bg-orange-50 text-orange-700 border-orange-200'
                                 : 'bg-gray-50 text-gray-700 border-gray-200'
                             } ${updatingStatusId === post.id ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                            title={post.status === 'scheduled' && post.publish_at ? `Publishes ${new Date(post.publish_at).toLocaleString()}` : undefined}
                           >
                             <option value="draft">Draft</option>
                             <option value="published">Published</option>
+                            {/* Scheduling needs a date, so it's only set from the editor */}
+                            {post.status === 'scheduled' && <option value="scheduled">Scheduled</option>}
                             <option value="private">Private</option>
                             <option value="system">System</option>
                             <option value="archived">Archived</option>
                           </select>
                         </td>
+                        <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">
+                          <span title="Approved comments">{post.comment_counts?.approved ?? 0}</span>
+                          {post.comment_counts?.pending > 0 && (
+                            <button
+                              onClick={() => navigate('/dashboard/comments')}
+                              className="ml-2 px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs font-medium hover:bg-amber-200"
+                              title="Open the moderation queue"
+                            >
+                              {post.comment_counts.pending} pending
+                            </button>
+                          )}
+                        </td>
                         <td className="px-6 py-4 text-sm text-gray-500">
                           {organizationView === 'journal' ? (
                             <span className="inline-flex items-center gap-1 px-2 py-1 bg-gray-100 rounded text-xs">
@@ -780,9 +929,22 @@ const PostsPage = () => {
 
           {/* COLLECTIONS ROW */}
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-            <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-4">
-              Collections {selectedJournal && `in "${journals.find(j => j.id === selectedJournal)?.name}"`}
-            </h3>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider">
+                Collections {selectedJournal && `in "${journals.find(j => j.id === selectedJournal)?.name}"`}
+              </h3>
+              {selectedJournal && (
+                <label className="flex items-center gap-2 text-sm text-gray-600" title="Entries with their own comments setting keep it">
+                  <input
+                    type="checkbox"
+                    checked={journals.find(j => j.id === selectedJournal)?.comments_enabled !== false}
+                    onChange={(e) => setJournalComments(selectedJournal, e.target.checked)}
+                    className="rounded border-gray-300"
+                  />
+                  Comments open
+                </label>
+              )}
+            </div>
             
             {!selectedJournal ? (
               <div className="text-center py-8 text-gray-400">
@@ -956,6 +1118,7 @@ const PostsPage = () => {
                           post.status === 'published' ? 'bg-green-500' :
                           post.status === 'private' ? 'bg-purple-500' :
                           post.status === 'system' ? 'bg-blue-500' :
+                          post.status === 'scheduled' ? 'bg-orange-400' :
                           post.status === 'archived' ? 'bg-gray-400' :
                           'bg-yellow-500'
                         }`} title={post.status || 'draft'} />
@@ -1658,6 +1821,7 @@ const PostsPage = () => {
                             post.status === 'published' ? 'bg-green-500' :
                             post.status === 'private' ? 'bg-purple-500' :
                             post.status === 'system' ? 'bg-blue-500' :
+                            post.status === 'scheduled' ? 'bg-orange-400' :
                             post.status === 'archived' ? 'bg-gray-400' :
                             'bg-yellow-500'
                           }`} />
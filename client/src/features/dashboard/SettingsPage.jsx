@@ -4,6 +4,7 @@ import { API_MISCONFIGURED, apiGet, api, getApiBase } from '../../lib/api'
 import { supabaseAdminGet, supabaseAdminPost } from '../../lib/api'
 import StatusBadge from './components/StatusBadge'
 import CompressionSettings from './components/CompressionSettings'
+import SiteArchiveCard from './components/SiteArchiveCard'
 
 const SettingsPage = () => {
   const [health, setHealth] = useState(null)
@@ -201,6 +202,9 @@ const SettingsPage = () => {
       {/* Image Compression Settings */}
       <CompressionSettings />
 
+      {/* Site Backup & Restore */}
+      <SiteArchiveCard />
+
       {/* API Test Widget */}
       <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
         <h2 className="text-lg font-semibold mb-4">API Connection Test</h2>
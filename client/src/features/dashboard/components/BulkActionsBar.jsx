@@ -0,0 +1,145 @@
+// client/src/features/dashboard/components/BulkActionsBar.jsx
+import { useState, useEffect } from 'react'
+import { supabaseAdminGet, supabaseAdminPost } from '../../../lib/api'
+import { getSupabaseClient } from '../../../lib/supabase'
+
+// Actions supported by POST /api/posts/bulk; target says what the action needs picked
+const BULK_ACTIONS = [
+  { value: 'publish', label: 'Publish' },
+  { value: 'draft', label: 'Move to draft' },
+  { value: 'archive', label: 'Archive' },
+  { value: 'delete', label: 'Delete' },
+  { value: 'add_label', label: 'Add label', target: 'label' },
+  { value: 'remove_label', label: 'Remove label', target: 'label' },
+  { value: 'add_to_journal', label: 'Add to journal', target: 'journal' },
+  { value: 'remove_from_journal', label: 'Remove from journal', target: 'journal' },
+  { value: 'add_to_collection', label: 'Add to collection', target: 'collection' },
+  { value: 'remove_from_collection', label: 'Remove from collection', target: 'collection' }
+]
+
+const BulkActionsBar = ({ selectedIds, onComplete, onClear }) => {
+  const [action, setAction] = useState('')
+  const [targetId, setTargetId] = useState('')
+  const [targets, setTargets] = useState({ label: null, journal: null, collection: null })
+  const [running, setRunning] = useState(false)
+
+  const selectedAction = BULK_ACTIONS.find(option => option.value === action)
+  const targetType = selectedAction?.target || null
+
+  // Load the picker options for a target type the first time it's needed
+  useEffect(() => {
+    if (!targetType || targets[targetType]) return
+
+    const loadTargets = async () => {
+      try {
+        let options = []
+        if (targetType === 'label') {
+          const labels = await supabaseAdminGet('/api/labels')
+          options = (labels || []).map(label => ({ id: label.id, name: label.name }))
+        } else {
+          const supabase = getSupabaseClient()
+          if (!supabase) return
+          const rpc = targetType === 'journal' ? 'get_all_journals_for_picker' : 'get_all_collections_for_picker'
+          const { data, error } = await supabase.rpc(rpc)
+          if (error) throw error
+          options = (data || []).map(item => targetType === 'journal'
+            ? { id: item.journal_id, name: item.journal_name }
+            : { id: item.collection_id, name: `${item.journal_name} / ${item.collection_name}` })
+        }
+        setTargets(prev => ({ ...prev, [targetType]: options }))
+      } catch (err) {
+        console.error(`Failed to load ${targetType} options:`, err)
+        setTargets(prev => ({ ...prev, [targetType]: [] }))
+      }
+    }
+
+    loadTargets()
+  }, [targetType, targets])
+
+  const handleActionChange = (value) => {
+    setAction(value)
+    setTargetId('')
+  }
+
+  const handleApply = async () => {
+    if (!selectedAction || (targetType && !targetId)) return
+
+    const count = selectedIds.length
+    if (action === 'delete' && !confirm(`Delete ${count} ${count === 1 ? 'entry' : 'entries'}? This cannot be undone.`)) {
+      return
+    }
+
+    try {
+      setRunning(true)
+      const result = await supabaseAdminPost('/api/posts/bulk', {
+        action,
+        post_ids: selectedIds,
+        target_id: targetType ? targetId : undefined
+      })
+      onComplete(result)
+    } catch (err) {
+      console.error('Bulk operation failed:', err)
+      alert(`Bulk operation failed: ${err.message}`)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const targetOptions = targetType ? targets[targetType] : null
+
+  return (
+    <div className="bg-blue-50 p-4 rounded-lg border border-blue-200 flex flex-wrap items-center gap-3">
+      <span className="text-sm font-medium text-blue-800">
+        {selectedIds.length} selected
+      </span>
+
+      <select
+        value={action}
+        onChange={(e) => handleActionChange(e.target.value)}
+        disabled={running}
+        className="px-3 py-1 border border-gray-300 rounded-md text-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="">Choose an action…</option>
+        {BULK_ACTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      {targetType && (
+        <select
+          value={targetId}
+          onChange={(e) => setTargetId(e.target.value)}
+          disabled={running || !targetOptions}
+          className="px-3 py-1 border border-gray-300 rounded-md text-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">
+            {targetOptions ? `Choose a ${targetType}…` : 'Loading…'}
+          </option>
+          {(targetOptions || []).map(option => (
+            <option key={option.id} value={option.id}>{option.name}</option>
+          ))}
+        </select>
+      )}
+
+      <button
+        onClick={handleApply}
+        disabled={running || !selectedAction || (targetType && !targetId)}
+        className={`px-4 py-1 rounded-md text-sm text-white transition-colors disabled:opacity-50 ${
+          action === 'delete' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+        }`}
+      >
+        {running ? 'Applying...' : 'Apply'}
+      </button>
+
+      <button
+        onClick={onClear}
+        disabled={running}
+        className="ml-auto text-sm text-gray-600 hover:text-gray-800"
+      >
+        Clear selection
+      </button>
+    </div>
+  )
+}
+
+export default BulkActionsBar
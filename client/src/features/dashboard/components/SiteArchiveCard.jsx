@@ -0,0 +1,121 @@
+// client/src/features/dashboard/components/SiteArchiveCard.jsx
+import { useState, useRef } from 'react'
+import { supabaseAdminDownload, supabaseAdminUpload } from '../../../lib/api'
+
+const SiteArchiveCard = () => {
+  const [exporting, setExporting] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const [summary, setSummary] = useState(null)
+  const [error, setError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const handleExport = async () => {
+    try {
+      setExporting(true)
+      setError(null)
+      const { blob, filename } = await supabaseAdminDownload('/api/admin/export')
+
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename || 'site-export.zip'
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      console.error('Site export failed:', err)
+      setError(`Export failed: ${err.message}`)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    if (!confirm(`Import "${file.name}"? Everything in it is added as new entries, journals and collections; page layouts and navbar settings are replaced.`)) {
+      return
+    }
+
+    try {
+      setImporting(true)
+      setError(null)
+      setSummary(null)
+      const result = await supabaseAdminUpload('/api/admin/import', file, 'application/zip')
+      setSummary(result.summary)
+    } catch (err) {
+      console.error('Site import failed:', err)
+      setError(`Import failed: ${err.message}`)
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const busy = exporting || importing
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+      <h2 className="text-lg font-semibold mb-4">Backup &amp; Restore</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Export every entry, label, journal, collection, page layout and site setting together with their images
+        as a single zip. Importing an archive adds its content as new records and re-uploads its images to the
+        current storage.
+      </p>
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={handleExport}
+          disabled={busy}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {exporting ? 'Exporting...' : 'Export site'}
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={busy}
+          className="px-4 py-2 bg-gray-100 text-gray-800 border border-gray-300 rounded-md text-sm hover:bg-gray-200 disabled:opacity-50"
+        >
+          {importing ? 'Importing...' : 'Import archive'}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".zip,application/zip"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+
+      {error && (
+        <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-800">
+          {error}
+        </div>
+      )}
+
+      {summary && (
+        <div className="mt-3 p-3 bg-green-50 border border-green-200 rounded-md text-sm text-green-800 space-y-1">
+          <div className="font-medium">Import complete</div>
+          <div>
+            {Object.entries(summary.created).map(([table, count]) => `${table.replace(/_/g, ' ')}: ${count}`).join(' · ')}
+          </div>
+          <div>
+            Images: {summary.images.uploaded} uploaded
+            {summary.images.failed > 0 && `, ${summary.images.failed} failed`}
+            {summary.reused.labels > 0 && ` · ${summary.reused.labels} existing labels reused`}
+          </div>
+          {summary.renamed_slugs.length > 0 && (
+            <div>Renamed slugs: {summary.renamed_slugs.map(({ from, to }) => `${from} → ${to}`).join(', ')}</div>
+          )}
+          {summary.warnings.length > 0 && (
+            <ul className="list-disc list-inside text-yellow-800">
+              {summary.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SiteArchiveCard
@@ -0,0 +1,164 @@
+// Draft autosave hook
+// Debounces editor snapshots to the server and surfaces newer server drafts
+// (from another tab or browser) so the editor can offer to recover them
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { getDraft, saveDraft, deleteDraft, ServerDraft } from '../lib/draftApi'
+
+export type AutosaveState = 'idle' | 'saving' | 'saved' | 'error' | 'conflict'
+
+interface UseDraftAutosaveOptions<T> {
+  // Post id, or NEW_DRAFT_KEY for unsaved entries
+  draftKey: string
+  // Current editor snapshot (must be JSON-serializable)
+  data: T
+  // Autosave only runs while enabled (e.g. after the post has loaded)
+  enabled: boolean
+  // When the loaded post was last saved; older server drafts aren't offered
+  baselineUpdatedAt?: string | null
+  delayMs?: number
+}
+
+// Identifies this tab so conflicts from other tabs can be told apart
+const CLIENT_ID = typeof crypto !== 'undefined' && 'randomUUID' in crypto
+  ? crypto.randomUUID()
+  : `tab-${Date.now()}-${Math.random().toString(36).slice(2)}`
+
+export function useDraftAutosave<T>({
+  draftKey,
+  data,
+  enabled,
+  baselineUpdatedAt = null,
+  delayMs = 3000
+}: UseDraftAutosaveOptions<T>) {
+  const [state, setState] = useState<AutosaveState>('idle')
+  const [lastSavedAt, setLastSavedAt] = useState<string | null>(null)
+  const [pendingDraft, setPendingDraft] = useState<ServerDraft<T> | null>(null)
+  const [checked, setChecked] = useState(false)
+
+  const versionRef = useRef(0)
+  const lastSavedJsonRef = useRef<string | null>(null)
+  const json = JSON.stringify(data)
+  const jsonRef = useRef(json)
+  jsonRef.current = json
+
+  // Reset when switching entries
+  useEffect(() => {
+    versionRef.current = 0
+    lastSavedJsonRef.current = null
+    setPendingDraft(null)
+    setChecked(false)
+    setState('idle')
+    setLastSavedAt(null)
+  }, [draftKey])
+
+  // Once enabled, look for a server draft newer than what was loaded
+  useEffect(() => {
+    if (!enabled || checked) return
+    let cancelled = false
+
+    getDraft<T>(draftKey)
+      .then(draft => {
+        if (cancelled) return
+        // Loaded content counts as saved so it isn't re-sent untouched
+        lastSavedJsonRef.current = jsonRef.current
+
+        if (draft) {
+          versionRef.current = draft.version
+          const isNewer = !baselineUpdatedAt || new Date(draft.updated_at) > new Date(baselineUpdatedAt)
+          if (isNewer && JSON.stringify(draft.data) !== jsonRef.current) {
+            setPendingDraft(draft)
+          }
+        }
+      })
+      .catch(error => {
+        console.warn('Failed to check for server draft:', error)
+        lastSavedJsonRef.current = jsonRef.current
+      })
+      .finally(() => {
+        if (!cancelled) setChecked(true)
+      })
+
+    return () => { cancelled = true }
+  }, [enabled, checked, draftKey, baselineUpdatedAt])
+
+  // Debounced save whenever the snapshot changes
+  useEffect(() => {
+    if (!enabled || !checked || pendingDraft) return
+    if (json === lastSavedJsonRef.current) return
+
+    const timer = setTimeout(async () => {
+      setState('saving')
+      try {
+        const result = await saveDraft<T>(draftKey, JSON.parse(json), versionRef.current, CLIENT_ID)
+        if (result.conflict) {
+          if (result.draft) {
+            setPendingDraft(result.draft)
+            setState('conflict')
+          } else {
+            // Draft vanished between the conflict and the re-read - start over
+            versionRef.current = 0
+            setState('idle')
+          }
+          return
+        }
+        versionRef.current = result.draft.version
+        lastSavedJsonRef.current = json
+        setLastSavedAt(result.draft.updated_at)
+        setState('saved')
+      } catch (error) {
+        console.error('Draft autosave failed:', error)
+        setState('error')
+      }
+    }, delayMs)
+
+    return () => clearTimeout(timer)
+  }, [json, enabled, checked, pendingDraft, draftKey, delayMs])
+
+  /**
+   * Take the server draft: returns its data for the editor to load
+   */
+  const acceptPendingDraft = useCallback((): T | null => {
+    if (!pendingDraft) return null
+    versionRef.current = pendingDraft.version
+    lastSavedJsonRef.current = JSON.stringify(pendingDraft.data)
+    setLastSavedAt(pendingDraft.updated_at)
+    setPendingDraft(null)
+    setState('saved')
+    return pendingDraft.data
+  }, [pendingDraft])
+
+  /**
+   * Keep the local content: the next autosave overwrites the server draft
+   */
+  const dismissPendingDraft = useCallback(() => {
+    if (!pendingDraft) return
+    versionRef.current = pendingDraft.version
+    setPendingDraft(null)
+    setState('idle')
+  }, [pendingDraft])
+
+  /**
+   * Remove the server draft once the entry itself has been saved
+   */
+  const discardDraft = useCallback(async (key: string = draftKey) => {
+    try {
+      await deleteDraft(key)
+    } catch (error) {
+      console.warn('Failed to discard server draft:', error)
+    }
+    if (key === draftKey) {
+      versionRef.current = 0
+      lastSavedJsonRef.current = jsonRef.current
+      setState('idle')
+    }
+  }, [draftKey])
+
+  return {
+    state,
+    lastSavedAt,
+    pendingDraft,
+    acceptPendingDraft,
+    dismissPendingDraft,
+    discardDraft
+  }
+}
@@ -0,0 +1,73 @@
+// Published page layout hook
+// Loads the published Card Builder slot and wallpaper for a public page
+import { useEffect, useState } from 'react'
+import { loadPublishedLayout, LayoutSlot, DEFAULT_LAYOUT_SETTINGS, LayoutSettings } from '../lib/layoutApi'
+import { getPageWallpaper, getUniversalWallpaper, PageWallpaper } from '../lib/wallpaperApi'
+
+export interface PublishedLayoutState {
+  layout: LayoutSlot | null
+  settings: LayoutSettings
+  wallpaper: (PageWallpaper & { blur?: number }) | null
+  loading: boolean
+  error: string | null
+}
+
+/**
+ * Load the published layout slot for a page, plus its wallpaper
+ * (falls back to the universal wallpaper when the page has none)
+ */
+export function usePublishedLayout(pageId: string): PublishedLayoutState {
+  const [layout, setLayout] = useState<LayoutSlot | null>(null)
+  const [wallpaper, setWallpaper] = useState<PublishedLayoutState['wallpaper']>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const load = async () => {
+      setLoading(true)
+      setError(null)
+
+      try {
+        const [{ data: published }, { data: pageWallpaper, error: wallpaperError }] = await Promise.all([
+          loadPublishedLayout(pageId),
+          getPageWallpaper(pageId)
+        ])
+
+        let resolvedWallpaper = !wallpaperError && pageWallpaper ? pageWallpaper : null
+        if (!resolvedWallpaper) {
+          const { data: universal } = await getUniversalWallpaper()
+          resolvedWallpaper = universal?.wallpaper || null
+        }
+
+        if (!cancelled) {
+          setLayout(published)
+          setWallpaper(resolvedWallpaper)
+        }
+      } catch (err) {
+        console.error('Failed to load published layout:', err)
+        if (!cancelled) {
+          setLayout(null)
+          setWallpaper(null)
+          setError(err instanceof Error ? err.message : 'Failed to load layout')
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false)
+        }
+      }
+    }
+
+    load()
+    return () => { cancelled = true }
+  }, [pageId])
+
+  return {
+    layout,
+    settings: { ...DEFAULT_LAYOUT_SETTINGS, ...(layout?.settings || {}) },
+    wallpaper,
+    loading,
+    error
+  }
+}
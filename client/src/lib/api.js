@@ -548,6 +548,33 @@ export async function supabaseAdminPatch(path, body) {
   }
 }
 
+export async function supabaseAdminPut(path, body) {
+  if (API_MISCONFIGURED) throw getMisconfigError();
+  
+  try {
+    const headers = await getSupabaseAuthHeaders();
+    const res = await fetch(buildApiUrl(path), {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify(body)
+    });
+    
+    if (!res.ok) {
+      const text = await res.text();
+      const error = new Error(`PUT ${path} failed with HTTP ${res.status}: ${text || res.statusText}`);
+      error.status = res.status;
+      throw error;
+    }
+    
+    return res.json();
+  } catch (error) {
+    if (error.message.includes('Not authenticated')) {
+      throw new Error('Authentication required');
+    }
+    throw error;
+  }
+}
+
 export async function supabaseAdminDelete(path) {
   if (API_MISCONFIGURED) throw getMisconfigError();
   
@@ -570,4 +597,56 @@ export async function supabaseAdminDelete(path) {
     }
     throw error;
   }
-}
\ No newline at end of file
+}
+// Download a binary admin response (e.g. the site export zip)
+export async function supabaseAdminDownload(path) {
+  if (API_MISCONFIGURED) throw getMisconfigError();
+  
+  try {
+    const { Authorization } = await getSupabaseAuthHeaders();
+    const res = await fetch(buildApiUrl(path), {
+      method: 'GET',
+      headers: { Authorization }
+    });
+    
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`GET ${path} failed with HTTP ${res.status}: ${text || res.statusText}`);
+    }
+    
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || null;
+    return { blob: await res.blob(), filename };
+  } catch (error) {
+    if (error.message.includes('Not authenticated')) {
+      throw new Error('Authentication required');
+    }
+    throw error;
+  }
+}
+
+// Upload a file as the raw request body (e.g. a site archive for import)
+export async function supabaseAdminUpload(path, file, contentType = 'application/octet-stream') {
+  if (API_MISCONFIGURED) throw getMisconfigError();
+  
+  try {
+    const { Authorization } = await getSupabaseAuthHeaders();
+    const res = await fetch(buildApiUrl(path), {
+      method: 'POST',
+      headers: { Authorization, 'Content-Type': contentType },
+      body: file
+    });
+    
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`POST ${path} failed with HTTP ${res.status}: ${text || res.statusText}`);
+    }
+    
+    return res.json();
+  } catch (error) {
+    if (error.message.includes('Not authenticated')) {
+      throw new Error('Authentication required');
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,67 @@
+// Draft autosave API client functions
+import { supabaseAdminGet, supabaseAdminPut, supabaseAdminDelete } from './api'
+
+// Draft key for entries that haven't been created yet
+export const NEW_DRAFT_KEY = 'new'
+
+export interface ServerDraft<T = any> {
+  id: string
+  draft_key: string
+  post_id: string | null
+  data: T
+  version: number
+  client_id: string | null
+  created_at: string
+  updated_at: string
+}
+
+export type SaveDraftResult<T> =
+  | { conflict: false; draft: ServerDraft<T> }
+  | { conflict: true; draft: ServerDraft<T> | null }
+
+/**
+ * Get the current user's draft for a post id (or NEW_DRAFT_KEY); null if none
+ */
+export async function getDraft<T = any>(key: string): Promise<ServerDraft<T> | null> {
+  try {
+    const response = await supabaseAdminGet(`/api/drafts/${key}`)
+    return response.draft || null
+  } catch (error) {
+    if (error instanceof Error && error.message.includes('HTTP 404')) {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Save a draft on top of baseVersion. When the server holds a newer version
+ * the save is rejected and the server's draft is returned instead.
+ */
+export async function saveDraft<T = any>(
+  key: string,
+  data: T,
+  baseVersion: number,
+  clientId: string
+): Promise<SaveDraftResult<T>> {
+  try {
+    const response = await supabaseAdminPut(`/api/drafts/${key}`, {
+      data,
+      base_version: baseVersion,
+      client_id: clientId
+    })
+    return { conflict: false, draft: response.draft }
+  } catch (error: any) {
+    if (error?.status === 409) {
+      return { conflict: true, draft: await getDraft<T>(key) }
+    }
+    throw error
+  }
+}
+
+/**
+ * Discard a draft (after the entry itself has been saved)
+ */
+export async function deleteDraft(key: string): Promise<void> {
+  await supabaseAdminDelete(`/api/drafts/${key}`)
+}
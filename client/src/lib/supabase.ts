@@ -82,7 +82,8 @@ export interface Post {
   reading_time?: number // Estimated reading time in minutes
   excerpt?: string
   cover_image_url?: string
-  status: 'draft' | 'published' | 'archived'
+  status: 'draft' | 'published' | 'scheduled' | 'archived'
+  publish_at?: string | null // Publication time (when a scheduled post goes live)
   created_at: string
   updated_at: string
   profiles?: Profile
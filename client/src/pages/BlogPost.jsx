@@ -1,14 +1,20 @@
 import { useState, useEffect, useRef } from 'react'
-import { useParams, Link, useSearchParams } from 'react-router-dom'
+import { useParams, Link, useSearchParams, useNavigate } from 'react-router-dom'
 import LoadingSpinner from '../components/LoadingSpinner'
+import TableOfContents from '../components/TableOfContents'
+import RelatedEntries from '../components/RelatedEntries'
+import Comments from '../components/Comments'
+import ResponsiveImage from '../components/ResponsiveImage'
 import { postsAPI } from '../utils/api'
 import { formatDate } from '../utils/formatDate'
 import { setDocumentTitle, setMetaDescription } from '../utils/metadata'
+import { renderPostContent, renderHeadingAnchors, loadEmbedOnClick, copyHeadingLinkOnClick } from '../utils/postContent'
 import { BRAND_IMAGES } from '../config/branding'
 
 const BlogPost = () => {
   const { slug } = useParams()
   const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
   const fromDashboard = searchParams.get('from') === 'dashboard'
   const [post, setPost] = useState(null)
   const [loading, setLoading] = useState(true)
@@ -39,6 +45,11 @@ const BlogPost = () => {
         setPost(postData)
         setError(null)
         
+        // An old slug was redirected by the API; show the post's current address
+        if (postData?.slug && postData.slug !== slug) {
+          navigate(`/blog/${postData.slug}${window.location.search}${window.location.hash}`, { replace: true })
+        }
+        
         // Set page metadata when post is loaded
         if (postData) {
           setDocumentTitle(postData.title)
@@ -61,6 +72,18 @@ const BlogPost = () => {
     fetchPost()
   }, [slug, fromDashboard])
 
+  // The content arrives after the browser tried to follow a #section link, so follow it now;
+  // otherwise start at the top (moving between posts keeps the old scroll position)
+  useEffect(() => {
+    if (!post) return
+    if (!window.location.hash) {
+      window.scrollTo(0, 0)
+      return
+    }
+    const id = decodeURIComponent(window.location.hash.slice(1))
+    document.getElementById(id)?.scrollIntoView({ block: 'start' })
+  }, [post])
+
   if (loading) {
     return <LoadingSpinner text="Loading story..." />
   }
@@ -89,6 +112,15 @@ const BlogPost = () => {
   // Get wallpaper - for now use the hero-banner, later can be journal-specific
   const wallpaperUrl = BRAND_IMAGES['hero-banner']
 
+  // A single heading isn't worth a table of contents
+  const outline = post.outline || []
+  const showToc = outline.length >= 2
+
+  const handleContentClick = (event) => {
+    loadEmbedOnClick(event)
+    copyHeadingLinkOnClick(event)
+  }
+
   return (
     <div ref={containerRef} className="min-h-screen relative">
       {/* Fixed Wallpaper Background with Parallax */}
@@ -110,7 +142,7 @@ const BlogPost = () => {
       )}
 
       {/* Content Container - White card with wallpaper visible on sides */}
-      <article className="relative z-10 max-w-4xl mx-auto px-4 py-8">
+      <article className={`relative z-10 ${showToc ? 'max-w-6xl' : 'max-w-4xl'} mx-auto px-4 py-8`}>
         {/* White content background */}
         <div className="bg-white/95 backdrop-blur-sm rounded-lg shadow-xl px-8 md:px-12 py-10">
           {/* Back Link */}
@@ -129,8 +161,10 @@ const BlogPost = () => {
           {/* Featured Image */}
           {post.cover_image_url && (
             <div className="mb-8 rounded-lg overflow-hidden shadow-md">
-              <img 
-                src={post.cover_image_url} 
+              <ResponsiveImage
+                src={post.cover_image_url}
+                variants={post.cover_image_variants}
+                sizes="(min-width: 56rem) 54rem, 100vw"
                 alt={post.cover_image_alt || post.title}
                 className="w-full h-64 md:h-80 object-cover"
               />
@@ -174,14 +208,37 @@ const BlogPost = () => {
             )}
           </header>
 
-          {/* Content */}
-          <div className="prose prose-lg max-w-none">
-            <div 
-              dangerouslySetInnerHTML={{ __html: post.content_html || post.content_text || '' }} 
-              className="leading-relaxed"
-            />
+          {/* Table of Contents - collapsible above the content on small screens */}
+          {showToc && (
+            <details className="lg:hidden mb-8 rounded-lg border border-secondary-200 bg-secondary-50 px-4 py-3">
+              <summary className="cursor-pointer font-medium text-secondary-800">On this page</summary>
+              <TableOfContents outline={outline} title={null} className="mt-3" />
+            </details>
+          )}
+
+          {/* Content, with the Table of Contents beside it on large screens */}
+          <div className={showToc ? 'lg:flex lg:items-start lg:gap-10' : undefined}>
+            <div className="prose prose-lg max-w-none min-w-0 flex-1">
+              <div 
+                onClick={handleContentClick}
+                dangerouslySetInnerHTML={{ __html: renderPostContent(renderHeadingAnchors(post.content_html || post.content_text || '')) }} 
+                className="leading-relaxed"
+              />
+            </div>
+
+            {showToc && (
+              <aside className="hidden lg:block w-56 shrink-0 sticky top-8">
+                <TableOfContents outline={outline} className="max-h-[calc(100vh-4rem)] overflow-y-auto" />
+              </aside>
+            )}
           </div>
 
+          {/* Collection prev/next, backlinks and related posts */}
+          {post.status === 'published' && <RelatedEntries postId={post.id} />}
+
+          {/* Reader comments */}
+          {post.status === 'published' && <Comments postId={post.id} />}
+
           {/* Footer */}
           <footer className="mt-12 pt-8 border-t border-secondary-200">
             <div className="text-center">
@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import LoadingSpinner from '../components/LoadingSpinner'
+import PostCard from '../components/PostCard'
+import JournalWallpaper from '../components/JournalWallpaper'
+import { journalsAPI } from '../utils/api'
+import { setDocumentTitle, setMetaDescription } from '../utils/metadata'
+
+const CollectionPage = () => {
+  const { slug, collectionSlug } = useParams()
+  const [journal, setJournal] = useState(null)
+  const [collection, setCollection] = useState(null)
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchCollection = async () => {
+      try {
+        setLoading(true)
+        const data = await journalsAPI.getCollection(slug, collectionSlug)
+        setJournal(data.journal)
+        setCollection(data.collection)
+        setEntries(data.entries || [])
+        setError(null)
+
+        setDocumentTitle(`${data.collection.name} · ${data.journal.name}`)
+        setMetaDescription(data.collection.description || `Stories from the ${data.collection.name} collection`)
+      } catch (err) {
+        console.error('Failed to fetch collection:', err)
+        setCollection(null)
+        if (err.response?.status === 404) {
+          setError('Collection not found')
+          setDocumentTitle('Collection Not Found')
+        } else {
+          setError('Failed to load collection. Please try again later.')
+          setDocumentTitle('Error Loading Collection')
+        }
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchCollection()
+  }, [slug, collectionSlug])
+
+  if (loading) {
+    return <LoadingSpinner text="Loading collection..." />
+  }
+
+  if (error || !collection) {
+    return (
+      <div className="text-center py-12">
+        <h1 className="text-2xl font-serif font-bold text-secondary-900 mb-4">{error || 'Collection not found'}</h1>
+        <Link to={`/journals/${slug}`} className="btn-primary">← Back to Journal</Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen relative">
+      <JournalWallpaper journal={journal} />
+
+      <div className="relative z-10 max-w-5xl mx-auto px-4 py-8">
+        <div className="bg-white/95 backdrop-blur-sm rounded-lg shadow-xl px-8 md:px-12 py-10">
+          {/* Breadcrumb */}
+          <nav className="mb-6 text-sm text-secondary-600">
+            <Link to="/journals" className="text-primary-600 hover:text-primary-700">Journals</Link>
+            <span className="mx-2">/</span>
+            <Link to={`/journals/${journal.slug}`} className="text-primary-600 hover:text-primary-700">{journal.name}</Link>
+          </nav>
+
+          <header className="flex items-start gap-4 mb-10">
+            <span className="text-5xl" aria-hidden="true">{collection.icon_emoji || '📁'}</span>
+            <div>
+              <h1 className="text-4xl font-serif font-bold text-secondary-900">{collection.name}</h1>
+              {collection.description && (
+                <p className="text-lg text-secondary-600 mt-2">{collection.description}</p>
+              )}
+            </div>
+          </header>
+
+          {/* Entries in curated order */}
+          {entries.length > 0 ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {entries.map((post) => (
+                <PostCard key={post.id} post={post} />
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-12 text-secondary-600">Nothing published in this collection yet</div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CollectionPage
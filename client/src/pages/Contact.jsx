@@ -1,13 +1,69 @@
-import { useEffect } from 'react'
+import { useState, useEffect } from 'react'
 import { setDocumentTitle, setMetaDescription } from '../utils/metadata'
+import { contactAPI } from '../utils/api'
 import BrandImage from '../components/BrandImage'
 
+const EMPTY_FORM = { name: '', email: '', subject: '', message: '', website: '' }
+
+const inputClass = (error) =>
+  `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 ${
+    error ? 'border-red-400' : 'border-secondary-300'
+  }`
+
+const Field = ({ label, name, optional = false, error, children }) => (
+  <div>
+    <label htmlFor={`contact-${name}`} className="block text-sm font-medium text-secondary-700 mb-1">
+      {label}
+      {optional && <span className="text-secondary-400 font-normal"> (optional)</span>}
+    </label>
+    {children}
+    {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+  </div>
+)
+
 const Contact = () => {
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [error, setError] = useState(null)
+  const [sending, setSending] = useState(false)
+  const [sent, setSent] = useState(false)
+
   useEffect(() => {
     setDocumentTitle('Contact')
     setMetaDescription('Get in touch with me. I\'d love to hear from you.')
   }, [])
 
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm(prev => ({ ...prev, [name]: value }))
+    setFieldErrors(prev => ({ ...prev, [name]: null }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    setSending(true)
+    setError(null)
+    setFieldErrors({})
+    try {
+      await contactAPI.sendMessage(form)
+      setForm(EMPTY_FORM)
+      setSent(true)
+    } catch (sendError) {
+      const data = sendError.response?.data
+      if (data?.fields) {
+        // The server returns a list of messages per field; show the first
+        setFieldErrors(Object.fromEntries(
+          Object.entries(data.fields).map(([field, messages]) => [field, messages[0]])
+        ))
+      } else {
+        setError(data?.error || 'Your message could not be sent. Please try again.')
+      }
+    } finally {
+      setSending(false)
+    }
+  }
+
   return (
     <div className="max-w-4xl mx-auto">
       {/* Header */}
@@ -31,48 +87,98 @@ const Contact = () => {
         </p>
       </header>
 
-      {/* Contact Options */}
-      <div className="grid md:grid-cols-2 gap-6 mb-12">
-        {/* Email Card */}
-        <div className="bg-white rounded-lg shadow-sm p-8 text-center hover:shadow-md transition-shadow">
-          <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
-            <svg className="w-8 h-8 text-primary-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
-            </svg>
+      {/* Contact Form */}
+      <div className="bg-white rounded-lg shadow-sm p-8 mb-12">
+        {sent ? (
+          <div className="text-center py-8" role="status">
+            <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <svg className="w-8 h-8 text-primary-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+              </svg>
+            </div>
+            <h2 className="text-xl font-semibold text-secondary-900 mb-2">Message sent</h2>
+            <p className="text-secondary-600 mb-6">Thank you for writing. I'll get back to you as soon as I can.</p>
+            <button type="button" onClick={() => setSent(false)} className="text-primary-600 hover:text-primary-700 font-medium">
+              Send another message
+            </button>
           </div>
-          <h2 className="text-xl font-semibold text-secondary-900 mb-2">Email</h2>
-          <p className="text-secondary-600 mb-4">
-            Send me a message anytime
-          </p>
-          <a 
-            href="mailto:hello@example.com" 
-            className="text-primary-600 hover:text-primary-700 font-medium"
-          >
-            hello@example.com
-          </a>
-        </div>
+        ) : (
+          <form onSubmit={handleSubmit} noValidate className="space-y-5">
+            <div className="grid md:grid-cols-2 gap-5">
+              <Field label="Name" name="name" error={fieldErrors.name}>
+                <input
+                  id="contact-name"
+                  name="name"
+                  type="text"
+                  autoComplete="name"
+                  required
+                  maxLength={100}
+                  value={form.name}
+                  onChange={handleChange}
+                  className={inputClass(fieldErrors.name)}
+                />
+              </Field>
+              <Field label="Email" name="email" error={fieldErrors.email}>
+                <input
+                  id="contact-email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  maxLength={254}
+                  value={form.email}
+                  onChange={handleChange}
+                  className={inputClass(fieldErrors.email)}
+                />
+              </Field>
+            </div>
 
-        {/* Social Card */}
-        <div className="bg-white rounded-lg shadow-sm p-8 text-center hover:shadow-md transition-shadow">
-          <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
-            <svg className="w-8 h-8 text-primary-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 8h2a2 2 0 012 2v6a2 2 0 01-2 2h-2v4l-4-4H9a1.994 1.994 0 01-1.414-.586m0 0L11 14h4a2 2 0 002-2V6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2v4l.586-.586z" />
-            </svg>
-          </div>
-          <h2 className="text-xl font-semibold text-secondary-900 mb-2">Social Media</h2>
-          <p className="text-secondary-600 mb-4">
-            Connect with me online
-          </p>
-          <div className="flex justify-center gap-4">
-            <a 
-              href="#" 
-              className="text-primary-600 hover:text-primary-700 font-medium"
-              aria-label="Social Media"
-            >
-              Follow
-            </a>
-          </div>
-        </div>
+            <Field label="Subject" name="subject" optional error={fieldErrors.subject}>
+              <input
+                id="contact-subject"
+                name="subject"
+                type="text"
+                maxLength={200}
+                value={form.subject}
+                onChange={handleChange}
+                className={inputClass(fieldErrors.subject)}
+              />
+            </Field>
+
+            <Field label="Message" name="message" error={fieldErrors.message}>
+              <textarea
+                id="contact-message"
+                name="message"
+                rows={6}
+                required
+                maxLength={5000}
+                value={form.message}
+                onChange={handleChange}
+                className={inputClass(fieldErrors.message)}
+              />
+            </Field>
+
+            {/* Honeypot: hidden from people, left filled in by bots */}
+            <div className="absolute -left-[10000px]" aria-hidden="true">
+              <label htmlFor="contact-website">Website</label>
+              <input
+                id="contact-website"
+                name="website"
+                type="text"
+                tabIndex={-1}
+                autoComplete="off"
+                value={form.website}
+                onChange={handleChange}
+              />
+            </div>
+
+            {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+
+            <button type="submit" disabled={sending} className="btn-primary disabled:opacity-50">
+              {sending ? 'Sending...' : 'Send message'}
+            </button>
+          </form>
+        )}
       </div>
 
       {/* Additional Info */}
@@ -83,7 +189,7 @@ const Contact = () => {
         <p className="text-secondary-700 leading-relaxed max-w-2xl mx-auto">
           Whether you have a question, want to share your thoughts on a story, 
           or just want to say hello, I'm always happy to hear from readers. 
-          Feel free to reach out through any of the channels above.
+          Feel free to reach out using the form above.
         </p>
       </div>
     </div>
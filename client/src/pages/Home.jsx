@@ -2,9 +2,10 @@ import { useEffect, useState, useRef } from 'react'
 import { Link } from 'react-router-dom'
 import { SITE_NAME } from '../config/branding'
 import { setDocumentTitle, setMetaDescription } from '../utils/metadata'
-import { getPageWallpaper, getUniversalWallpaper } from '../lib/wallpaperApi'
+import { usePublishedLayout } from '../hooks/usePublishedLayout'
+import PublishedLayout from '../components/PublishedLayout'
 
-// Test data for cards - with grid positioning for Pinterest-style layout
+// Fallback cards shown until a Card Builder layout is published for 'home'
 // gridArea format: "rowStart / colStart / rowEnd / colEnd"
 const CARD_DATA = [
   {
@@ -211,26 +212,10 @@ const Card = ({ data }) => {
 
 const Home = () => {
   const [scrollProgress, setScrollProgress] = useState(0)
-  const [pageWallpaper, setPageWallpaper] = useState(null)
   const containerRef = useRef(null)
 
-  // Load page wallpaper from Supabase (with universal fallback)
-  useEffect(() => {
-    const loadWallpaper = async () => {
-      // First try to get page-specific wallpaper
-      const { data, error } = await getPageWallpaper('home')
-      if (!error && data) {
-        setPageWallpaper(data)
-      } else {
-        // Fallback to universal wallpaper
-        const { data: universal } = await getUniversalWallpaper()
-        if (universal?.wallpaper) {
-          setPageWallpaper(universal.wallpaper)
-        }
-      }
-    }
-    loadWallpaper()
-  }, [])
+  // Published Card Builder layout + wallpaper (with universal fallback)
+  const { layout, settings, wallpaper: pageWallpaper, loading: layoutLoading } = usePublishedLayout('home')
 
   useEffect(() => {
     setDocumentTitle()
@@ -308,34 +293,43 @@ const Home = () => {
 
   return (
     <div ref={containerRef}>
-      {/* Fixed Wallpaper with parallax */}
-      <div className="fixed top-0 left-0 right-0 w-full h-screen overflow-hidden z-0">
-        {pageWallpaper?.url ? (
-          <img 
-            src={pageWallpaper.url} 
-            alt={pageWallpaper.alt || 'Page wallpaper'}
-            className="w-full object-cover"
-            style={{
-              height: '150vh',
-              transform: `translateY(-${imageOffset}px)`,
-              filter: pageWallpaper.blur ? `blur(${pageWallpaper.blur}px)` : 'none'
-            }}
-            loading="eager"
-          />
-        ) : (
-          <div className="w-full h-full flex items-center justify-center border-4 border-dashed border-gray-300 bg-gray-100">
-            <div className="text-center text-gray-400">
-              <svg className="w-16 h-16 mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
-              </svg>
-              <p className="text-xl font-medium">No Wallpaper Set</p>
-              <p className="text-sm mt-1">Set wallpaper in Dashboard → Web UI → Home</p>
+      {layout ? (
+        <PublishedLayout
+          layout={layout}
+          settings={settings}
+          wallpaper={pageWallpaper}
+          scrollY={scrollProgress}
+        />
+      ) : (
+        /* Fixed Wallpaper with parallax */
+        <div className="fixed top-0 left-0 right-0 w-full h-screen overflow-hidden z-0">
+          {pageWallpaper?.url ? (
+            <img 
+              src={pageWallpaper.url} 
+              alt={pageWallpaper.alt || 'Page wallpaper'}
+              className="w-full object-cover"
+              style={{
+                height: '150vh',
+                transform: `translateY(-${imageOffset}px)`,
+                filter: pageWallpaper.blur ? `blur(${pageWallpaper.blur}px)` : 'none'
+              }}
+              loading="eager"
+            />
+          ) : !layoutLoading && (
+            <div className="w-full h-full flex items-center justify-center border-4 border-dashed border-gray-300 bg-gray-100">
+              <div className="text-center text-gray-400">
+                <svg className="w-16 h-16 mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                </svg>
+                <p className="text-xl font-medium">No Wallpaper Set</p>
+                <p className="text-sm mt-1">Set wallpaper in Dashboard → Web UI → Home</p>
+              </div>
             </div>
-          </div>
-        )}
-        {/* Dark overlay for better text readability */}
-        <div className="absolute inset-0 bg-black/30" />
-      </div>
+          )}
+          {/* Dark overlay for better text readability */}
+          <div className="absolute inset-0 bg-black/30" />
+        </div>
+      )}
 
       {/* Welcome Text with scroll effects */}
       <div className="fixed inset-0 z-30 pointer-events-none" role="banner" aria-label="Welcome section">
@@ -361,34 +355,35 @@ const Home = () => {
         </div>
       </div>
 
-      {/* Scrollable Cards Section */}
-      <div className="relative z-20 pt-[70vh]">
-        <div className="w-full px-4 md:px-6 lg:px-8 py-8">
-          {/* Pinterest-style CSS Grid */}
-          <div 
-            className="grid gap-6"
-            style={{
-              gridTemplateColumns: 'repeat(5, 1fr)',
-              gridTemplateRows: 'repeat(6, 180px)',
-            }}
-          >
-            {CARD_DATA.map((card) => (
-              <div 
-                key={card.id} 
-                style={{ gridArea: card.gridArea }}
-              >
-                <Card data={card} />
-              </div>
-            ))}
+      {/* Scrollable Cards Section - fallback until a layout is published */}
+      {!layout && !layoutLoading && (
+        <div className="relative z-20 pt-[70vh]">
+          <div className="w-full px-4 md:px-6 lg:px-8 py-8">
+            {/* Pinterest-style CSS Grid */}
+            <div 
+              className="grid gap-6"
+              style={{
+                gridTemplateColumns: 'repeat(5, 1fr)',
+                gridTemplateRows: 'repeat(6, 180px)',
+              }}
+            >
+              {CARD_DATA.map((card) => (
+                <div 
+                  key={card.id} 
+                  style={{ gridArea: card.gridArea }}
+                >
+                  <Card data={card} />
+                </div>
+              ))}
+            </div>
           </div>
+          
+          {/* Bottom padding for scroll space */}
+          <div className="h-32" />
         </div>
-        
-        {/* Bottom padding for scroll space */}
-        <div className="h-32" />
-      </div>
+      )}
     </div>
   )
 }
 
 export default Home
-
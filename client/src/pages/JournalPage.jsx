@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import LoadingSpinner from '../components/LoadingSpinner'
+import PostCard from '../components/PostCard'
+import JournalIcon from '../components/JournalIcon'
+import JournalWallpaper from '../components/JournalWallpaper'
+import { journalsAPI } from '../utils/api'
+import { buildApiUrl } from '../lib/apiBase'
+import { setDocumentTitle, setMetaDescription } from '../utils/metadata'
+
+const JournalPage = () => {
+  const { slug } = useParams()
+  const [journal, setJournal] = useState(null)
+  const [collections, setCollections] = useState([])
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchJournal = async () => {
+      try {
+        setLoading(true)
+        const data = await journalsAPI.getJournal(slug)
+        setJournal(data.journal)
+        setCollections(data.collections || [])
+        setEntries(data.entries || [])
+        setError(null)
+
+        setDocumentTitle(data.journal.name)
+        setMetaDescription(data.journal.description || `Stories from the ${data.journal.name} journal`)
+      } catch (err) {
+        console.error('Failed to fetch journal:', err)
+        setJournal(null)
+        if (err.response?.status === 404) {
+          setError('Journal not found')
+          setDocumentTitle('Journal Not Found')
+        } else {
+          setError('Failed to load journal. Please try again later.')
+          setDocumentTitle('Error Loading Journal')
+        }
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchJournal()
+  }, [slug])
+
+  if (loading) {
+    return <LoadingSpinner text="Loading journal..." />
+  }
+
+  if (error || !journal) {
+    return (
+      <div className="text-center py-12">
+        <h1 className="text-2xl font-serif font-bold text-secondary-900 mb-4">{error || 'Journal not found'}</h1>
+        <Link to="/journals" className="btn-primary">← Back to Journals</Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen relative">
+      <JournalWallpaper journal={journal} />
+
+      <div className="relative z-10 max-w-5xl mx-auto px-4 py-8">
+        <div className="bg-white/95 backdrop-blur-sm rounded-lg shadow-xl px-8 md:px-12 py-10">
+          <div className="mb-6">
+            <Link
+              to="/journals"
+              className="inline-flex items-center text-primary-600 hover:text-primary-700 font-medium transition-colors"
+            >
+              ← All Journals
+            </Link>
+          </div>
+
+          <header className="flex items-start gap-4 mb-10">
+            <JournalIcon journal={journal} className="w-14 h-14 text-5xl" />
+            <div>
+              <h1 className="text-4xl font-serif font-bold text-secondary-900">{journal.name}</h1>
+              {journal.description && (
+                <p className="text-lg text-secondary-600 mt-2">{journal.description}</p>
+              )}
+              <a
+                href={buildApiUrl(`/journals/${journal.slug}/feed.xml`)}
+                className="inline-block mt-3 text-sm text-primary-600 hover:text-primary-700"
+              >
+                Subscribe via RSS
+              </a>
+            </div>
+          </header>
+
+          {/* Collections in curated order */}
+          {collections.length > 0 && (
+            <section className="mb-10">
+              <h2 className="text-2xl font-serif font-semibold text-secondary-900 mb-4">Collections</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {collections.map((collection) => (
+                  <Link
+                    key={collection.id}
+                    to={`/journals/${journal.slug}/${collection.slug}`}
+                    className="group flex gap-3 p-4 bg-white rounded-lg border border-secondary-200 hover:shadow-md transition-shadow"
+                  >
+                    <span className="text-2xl" aria-hidden="true">{collection.icon_emoji || '📁'}</span>
+                    <div className="min-w-0">
+                      <h3 className="font-semibold text-secondary-900 group-hover:text-primary-600 transition-colors">
+                        {collection.name}
+                      </h3>
+                      {collection.description && (
+                        <p className="text-sm text-secondary-600 line-clamp-2">{collection.description}</p>
+                      )}
+                    </div>
+                  </Link>
+                ))}
+              </div>
+            </section>
+          )}
+
+          {/* Entries assigned directly to the journal */}
+          {entries.length > 0 && (
+            <section>
+              <h2 className="text-2xl font-serif font-semibold text-secondary-900 mb-4">Entries</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {entries.map((post) => (
+                  <PostCard key={post.id} post={post} />
+                ))}
+              </div>
+            </section>
+          )}
+
+          {collections.length === 0 && entries.length === 0 && (
+            <div className="text-center py-12 text-secondary-600">Nothing published in this journal yet</div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default JournalPage
@@ -0,0 +1,89 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import LoadingSpinner from '../components/LoadingSpinner'
+import JournalIcon from '../components/JournalIcon'
+import JournalWallpaper from '../components/JournalWallpaper'
+import { journalsAPI } from '../utils/api'
+import { SITE_NAME } from '../config/branding'
+import { setDocumentTitle, setMetaDescription } from '../utils/metadata'
+
+const JournalsPage = () => {
+  const [journals, setJournals] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    setDocumentTitle('Journals')
+    setMetaDescription(`Browse the journals and collections on ${SITE_NAME}.`)
+
+    const fetchJournals = async () => {
+      try {
+        setLoading(true)
+        const data = await journalsAPI.getJournals()
+        setJournals(data?.journals || [])
+        setError(null)
+      } catch (err) {
+        console.error('Failed to fetch journals:', err)
+        setError('Failed to load journals. Please try again later.')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchJournals()
+  }, [])
+
+  return (
+    <div className="min-h-screen relative">
+      <JournalWallpaper />
+
+      <div className="relative z-10 max-w-5xl mx-auto px-4 py-8">
+        <div className="bg-white/95 backdrop-blur-sm rounded-lg shadow-xl px-8 md:px-12 py-10">
+          <header className="mb-8">
+            <h1 className="text-4xl font-serif font-bold text-secondary-900 mb-2">Journals</h1>
+            <p className="text-lg text-secondary-600">Stories gathered by theme</p>
+          </header>
+
+          {loading && <LoadingSpinner text="Loading journals..." />}
+
+          {!loading && error && (
+            <div className="text-center py-8 text-red-600">{error}</div>
+          )}
+
+          {!loading && !error && journals.length === 0 && (
+            <div className="text-center py-12 text-secondary-600">No journals yet</div>
+          )}
+
+          {!loading && !error && journals.length > 0 && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {journals.map((journal) => (
+                <Link
+                  key={journal.id}
+                  to={`/journals/${journal.slug}`}
+                  className="group flex gap-4 p-6 bg-white rounded-lg border border-secondary-200 hover:shadow-md transition-shadow"
+                >
+                  <JournalIcon journal={journal} />
+                  <div className="min-w-0">
+                    <h2 className="text-xl font-serif font-semibold text-secondary-900 group-hover:text-primary-600 transition-colors">
+                      {journal.name}
+                    </h2>
+                    {journal.description && (
+                      <p className="text-secondary-600 mt-1 line-clamp-2">{journal.description}</p>
+                    )}
+                    {journal.collection_count > 0 && (
+                      <p className="text-sm text-secondary-500 mt-2">
+                        {journal.collection_count} {journal.collection_count === 1 ? 'collection' : 'collections'}
+                      </p>
+                    )}
+                  </div>
+                </Link>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default JournalsPage
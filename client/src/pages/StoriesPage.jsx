@@ -1,38 +1,110 @@
 import { useState, useEffect } from 'react'
 import { Link, useSearchParams } from 'react-router-dom'
-import { queryPosts } from '../data/postApi'
+import { searchAPI, labelsAPI } from '../utils/api'
+import ResponsiveImage, { CARD_IMAGE_SIZES } from '../components/ResponsiveImage'
 import { setDocumentTitle, setMetaDescription } from '../utils/metadata'
+import { formatDate } from '../utils/formatDate'
+
+const PAGE_SIZE = 9
+
+// Reading time buckets (minutes) mapped to min_reading/max_reading
+const READING_TIMES = [
+  { value: 'short', label: 'Under 5 min', max: 4 },
+  { value: 'medium', label: '5–15 min', min: 5, max: 15 },
+  { value: 'long', label: 'Over 15 min', min: 16 }
+]
+
+// URL params that narrow the results
+const FILTER_PARAMS = ['q', 'label', 'journal', 'from', 'to', 'reading']
+
+// The date inputs are inclusive; the API's `to` is exclusive
+const nextDay = (date) => {
+  const d = new Date(`${date}T00:00:00`)
+  d.setDate(d.getDate() + 1)
+  return d.toISOString()
+}
 
 export default function StoriesPage() {
   const [searchParams, setSearchParams] = useSearchParams()
   const [posts, setPosts] = useState([])
   const [totalPages, setTotalPages] = useState(1)
   const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [labels, setLabels] = useState([])
+  const [facets, setFacets] = useState({ labels: [], journals: [] })
 
   const q = searchParams.get('q') || ''
-  const tag = searchParams.get('tag') || ''
-  const page = parseInt(searchParams.get('page') || '1')
+  const label = searchParams.get('label') || ''
+  const journal = searchParams.get('journal') || ''
+  const from = searchParams.get('from') || ''
+  const to = searchParams.get('to') || ''
+  const reading = searchParams.get('reading') || ''
+  const sort = searchParams.get('sort') || 'relevance'
+  const page = Math.max(1, parseInt(searchParams.get('page') || '1') || 1)
 
-  const availableTags = ['personal', 'insight', 'community', 'news']
+  const hasFilters = FILTER_PARAMS.some(param => searchParams.get(param))
+  const labelCounts = Object.fromEntries(facets.labels.map(f => [f.slug, f.count]))
+
+  const activeLabel = labels.find(l => l.slug === label)
+  const labelName = activeLabel?.name || label
+
+  // Filter chips come from the labels table
+  useEffect(() => {
+    labelsAPI.getAllLabels()
+      .then(data => setLabels(Array.isArray(data) ? data : []))
+      .catch(() => setLabels([]))
+  }, [])
 
   useEffect(() => {
     // Set page metadata
-    const pageTitle = q ? `Search: "${q}"` : tag ? `Tag: ${tag}` : 'Stories'
+    const pageTitle = q ? `Search: "${q}"` : label ? `Label: ${labelName}` : 'Stories'
     const pageDescription = q 
       ? `Search results for "${q}" on dahligarciamarquez`
-      : tag 
-      ? `Stories tagged with "${tag}" on dahligarciamarquez`
+      : label 
+      ? `Stories labeled "${labelName}" on dahligarciamarquez`
       : 'Browse all stories and experiences on dahligarciamarquez'
     
     setDocumentTitle(pageTitle)
     setMetaDescription(pageDescription)
-    
-    setLoading(true)
-    const result = queryPosts({ q, tag, page, pageSize: 9 })
-    setPosts(result.items)
-    setTotalPages(result.totalPages)
-    setLoading(false)
-  }, [q, tag, page])
+  }, [q, label, labelName])
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchPosts = async () => {
+      setLoading(true)
+      setError(null)
+      try {
+        const readingTime = READING_TIMES.find(r => r.value === reading)
+        const data = await searchAPI.search({
+          page,
+          limit: PAGE_SIZE,
+          ...(q && { q, sort }),
+          ...(label && { label }),
+          ...(journal && { journal }),
+          ...(from && { from: new Date(`${from}T00:00:00`).toISOString() }),
+          ...(to && { to: nextDay(to) }),
+          ...(readingTime?.min !== undefined && { min_reading: readingTime.min }),
+          ...(readingTime?.max !== undefined && { max_reading: readingTime.max })
+        })
+        if (cancelled) return
+        setPosts(data.items || [])
+        setFacets(data.facets || { labels: [], journals: [] })
+        setTotalPages(Math.max(1, Math.ceil((data.total || 0) / (data.limit || PAGE_SIZE))))
+      } catch (err) {
+        if (cancelled) return
+        setError('Failed to load stories')
+        setPosts([])
+        setFacets({ labels: [], journals: [] })
+        setTotalPages(1)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchPosts()
+    return () => { cancelled = true }
+  }, [q, label, journal, from, to, reading, sort, page])
 
   const handleSearch = (e) => {
     e.preventDefault()
@@ -48,29 +120,32 @@ export default function StoriesPage() {
     setSearchParams(newParams)
   }
 
-  const handleTagFilter = (selectedTag) => {
+  const handleLabelFilter = (selectedLabel) => {
     const newParams = new URLSearchParams(searchParams)
-    if (selectedTag === tag) {
-      newParams.delete('tag') // Remove filter if clicking same tag
+    if (!selectedLabel || selectedLabel === label) {
+      newParams.delete('label') // Remove filter if clicking same label
     } else {
-      newParams.set('tag', selectedTag)
+      newParams.set('label', selectedLabel)
     }
-    newParams.delete('page') // Reset to page 1 on tag change
+    newParams.delete('page') // Reset to page 1 on label change
     setSearchParams(newParams)
   }
 
-  const handlePageChange = (newPage) => {
+  const handleFilterChange = (name, value) => {
     const newParams = new URLSearchParams(searchParams)
-    newParams.set('page', newPage.toString())
+    if (value) {
+      newParams.set(name, value)
+    } else {
+      newParams.delete(name)
+    }
+    newParams.delete('page') // Reset to page 1 on filter change
     setSearchParams(newParams)
   }
 
-  const formatDate = (isoString) => {
-    return new Date(isoString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    })
+  const handlePageChange = (newPage) => {
+    const newParams = new URLSearchParams(searchParams)
+    newParams.set('page', newPage.toString())
+    setSearchParams(newParams)
   }
 
   return (
@@ -100,29 +175,99 @@ export default function StoriesPage() {
           </button>
         </form>
 
-        {/* Tag filters */}
-        <div className="flex flex-wrap gap-2">
-          <span className="text-sm text-secondary-600 py-2">Filter by tag:</span>
-          {availableTags.map((tagOption) => (
-            <button
-              key={tagOption}
-              onClick={() => handleTagFilter(tagOption)}
-              className={`px-3 py-1 rounded-full text-sm transition-colors ${
-                tag === tagOption
-                  ? 'bg-primary-600 text-white'
-                  : 'bg-secondary-200 text-secondary-700 hover:bg-secondary-300'
-              }`}
+        {/* Label filters */}
+        {labels.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            <span className="text-sm text-secondary-600 py-2">Filter by label:</span>
+            {labels.map((labelOption) => (
+              <button
+                key={labelOption.id}
+                onClick={() => handleLabelFilter(labelOption.slug)}
+                className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                  label === labelOption.slug
+                    ? 'bg-primary-600 text-white'
+                    : 'bg-secondary-200 text-secondary-700 hover:bg-secondary-300'
+                }`}
+              >
+                {labelOption.name}
+                {labelCounts[labelOption.slug] !== undefined && (
+                  <span className="ml-1 opacity-75">({labelCounts[labelOption.slug]})</span>
+                )}
+              </button>
+            ))}
+            {label && (
+              <button
+                onClick={() => handleLabelFilter('')}
+                className="px-3 py-1 rounded-full text-sm bg-red-100 text-red-700 hover:bg-red-200"
+              >
+                Clear filter
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Journal, date and reading time filters */}
+        <div className="flex flex-wrap items-end gap-4 text-sm">
+          <label className="flex flex-col gap-1 text-secondary-600">
+            Journal
+            <select
+              value={journal}
+              onChange={(e) => handleFilterChange('journal', e.target.value)}
+              className="px-3 py-2 border border-secondary-300 rounded-lg bg-white"
             >
-              {tagOption}
-            </button>
-          ))}
-          {tag && (
-            <button
-              onClick={() => handleTagFilter('')}
-              className="px-3 py-1 rounded-full text-sm bg-red-100 text-red-700 hover:bg-red-200"
+              <option value="">All journals</option>
+              {facets.journals.map((journalOption) => (
+                <option key={journalOption.slug} value={journalOption.slug}>
+                  {journalOption.name} ({journalOption.count})
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-secondary-600">
+            From
+            <input
+              type="date"
+              value={from}
+              max={to || undefined}
+              onChange={(e) => handleFilterChange('from', e.target.value)}
+              className="px-3 py-2 border border-secondary-300 rounded-lg"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-secondary-600">
+            To
+            <input
+              type="date"
+              value={to}
+              min={from || undefined}
+              onChange={(e) => handleFilterChange('to', e.target.value)}
+              className="px-3 py-2 border border-secondary-300 rounded-lg"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-secondary-600">
+            Reading time
+            <select
+              value={reading}
+              onChange={(e) => handleFilterChange('reading', e.target.value)}
+              className="px-3 py-2 border border-secondary-300 rounded-lg bg-white"
             >
-              Clear filter
-            </button>
+              <option value="">Any length</option>
+              {READING_TIMES.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          {q && (
+            <label className="flex flex-col gap-1 text-secondary-600">
+              Sort
+              <select
+                value={sort}
+                onChange={(e) => handleFilterChange('sort', e.target.value === 'relevance' ? '' : e.target.value)}
+                className="px-3 py-2 border border-secondary-300 rounded-lg bg-white"
+              >
+                <option value="relevance">Best match</option>
+                <option value="recent">Newest first</option>
+              </select>
+            </label>
           )}
         </div>
       </div>
@@ -134,6 +279,13 @@ export default function StoriesPage() {
         </div>
       )}
 
+      {/* Error state */}
+      {!loading && error && (
+        <div className="text-center py-8">
+          <div className="text-red-600">{error}</div>
+        </div>
+      )}
+
       {/* Posts grid */}
       {!loading && posts.length > 0 && (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
@@ -143,32 +295,50 @@ export default function StoriesPage() {
               to={`/stories/${post.slug}`}
               className="group block bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow overflow-hidden"
             >
-              {post.coverImageUrl && (
+              {post.cover_image_url && (
                 <div className="aspect-video overflow-hidden">
-                  <img
-                    src={post.coverImageUrl}
-                    alt={post.title}
+                  <ResponsiveImage
+                    src={post.cover_image_url}
+                    variants={post.cover_image_variants}
+                    sizes={CARD_IMAGE_SIZES}
+                    alt={post.cover_image_alt || post.title}
                     className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300"
                   />
                 </div>
               )}
               <div className="p-6">
                 <div className="flex flex-wrap gap-1 mb-2">
-                  {post.tags.map((postTag) => (
+                  {(post.post_labels || []).filter(pl => pl.labels).map((pl) => (
                     <span
-                      key={postTag}
+                      key={pl.labels.slug}
                       className="px-2 py-1 text-xs bg-secondary-100 text-secondary-600 rounded-full"
                     >
-                      {postTag}
+                      {pl.labels.name}
                     </span>
                   ))}
                 </div>
-                <h2 className="text-xl font-serif font-semibold text-secondary-900 mb-2 group-hover:text-primary-600 transition-colors">
-                  {post.title}
-                </h2>
-                <p className="text-secondary-600 mb-3 line-clamp-2">{post.excerpt}</p>
+                {/* Highlights are escaped server-side; only <mark> is added */}
+                {post.title_highlight ? (
+                  <h2
+                    className="text-xl font-serif font-semibold text-secondary-900 mb-2 group-hover:text-primary-600 transition-colors [&_mark]:bg-yellow-100 [&_mark]:text-inherit"
+                    dangerouslySetInnerHTML={{ __html: post.title_highlight }}
+                  />
+                ) : (
+                  <h2 className="text-xl font-serif font-semibold text-secondary-900 mb-2 group-hover:text-primary-600 transition-colors">
+                    {post.title}
+                  </h2>
+                )}
+                {post.snippet ? (
+                  <p
+                    className="text-secondary-600 mb-3 line-clamp-3 [&_mark]:bg-yellow-100 [&_mark]:text-inherit"
+                    dangerouslySetInnerHTML={{ __html: post.snippet }}
+                  />
+                ) : (
+                  <p className="text-secondary-600 mb-3 line-clamp-2">{post.excerpt}</p>
+                )}
                 <div className="text-sm text-secondary-500">
-                  {formatDate(post.publishedAt)}
+                  {formatDate(post.publish_at || post.created_at)}
+                  {post.reading_time ? ` · ${post.reading_time} min read` : ''}
                 </div>
               </div>
             </Link>
@@ -177,10 +347,10 @@ export default function StoriesPage() {
       )}
 
       {/* No results */}
-      {!loading && posts.length === 0 && (
+      {!loading && !error && posts.length === 0 && (
         <div className="text-center py-12">
           <div className="text-secondary-600 mb-4">No stories found</div>
-          {(q || tag) && (
+          {hasFilters && (
             <button
               onClick={() => setSearchParams(new URLSearchParams())}
               className="text-primary-600 hover:text-primary-700"
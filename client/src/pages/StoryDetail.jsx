@@ -1,51 +1,59 @@
 import { useState, useEffect } from 'react'
-import { useParams, Link } from 'react-router-dom'
-import { getPostBySlug } from '../data/postApi'
+import { useParams, Link, useNavigate } from 'react-router-dom'
+import { postsAPI } from '../utils/api'
+import ResponsiveImage from '../components/ResponsiveImage'
+import { setDocumentTitle, setMetaDescription } from '../utils/metadata'
+import { formatDate } from '../utils/formatDate'
+import { renderPostContent, loadEmbedOnClick } from '../utils/postContent'
 
 export default function StoryDetail() {
   const { slug } = useParams()
+  const navigate = useNavigate()
   const [post, setPost] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
 
   useEffect(() => {
-    setLoading(true)
-    const foundPost = getPostBySlug(slug)
-    setPost(foundPost)
-    setLoading(false)
-  }, [slug])
+    let cancelled = false
 
-  const formatDate = (isoString) => {
-    return new Date(isoString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    })
-  }
+    const fetchPost = async () => {
+      setLoading(true)
+      setError(null)
+      try {
+        const data = await postsAPI.getPostBySlug(slug)
+        // Handle API response format: { post: {...} }
+        const postData = data?.post || data
+        if (cancelled) return
+        setPost(postData)
 
-  const renderContent = (content) => {
-    // Simple markdown-like rendering for headers
-    if (content.startsWith('#')) {
-      return (
-        <div className="prose prose-lg max-w-none prose-headings:font-serif prose-headings:text-secondary-900 prose-p:text-secondary-700 prose-p:leading-relaxed">
-          {content.split('\n').map((line, index) => {
-            if (line.startsWith('# ')) {
-              return <h1 key={index} className="text-4xl font-serif font-bold text-secondary-900 mb-6">{line.slice(2)}</h1>
-            } else if (line.startsWith('## ')) {
-              return <h2 key={index} className="text-3xl font-serif font-semibold text-secondary-900 mb-4 mt-8">{line.slice(3)}</h2>
-            } else if (line.startsWith('### ')) {
-              return <h3 key={index} className="text-2xl font-serif font-semibold text-secondary-900 mb-3 mt-6">{line.slice(4)}</h3>
-            } else if (line.trim() === '') {
-              return <br key={index} />
-            } else {
-              return <p key={index} className="text-secondary-700 leading-relaxed mb-4">{line}</p>
-            }
-          })}
-        </div>
-      )
-    } else {
-      return <pre className="whitespace-pre-wrap text-secondary-700 leading-relaxed">{content}</pre>
+        // An old slug was redirected by the API; show the post's current address
+        if (postData?.slug && postData.slug !== slug) {
+          navigate(`/stories/${postData.slug}`, { replace: true })
+        }
+
+        if (postData) {
+          setDocumentTitle(postData.title)
+          setMetaDescription(postData.excerpt || `Read "${postData.title}" and more stories on dahligarciamarquez`)
+        }
+      } catch (err) {
+        if (cancelled) return
+        setPost(null)
+        if (err.response?.status === 404) {
+          setDocumentTitle('Story Not Found')
+        } else {
+          setError('Failed to load story. Please try again later.')
+          setDocumentTitle('Error Loading Story')
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
     }
-  }
+
+    fetchPost()
+    return () => { cancelled = true }
+  }, [slug])
+
+  const labels = (post?.post_labels || []).map(pl => pl.labels).filter(Boolean)
 
   if (loading) {
     return (
@@ -57,12 +65,14 @@ export default function StoryDetail() {
     )
   }
 
-  if (!post) {
+  if (error || !post) {
     return (
       <div className="max-w-4xl mx-auto">
         <div className="text-center py-12">
-          <h1 className="text-2xl font-serif font-bold text-secondary-900 mb-4">Story Not Found</h1>
-          <p className="text-secondary-600 mb-6">The story you're looking for doesn't exist.</p>
+          <h1 className="text-2xl font-serif font-bold text-secondary-900 mb-4">
+            {error ? 'Something Went Wrong' : 'Story Not Found'}
+          </h1>
+          <p className="text-secondary-600 mb-6">{error || "The story you're looking for doesn't exist."}</p>
           <Link
             to="/stories"
             className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
@@ -87,11 +97,13 @@ export default function StoryDetail() {
       </div>
 
       {/* Cover image */}
-      {post.coverImageUrl && (
+      {post.cover_image_url && (
         <div className="aspect-video md:aspect-[2/1] overflow-hidden rounded-lg mb-8">
-          <img
-            src={post.coverImageUrl}
-            alt={post.title}
+          <ResponsiveImage
+            src={post.cover_image_url}
+            variants={post.cover_image_variants}
+            sizes="(min-width: 56rem) 54rem, 100vw"
+            alt={post.cover_image_alt || post.title}
             className="w-full h-full object-cover"
           />
         </div>
@@ -100,13 +112,13 @@ export default function StoryDetail() {
       {/* Article header */}
       <header className="mb-8">
         <div className="flex flex-wrap gap-2 mb-4">
-          {post.tags.map((tag) => (
+          {labels.map((label) => (
             <Link
-              key={tag}
-              to={`/stories?tag=${tag}`}
+              key={label.slug}
+              to={`/stories?label=${encodeURIComponent(label.slug)}`}
               className="px-3 py-1 text-sm bg-secondary-100 text-secondary-600 rounded-full hover:bg-secondary-200 transition-colors"
             >
-              {tag}
+              {label.name}
             </Link>
           ))}
         </div>
@@ -116,9 +128,12 @@ export default function StoryDetail() {
         </h1>
         
         <div className="flex items-center text-secondary-600 mb-6">
-          <time dateTime={post.publishedAt}>
-            {formatDate(post.publishedAt)}
+          <time dateTime={post.created_at}>
+            {formatDate(post.created_at)}
           </time>
+          {post.reading_time && (
+            <span className="ml-4">{post.reading_time} min read</span>
+          )}
         </div>
 
         {post.excerpt && (
@@ -129,8 +144,8 @@ export default function StoryDetail() {
       </header>
 
       {/* Article content */}
-      <article className="mb-12">
-        {renderContent(post.content)}
+      <article className="mb-12 prose prose-lg max-w-none prose-headings:font-serif prose-headings:text-secondary-900 prose-p:text-secondary-700 prose-p:leading-relaxed">
+        <div onClick={loadEmbedOnClick} dangerouslySetInnerHTML={{ __html: renderPostContent(post.content_html || post.content_text) }} />
       </article>
 
       {/* Footer */}
@@ -144,7 +159,7 @@ export default function StoryDetail() {
           </Link>
           
           <div className="text-sm text-secondary-500">
-            Published {formatDate(post.publishedAt)}
+            Published {formatDate(post.created_at)}
           </div>
         </div>
       </footer>
@@ -12,10 +12,11 @@ const api = axios.create({
 
 // Posts API
 export const postsAPI = {
-  // Get all posts
-  getAllPosts: async () => {
+  // Get published posts
+  // params: { page, limit, label, search } - all optional, filtered server-side
+  getAllPosts: async (params = {}) => {
     try {
-      const response = await api.get('/posts')
+      const response = await api.get('/posts', { params })
       return response.data
     } catch (error) {
       console.error('Error fetching posts:', error)
@@ -57,6 +58,151 @@ export const postsAPI = {
       throw error
     }
   },
+
+  // Related posts, backlinks and previous/next within the post's collections
+  // Returns { related, backlinks, collections }
+  getRelated: async (id) => {
+    try {
+      const response = await api.get(`/posts/${id}/related`)
+      return response.data
+    } catch (error) {
+      console.error('Error fetching related posts:', error)
+      throw error
+    }
+  },
+}
+
+// Journals API (public browsing: published journals and collections only)
+export const journalsAPI = {
+  // Get all published journals in curated order
+  getJournals: async () => {
+    try {
+      const response = await api.get('/journals')
+      return response.data
+    } catch (error) {
+      console.error('Error fetching journals:', error)
+      throw error
+    }
+  },
+
+  // Get a journal with its collections and direct entries
+  getJournal: async (slug) => {
+    try {
+      const response = await api.get(`/journals/${encodeURIComponent(slug)}`)
+      return response.data
+    } catch (error) {
+      console.error('Error fetching journal:', error)
+      throw error
+    }
+  },
+
+  // Get a collection (within a journal) with its entries
+  getCollection: async (slug, collectionSlug) => {
+    try {
+      const response = await api.get(`/journals/${encodeURIComponent(slug)}/${encodeURIComponent(collectionSlug)}`)
+      return response.data
+    } catch (error) {
+      console.error('Error fetching collection:', error)
+      throw error
+    }
+  },
+}
+
+// Labels API
+export const labelsAPI = {
+  // Get all labels (used for public filter chips)
+  getAllLabels: async () => {
+    try {
+      const response = await api.get('/labels')
+      return response.data
+    } catch (error) {
+      console.error('Error fetching labels:', error)
+      throw error
+    }
+  },
+}
+
+// Auth header for the signed-in reader (empty when signed out)
+const readerAuthConfig = async () => {
+  const token = await getSessionToken()
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : {}
+}
+
+// Comments API (reading is public; writing needs a signed-in reader)
+export const commentsAPI = {
+  // Returns { open, count, comments } where comments is a reply tree;
+  // signed-in readers also get their own comments awaiting moderation
+  getComments: async (postId) => {
+    try {
+      const response = await api.get(`/comments/post/${postId}`, await readerAuthConfig())
+      return response.data
+    } catch (error) {
+      console.error('Error fetching comments:', error)
+      throw error
+    }
+  },
+
+  // parentId: the comment being replied to, or null for a top-level comment
+  addComment: async (postId, body, parentId = null) => {
+    try {
+      const response = await api.post(`/comments/post/${postId}`, { body, parent_id: parentId }, await readerAuthConfig())
+      return response.data.comment
+    } catch (error) {
+      console.error('Error posting comment:', error)
+      throw error
+    }
+  },
+
+  updateComment: async (id, body) => {
+    try {
+      const response = await api.patch(`/comments/${id}`, { body }, await readerAuthConfig())
+      return response.data.comment
+    } catch (error) {
+      console.error('Error updating comment:', error)
+      throw error
+    }
+  },
+
+  deleteComment: async (id) => {
+    try {
+      const response = await api.delete(`/comments/${id}`, await readerAuthConfig())
+      return response.data
+    } catch (error) {
+      console.error('Error deleting comment:', error)
+      throw error
+    }
+  },
+}
+
+// Search API
+export const searchAPI = {
+  // Ranked full-text search over published posts
+  // params: { q, label, journal, collection, from, to, min_reading, max_reading, sort, page, limit }
+  // Returns { items, page, limit, total, query, facets: { labels, journals } }
+  search: async (params = {}) => {
+    try {
+      const response = await api.get('/search', { params })
+      return response.data
+    } catch (error) {
+      console.error('Error searching posts:', error)
+      throw error
+    }
+  },
+}
+
+// Contact form API
+export const contactAPI = {
+  // message: { name, email, subject, message, website } - website is the
+  // honeypot field and stays empty for real visitors
+  sendMessage: async (message) => {
+    try {
+      const response = await api.post('/contact', message)
+      return response.data
+    } catch (error) {
+      console.error('Error sending contact message:', error)
+      throw error
+    }
+  },
 }
 
 export default api
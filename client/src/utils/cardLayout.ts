@@ -0,0 +1,128 @@
+// Card layout geometry and conveyor/parallax math
+// Shared by the Card Builder preview and the public layout renderer so both draw identically
+
+import type { CardPoint, LayoutSettings } from '../lib/layoutApi'
+
+// Base wallpaper height in vh (the wallpaper image is always 150vh tall)
+export const BASE_WALLPAPER_HEIGHT = 150
+
+// Top offset of the card canvas (top-28 = 7rem = 112px)
+export const CANVAS_OFFSET_TOP = 112
+
+// Default card styling applied when a card has no saved style
+export const DEFAULT_CARD_STYLE = {
+  backgroundColor: '#ffffff',
+  opacity: 1,
+  borderRadius: 0,
+  borderWidth: 0,
+  borderStyle: 'solid',
+  borderColor: '#000000'
+}
+
+const FONT_STACKS: Record<string, string> = {
+  sans: 'Inter, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+  serif: 'Georgia, Cambria, "Times New Roman", Times, serif',
+  mono: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace',
+  cursive: 'cursive',
+  fantasy: 'fantasy',
+  times: '"Times New Roman", Times, serif',
+  arial: 'Arial, Helvetica, sans-serif',
+  courier: '"Courier New", Courier, monospace',
+  verdana: 'Verdana, Geneva, sans-serif',
+  trebuchet: '"Trebuchet MS", Helvetica, sans-serif',
+  impact: 'Impact, Charcoal, sans-serif',
+}
+
+/**
+ * Get the CSS font stack for a font family key
+ */
+export function getFontStack(fontFamily?: string): string {
+  return (fontFamily && FONT_STACKS[fontFamily]) || FONT_STACKS.sans
+}
+
+/**
+ * Get the bounding box of a card from its corner points
+ */
+export function getCardBounds(points: CardPoint[]): { minX: number; maxX: number; minY: number; maxY: number } {
+  const minX = Math.min(...points.map(p => p.x))
+  const maxX = Math.max(...points.map(p => p.x))
+  const minY = Math.min(...points.map(p => p.y))
+  const maxY = Math.max(...points.map(p => p.y))
+  return { minX, maxX, minY, maxY }
+}
+
+/**
+ * Get card dimensions (size, center and bounds) from its corner points
+ */
+export function getCardDimensions(points: CardPoint[]) {
+  const { minX, maxX, minY, maxY } = getCardBounds(points)
+  return {
+    width: maxX - minX,
+    height: maxY - minY,
+    centerX: (minX + maxX) / 2,
+    centerY: (minY + maxY) / 2,
+    minX, maxX, minY, maxY
+  }
+}
+
+/**
+ * Convert a hex color + opacity to an rgba() string
+ */
+export function hexToRgba(hex: string, opacity: number): string {
+  const r = parseInt(hex.slice(1, 3), 16)
+  const g = parseInt(hex.slice(3, 5), 16)
+  const b = parseInt(hex.slice(5, 7), 16)
+  return `rgba(${r}, ${g}, ${b}, ${opacity})`
+}
+
+/**
+ * Conveyor length in vh for a scroll ratio
+ * Ratio 1:1 = 150vh, 2:1 = 300vh, 3:1 = 450vh
+ */
+export function getConveyorLength(scrollRatio: number): number {
+  return BASE_WALLPAPER_HEIGHT * scrollRatio
+}
+
+/**
+ * Calculate how far the wallpaper should be translated (in px) for a scroll position
+ *
+ * The wallpaper only scrolls while the page is inside its "window" on the conveyor.
+ * wallpaperPosition (0-100%) controls where that window starts.
+ */
+export function getWallpaperOffset(
+  scrollY: number,
+  settings: Pick<LayoutSettings, 'scrollRatio' | 'scrollSpeed' | 'wallpaperPosition'>,
+  viewportHeight: number
+): number {
+  const conveyorLength = getConveyorLength(settings.scrollRatio)
+
+  // Total SCROLLABLE distance (conveyor length minus viewport)
+  const totalScrollableVh = conveyorLength - 100
+  const totalScrollablePx = (totalScrollableVh / 100) * viewportHeight
+
+  // Wallpaper window is proportional: at 2:1 ratio it covers 50% of the scrollable distance
+  const wallpaperWindowRatio = BASE_WALLPAPER_HEIGHT / conveyorLength
+  const wallpaperWindowPx = totalScrollablePx * wallpaperWindowRatio
+
+  // Clamp so the window never runs past the end of the conveyor
+  const maxPositionRatio = 1 - wallpaperWindowRatio
+  const clampedPosition = Math.min(settings.wallpaperPosition / 100, maxPositionRatio)
+
+  const wallpaperStartPx = clampedPosition * totalScrollablePx
+  const wallpaperEndPx = wallpaperStartPx + wallpaperWindowPx
+
+  // Current scroll position adjusted by speed
+  const currentScrollPx = scrollY * settings.scrollSpeed
+
+  // 50vh max scroll (150vh wallpaper - 100vh viewport)
+  const maxWallpaperScroll = viewportHeight * 0.5
+
+  if (currentScrollPx < wallpaperStartPx || wallpaperWindowPx <= 0) {
+    return 0
+  }
+  if (currentScrollPx > wallpaperEndPx) {
+    return maxWallpaperScroll
+  }
+  const progressInWindow = (currentScrollPx - wallpaperStartPx) / wallpaperWindowPx
+  return progressInWindow * maxWallpaperScroll
+}
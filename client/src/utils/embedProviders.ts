@@ -0,0 +1,197 @@
+// Allowlisted third-party embeds (YouTube, Vimeo, OpenStreetMap)
+// Mirrors server/src/utils/embedProviders.ts, which re-validates on save
+// (server/__tests__/embed-providers.test.js keeps the two in step)
+
+export const EMBED_PROVIDERS = ['youtube', 'vimeo', 'openstreetmap'] as const
+
+export type EmbedProvider = typeof EMBED_PROVIDERS[number]
+
+export const EMBED_PROVIDER_LABELS: Record<EmbedProvider, string> = {
+  youtube: 'YouTube',
+  vimeo: 'Vimeo',
+  openstreetmap: 'OpenStreetMap'
+}
+
+/**
+ * A recognised embed: the iframe src to load and the page to link to
+ */
+export interface ResolvedEmbed {
+  provider: EmbedProvider
+  src: string
+  url: string
+}
+
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtu.be', 'youtube-nocookie.com', 'www.youtube-nocookie.com']
+const VIMEO_HOSTS = ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com']
+const OSM_HOSTS = ['openstreetmap.org', 'www.openstreetmap.org']
+
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/
+const VIMEO_ID = /^\d{1,12}$/
+const VIMEO_HASH = /^[0-9a-f]{6,20}$/i
+const OSM_LAYERS = ['mapnik', 'cyclemap', 'transportmap', 'hot']
+
+/**
+ * Parse a YouTube start time ("90", "90s", "1m30s", "1h2m3s") into seconds
+ */
+function parseStartTime(value: string | null): number {
+  if (!value) return 0
+  if (/^\d+$/.test(value)) return parseInt(value, 10)
+
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/)
+  if (!match) return 0
+  return (parseInt(match[1] || '0', 10) * 3600) + (parseInt(match[2] || '0', 10) * 60) + parseInt(match[3] || '0', 10)
+}
+
+function resolveYouTube(url: URL): ResolvedEmbed | null {
+  let id: string | null = null
+
+  if (url.hostname === 'youtu.be') {
+    id = url.pathname.split('/')[1] || null
+  } else if (url.pathname === '/watch') {
+    id = url.searchParams.get('v')
+  } else {
+    const match = url.pathname.match(/^\/(?:embed|shorts|live|v)\/([^/]+)/)
+    id = match ? match[1] : null
+  }
+
+  if (!id || !YOUTUBE_ID.test(id)) return null
+
+  const start = parseStartTime(url.searchParams.get('start') || url.searchParams.get('t'))
+  return {
+    provider: 'youtube',
+    src: `https://www.youtube-nocookie.com/embed/${id}${start ? `?start=${start}` : ''}`,
+    url: `https://www.youtube.com/watch?v=${id}${start ? `&t=${start}s` : ''}`
+  }
+}
+
+function resolveVimeo(url: URL): ResolvedEmbed | null {
+  const segments = url.pathname.split('/').filter(Boolean)
+  let id: string | undefined
+  let hash: string | null = url.searchParams.get('h')
+
+  if (url.hostname === 'player.vimeo.com') {
+    if (segments[0] !== 'video') return null
+    id = segments[1]
+  } else {
+    // vimeo.com/123, vimeo.com/123/abcdef (unlisted), vimeo.com/channels/name/123
+    const index = segments.findIndex(segment => VIMEO_ID.test(segment))
+    if (index === -1) return null
+    id = segments[index]
+    hash = hash || segments[index + 1] || null
+  }
+
+  if (!id || !VIMEO_ID.test(id)) return null
+  if (hash && !VIMEO_HASH.test(hash)) hash = null
+
+  return {
+    provider: 'vimeo',
+    src: `https://player.vimeo.com/video/${id}?dnt=1${hash ? `&h=${hash}` : ''}`,
+    url: `https://vimeo.com/${id}${hash ? `/${hash}` : ''}`
+  }
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(Math.max(value, min), max)
+}
+
+function coordinate(value: string | null | undefined, limit: number): number | null {
+  if (value == null || !/^-?\d+(\.\d+)?$/.test(value.trim())) return null
+  const number = parseFloat(value)
+  return Math.abs(number) <= limit ? number : null
+}
+
+function round(value: number): string {
+  return String(Math.round(value * 100000) / 100000)
+}
+
+function resolveOpenStreetMap(url: URL): ResolvedEmbed | null {
+  let bbox: [number, number, number, number] | null = null
+  let marker: [number, number] | null = null
+
+  const markerParam = url.searchParams.get('marker')
+  if (markerParam) {
+    const [lat, lon] = markerParam.split(',')
+    const markerLat = coordinate(lat, 90)
+    const markerLon = coordinate(lon, 180)
+    if (markerLat !== null && markerLon !== null) marker = [markerLat, markerLon]
+  } else {
+    const markerLat = coordinate(url.searchParams.get('mlat'), 90)
+    const markerLon = coordinate(url.searchParams.get('mlon'), 180)
+    if (markerLat !== null && markerLon !== null) marker = [markerLat, markerLon]
+  }
+
+  const bboxParam = url.searchParams.get('bbox')
+  if (bboxParam) {
+    // Embed URLs: /export/embed.html?bbox=minLon,minLat,maxLon,maxLat
+    const parts = bboxParam.split(',')
+    if (parts.length !== 4) return null
+    const [minLon, minLat, maxLon, maxLat] = [coordinate(parts[0], 180), coordinate(parts[1], 90), coordinate(parts[2], 180), coordinate(parts[3], 90)]
+    if (minLon === null || minLat === null || maxLon === null || maxLat === null) return null
+    if (minLon >= maxLon || minLat >= maxLat) return null
+    bbox = [minLon, minLat, maxLon, maxLat]
+  } else {
+    // Map page URLs: /#map=zoom/lat/lon, optionally with ?mlat=&mlon=
+    const match = url.hash.match(/map=(\d{1,2})\/(-?[\d.]+)\/(-?[\d.]+)/)
+    if (match) {
+      const zoom = clamp(parseInt(match[1], 10), 1, 19)
+      const lat = coordinate(match[2], 90)
+      const lon = coordinate(match[3], 180)
+      if (lat === null || lon === null) return null
+
+      const halfWidth = 360 / Math.pow(2, zoom)
+      const halfHeight = halfWidth / 2
+      bbox = [
+        clamp(lon - halfWidth, -180, 180),
+        clamp(lat - halfHeight, -90, 90),
+        clamp(lon + halfWidth, -180, 180),
+        clamp(lat + halfHeight, -90, 90)
+      ]
+    }
+  }
+
+  if (!bbox && marker) {
+    // A marker on its own: centre a street-level view on it
+    bbox = [marker[1] - 0.01, marker[0] - 0.005, marker[1] + 0.01, marker[0] + 0.005]
+  }
+  if (!bbox) return null
+
+  const requestedLayer = url.searchParams.get('layer')
+  const layer = requestedLayer && OSM_LAYERS.includes(requestedLayer) ? requestedLayer : 'mapnik'
+  const box = bbox.map(round).join(',')
+  const params = `bbox=${box}&layer=${layer}${marker ? `&marker=${round(marker[0])},${round(marker[1])}` : ''}`
+  const page = marker
+    ? `https://www.openstreetmap.org/?mlat=${round(marker[0])}&mlon=${round(marker[1])}`
+    : `https://www.openstreetmap.org/?minlon=${round(bbox[0])}&minlat=${round(bbox[1])}&maxlon=${round(bbox[2])}&maxlat=${round(bbox[3])}`
+
+  return {
+    provider: 'openstreetmap',
+    src: `https://www.openstreetmap.org/export/embed.html?${params}`,
+    url: page
+  }
+}
+
+/**
+ * Recognise a YouTube, Vimeo or OpenStreetMap URL (page or embed form)
+ * Returns null for anything else. The returned src is rebuilt from the
+ * parsed ids, so only known-good embed URLs ever reach an iframe.
+ */
+export function resolveEmbedUrl(input: string | null | undefined): ResolvedEmbed | null {
+  if (!input || typeof input !== 'string') return null
+
+  let url: URL
+  try {
+    url = new URL(input.trim())
+  } catch {
+    return null
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null
+  if (url.username || url.password || url.port) return null
+
+  const host = url.hostname.toLowerCase()
+  if (YOUTUBE_HOSTS.includes(host)) return resolveYouTube(url)
+  if (VIMEO_HOSTS.includes(host)) return resolveVimeo(url)
+  if (OSM_HOSTS.includes(host)) return resolveOpenStreetMap(url)
+
+  return null
+}
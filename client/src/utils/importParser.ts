@@ -1,8 +1,8 @@
 /**
  * Import Parser Utility for Entry Editor
  * 
- * Parses JSON or HTML content and maps to Entry Editor fields.
- * Fully compatible with Export Template output (JSON + HTML).
+ * Parses JSON, HTML or Markdown content and maps to Entry Editor fields.
+ * Fully compatible with Export Template output (JSON + HTML + Markdown).
  * 
  * JSON IMPORT:
  * - Accepts JSON objects with keys matching ENTRY_FIELD_DEFINITIONS
@@ -14,6 +14,10 @@
  * - PRIORITY 2: Falls back to heuristics (first h1, first img, first p)
  * - Extracts embedded JSON meta script for status/journals/collections
  * 
+ * MARKDOWN IMPORT:
+ * - YAML front matter keys are mapped like JSON keys (same alternatives)
+ * - The body is converted to TipTap JSON (see markdownConverter.ts)
+ * 
  * Uses shared field definitions from entryFieldDefinitions.ts
  */
 
@@ -25,8 +29,9 @@ import {
   isIgnoredJsonKey,
   type EntryStatus
 } from './entryFieldDefinitions'
+import { looksLikeMarkdown, markdownToTiptap, parseFrontMatter } from './markdownConverter'
 
-export type ImportMode = 'auto' | 'json' | 'html'
+export type ImportMode = 'auto' | 'json' | 'html' | 'markdown'
 
 export interface ParsedEntryFields {
   title?: string
@@ -43,7 +48,7 @@ export interface ParsedEntryFields {
 export interface ParseResult {
   success: boolean
   fields: ParsedEntryFields
-  detectedFormat: 'json' | 'html' | null
+  detectedFormat: 'json' | 'html' | 'markdown' | null
   warnings: string[]
   error?: string
   // Enhanced preview info
@@ -564,13 +569,32 @@ function parseHtmlToFields(
   }
 }
 
+// ============================================================
+// MARKDOWN PARSING
+// ============================================================
+
+/**
+ * Parse Markdown with optional YAML front matter
+ * Front matter goes through the JSON key mapping; a non-empty body
+ * becomes the content (as TipTap JSON)
+ */
+function parseMarkdownToFields(
+  input: string,
+  overwrite: boolean,
+  currentFields: ParsedEntryFields
+): { fields: ParsedEntryFields; detected: string[]; skipped: string[] } {
+  const { data, body } = parseFrontMatter(input)
+  const source = body.trim() ? { ...data, content: markdownToTiptap(body) } : data
+  return mapJsonToFields(source, overwrite, currentFields)
+}
+
 // ============================================================
 // MAIN PARSE FUNCTION
 // ============================================================
 
 /**
  * Main parse function
- * Handles both JSON and HTML import with full Export Template compatibility
+ * Handles JSON, HTML and Markdown import with full Export Template compatibility
  */
 export function parseImportContent(
   input: string,
@@ -593,7 +617,7 @@ export function parseImportContent(
   const trimmedInput = input.trim()
   
   // Determine format based on mode
-  let detectedFormat: 'json' | 'html' | null = null
+  let detectedFormat: 'json' | 'html' | 'markdown' | null = null
   let fields: ParsedEntryFields = {}
   let detectedFields: string[] = []
   let skippedFields: string[] = []
@@ -632,14 +656,34 @@ export function parseImportContent(
       fields = htmlResult.fields
       detectedFields = htmlResult.detected
       skippedFields = htmlResult.skipped
-    } else if (mode === 'auto') {
-      // Auto mode but doesn't look like JSON or HTML
+    }
+  }
+  
+  if ((mode === 'markdown' || mode === 'auto') && !detectedFormat) {
+    if (mode === 'markdown' || looksLikeMarkdown(trimmedInput)) {
+      try {
+        const markdownResult = parseMarkdownToFields(trimmedInput, overwrite, currentFields)
+        detectedFormat = 'markdown'
+        fields = markdownResult.fields
+        detectedFields = markdownResult.detected
+        skippedFields = markdownResult.skipped
+      } catch (e) {
+        return {
+          success: false,
+          fields: {},
+          detectedFormat: null,
+          warnings: [],
+          error: `Front matter parsing failed: ${e instanceof Error ? e.message : 'Invalid YAML'}`
+        }
+      }
+    } else {
+      // Auto mode but doesn't look like JSON, HTML or Markdown
       return {
         success: false,
         fields: {},
         detectedFormat: null,
         warnings: [],
-        error: 'Could not detect format. Input does not appear to be valid JSON or HTML.'
+        error: 'Could not detect format. Input does not appear to be valid JSON, HTML or Markdown.'
       }
     }
   }
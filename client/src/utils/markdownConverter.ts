@@ -0,0 +1,912 @@
+/**
+ * Markdown Converter for Entry Editor
+ *
+ * Converts between Markdown files with YAML front matter and the Entry
+ * Editor's fields / TipTap JSON. Used by the Markdown import mode and the
+ * "Export as Markdown" action.
+ *
+ * FRONT MATTER:
+ * - A YAML block between --- lines at the top of the file, read and written
+ *   with js-yaml (core schema, so dates and the like stay strings)
+ * - Keys are the JSON keys from ENTRY_FIELD_DEFINITIONS (canonical or alternative)
+ *
+ * BODY:
+ * - Parsed with markdown-it (CommonMark plus GFM tables and strikethrough)
+ *   and markdown-it-footnote; this module maps its tokens to TipTap nodes
+ * - Inline: **bold**, *italic*, ~~strike~~, `code`, [links](url), <u>underline</u>
+ * - GFM alerts (> [!NOTE], > [!TIP], > [!WARNING]) become callouts
+ * - Editor features Markdown has no syntax for are written so they survive
+ *   a round trip: <!-- align: center --> before aligned blocks, <p></p>
+ *   for empty paragraphs and <!-- tiptap: {json} --> for embeds, audio /
+ *   video players, galleries and tables a pipe table can't express
+ *   (merged cells, block content in cells)
+ *
+ * No DOM needed, so it also runs outside the browser.
+ */
+
+import MarkdownIt from 'markdown-it'
+import markdownItFootnote from 'markdown-it-footnote'
+import { CORE_SCHEMA, dump, load } from 'js-yaml'
+import { ENTRY_FIELD_DEFINITIONS } from './entryFieldDefinitions'
+
+export interface TiptapMark {
+  type: string
+  attrs?: Record<string, any>
+}
+
+export interface TiptapNode {
+  type: string
+  attrs?: Record<string, any>
+  content?: TiptapNode[]
+  marks?: TiptapMark[]
+  text?: string
+}
+
+export interface FrontMatterResult {
+  data: Record<string, any>
+  body: string
+  hasFrontMatter: boolean
+}
+
+export interface MarkdownEntry {
+  title?: string
+  excerpt?: string
+  coverImageUrl?: string
+  coverImageAlt?: string
+  status?: string
+  journals?: string[]
+  collections?: string[]
+  content?: TiptapNode | null
+}
+
+// The parts of a markdown-it token the mapping reads
+interface MarkdownToken {
+  type: string
+  tag: string
+  nesting: number
+  content: string
+  info: string
+  meta: any
+  children: MarkdownToken[] | null
+  attrGet(name: string): string | null
+}
+
+// ============================================================
+// FRONT MATTER
+// ============================================================
+
+const FRONT_MATTER_OPEN = /^---[ \t]*$/
+const FRONT_MATTER_CLOSE = /^(---|\.\.\.)[ \t]*$/
+
+/**
+ * Split a Markdown document into its front matter data and body
+ * Throws when the front matter is not a valid YAML mapping
+ */
+export function parseFrontMatter(input: string): FrontMatterResult {
+  const lines = input.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n')
+
+  if (!FRONT_MATTER_OPEN.test(lines[0] || '')) {
+    return { data: {}, body: lines.join('\n'), hasFrontMatter: false }
+  }
+
+  const close = lines.findIndex((line, index) => index > 0 && FRONT_MATTER_CLOSE.test(line))
+  if (close === -1) {
+    throw new Error('Front matter is missing its closing ---')
+  }
+
+  let data: unknown
+  try {
+    data = load(lines.slice(1, close).join('\n'), { schema: CORE_SCHEMA })
+  } catch (error: any) {
+    throw new Error(error?.reason || error?.message || 'Invalid YAML')
+  }
+  if (data !== null && data !== undefined && (typeof data !== 'object' || Array.isArray(data))) {
+    throw new Error('Front matter must be a list of key: value pairs')
+  }
+
+  // Block scalars (excerpt: >) end in a line break no entry field wants
+  const fields = Object.fromEntries(Object.entries((data as Record<string, any>) || {}).map(([key, value]) =>
+    [key, typeof value === 'string' ? value.replace(/\n+$/, '') : value]))
+
+  return {
+    data: fields,
+    body: lines.slice(close + 1).join('\n'),
+    hasFrontMatter: true
+  }
+}
+
+/**
+ * Serialize entry fields as a YAML front matter block
+ */
+export function stringifyFrontMatter(data: Record<string, any>): string {
+  const defined = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined))
+  const yaml = Object.keys(defined).length > 0
+    ? dump(defined, { schema: CORE_SCHEMA, lineWidth: -1 })
+    : ''
+  return `---\n${yaml}---`
+}
+
+// ============================================================
+// MARKDOWN → TIPTAP JSON
+// ============================================================
+
+const ALIGN_DIRECTIVE = /^\s*<!--\s*align:\s*(left|center|right|justify)\s*-->\s*$/
+const EMPTY_PARAGRAPH = /^\s*<p>\s*<\/p>\s*$/
+const NODE_COMMENT = /^\s*<!--\s*tiptap:\s*(\{.*\})\s*-->\s*$/
+const CALLOUT_MARKER = /^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*$/i
+
+// GFM alert types → callout variants (and back)
+const ALERT_VARIANTS: Record<string, string> = {
+  NOTE: 'info',
+  IMPORTANT: 'info',
+  TIP: 'tip',
+  WARNING: 'warning',
+  CAUTION: 'warning'
+}
+const VARIANT_ALERTS: Record<string, string> = { info: 'NOTE', tip: 'TIP', warning: 'WARNING' }
+
+// Editor heading levels (RichTextEditor allows h1–h3)
+const MAX_HEADING_LEVEL = 3
+
+// Raw HTML is on so the comments and tags above reach the mapping as tokens
+const markdown = new MarkdownIt({ html: true }).use(markdownItFootnote)
+// Keep link and image destinations as written rather than percent-encoded
+markdown.normalizeLink = (url: string) => url
+
+// Footnote texts of the document being parsed, by markdown-it footnote id
+let footnoteTexts = new Map<number, string>()
+
+function textNode(text: string, marks: TiptapMark[]): TiptapNode {
+  return marks.length > 0 ? { type: 'text', text, marks } : { type: 'text', text }
+}
+
+function sameMarks(a: TiptapMark[] = [], b: TiptapMark[] = []): boolean {
+  return a.length === b.length && a.every((mark, index) =>
+    mark.type === b[index].type && JSON.stringify(mark.attrs || {}) === JSON.stringify(b[index].attrs || {}))
+}
+
+function mergeTextNodes(nodes: TiptapNode[]): TiptapNode[] {
+  const merged: TiptapNode[] = []
+  for (const node of nodes) {
+    const previous = merged[merged.length - 1]
+    if (node.type === 'text' && previous?.type === 'text' && sameMarks(previous.marks, node.marks)) {
+      previous.text += node.text || ''
+    } else {
+      merged.push(node)
+    }
+  }
+  return merged
+}
+
+/**
+ * Text of inline tokens with the formatting dropped
+ */
+function plainText(tokens: MarkdownToken[] | null): string {
+  return (tokens || []).map(token => {
+    if (token.type === 'text' || token.type === 'text_special' || token.type === 'code_inline') return token.content
+    if (token.type === 'softbreak') return ' '
+    if (token.type === 'hardbreak') return '\n'
+    if (token.type === 'image') return plainText(token.children)
+    return ''
+  }).join('')
+}
+
+const INLINE_MARKS: Record<string, string> = {
+  strong: 'bold',
+  em: 'italic',
+  s: 'strike',
+  link: 'link'
+}
+
+/**
+ * Map inline tokens to TipTap text / hardBreak / image / footnote nodes
+ */
+function convertInline(tokens: MarkdownToken[] | null): TiptapNode[] {
+  const nodes: TiptapNode[] = []
+  // Open marks, outermost first
+  let open: TiptapMark[] = []
+
+  const closeMark = (type: string) => {
+    const index = open.map(mark => mark.type).lastIndexOf(type)
+    if (index !== -1) open = [...open.slice(0, index), ...open.slice(index + 1)]
+  }
+  // A mark opened twice applies once
+  const activeMarks = () => open.filter((mark, index) => !open.slice(index + 1).some(later => later.type === mark.type))
+
+  ;(tokens || []).forEach((token, index) => {
+    const [markName, edge] = token.type.split(/_(?=open$|close$)/)
+    if (INLINE_MARKS[markName] && edge) {
+      if (edge === 'close') {
+        closeMark(INLINE_MARKS[markName])
+      } else {
+        open = [...open, markName === 'link'
+          ? { type: 'link', attrs: { href: token.attrGet('href') || '' } }
+          : { type: INLINE_MARKS[markName] }]
+      }
+      return
+    }
+
+    switch (token.type) {
+      case 'text':
+      case 'text_special':
+        // Emphasis delimiters that close nothing leave empty text behind
+        if (token.content) nodes.push(textNode(token.content, activeMarks()))
+        break
+      case 'softbreak':
+        nodes.push(textNode(' ', activeMarks()))
+        break
+      case 'hardbreak':
+        nodes.push({ type: 'hardBreak' })
+        break
+      case 'code_inline':
+        // The code mark excludes every other mark in the editor
+        nodes.push(textNode(token.content, [{ type: 'code' }]))
+        break
+      case 'image':
+        nodes.push({
+          type: 'image',
+          attrs: {
+            src: token.attrGet('src') || '',
+            alt: plainText(token.children) || null,
+            title: token.attrGet('title') || null
+          }
+        })
+        break
+      case 'footnote_ref':
+        nodes.push({ type: 'footnote', attrs: { content: footnoteTexts.get(token.meta.id) ?? '' } })
+        break
+      case 'html_inline': {
+        const tag = token.content.trim().toLowerCase()
+        if (/^<br\s*\/?>$/.test(tag)) {
+          nodes.push({ type: 'hardBreak' })
+        } else if (tag === '<u>' && tokens!.slice(index + 1).some(later => later.type === 'html_inline' && later.content.trim().toLowerCase() === '</u>')) {
+          open = [...open, { type: 'underline' }]
+        } else if (tag === '</u>' && open.some(mark => mark.type === 'underline')) {
+          closeMark('underline')
+        } else {
+          // Other HTML is kept as text
+          nodes.push(textNode(token.content, activeMarks()))
+        }
+        break
+      }
+    }
+  })
+
+  return mergeTextNodes(nodes)
+}
+
+/**
+ * Build paragraph(s) from an inline token; images are block nodes in the
+ * editor, so they split the paragraph they appear in
+ */
+function inlineToBlocks(inline: MarkdownToken | undefined, align: string | null): TiptapNode[] {
+  const blocks: TiptapNode[] = []
+  let current: TiptapNode[] = []
+
+  const pushParagraph = () => {
+    // Skip the whitespace-only runs left between images
+    if (current.some(node => node.type !== 'text' || (node.text || '').trim() !== '')) {
+      blocks.push(paragraph(current, align))
+    }
+    current = []
+  }
+
+  for (const node of convertInline(inline?.children || null)) {
+    if (node.type === 'image') {
+      pushParagraph()
+      blocks.push(node)
+    } else {
+      current.push(node)
+    }
+  }
+  pushParagraph()
+
+  // Trim the whitespace Markdown ignores at paragraph edges
+  for (const block of blocks) {
+    if (block.type !== 'paragraph' || !block.content) continue
+    const first = block.content[0]
+    const last = block.content[block.content.length - 1]
+    if (first?.type === 'text') first.text = first.text!.replace(/^\s+/, '')
+    if (last?.type === 'text') last.text = last.text!.replace(/\s+$/, '')
+    block.content = block.content.filter(node => node.type !== 'text' || node.text !== '')
+    if (block.content.length === 0) delete block.content
+  }
+
+  return blocks
+}
+
+function paragraph(content: TiptapNode[] | undefined, align: string | null): TiptapNode {
+  const node: TiptapNode = { type: 'paragraph' }
+  if (align) node.attrs = { textAlign: align }
+  if (content && content.length > 0) node.content = content
+  return node
+}
+
+/**
+ * Split a token list into its top-level tokens, each with the tokens it encloses
+ */
+function topLevel(tokens: MarkdownToken[]): Array<{ token: MarkdownToken; inner: MarkdownToken[] }> {
+  const result: Array<{ token: MarkdownToken; inner: MarkdownToken[] }> = []
+  let i = 0
+
+  while (i < tokens.length) {
+    const token = tokens[i]
+    let end = i
+    if (token.nesting === 1) {
+      let depth = 0
+      for (end = i; end < tokens.length; end++) {
+        depth += tokens[end].nesting
+        if (depth === 0) break
+      }
+    }
+    result.push({ token, inner: tokens.slice(i + 1, end) })
+    i = end + 1
+  }
+
+  return result
+}
+
+function tableCellAlign(token: MarkdownToken): string | null {
+  const align = (token.attrGet('style') || '').match(/text-align:\s*(center|right)/)
+  return align ? align[1] : null
+}
+
+function convertTable(tokens: MarkdownToken[]): TiptapNode {
+  const rows: TiptapNode[] = []
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'tr_open') {
+      rows.push({ type: 'tableRow', content: [] })
+    } else if (token.type === 'th_open' || token.type === 'td_open') {
+      const content = convertInline(tokens[index + 1]?.children || null).filter(node => node.type !== 'image')
+      rows[rows.length - 1].content!.push({
+        type: token.type === 'th_open' ? 'tableHeader' : 'tableCell',
+        attrs: { colspan: 1, rowspan: 1, colwidth: null },
+        content: [paragraph(content, tableCellAlign(token))]
+      })
+    }
+  })
+
+  return { type: 'table', content: rows }
+}
+
+/**
+ * Blocks for the lines of a raw HTML block: our comments and empty
+ * paragraphs, anything else as text
+ */
+function convertHtmlBlock(html: string, align: { value: string | null }): TiptapNode[] {
+  const blocks: TiptapNode[] = []
+
+  for (const line of html.split('\n')) {
+    if (line.trim() === '') continue
+
+    const directive = line.match(ALIGN_DIRECTIVE)
+    if (directive) {
+      align.value = directive[1]
+      continue
+    }
+
+    if (EMPTY_PARAGRAPH.test(line)) {
+      blocks.push(paragraph(undefined, align.value !== 'left' ? align.value : null))
+      align.value = null
+      continue
+    }
+
+    const comment = line.match(NODE_COMMENT)
+    if (comment) {
+      try {
+        const node = JSON.parse(comment[1])
+        if (node && typeof node.type === 'string') {
+          blocks.push(node)
+          align.value = null
+          continue
+        }
+      } catch {
+        // Not one of ours: read it as text
+      }
+    }
+
+    blocks.push(paragraph([textNode(line.trim(), [])], null))
+    align.value = null
+  }
+
+  return blocks
+}
+
+/**
+ * Map block-level tokens to TipTap nodes
+ */
+function convertBlocks(tokens: MarkdownToken[]): TiptapNode[] {
+  const blocks: TiptapNode[] = []
+  // Set by an align directive, for the paragraph or heading after it
+  const align: { value: string | null } = { value: null }
+
+  const takeAlign = () => {
+    const value = align.value && align.value !== 'left' ? align.value : null
+    align.value = null
+    return value
+  }
+
+  for (const { token, inner } of topLevel(tokens)) {
+    switch (token.type) {
+      case 'html_block':
+        blocks.push(...convertHtmlBlock(token.content, align))
+        continue
+
+      case 'paragraph_open':
+        blocks.push(...inlineToBlocks(inner[0], takeAlign()))
+        continue
+
+      case 'heading_open': {
+        const attrs: Record<string, any> = { level: Math.min(parseInt(token.tag.slice(1), 10), MAX_HEADING_LEVEL) }
+        const headingAlign = takeAlign()
+        if (headingAlign) attrs.textAlign = headingAlign
+        const content = convertInline(inner[0]?.children || null).filter(node => node.type !== 'image')
+        blocks.push({ type: 'heading', attrs, ...(content.length ? { content } : {}) })
+        continue
+      }
+
+      case 'blockquote_open': {
+        // A GFM alert marker on the first line makes it a callout
+        const first = inner[0]?.type === 'paragraph_open' ? inner[1] : undefined
+        const alert = first?.content.split('\n')[0].trim().match(CALLOUT_MARKER)
+        let quoted = inner
+        if (alert && first) {
+          const lineEnd = (first.children || []).findIndex(child => child.type === 'softbreak' || child.type === 'hardbreak')
+          if (lineEnd === -1) {
+            quoted = inner.slice(3)
+          } else {
+            first.children = first.children!.slice(lineEnd + 1)
+          }
+        }
+        const content = convertBlocks(quoted)
+        blocks.push({
+          type: alert ? 'callout' : 'blockquote',
+          ...(alert ? { attrs: { variant: ALERT_VARIANTS[alert[1].toUpperCase()] } } : {}),
+          content: content.length ? content : [{ type: 'paragraph' }]
+        })
+        break
+      }
+
+      case 'bullet_list_open':
+      case 'ordered_list_open': {
+        const items = topLevel(inner)
+          .filter(item => item.token.type === 'list_item_open')
+          .map(item => {
+            const content = convertBlocks(item.inner)
+            if (content[0]?.type !== 'paragraph') {
+              content.unshift({ type: 'paragraph' })
+            }
+            return { type: 'listItem', content }
+          })
+        blocks.push(token.type === 'ordered_list_open'
+          ? { type: 'orderedList', attrs: { start: parseInt(token.attrGet('start') || '1', 10) }, content: items }
+          : { type: 'bulletList', content: items })
+        break
+      }
+
+      case 'fence':
+      case 'code_block': {
+        const text = token.content.replace(/\n$/, '')
+        blocks.push({
+          type: 'codeBlock',
+          attrs: { language: token.info.trim().split(/\s+/)[0] || null },
+          ...(text ? { content: [{ type: 'text', text }] } : {})
+        })
+        break
+      }
+
+      case 'hr':
+        blocks.push({ type: 'horizontalRule' })
+        break
+
+      case 'table_open':
+        blocks.push(convertTable(inner))
+        break
+
+      default:
+        // Footnote definitions were read up front
+        continue
+    }
+
+    align.value = null
+  }
+
+  return blocks
+}
+
+/**
+ * Footnote texts by id, from the definitions markdown-it-footnote collects
+ * at the end of the token stream
+ */
+function collectFootnotes(tokens: MarkdownToken[]): Map<number, string> {
+  const texts = new Map<number, string>()
+  let id: number | null = null
+  let paragraphs: string[] = []
+
+  for (const token of tokens) {
+    if (token.type === 'footnote_open') {
+      id = token.meta.id
+      paragraphs = []
+    } else if (token.type === 'footnote_close' && id !== null) {
+      texts.set(id, paragraphs.join('\n'))
+      id = null
+    } else if (token.type === 'inline' && id !== null) {
+      paragraphs.push(plainText(token.children))
+    }
+  }
+
+  return texts
+}
+
+/**
+ * Convert a Markdown body (no front matter) to a TipTap document
+ */
+export function markdownToTiptap(source: string): TiptapNode {
+  const tokens: MarkdownToken[] = markdown.parse(source.replace(/\r\n?/g, '\n'), {})
+
+  footnoteTexts = collectFootnotes(tokens)
+  let content: TiptapNode[]
+  try {
+    content = convertBlocks(tokens)
+  } finally {
+    footnoteTexts = new Map()
+  }
+
+  return {
+    type: 'doc',
+    content: content.length > 0 ? content : [{ type: 'paragraph' }]
+  }
+}
+
+/**
+ * Heuristic for auto-detect: front matter or common block/inline syntax
+ */
+export function looksLikeMarkdown(input: string): boolean {
+  const text = input.replace(/^\uFEFF/, '').trimStart()
+  if (/^---[ \t]*\r?\n/.test(text)) return true
+  return /^(#{1,6}\s|[-*+]\s|\d+\.\s|>\s?|```|~~~)/m.test(text) ||
+    /\*\*[^*\n]+\*\*|\[[^\]\n]+\]\([^)\n]+\)|!\[[^\]\n]*\]\(/.test(text)
+}
+
+// ============================================================
+// TIPTAP JSON → MARKDOWN
+// ============================================================
+
+// Outer-to-inner order for marks that open at the same position
+const MARK_ORDER = ['link', 'bold', 'italic', 'strike', 'underline']
+
+const MARK_DELIMITERS: Record<string, { open: (mark: TiptapMark) => string; close: (mark: TiptapMark) => string }> = {
+  link: { open: () => '[', close: mark => `](${formatDestination(mark.attrs?.href || '')})` },
+  bold: { open: () => '**', close: () => '**' },
+  italic: { open: () => '*', close: () => '*' },
+  strike: { open: () => '~~', close: () => '~~' },
+  underline: { open: () => '<u>', close: () => '</u>' }
+}
+
+function formatDestination(url: string): string {
+  return /[\s()<>]/.test(url) ? `<${url.replace(/>/g, '%3E')}>` : url
+}
+
+/**
+ * Escape text so it reads back as the same characters
+ */
+function escapeText(text: string): string {
+  return text
+    .replace(/[\\`*_[\]<>~&]/g, '\\$&')
+    .replace(/\u00A0/g, '&nbsp;')
+}
+
+/**
+ * Escape characters that would start a block at the beginning of a line
+ */
+function escapeLineStart(text: string): string {
+  return text
+    .replace(/^(\s*)([#>+=-])/, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])/, '$1\\$2')
+}
+
+function codeSpan(text: string): string {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length))
+  const fence = '`'.repeat(longest + 1)
+  const padded = text.startsWith('`') || text.endsWith('`') || (text.startsWith(' ') && text.endsWith(' ') && text.trim() !== '')
+    ? ` ${text} `
+    : text
+  return `${fence}${padded}${fence}`
+}
+
+function markKey(mark: TiptapMark): string {
+  return mark.type === 'link' ? `link:${mark.attrs?.href || ''}` : mark.type
+}
+
+// Footnote texts of the document being serialized, in reference order
+let footnoteNotes: string[] = []
+
+/**
+ * Serialize inline nodes, opening and closing marks only where they change
+ * (lineBreak is what a hard break becomes: table cells can't span lines)
+ */
+function serializeInline(nodes: TiptapNode[] = [], lineBreak = '\\\n'): string {
+  let out = ''
+  let active: TiptapMark[] = []
+  let pendingWhitespace = ''
+
+  const closeTo = (keep: number) => {
+    for (let index = active.length - 1; index >= keep; index--) {
+      out += MARK_DELIMITERS[active[index].type].close(active[index])
+    }
+    active = active.slice(0, keep)
+  }
+
+  for (const node of nodes) {
+    const marks = (node.marks || []).filter(mark => MARK_DELIMITERS[mark.type])
+    const keys = marks.map(markKey)
+
+    // Keep the longest run of active marks this node still has
+    let keep = 0
+    while (keep < active.length && keys.includes(markKey(active[keep]))) keep++
+
+    const opening = marks
+      .filter(mark => !active.slice(0, keep).some(existing => markKey(existing) === markKey(mark)))
+      .sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type))
+
+    if (node.type === 'hardBreak') {
+      out += pendingWhitespace
+      pendingWhitespace = ''
+      out += lineBreak
+      continue
+    }
+
+    let text = ''
+    if (node.type === 'text') {
+      const isCode = (node.marks || []).some(mark => mark.type === 'code')
+      text = isCode ? codeSpan(node.text || '') : escapeText(node.text || '')
+    } else if (node.type === 'image') {
+      text = serializeImage(node)
+    } else if (node.type === 'footnote') {
+      text = `[^${footnoteNotes.push(String(node.attrs?.content || ''))}]`
+    }
+
+    // Whitespace moves outside marks so delimiters stay attached to words
+    const leading = opening.length > 0 || keep < active.length ? text.match(/^\s*/)![0] : ''
+    const core = text.slice(leading.length)
+    const trailing = core.match(/\s*$/)![0]
+    const body = core.slice(0, core.length - trailing.length)
+
+    if (body === '') {
+      // Whitespace-only text is written with the next word, outside any closing marks
+      pendingWhitespace += text
+      continue
+    }
+
+    closeTo(keep)
+    out += pendingWhitespace + leading
+    pendingWhitespace = ''
+
+    for (const mark of opening) {
+      out += MARK_DELIMITERS[mark.type].open(mark)
+      active.push(mark)
+    }
+
+    out += out.endsWith('\n') || out === '' ? escapeLineStart(body) : body
+    pendingWhitespace = trailing
+  }
+
+  closeTo(0)
+  out += pendingWhitespace
+
+  return out
+}
+
+function serializeImage(node: TiptapNode): string {
+  const alt = (node.attrs?.alt || '').replace(/[\\[\]]/g, '\\$&')
+  const title = node.attrs?.title ? ` "${String(node.attrs.title).replace(/["\\]/g, '\\$&')}"` : ''
+  return `![${alt}](${formatDestination(node.attrs?.src || '')}${title})`
+}
+
+/**
+ * Write a node as JSON in a comment when Markdown has no lossless syntax for it
+ */
+function nodeComment(node: TiptapNode): string {
+  return `<!-- tiptap: ${JSON.stringify(node).replace(/</g, '\\u003c').replace(/>/g, '\\u003e')} -->`
+}
+
+function cellAlign(cell: TiptapNode): string | null {
+  const align = cell.content?.[0]?.attrs?.textAlign
+  return align && align !== 'left' ? align : null
+}
+
+/**
+ * Column alignments when the table fits a pipe table (header row first,
+ * one paragraph per cell, no merged or sized cells, one alignment per column)
+ */
+function pipeTableAligns(node: TiptapNode): Array<string | null> | null {
+  const rows = node.content || []
+  const columns = rows[0]?.content?.length || 0
+  if (columns === 0) return null
+
+  const fits = rows.every((row, rowIndex) =>
+    row.content?.length === columns &&
+    row.content.every(cell =>
+      cell.type === (rowIndex === 0 ? 'tableHeader' : 'tableCell') &&
+      (cell.attrs?.colspan ?? 1) === 1 &&
+      (cell.attrs?.rowspan ?? 1) === 1 &&
+      !cell.attrs?.colwidth &&
+      cell.content?.length === 1 &&
+      cell.content[0].type === 'paragraph'))
+  if (!fits) return null
+
+  const aligns = rows[0].content!.map(cellAlign)
+  const consistent = rows.every(row => row.content!.every((cell, index) => cellAlign(cell) === aligns[index]))
+  return consistent ? aligns : null
+}
+
+function serializeTable(node: TiptapNode): string {
+  const aligns = pipeTableAligns(node)
+  if (!aligns) return nodeComment(node)
+
+  const row = (cells: string[]) => `| ${cells.join(' | ')} |`
+  const lines = (node.content || []).map(tableRow => row(tableRow.content!.map(cell =>
+    serializeInline(cell.content![0].content, '<br>').replace(/\n/g, ' ').replace(/\|/g, '\\|'))))
+  const delimiter = row(aligns.map(align => align === 'center' ? ':---:' : align === 'right' ? '---:' : '---'))
+
+  return [lines[0], delimiter, ...lines.slice(1)].join('\n')
+}
+
+function alignDirective(node: TiptapNode): string {
+  const align = node.attrs?.textAlign
+  return align && align !== 'left' ? `<!-- align: ${align} -->\n` : ''
+}
+
+function indentLines(text: string, indent: string, firstPrefix: string): string {
+  return text
+    .split('\n')
+    .map((line, index) => index === 0 ? firstPrefix + line : line ? indent + line : line)
+    .join('\n')
+}
+
+function serializeListItem(item: TiptapNode, marker: string): string {
+  const children = item.content || []
+  let body = ''
+  children.forEach((child, index) => {
+    if (index > 0) {
+      body += /List$/.test(child.type) ? '\n' : '\n\n'
+    }
+    body += serializeBlock(child)
+  })
+  return indentLines(body, ' '.repeat(marker.length), marker)
+}
+
+/**
+ * Serialize one block node
+ */
+function serializeBlock(node: TiptapNode): string {
+  switch (node.type) {
+    case 'paragraph': {
+      const text = serializeInline(node.content)
+      return alignDirective(node) + (text.trim() === '' ? '<p></p>' : text)
+    }
+
+    case 'heading': {
+      const level = Math.min(Math.max(node.attrs?.level || 1, 1), 6)
+      const text = serializeInline(node.content).replace(/\n/g, ' ')
+      return `${alignDirective(node)}${'#'.repeat(level)}${text ? ` ${text}` : ''}`
+    }
+
+    case 'blockquote': {
+      const inner = serializeBlocks(node.content)
+      return inner.split('\n').map(line => line ? `> ${line}` : '>').join('\n')
+    }
+
+    case 'callout': {
+      const alert = VARIANT_ALERTS[node.attrs?.variant] || 'NOTE'
+      const inner = serializeBlocks(node.content)
+      return [`[!${alert}]`, ...inner.split('\n')].map(line => line ? `> ${line}` : '>').join('\n')
+    }
+
+    case 'table':
+      return serializeTable(node)
+
+    case 'bulletList':
+      return (node.content || []).map(item => serializeListItem(item, '- ')).join('\n')
+
+    case 'orderedList': {
+      const start = node.attrs?.start ?? 1
+      return (node.content || []).map((item, index) => serializeListItem(item, `${start + index}. `)).join('\n')
+    }
+
+    case 'codeBlock': {
+      const text = (node.content || []).map(child => child.text || '').join('')
+      const longest = Math.max(2, ...(text.match(/^`+/gm) || []).map(run => run.length))
+      const fence = '`'.repeat(longest + 1)
+      return `${fence}${node.attrs?.language || ''}\n${text}\n${fence}`
+    }
+
+    case 'horizontalRule':
+      return '---'
+
+    case 'image':
+      return serializeImage(node)
+
+    case 'embed':
+    case 'media':
+    case 'gallery':
+      return nodeComment(node)
+
+    default:
+      // Unknown containers keep their children; unknown leaves keep their text
+      if (node.content?.some(child => child.type === 'text' || child.type === 'hardBreak')) {
+        return serializeInline(node.content)
+      }
+      return serializeBlocks(node.content)
+  }
+}
+
+function serializeBlocks(nodes: TiptapNode[] = []): string {
+  return nodes.map(serializeBlock).join('\n\n')
+}
+
+/**
+ * Convert a TipTap document to a Markdown body
+ */
+export function tiptapToMarkdown(doc: TiptapNode | null | undefined): string {
+  if (!doc) return ''
+
+  footnoteNotes = []
+  try {
+    const body = serializeBlocks(doc.type === 'doc' ? doc.content : [doc])
+    if (footnoteNotes.length === 0) return body
+
+    const definitions = footnoteNotes.map((note, index) =>
+      `[^${index + 1}]: ${escapeText(note.replace(/\n/g, ' '))}`)
+    return `${body}\n\n${definitions.join('\n')}`
+  } finally {
+    footnoteNotes = []
+  }
+}
+
+// ============================================================
+// ENTRY EXPORT
+// ============================================================
+
+/**
+ * Canonical front matter key for a field (first jsonKey in ENTRY_FIELD_DEFINITIONS)
+ */
+function canonicalKey(field: string): string {
+  return ENTRY_FIELD_DEFINITIONS.find(def => def.field === field)?.jsonKeys[0] || field
+}
+
+/**
+ * Serialize an entry as Markdown with front matter; parseImportContent()
+ * in markdown mode reads it back to the same fields
+ */
+export function entryToMarkdown(entry: MarkdownEntry): string {
+  const frontMatter: Record<string, any> = {}
+  const scalarFields: Array<keyof MarkdownEntry> = ['title', 'excerpt', 'coverImageUrl', 'coverImageAlt', 'status']
+
+  for (const field of scalarFields) {
+    const value = entry[field]
+    if (typeof value === 'string' && value.trim() !== '') {
+      frontMatter[canonicalKey(field)] = value
+    }
+  }
+  frontMatter[canonicalKey('journals')] = entry.journals || []
+  frontMatter[canonicalKey('collections')] = entry.collections || []
+
+  const body = tiptapToMarkdown(entry.content)
+  return `${stringifyFrontMatter(frontMatter)}\n\n${body}\n`
+}
+
+/**
+ * File name for an exported entry
+ */
+export function markdownFileName(title: string | undefined): string {
+  const base = (title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+  return `${base || 'entry'}.md`
+}
@@ -1,5 +1,5 @@
 // client/src/utils/metadata.ts
-import { SITE_NAME } from '../config/branding'
+import { SITE_NAME, BRAND_IMAGES } from '../config/branding'
 
 /**
  * Generate page title with optional custom title
@@ -14,12 +14,14 @@ export function pageTitle(title?: string): string {
  * Generate default metadata object for pages
  * @param title - Custom page title (optional)
  * @param description - Page description (optional)
+ * @param image - Social image URL (optional, defaults to the og-image brand slot)
  * @returns Metadata object with title, description, Open Graph, and Twitter data
  */
-export function defaultMeta(title?: string, description?: string) {
+export function defaultMeta(title?: string, description?: string, image?: string) {
   const computedTitle = pageTitle(title)
   const defaultDescription = `Personal stories and experiences from ${SITE_NAME}`
   const finalDescription = description || defaultDescription
+  const finalImage = image || BRAND_IMAGES['og-image'] || undefined
 
   return {
     title: computedTitle,
@@ -28,12 +30,14 @@ export function defaultMeta(title?: string, description?: string) {
       title: computedTitle,
       description: finalDescription,
       siteName: SITE_NAME,
-      type: 'website'
+      type: 'website',
+      ...(finalImage && { image: finalImage })
     },
     twitter: {
       title: computedTitle,
       description: finalDescription,
-      card: 'summary_large_image'
+      card: 'summary_large_image',
+      ...(finalImage && { image: finalImage })
     }
   }
 }
@@ -0,0 +1,171 @@
+/**
+ * Display-time transforms for post HTML
+ *
+ * Stored content_html keeps footnotes as the editor writes them:
+ *   <sup data-type="footnote" data-content="Note text" class="footnote-ref"></sup>
+ * renderFootnotes() numbers those references in document order, links
+ * them to a list of notes appended after the content, and links back.
+ *
+ * Embeds are stored as a figure holding only a link:
+ *   <figure data-type="embed" data-provider="youtube" data-src="..."><a href="...">Title</a></figure>
+ * renderEmbeds() turns them into a click-to-load placeholder; nothing is
+ * requested from the provider until loadEmbedOnClick() swaps in the iframe.
+ *
+ * Carousel galleries scroll sideways, so renderGalleries() makes them a
+ * labelled, focusable region that can be scrolled from the keyboard.
+ *
+ * The server gives h1-h3 an id from their text; renderHeadingAnchors() adds
+ * a link to each one that copyHeadingLinkOnClick() copies to the clipboard.
+ *
+ * The transforms are pure string processing (no DOM) so they can run before render.
+ */
+
+import { EMBED_PROVIDER_LABELS, resolveEmbedUrl } from './embedProviders'
+
+const FOOTNOTE_REF = /<sup\b[^>]*\bdata-type=(["'])footnote\1[^>]*>[\s\S]*?<\/sup>/gi
+const FOOTNOTE_CONTENT = /\bdata-content=(["'])([\s\S]*?)\1/i
+const EMBED_FIGURE = /<figure\b([^>]*\bdata-type=(["'])embed\2[^>]*)>([\s\S]*?)<\/figure>/gi
+const CAROUSEL_GALLERY = /<figure\b(?=[^>]*\bdata-type=(["'])gallery\1)(?=[^>]*\bdata-layout=(["'])carousel\2)([^>]*)>/gi
+const HEADING_WITH_ID = /<h([1-3])\b([^>]*\bid=(["'])([^"']+)\3[^>]*)>([\s\S]*?)<\/h\1>/gi
+const EMBED_LINK = /<a\b[^>]*\bhref=(["'])([\s\S]*?)\1[^>]*>([\s\S]*?)<\/a>/i
+
+/**
+ * Number footnote references and append the list of notes
+ * Attribute values arrive entity-escaped from the sanitizer; < and > are
+ * escaped again so a note can only ever render as text.
+ */
+export function renderFootnotes(html: string | null | undefined): string {
+  if (!html) return ''
+
+  const notes: string[] = []
+  const body = html.replace(FOOTNOTE_REF, (ref) => {
+    const text = (ref.match(FOOTNOTE_CONTENT)?.[2] || '')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+    notes.push(text)
+    const n = notes.length
+    return `<sup class="footnote-ref" id="fnref-${n}"><a href="#fn-${n}" aria-describedby="footnotes-label">${n}</a></sup>`
+  })
+
+  if (notes.length === 0) return html
+
+  const items = notes
+    .map((text, index) => {
+      const n = index + 1
+      return `<li id="fn-${n}">${text} <a href="#fnref-${n}" class="footnote-backref" aria-label="Back to reference ${n}">↩</a></li>`
+    })
+    .join('')
+
+  return `${body}<section class="footnotes" aria-labelledby="footnotes-label"><h2 id="footnotes-label" class="sr-only">Footnotes</h2><ol>${items}</ol></section>`
+}
+
+function attribute(attributes: string, name: string): string {
+  const match = attributes.match(new RegExp(`\\b${name}=(["'])([\\s\\S]*?)\\1`, 'i'))
+  return match ? match[2] : ''
+}
+
+function decodeAttribute(value: string): string {
+  return value.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+}
+
+/**
+ * Replace stored embeds with a placeholder that names the provider
+ * The src is checked against the provider allowlist again; embeds that
+ * fail keep only their link.
+ */
+export function renderEmbeds(html: string): string {
+  return html.replace(EMBED_FIGURE, (_figure, attributes: string, _quote: string, inner: string) => {
+    const link = inner.match(EMBED_LINK)
+    const embed = resolveEmbedUrl(decodeAttribute(attribute(attributes, 'data-src')))
+    if (!embed) return link ? `<p>${link[0]}</p>` : ''
+
+    const label = EMBED_PROVIDER_LABELS[embed.provider]
+    const noun = embed.provider === 'openstreetmap' ? 'map' : 'video'
+    const title = (link?.[3] || '').replace(/<[^>]*>/g, '').trim()
+    const alignment = attribute(attributes, 'class').split(/\s+/).filter(name => name.startsWith('align-'))
+    const href = link?.[2] || embed.url
+
+    return `<figure class="${['embed', `embed-${embed.provider}`, ...alignment].join(' ')}" data-embed-src="${embed.src.replace(/&/g, '&amp;')}" data-embed-title="${title.replace(/"/g, '&quot;')}">`
+      + '<div class="embed-placeholder">'
+      + (title ? `<p class="embed-title">${title}</p>` : '')
+      + `<p class="embed-notice">This ${noun} is hosted by ${label}. Loading it shares data with ${label}.</p>`
+      + `<button type="button" class="embed-load">Load ${noun}</button>`
+      + `<a href="${href}" target="_blank" rel="noopener noreferrer">Open on ${label}</a>`
+      + '</div></figure>'
+  })
+}
+
+/**
+ * Make carousel galleries keyboard-scrollable regions
+ */
+export function renderGalleries(html: string): string {
+  return html.replace(CAROUSEL_GALLERY, (_figure, _q1: string, _q2: string, attributes: string) =>
+    `<figure${attributes} role="region" aria-label="Image carousel" tabindex="0">`
+  )
+}
+
+/**
+ * Append a deep link to every heading that has an id
+ */
+export function renderHeadingAnchors(html: string): string {
+  return html.replace(HEADING_WITH_ID, (_heading, level: string, attributes: string, _quote: string, id: string, inner: string) =>
+    `<h${level}${attributes}>${inner}<a href="#${id}" class="heading-anchor" aria-label="Copy link to this section">#</a></h${level}>`
+  )
+}
+
+/**
+ * Apply every display-time transform to stored post HTML
+ */
+export function renderPostContent(html: string | null | undefined): string {
+  return renderGalleries(renderEmbeds(renderFootnotes(html)))
+}
+
+/**
+ * Click handler for rendered post content: swaps an embed placeholder for
+ * the provider's iframe once the reader asks for it
+ */
+export function loadEmbedOnClick(event: { target: EventTarget | null }): void {
+  const button = (event.target as Element | null)?.closest?.('.embed-load')
+  const figure = button?.closest('figure[data-embed-src]')
+  if (!figure) return
+
+  const embed = resolveEmbedUrl(figure.getAttribute('data-embed-src'))
+  if (!embed) return
+
+  const iframe = document.createElement('iframe')
+  // The reader already pressed play, so videos start right away
+  iframe.src = embed.provider === 'openstreetmap' ? embed.src : `${embed.src}${embed.src.includes('?') ? '&' : '?'}autoplay=1`
+  iframe.title = figure.getAttribute('data-embed-title') || `${EMBED_PROVIDER_LABELS[embed.provider]} embed`
+  iframe.allow = 'autoplay; encrypted-media; fullscreen; picture-in-picture'
+  iframe.allowFullscreen = true
+  iframe.referrerPolicy = 'strict-origin-when-cross-origin'
+
+  figure.querySelector('.embed-placeholder')?.replaceWith(iframe)
+  figure.classList.add('embed-loaded')
+}
+
+/**
+ * Click handler for rendered post content: a heading's # link jumps to the
+ * heading and copies the full URL of that section
+ */
+export function copyHeadingLinkOnClick(event: { target: EventTarget | null; preventDefault: () => void }): void {
+  const anchor = (event.target as Element | null)?.closest?.('a.heading-anchor')
+  const id = anchor?.getAttribute('href')?.slice(1)
+  if (!anchor || !id) return
+
+  event.preventDefault()
+  const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${id}`
+  window.history.replaceState(null, '', `#${id}`)
+  document.getElementById(decodeURIComponent(id))?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+
+  navigator.clipboard?.writeText(url).then(() => {
+    anchor.classList.add('heading-anchor-copied')
+    anchor.setAttribute('aria-label', 'Link copied')
+    window.setTimeout(() => {
+      anchor.classList.remove('heading-anchor-copied')
+      anchor.setAttribute('aria-label', 'Copy link to this section')
+    }, 2000)
+  }).catch(() => {
+    // The address bar already shows the link
+  })
+}
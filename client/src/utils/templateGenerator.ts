@@ -1,7 +1,7 @@
 /**
  * Template Generator for Entry Editor
  * 
- * Generates exportable templates in JSON or HTML format that match
+ * Generates exportable templates in JSON, HTML or Markdown format that match
  * the Entry Editor's field structure. These templates are designed
  * to be fully compatible with the Import feature.
  * 
@@ -21,6 +21,10 @@
  * - Uses HTML comment markers for field boundaries
  * - Includes embedded JSON script for meta fields (status, journals, collections)
  * 
+ * Markdown Template:
+ * - YAML front matter with canonical field names
+ * - Body is the entry content in Markdown
+ * 
  * ============================================================
  */
 
@@ -30,8 +34,9 @@ import {
   VALID_STATUS_VALUES,
   getFieldDescriptionsFromDefinitions
 } from './entryFieldDefinitions'
+import { stringifyFrontMatter } from './markdownConverter'
 
-export type TemplateFormat = 'json' | 'html'
+export type TemplateFormat = 'json' | 'html' | 'markdown'
 
 export interface TemplateOptions {
   format: TemplateFormat
@@ -176,10 +181,40 @@ function generateHtmlTemplate(): string {
   return lines.join('\n')
 }
 
+/**
+ * Generate a Markdown template for entry import
+ * 
+ * Front matter holds the entry fields; everything after it is content.
+ */
+function generateMarkdownTemplate(): string {
+  const frontMatter = stringifyFrontMatter({
+    title: 'Your Entry Title Here',
+    excerpt: 'A brief summary or description of your entry.',
+    coverImageUrl: 'https://example.com/your-cover-image.jpg',
+    coverImageAlt: 'Cover image description',
+    status: 'draft',
+    journals: [],
+    collections: []
+  })
+
+  const body = [
+    'Your entry content goes here. This section supports **Markdown** formatting.',
+    '',
+    '## You can include',
+    '',
+    '- Paragraphs and headings',
+    '- Lists (ordered and unordered)',
+    '- [Links](https://example.com) and images',
+    '- Blockquotes and code blocks'
+  ]
+
+  return `${frontMatter}\n\n${body.join('\n')}\n`
+}
+
 /**
  * Generate a template in the specified format
  * 
- * @param format - 'json' or 'html'
+ * @param format - 'json', 'html' or 'markdown'
  * @returns Template content as a string
  */
 export function generateTemplate(format: TemplateFormat): TemplateResult {
@@ -193,6 +228,9 @@ export function generateTemplate(format: TemplateFormat): TemplateResult {
       case 'html':
         content = generateHtmlTemplate()
         break
+      case 'markdown':
+        content = generateMarkdownTemplate()
+        break
       default:
         // Fallback to JSON if unknown format
         content = generateJsonTemplate()
@@ -205,6 +243,8 @@ export function generateTemplate(format: TemplateFormat): TemplateResult {
     return {
       content: format === 'json' 
         ? '{\n  "title": "",\n  "content": ""\n}'
+        : format === 'markdown'
+        ? '---\ntitle: Entry Title\n---\n\nContent goes here.\n'
         : '<h1>Entry Title</h1>\n<p>Content goes here.</p>',
       format
     }
@@ -0,0 +1,72 @@
+// Audio / video upload utility for admin users
+import { adminHeaders } from '../lib/adminAuth'
+import { getApiBase, API_MISCONFIGURED } from '../lib/apiBase'
+import type { UploadError } from './uploadImage'
+
+export interface UploadMediaResult {
+  url: string
+  kind: 'audio' | 'video'
+  mimeType: string
+}
+
+export const MEDIA_ACCEPT = 'video/mp4,video/webm,video/ogg,audio/mpeg,audio/mp4,audio/x-m4a,audio/aac,audio/ogg,audio/webm,audio/wav,audio/x-wav,audio/flac'
+
+/**
+ * Upload an audio or video file through the server's storage driver
+ * Requires admin authentication; errors are thrown as UploadError
+ */
+export async function uploadMedia(file: File): Promise<UploadMediaResult> {
+  if (API_MISCONFIGURED) {
+    const error: UploadError = {
+      kind: 'uploads-disabled',
+      message: 'API configuration is missing. Media uploads are not available.'
+    }
+    throw error
+  }
+
+  const formData = new FormData()
+  formData.append('media', file)
+
+  let response: Response
+  try {
+    response = await fetch(`${getApiBase()}/api/images/uploads/media`, {
+      method: 'POST',
+      headers: {
+        ...adminHeaders()
+      },
+      body: formData
+    })
+  } catch (error) {
+    const typedError: UploadError = {
+      kind: 'network-error',
+      message: error instanceof Error ? error.message : 'Network error occurred during upload'
+    }
+    throw typedError
+  }
+
+  if (!response.ok) {
+    let message = `HTTP ${response.status}: ${response.statusText}`
+    try {
+      message = (await response.json()).error || message
+    } catch {
+      // Keep the status line
+    }
+
+    const kind: UploadError['kind'] =
+      response.status === 401 || response.status === 403 ? 'auth-error'
+        : response.status === 413 || response.status === 415 ? 'file-error'
+          : response.status === 503 ? 'uploads-disabled'
+            : 'server-error'
+    const error: UploadError = { kind, message }
+    throw error
+  }
+
+  const result = await response.json()
+  const apiBase = getApiBase()
+
+  return {
+    url: result.url.startsWith('http') || !apiBase ? result.url : `${apiBase}${result.url}`,
+    kind: result.kind,
+    mimeType: result.mimeType
+  }
+}
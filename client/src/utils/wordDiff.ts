@@ -0,0 +1,160 @@
+// Word-level diff for comparing post revisions
+// Myers' O((N+M)D) algorithm over word/whitespace tokens
+
+export type DiffType = 'equal' | 'added' | 'removed'
+
+export interface DiffPart {
+  type: DiffType
+  text: string
+}
+
+// Beyond this many edits the texts are treated as fully replaced
+// (keeps memory bounded for completely rewritten posts)
+const MAX_EDIT_DISTANCE = 2000
+
+/**
+ * Split text into word and whitespace tokens (whitespace is kept so the
+ * diff can be rendered back without losing line breaks)
+ */
+export function tokenizeWords(text: string): string[] {
+  if (!text) return []
+  return text.match(/\s+|[^\s]+/g) || []
+}
+
+/**
+ * Compute a word-level diff between two texts
+ */
+export function diffWords(before: string, after: string): DiffPart[] {
+  const a = tokenizeWords(before || '')
+  const b = tokenizeWords(after || '')
+
+  // Trim common prefix and suffix - most revisions only touch a small region
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++
+  }
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const parts: DiffPart[] = []
+  pushPart(parts, 'equal', a.slice(0, start).join(''))
+
+  const middle = myersDiff(a.slice(start, endA), b.slice(start, endB))
+  if (middle) {
+    for (const part of middle) {
+      pushPart(parts, part.type, part.text)
+    }
+  } else {
+    pushPart(parts, 'removed', a.slice(start, endA).join(''))
+    pushPart(parts, 'added', b.slice(start, endB).join(''))
+  }
+
+  pushPart(parts, 'equal', a.slice(endA).join(''))
+  return parts
+}
+
+/**
+ * Summarize a diff as counts of added/removed words (whitespace ignored)
+ */
+export function getDiffStats(parts: DiffPart[]): { added: number; removed: number } {
+  let added = 0
+  let removed = 0
+  for (const part of parts) {
+    if (part.type === 'equal') continue
+    const words = tokenizeWords(part.text).filter(token => token.trim()).length
+    if (part.type === 'added') added += words
+    else removed += words
+  }
+  return { added, removed }
+}
+
+// Append a part, merging with the previous one when the type matches
+function pushPart(parts: DiffPart[], type: DiffType, text: string) {
+  if (!text) return
+  const last = parts[parts.length - 1]
+  if (last && last.type === type) {
+    last.text += text
+  } else {
+    parts.push({ type, text })
+  }
+}
+
+// Returns null when the edit distance exceeds MAX_EDIT_DISTANCE
+function myersDiff(a: string[], b: string[]): DiffPart[] | null {
+  const n = a.length
+  const m = b.length
+  if (n === 0 && m === 0) return []
+  if (n === 0) return [{ type: 'added', text: b.join('') }]
+  if (m === 0) return [{ type: 'removed', text: a.join('') }]
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE)
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  // trace[d] holds v for diagonals -(d+1)..(d+1) as it was before step d
+  const trace: Int32Array[] = []
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2))
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b)
+      }
+    }
+  }
+
+  return null
+}
+
+function backtrack(trace: Int32Array[], a: string[], b: string[]): DiffPart[] {
+  const reversed: DiffPart[] = []
+  let x = a.length
+  let y = b.length
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d]
+    const at = (k: number) => snapshot[k + d + 1]
+    const k = x - y
+
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1
+    const prevX = at(prevK)
+    const prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      reversed.push({ type: 'equal', text: a[x - 1] })
+      x--
+      y--
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        reversed.push({ type: 'added', text: b[y - 1] })
+      } else {
+        reversed.push({ type: 'removed', text: a[x - 1] })
+      }
+    }
+
+    x = prevX
+    y = prevY
+  }
+
+  const parts: DiffPart[] = []
+  for (let i = reversed.length - 1; i >= 0; i--) {
+    pushPart(parts, reversed[i].type, reversed[i].text)
+  }
+  return parts
+}
@@ -382,10 +382,10 @@ describe('HTML Sanitization', () => {
       
       const sanitized = sanitizePostHtml(html);
       
-      // Should contain all allowed tags
-      expect(sanitized).toContain('<h1>');
-      expect(sanitized).toContain('<h2>');
-      expect(sanitized).toContain('<h3>');
+      // Should contain all allowed tags (headings get ids for the table of contents)
+      expect(sanitized).toContain('<h1 id="main-heading">');
+      expect(sanitized).toContain('<h2 id="subheading">');
+      expect(sanitized).toContain('<h3 id="sub-subheading">');
       expect(sanitized).toContain('<p>');
       expect(sanitized).toContain('<strong>');
       expect(sanitized).toContain('<em>');
@@ -0,0 +1,188 @@
+// server/__tests__/bulk-posts.test.js
+const { describe, test, expect, beforeEach } = require('@jest/globals')
+const request = require('supertest')
+const express = require('express')
+
+// Rows the target lookups find, and what bulk_post_operation returns
+const mockTargets = { labels: new Set(), journals: new Set(), collections: new Set() }
+const mockRpc = jest.fn()
+
+function mockQuery(table) {
+  const filters = {}
+  const query = {
+    select: () => query,
+    eq: (column, value) => {
+      filters[column] = value
+      return query
+    },
+    in: () => query,
+    maybeSingle: async () => ({
+      data: mockTargets[table]?.has(filters.id) ? { id: filters.id } : null,
+      error: null
+    }),
+    then: (resolve, reject) => Promise.resolve({ data: [], error: null }).then(resolve, reject)
+  }
+  return query
+}
+
+jest.mock('../auth/supabaseAdmin.ts', () => ({
+  getSupabaseAdmin: () => ({ from: mockQuery, rpc: mockRpc }),
+  isSupabaseAdminConfigured: true
+}))
+
+jest.mock('../src/middleware/requireSupabaseAdmin.ts', () => ({
+  requireSupabaseAdmin: (req, res, next) => {
+    req.user = { id: 'admin', role: 'admin' }
+    req.isAdmin = true
+    next()
+  }
+}))
+
+const postsRoutes = require('../routes/posts.ts').default
+
+const POST_A = '11111111-1111-4111-8111-111111111111'
+const POST_B = '22222222-2222-4222-8222-222222222222'
+const LABEL = '33333333-3333-4333-8333-333333333333'
+
+function createApp() {
+  const app = express()
+  app.use(express.json())
+  app.use('/api/posts', postsRoutes)
+  return app
+}
+
+describe('POST /api/posts/bulk', () => {
+  let app
+
+  beforeEach(() => {
+    app = createApp()
+    mockRpc.mockReset()
+    mockTargets.labels = new Set([LABEL])
+  })
+
+  test('returns per-item results and a summary', async () => {
+    mockRpc.mockResolvedValue({
+      data: {
+        committed: true,
+        results: [
+          { post_id: POST_A, ok: true },
+          { post_id: POST_B, ok: false, error: 'Post not found' }
+        ]
+      },
+      error: null
+    })
+
+    const response = await request(app)
+      .post('/api/posts/bulk')
+      .send({ action: 'publish', post_ids: [POST_A, POST_B], atomic: false })
+      .expect(200)
+
+    expect(mockRpc).toHaveBeenCalledWith('bulk_post_operation', {
+      p_action: 'publish',
+      p_post_ids: [POST_A, POST_B],
+      p_target: null,
+      p_atomic: false
+    })
+    expect(response.body.results).toEqual([
+      { post_id: POST_A, ok: true },
+      { post_id: POST_B, ok: false, error: 'Post not found' }
+    ])
+    expect(response.body.summary).toEqual({ total: 2, succeeded: 1, failed: 1 })
+  })
+
+  test('reports nothing as changed when an atomic run is rolled back', async () => {
+    mockRpc.mockResolvedValue({
+      data: {
+        committed: false,
+        results: [
+          { post_id: POST_A, ok: true },
+          { post_id: POST_B, ok: false, error: 'Post not found' }
+        ]
+      },
+      error: null
+    })
+
+    const response = await request(app)
+      .post('/api/posts/bulk')
+      .send({ action: 'archive', post_ids: [POST_A, POST_B] })
+      .expect(200)
+
+    expect(mockRpc.mock.calls[0][1].p_atomic).toBe(true)
+    expect(response.body.committed).toBe(false)
+    expect(response.body.summary).toEqual({ total: 2, succeeded: 0, failed: 1 })
+  })
+
+  test('removes duplicate post ids', async () => {
+    mockRpc.mockResolvedValue({ data: { committed: true, results: [{ post_id: POST_A, ok: true }] }, error: null })
+
+    await request(app)
+      .post('/api/posts/bulk')
+      .send({ action: 'draft', post_ids: [POST_A, POST_A] })
+      .expect(200)
+
+    expect(mockRpc.mock.calls[0][1].p_post_ids).toEqual([POST_A])
+  })
+
+  test('accepts up to 200 posts and rejects more', async () => {
+    mockRpc.mockResolvedValue({ data: { committed: true, results: [] }, error: null })
+    const postIds = Array.from({ length: 201 }, (_, index) =>
+      `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`
+    )
+
+    await request(app)
+      .post('/api/posts/bulk')
+      .send({ action: 'publish', post_ids: postIds.slice(0, 200) })
+      .expect(200)
+
+    const response = await request(app)
+      .post('/api/posts/bulk')
+      .send({ action: 'publish', post_ids: postIds })
+      .expect(422)
+
+    expect(response.body.fields.post_ids).toEqual(['At most 200 posts can be changed at once'])
+    expect(mockRpc).toHaveBeenCalledTimes(1)
+  })
+
+  test('rejects unknown actions, empty and malformed post ids', async () => {
+    for (const body of [
+      { action: 'explode', post_ids: [POST_A] },
+      { action: 'publish', post_ids: [] },
+      { action: 'publish', post_ids: ['not-a-uuid'] },
+      { action: 'publish', post_ids: [POST_A], atomic: 'yes' }
+    ]) {
+      await request(app).post('/api/posts/bulk').send(body).expect(422)
+    }
+    expect(mockRpc).not.toHaveBeenCalled()
+  })
+
+  test('requires a target for label, journal and collection actions', async () => {
+    const response = await request(app)
+      .post('/api/posts/bulk')
+      .send({ action: 'add_label', post_ids: [POST_A] })
+      .expect(422)
+
+    expect(response.body.fields.target_id).toEqual(['A label is required for this action'])
+    expect(mockRpc).not.toHaveBeenCalled()
+  })
+
+  test('fails the whole request when the target does not exist', async () => {
+    const response = await request(app)
+      .post('/api/posts/bulk')
+      .send({ action: 'add_to_journal', post_ids: [POST_A], target_id: LABEL })
+      .expect(404)
+
+    expect(response.body.error).toMatch(/Journal not found/)
+    expect(mockRpc).not.toHaveBeenCalled()
+  })
+
+  test('passes an existing target through', async () => {
+    mockRpc.mockResolvedValue({ data: { committed: true, results: [{ post_id: POST_A, ok: true }] }, error: null })
+
+    await request(app)
+      .post('/api/posts/bulk')
+      .send({ action: 'add_label', post_ids: [POST_A], target_id: LABEL })
+      .expect(200)
+
+    expect(mockRpc.mock.calls[0][1]).toMatchObject({ p_action: 'add_label', p_target: LABEL })
+  })
+})
@@ -0,0 +1,273 @@
+// server/__tests__/comments.test.js
+const { describe, test, expect, beforeEach } = require('@jest/globals')
+const request = require('supertest')
+const express = require('express')
+
+const PUBLISHED_POST = '00000000-0000-4000-8000-000000000001'
+const DRAFT_POST = '00000000-0000-4000-8000-000000000002'
+const CLOSED_POST = '00000000-0000-4000-8000-000000000003'
+const READER = 'reader'
+const OTHER = 'someone-else'
+
+// Comment ids are UUIDs ending in their number
+const commentId = n => `00000000-0000-4000-9000-${String(n).padStart(12, '0')}`
+
+let mockPosts = []
+let mockComments = []
+let mockOpenPosts = []
+
+function comment(n, fields = {}) {
+  return {
+    id: commentId(n),
+    post_id: PUBLISHED_POST,
+    parent_id: null,
+    author_id: OTHER,
+    body: `Comment ${n}`,
+    status: 'approved',
+    edited_at: null,
+    deleted_at: null,
+    created_at: `2025-01-01T00:00:${String(n).padStart(2, '0')}.000Z`,
+    profiles: { id: fields.author_id || OTHER, display_name: 'Reader', avatar_url: null },
+    ...fields,
+    ...(fields.parent_id !== undefined ? { parent_id: commentId(fields.parent_id) } : {})
+  }
+}
+
+function mockFrom(table) {
+  const filters = []
+  let inserted = null
+  const rows = () => (table === 'posts' ? mockPosts : mockComments)
+    .filter(row => filters.every(([column, value]) => row[column] === value))
+
+  const query = {
+    select: () => query,
+    order: () => query,
+    eq: (column, value) => {
+      filters.push([column, value])
+      return query
+    },
+    insert: (values) => {
+      inserted = { id: commentId(99), edited_at: null, deleted_at: null, created_at: new Date().toISOString(), profiles: null, ...values }
+      mockComments.push(inserted)
+      return query
+    },
+    maybeSingle: async () => ({ data: rows()[0] ?? null, error: null }),
+    single: async () => ({ data: inserted, error: null }),
+    then: (resolve, reject) => Promise.resolve({ data: rows(), error: null }).then(resolve, reject)
+  }
+  return query
+}
+
+jest.mock('../auth/supabaseAdmin.ts', () => ({
+  getSupabaseAdmin: () => ({
+    from: mockFrom,
+    rpc: async (name, { p_post_id }) => ({ data: mockOpenPosts.includes(p_post_id), error: null }),
+    auth: { getUser: async (token) => ({ data: { user: token === 'reader-token' ? { id: 'reader' } : null } }) }
+  }),
+  isSupabaseAdminConfigured: true
+}))
+
+jest.mock('../middleware/requireUser.ts', () => ({
+  requireUser: (req, res, next) => {
+    req.user = { id: 'reader', role: 'user' }
+    next()
+  }
+}))
+
+const { commentEditChanges, commentService } = require('../src/services/commentService.ts')
+const commentsRoutes = require('../routes/comments.ts').default
+
+beforeEach(() => {
+  mockPosts = [
+    { id: PUBLISHED_POST, status: 'published' },
+    { id: DRAFT_POST, status: 'draft' },
+    { id: CLOSED_POST, status: 'published' }
+  ]
+  mockComments = []
+  mockOpenPosts = [PUBLISHED_POST]
+})
+
+// Ids of a thread, with removed placeholders marked
+const shape = nodes => nodes.map(node => ({
+  id: node.removed ? `removed ${node.id}` : node.id,
+  replies: shape(node.replies)
+}))
+
+describe('Comment edits', () => {
+  test('an approved comment edited by its author goes back to moderation', () => {
+    const changes = commentEditChanges('approved', 'New text', false)
+
+    expect(changes).toMatchObject({
+      body: 'New text',
+      status: 'pending',
+      moderated_at: null,
+      moderated_by: null
+    })
+    expect(typeof changes.edited_at).toBe('string')
+  })
+
+  test('an admin editing an approved comment keeps it approved', () => {
+    const changes = commentEditChanges('approved', 'New text', true)
+
+    expect(changes.body).toBe('New text')
+    expect(changes).not.toHaveProperty('status')
+    expect(changes).not.toHaveProperty('moderated_at')
+  })
+
+  test.each(['pending', 'rejected', 'spam'])('a %s comment keeps its status when edited', (status) => {
+    const changes = commentEditChanges(status, 'New text', false)
+
+    expect(changes).not.toHaveProperty('status')
+    expect(changes.body).toBe('New text')
+  })
+})
+
+describe('Comment threads', () => {
+  beforeEach(() => {
+    mockComments = [
+      comment(1),
+      comment(2, { parent_id: 1 }),
+      comment(3, { parent_id: 2 }),
+      comment(4, { author_id: READER, status: 'pending' }),
+      comment(5, { status: 'pending' }),
+      comment(6, { body: '', deleted_at: '2025-01-02T00:00:00.000Z' }),
+      comment(7, { parent_id: 6 }),
+      comment(8, { status: 'rejected' }),
+      comment(9, { parent_id: 8 }),
+      comment(10, { status: 'spam' }),
+      comment(11, { body: '', deleted_at: '2025-01-02T00:00:00.000Z' }),
+      comment(12, { parent_id: 11, status: 'pending' })
+    ]
+  })
+
+  test('replies nest under their parents and hidden comments are left out', async () => {
+    const thread = await commentService.getThread(PUBLISHED_POST, null)
+
+    expect(shape(thread.comments)).toEqual([
+      { id: commentId(1), replies: [{ id: commentId(2), replies: [{ id: commentId(3), replies: [] }] }] },
+      { id: `removed ${commentId(6)}`, replies: [{ id: commentId(7), replies: [] }] },
+      { id: `removed ${commentId(8)}`, replies: [{ id: commentId(9), replies: [] }] }
+    ])
+    expect(thread.count).toBe(5)
+  })
+
+  test('a deleted or hidden parent with visible replies becomes a placeholder', async () => {
+    const thread = await commentService.getThread(PUBLISHED_POST, null)
+    const placeholders = thread.comments.filter(node => node.removed)
+
+    expect(placeholders).toHaveLength(2)
+    for (const placeholder of placeholders) {
+      expect(placeholder).toMatchObject({ body: null, author: null, status: 'approved', edited_at: null })
+      expect(placeholder.replies[0].body).not.toBeNull()
+    }
+  })
+
+  test('readers also see their own comments awaiting moderation', async () => {
+    const thread = await commentService.getThread(PUBLISHED_POST, READER)
+
+    expect(thread.comments.map(node => node.id)).toContain(commentId(4))
+    expect(thread.comments.find(node => node.id === commentId(4)).status).toBe('pending')
+    expect(thread.comments.map(node => node.id)).not.toContain(commentId(5))
+    expect(thread.count).toBe(5)
+  })
+
+  test('the thread says whether the post takes comments', async () => {
+    expect((await commentService.getThread(PUBLISHED_POST, null)).open).toBe(true)
+    expect((await commentService.getThread(CLOSED_POST, null)).open).toBe(false)
+    expect(await commentService.isOpen(PUBLISHED_POST)).toBe(true)
+    expect(await commentService.isOpen(CLOSED_POST)).toBe(false)
+  })
+})
+
+describe('Comment routes', () => {
+  let app
+
+  beforeEach(() => {
+    app = express()
+    app.use(express.json())
+    app.use('/api/comments', commentsRoutes)
+
+    mockComments = [
+      comment(1),
+      comment(2, { status: 'pending' }),
+      comment(3, { author_id: READER, status: 'pending' }),
+      comment(4, { body: '', deleted_at: '2025-01-02T00:00:00.000Z' }),
+      comment(5, { post_id: CLOSED_POST })
+    ]
+  })
+
+  test('GET returns the thread of a published post', async () => {
+    const response = await request(app)
+      .get(`/api/comments/post/${PUBLISHED_POST}`)
+      .set('Authorization', 'Bearer reader-token')
+      .expect(200)
+
+    expect(response.body.open).toBe(true)
+    expect(response.body.comments.map(node => node.id)).toEqual([commentId(1), commentId(3)])
+  })
+
+  test('GET returns 404 for a post that is not published', async () => {
+    mockComments.push(comment(6, { post_id: DRAFT_POST }))
+
+    const response = await request(app).get(`/api/comments/post/${DRAFT_POST}`).expect(404)
+    expect(response.body.error).toBe('Post not found')
+  })
+
+  test('GET returns 404 for a post id that is not a UUID', async () => {
+    await request(app).get('/api/comments/post/not-a-post').expect(404)
+  })
+
+  test('POST adds a pending comment to an open post', async () => {
+    const response = await request(app)
+      .post(`/api/comments/post/${PUBLISHED_POST}`)
+      .send({ body: '  Lovely story  ' })
+      .expect(201)
+
+    expect(response.body.comment).toMatchObject({ parent_id: null, body: 'Lovely story', status: 'pending' })
+  })
+
+  test('POST is refused when comments are closed', async () => {
+    const response = await request(app)
+      .post(`/api/comments/post/${CLOSED_POST}`)
+      .send({ body: 'Hello' })
+      .expect(403)
+
+    expect(response.body.error).toBe('Comments are closed for this post')
+  })
+
+  test.each([
+    ['an approved comment', 1],
+    ["the reader's own pending comment", 3]
+  ])('POST can reply to %s on the same post', async (label, parent) => {
+    const response = await request(app)
+      .post(`/api/comments/post/${PUBLISHED_POST}`)
+      .send({ body: 'A reply', parent_id: commentId(parent) })
+      .expect(201)
+
+    expect(response.body.comment.parent_id).toBe(commentId(parent))
+  })
+
+  test.each([
+    ['a comment on another post', 5],
+    ["someone else's pending comment", 2],
+    ['a deleted comment', 4],
+    ['a comment that does not exist', 42]
+  ])('POST cannot reply to %s', async (label, parent) => {
+    const response = await request(app)
+      .post(`/api/comments/post/${PUBLISHED_POST}`)
+      .send({ body: 'A reply', parent_id: commentId(parent) })
+      .expect(404)
+
+    expect(response.body.error).toBe('Comment to reply to not found')
+    expect(mockComments).toHaveLength(5)
+  })
+
+  test('POST rejects a parent_id that is not a comment id', async () => {
+    const response = await request(app)
+      .post(`/api/comments/post/${PUBLISHED_POST}`)
+      .send({ body: 'A reply', parent_id: 'first' })
+      .expect(422)
+
+    expect(response.body.fields.parent_id).toEqual(['parent_id must be a comment id'])
+  })
+})
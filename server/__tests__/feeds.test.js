@@ -0,0 +1,142 @@
+// server/__tests__/feeds.test.js
+const { describe, test, expect } = require('@jest/globals')
+
+const {
+  buildRssFeed,
+  buildAtomFeed,
+  buildJsonFeed,
+  buildFeed,
+  escapeXml,
+  absolutizeHtmlUrls
+} = require('../src/utils/feedBuilder.ts')
+
+const meta = {
+  title: 'Stories & Notes',
+  description: 'Writing <from> the journal',
+  homePageUrl: 'https://example.com/blog',
+  feedUrl: 'https://api.example.com/api/feeds/rss'
+}
+
+const item = {
+  id: '11111111-1111-4111-8111-111111111111',
+  url: 'https://example.com/blog/first-post',
+  title: 'Salt & "pepper"',
+  summary: 'A <short> summary',
+  contentHtml: '<p>Hello <strong>world</strong></p>',
+  imageUrl: 'https://api.example.com/uploads/cover.jpg?w=1200&h=630',
+  author: 'Dahlia',
+  tags: ['Travel', 'Food & drink'],
+  publishedAt: '2024-03-01T10:00:00.000Z',
+  updatedAt: '2024-03-05T12:30:00.000Z'
+}
+
+describe('escapeXml', () => {
+  test('escapes markup characters and drops characters XML does not allow', () => {
+    expect(escapeXml(`<a href="x">Tom & Jerry's</a>\u0000\u0008`))
+      .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;')
+  })
+})
+
+describe('absolutizeHtmlUrls', () => {
+  test('resolves images against the API and links against the site', () => {
+    const html = '<img src="/uploads/a.jpg"><a href="/blog/other">x</a><a href="//cdn.example.com/x">y</a>'
+
+    expect(absolutizeHtmlUrls(html, 'https://api.example.com', 'https://example.com')).toBe(
+      '<img src="https://api.example.com/uploads/a.jpg"><a href="https://example.com/blog/other">x</a><a href="//cdn.example.com/x">y</a>'
+    )
+  })
+})
+
+describe('RSS', () => {
+  const xml = buildRssFeed(meta, [item])
+
+  test('describes the channel', () => {
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0"/)
+    expect(xml).toContain('<title>Stories &amp; Notes</title>')
+    expect(xml).toContain('<description>Writing &lt;from&gt; the journal</description>')
+    expect(xml).toContain('<language>en</language>')
+    expect(xml).toContain('<lastBuildDate>Tue, 05 Mar 2024 12:30:00 GMT</lastBuildDate>')
+    expect(xml).toContain('<atom:link href="https://api.example.com/api/feeds/rss" rel="self" type="application/rss+xml" />')
+  })
+
+  test('escapes item fields and includes the full content', () => {
+    expect(xml).toContain('<title>Salt &amp; &quot;pepper&quot;</title>')
+    expect(xml).toContain('<pubDate>Fri, 01 Mar 2024 10:00:00 GMT</pubDate>')
+    expect(xml).toContain('<dc:creator>Dahlia</dc:creator>')
+    expect(xml).toContain('<category>Food &amp; drink</category>')
+    expect(xml).toContain('<description>A &lt;short&gt; summary</description>')
+    expect(xml).toContain('<content:encoded>&lt;p&gt;Hello &lt;strong&gt;world&lt;/strong&gt;&lt;/p&gt;</content:encoded>')
+    expect(xml).toContain('<media:content url="https://api.example.com/uploads/cover.jpg?w=1200&amp;h=630" medium="image" />')
+  })
+
+  test('leaves out optional fields that are empty', () => {
+    const bare = buildRssFeed(meta, [{ ...item, summary: null, imageUrl: null, author: null, tags: [] }])
+
+    expect(bare).not.toContain('<dc:creator>')
+    expect(bare).not.toContain('<category>')
+    expect(bare).not.toContain('<media:content')
+    expect(bare.match(/<description>/g)).toHaveLength(1)
+  })
+})
+
+describe('Atom', () => {
+  const xml = buildAtomFeed({ ...meta, language: 'es' }, [item])
+
+  test('describes the feed', () => {
+    expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="es">')
+    expect(xml).toContain('<id>https://api.example.com/api/feeds/rss</id>')
+    expect(xml).toContain('<subtitle>Writing &lt;from&gt; the journal</subtitle>')
+    expect(xml).toContain('<updated>2024-03-05T12:30:00.000Z</updated>')
+  })
+
+  test('writes entries with HTML content', () => {
+    expect(xml).toContain(`<id>urn:uuid:${item.id}</id>`)
+    expect(xml).toContain('<link rel="alternate" type="text/html" href="https://example.com/blog/first-post" />')
+    expect(xml).toContain('<published>2024-03-01T10:00:00.000Z</published>')
+    expect(xml).toContain('<author><name>Dahlia</name></author>')
+    expect(xml).toContain('<category term="Travel" />')
+    expect(xml).toContain('<link rel="enclosure" href="https://api.example.com/uploads/cover.jpg?w=1200&amp;h=630" />')
+    expect(xml).toContain('<content type="html">&lt;p&gt;Hello')
+  })
+})
+
+describe('JSON Feed', () => {
+  test('follows JSON Feed 1.1', () => {
+    const feed = JSON.parse(buildJsonFeed(meta, [item]))
+
+    expect(feed).toMatchObject({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: 'Stories & Notes',
+      home_page_url: 'https://example.com/blog',
+      feed_url: 'https://api.example.com/api/feeds/rss',
+      language: 'en'
+    })
+    expect(feed.items[0]).toEqual({
+      id: item.id,
+      url: item.url,
+      title: 'Salt & "pepper"',
+      content_html: item.contentHtml,
+      summary: 'A <short> summary',
+      image: item.imageUrl,
+      date_published: '2024-03-01T10:00:00.000Z',
+      date_modified: '2024-03-05T12:30:00.000Z',
+      authors: [{ name: 'Dahlia' }],
+      tags: ['Travel', 'Food & drink']
+    })
+  })
+
+  test('leaves out optional fields that are empty', () => {
+    const feed = JSON.parse(buildJsonFeed(meta, [{ ...item, summary: null, imageUrl: null, author: null, tags: [] }]))
+
+    expect(Object.keys(feed.items[0])).toEqual(['id', 'url', 'title', 'content_html', 'date_published', 'date_modified'])
+  })
+})
+
+describe('buildFeed', () => {
+  test('serializes the requested format, RSS by default', () => {
+    expect(buildFeed('atom', meta, [])).toContain('<feed ')
+    expect(JSON.parse(buildFeed('json', meta, [])).items).toEqual([])
+    expect(buildFeed('rss', meta, [])).toContain('<rss ')
+    expect(buildFeed('xml', meta, [])).toContain('<rss ')
+  })
+})
@@ -0,0 +1,147 @@
+// server/__tests__/image-transform.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// Only the pure parts are tested here; no storage or sharp needed
+jest.mock('../src/storage/index.ts', () => ({ storage: {} }))
+jest.mock('../src/services/compressionService.ts', () => ({ CompressionService: {} }))
+
+process.env.IMAGE_SIGNING_SECRET = 'test-secret'
+
+const { parseTransformParams, ImageTransformService } = require('../src/services/imageTransformService.ts')
+const { ImageCache } = require('../src/services/imageCache.ts')
+
+describe('parseTransformParams', () => {
+  test('parses every parameter', () => {
+    expect(parseTransformParams({ width: '640', height: '480', fit: 'cover', format: 'webp', quality: '75' })).toEqual({
+      params: { width: 640, height: 480, fit: 'cover', format: 'webp', quality: 75 },
+      fields: {}
+    })
+  })
+
+  test('leaves out parameters that are not given', () => {
+    expect(parseTransformParams({ width: '320' })).toEqual({ params: { width: 320 }, fields: {} })
+  })
+
+  test('reports each invalid parameter', () => {
+    const { params, fields } = parseTransformParams({
+      width: '0',
+      height: '12.5',
+      quality: '101',
+      fit: 'stretch',
+      format: 'gif'
+    })
+
+    expect(params).toEqual({})
+    expect(fields).toEqual({
+      width: ['width must be between 1 and 4000'],
+      height: ['height must be a whole number'],
+      quality: ['quality must be between 1 and 100'],
+      fit: ['fit must be one of: cover, contain, fill, inside, outside'],
+      format: ['format must be one of: avif, webp, jpeg, png']
+    })
+  })
+
+  test('rejects repeated parameters and dimensions above the maximum', () => {
+    expect(parseTransformParams({ width: ['100', '200'] }).fields.width).toEqual(['width must be a whole number'])
+    expect(parseTransformParams({ height: '4001' }).fields.height).toEqual(['height must be between 1 and 4000'])
+  })
+})
+
+describe('signed transform URLs', () => {
+  const service = new ImageTransformService()
+  const params = { width: 640, format: 'webp' }
+
+  test('a signature verifies for the same path and parameters only', () => {
+    const signature = service.sign('uploads/photo.jpg', params)
+
+    expect(service.verify('uploads/photo.jpg', params, signature)).toBe(true)
+    expect(service.verify('uploads/other.jpg', params, signature)).toBe(false)
+    expect(service.verify('uploads/photo.jpg', { ...params, width: 4000 }, signature)).toBe(false)
+    expect(service.verify('uploads/photo.jpg', params, signature.slice(1))).toBe(false)
+    expect(service.verify('uploads/photo.jpg', params, undefined)).toBe(false)
+  })
+
+  test('parameter order does not change the signature', () => {
+    expect(service.sign('a.png', { format: 'png', width: 10 })).toBe(service.sign('a.png', { width: 10, format: 'png' }))
+  })
+
+  test('transformUrl encodes the path and signs the canonical query', () => {
+    const url = service.transformUrl('2024/my photo.jpg', { quality: 80, width: 320 })
+    const [pathname, query] = url.split('?')
+    const search = new URLSearchParams(query)
+
+    expect(pathname).toBe('/img/2024/my%20photo.jpg')
+    expect(query.startsWith('width=320&quality=80&sig=')).toBe(true)
+    expect(service.verify('2024/my photo.jpg', { width: 320, quality: 80 }, search.get('sig'))).toBe(true)
+  })
+})
+
+describe('ImageCache', () => {
+  let dir
+
+  const image = (size, format = 'webp') => ({ buffer: Buffer.alloc(size, 1), mimeType: `image/${format}`, format })
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  test('returns what was stored', async () => {
+    const cache = new ImageCache(dir, 1000)
+    await cache.set('a', image(10))
+
+    const cached = await cache.get('a')
+    expect(cached.mimeType).toBe('image/webp')
+    expect(cached.buffer.length).toBe(10)
+    expect(await cache.get('missing')).toBeNull()
+  })
+
+  test('evicts the least recently used entries to stay under the limit', async () => {
+    const cache = new ImageCache(dir, 300)
+    await cache.set('a', image(100))
+    await cache.set('b', image(100))
+    await cache.set('c', image(100))
+
+    // Reading a makes b the least recently used
+    await cache.get('a')
+    await cache.set('d', image(100))
+
+    expect(await cache.get('b')).toBeNull()
+    expect(await cache.get('a')).not.toBeNull()
+    expect(await cache.get('c')).not.toBeNull()
+    expect(await cache.get('d')).not.toBeNull()
+    expect(await cache.stats()).toMatchObject({ entries: 3, bytes: 300 })
+    expect(fs.readdirSync(dir).sort()).toEqual(['a.webp', 'c.webp', 'd.webp'])
+  })
+
+  test('does not store images larger than the whole cache', async () => {
+    const cache = new ImageCache(dir, 100)
+    await cache.set('a', image(50))
+    await cache.set('big', image(101))
+
+    expect(await cache.get('big')).toBeNull()
+    expect(await cache.get('a')).not.toBeNull()
+  })
+
+  test('rebuilds its index from disk, oldest first, within the limit', async () => {
+    const first = new ImageCache(dir, 1000)
+    await first.set('old', image(100, 'png'))
+    await first.set('new', image(100, 'png'))
+    const past = new Date(Date.now() - 60000)
+    fs.utimesSync(path.join(dir, 'old.png'), past, past)
+    fs.writeFileSync(path.join(dir, 'leftover.png.123.tmp'), 'partial')
+
+    const restarted = new ImageCache(dir, 150)
+
+    expect(await restarted.stats()).toMatchObject({ entries: 1, bytes: 100 })
+    expect(await restarted.get('old')).toBeNull()
+    expect((await restarted.get('new')).mimeType).toBe('image/png')
+    expect(fs.readdirSync(dir)).toEqual(['new.png'])
+  })
+})
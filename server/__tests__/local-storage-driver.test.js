@@ -0,0 +1,77 @@
+// server/__tests__/local-storage-driver.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { LocalStorageDriver } = require('../src/storage/localDriver.ts')
+
+describe('LocalStorageDriver', () => {
+  let root
+  let uploads
+  let driver
+
+  beforeEach(() => {
+    // The driver keeps uploads in <cwd>/uploads when run from server/
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-driver-'))
+    const serverDir = path.join(root, 'server')
+    uploads = path.join(serverDir, 'uploads')
+    fs.mkdirSync(path.join(uploads, '2024', '01'), { recursive: true })
+    fs.writeFileSync(path.join(uploads, '2024', '01', 'a.jpg'), 'aaaa')
+    fs.writeFileSync(path.join(uploads, '2024', 'b.png'), 'bb')
+    fs.writeFileSync(path.join(uploads, '.gitkeep'), '')
+    fs.writeFileSync(path.join(root, 'outside.txt'), 'secret')
+
+    jest.spyOn(process, 'cwd').mockReturnValue(serverDir)
+    driver = new LocalStorageDriver()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    fs.rmSync(root, { recursive: true, force: true })
+  })
+
+  test('lists files under a prefix, skipping dotfiles', async () => {
+    expect((await driver.list()).map(file => [file.path, file.url, file.size])).toEqual([
+      ['2024/01/a.jpg', '/uploads/2024/01/a.jpg', 4],
+      ['2024/b.png', '/uploads/2024/b.png', 2]
+    ])
+    expect((await driver.list('2024/01')).map(file => file.path)).toEqual(['2024/01/a.jpg'])
+    expect(await driver.list('2025')).toEqual([])
+  })
+
+  test('stats files, and nothing for missing files or folders', async () => {
+    const file = await driver.stat('2024/01/a.jpg')
+
+    expect(file).toEqual(expect.objectContaining({ path: '2024/01/a.jpg', size: 4 }))
+    expect(Number.isNaN(file.updatedAt.getTime())).toBe(false)
+    expect(await driver.stat('2024/01/missing.jpg')).toBeNull()
+    expect(await driver.stat('2024/01')).toBeNull()
+  })
+
+  test('copies without overwriting', async () => {
+    expect(await driver.copy('2024/01/a.jpg', '2025/02/copy.jpg')).toEqual({
+      url: '/uploads/2025/02/copy.jpg',
+      path: '2025/02/copy.jpg'
+    })
+    expect(fs.readFileSync(path.join(uploads, '2025', '02', 'copy.jpg'), 'utf8')).toBe('aaaa')
+
+    await expect(driver.copy('2024/b.png', '2025/02/copy.jpg')).rejects.toMatchObject({ statusCode: 409 })
+    await expect(driver.copy('2024/missing.png', '2025/02/new.jpg')).rejects.toMatchObject({ statusCode: 404 })
+    expect(fs.readFileSync(path.join(uploads, '2025', '02', 'copy.jpg'), 'utf8')).toBe('aaaa')
+  })
+
+  test('deletes files and reports missing ones', async () => {
+    expect(await driver.delete('2024/b.png')).toBe(true)
+    expect(fs.existsSync(path.join(uploads, '2024', 'b.png'))).toBe(false)
+    expect(await driver.delete('2024/b.png')).toBe(false)
+  })
+
+  test('never reaches outside the uploads folder', async () => {
+    expect(await driver.stat('../../outside.txt')).toBeNull()
+    expect(await driver.delete('../../outside.txt')).toBe(false)
+    await expect(driver.copy('../../outside.txt', 'stolen.txt')).rejects.toMatchObject({ statusCode: 404 })
+    await expect(driver.read('../../outside.txt')).rejects.toMatchObject({ statusCode: 404 })
+    expect(fs.existsSync(path.join(root, 'outside.txt'))).toBe(true)
+  })
+})
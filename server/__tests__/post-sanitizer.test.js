@@ -0,0 +1,188 @@
+// server/__tests__/post-sanitizer.test.js
+const { describe, test, expect } = require('@jest/globals')
+
+const { sanitizePostHtml, outlineHeadings } = require('../src/utils/sanitizeHtml.ts')
+
+describe('sanitizePostHtml', () => {
+  describe('tables, callouts and footnotes', () => {
+    test('keeps table structure and cell spans', () => {
+      const html = sanitizePostHtml(
+        '<table style="width: 100px" onclick="x()"><tbody><tr><th colspan="2" rowspan="1" data-colwidth="120">Head</th></tr>' +
+        '<tr><td colspan="1" rowspan="2" data-bad="1">Cell</td></tr></tbody></table>'
+      )
+
+      expect(html).toBe(
+        '<table><tbody><tr><th colspan="2" rowspan="1" data-colwidth="120">Head</th></tr>' +
+        '<tr><td colspan="1" rowspan="2">Cell</td></tr></tbody></table>'
+      )
+    })
+
+    test('keeps callout variants and drops unknown ones', () => {
+      expect(sanitizePostHtml('<aside data-type="callout" data-variant="tip" class="callout callout-tip"><p>Hi</p></aside>'))
+        .toBe('<aside data-type="callout" data-variant="tip" class="callout callout-tip"><p>Hi</p></aside>')
+
+      const html = sanitizePostHtml('<aside data-type="sidebar" data-variant="danger" class="callout evil" onmouseover="x()"><p>Hi</p></aside>')
+      expect(html).toContain('class="callout"')
+      expect(html).not.toMatch(/sidebar|danger|evil|onmouseover/)
+    })
+
+    test('keeps footnote text as an escaped attribute', () => {
+      const html = sanitizePostHtml('<p>Text<sup data-type="footnote" data-content="&quot;&gt;<script>alert(1)</script>" class="footnote-ref" onclick="x()">1</sup></p>')
+
+      expect(html).toBe('<p>Text<sup data-type="footnote" data-content="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;" class="footnote-ref">1</sup></p>')
+    })
+  })
+
+  describe('embeds and media', () => {
+    test('drops a javascript: embed src and keeps only the fallback link', () => {
+      const html = sanitizePostHtml(
+        '<figure data-type="embed" data-provider="youtube" data-src="javascript:alert(1)" class="embed embed-youtube align-center">' +
+        '<a href="https://example.com/video">Watch</a></figure>'
+      )
+
+      expect(html).toBe('<figure><a href="https://example.com/video">Watch</a></figure>')
+    })
+
+    test('rebuilds a YouTube watch URL as a nocookie embed', () => {
+      const html = sanitizePostHtml(
+        '<figure data-type="embed" data-provider="vimeo" data-src="https://www.youtube.com/watch?v=dQw4w9WgXcQ&amp;t=1m30s" class="align-center">' +
+        '<a href="https://www.youtube.com/watch?v=dQw4w9WgXcQ">Watch</a></figure>'
+      )
+
+      expect(html).toBe(
+        '<figure class="embed embed-youtube align-center" data-type="embed" data-provider="youtube" data-src="https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?start=90">' +
+        '<a href="https://www.youtube.com/watch?v=dQw4w9WgXcQ">Watch</a></figure>'
+      )
+    })
+
+    test('keeps no iframes, even from allowlisted providers', () => {
+      const html = sanitizePostHtml('<iframe src="https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ"></iframe><p>After</p>')
+
+      expect(html).toBe('<p>After</p>')
+    })
+
+    test('strips javascript: media sources and forces controls', () => {
+      const html = sanitizePostHtml(
+        '<video src="javascript:alert(1)" autoplay onplay="x()" class="media media-video"></video>' +
+        '<audio src="https://example.com/uploads/song.mp3" preload="auto" title="Song"></audio>'
+      )
+
+      expect(html).toBe(
+        '<video class="media media-video" controls="controls" preload="metadata"></video>' +
+        '<audio src="https://example.com/uploads/song.mp3" preload="metadata" title="Song" controls="controls"></audio>'
+      )
+    })
+  })
+
+  describe('galleries', () => {
+    test('keeps gallery figures and their layout', () => {
+      const html = sanitizePostHtml(
+        '<figure data-type="gallery" data-layout="two-up" data-src="https://example.com" data-provider="youtube" class="gallery gallery-two-up">' +
+        '<figure class="gallery-item"><img src="https://example.com/a.jpg" alt="A"><figcaption>A</figcaption></figure></figure>'
+      )
+
+      expect(html).toBe(
+        '<figure data-type="gallery" data-layout="two-up" class="gallery gallery-two-up">' +
+        '<figure class="gallery-item"><img src="https://example.com/a.jpg" alt="A" /><figcaption>A</figcaption></figure></figure>'
+      )
+    })
+
+    test('drops unknown layouts and javascript: image sources', () => {
+      const html = sanitizePostHtml(
+        '<figure data-type="gallery" data-layout="masonry" class="gallery gallery-masonry">' +
+        '<figure class="gallery-item"><img src="javascript:alert(1)" onerror="x()"></figure></figure>'
+      )
+
+      expect(html).not.toMatch(/masonry|javascript|onerror/)
+      expect(html).toContain('class="gallery"')
+    })
+  })
+
+  describe('heading ids', () => {
+    test('numbers duplicate and reserved ids from -2', () => {
+      const html = sanitizePostHtml(
+        '<h2>Intro</h2><h3>Intro</h3><h2>Root</h2><h2>Footnotes label</h2><h2>fn 1</h2><h2>Intro</h2>'
+      )
+
+      expect(html).toBe(
+        '<h2 id="intro">Intro</h2><h3 id="intro-2">Intro</h3><h2 id="root-2">Root</h2>' +
+        '<h2 id="footnotes-label-2">Footnotes label</h2><h2 id="fn-1-2">fn 1</h2><h2 id="intro-3">Intro</h2>'
+      )
+    })
+
+    test('replaces ids from the input', () => {
+      const html = sanitizePostHtml('<h2 id="root">Hello &amp; welcome</h2><p id="x">Text</p>')
+
+      expect(html).toBe('<h2 id="hello-welcome">Hello &amp; welcome</h2><p>Text</p>')
+    })
+
+    test('outlines headings in document order and skips empty ones', () => {
+      const { html, outline } = outlineHeadings('<h1>Été <em>à</em> Paris</h1><h2> </h2><h3 class="align-center">日本語</h3>')
+
+      expect(outline).toEqual([
+        { id: 'ete-a-paris', level: 1, text: 'Été à Paris' },
+        { id: '日本語', level: 3, text: '日本語' }
+      ])
+      expect(html).toBe('<h1 id="ete-a-paris">Été <em>à</em> Paris</h1><h2> </h2><h3 id="日本語" class="align-center">日本語</h3>')
+    })
+  })
+
+  describe('post links', () => {
+    const POST_ID = '11111111-1111-4111-8111-111111111111'
+
+    test('keeps a valid data-post-id', () => {
+      expect(sanitizePostHtml(`<a href="/blog/other" data-post-id="${POST_ID}">Other</a>`))
+        .toBe(`<a href="/blog/other" data-post-id="${POST_ID}">Other</a>`)
+    })
+
+    test('removes a malformed data-post-id and keeps the link', () => {
+      for (const id of ['1 or 1=1', `${POST_ID}x`, '" onclick="x()', '']) {
+        const html = sanitizePostHtml(`<a href="/blog/other" data-post-id='${id}'>Other</a>`)
+        expect(html).toBe('<a href="/blog/other">Other</a>')
+      }
+    })
+
+    test('adds noopener to new-tab links and drops javascript: hrefs', () => {
+      expect(sanitizePostHtml('<a href="https://example.com" target="_blank" rel="nofollow">Out</a>'))
+        .toBe('<a href="https://example.com" target="_blank" rel="nofollow noopener noreferrer">Out</a>')
+      expect(sanitizePostHtml('<a href="javascript:alert(1)">Bad</a>')).toBe('<a>Bad</a>')
+    })
+  })
+
+  describe('responsive images', () => {
+    const image = {
+      sources: [
+        { type: 'image/avif', srcset: 'https://example.com/uploads/a-640.avif 640w, https://example.com/uploads/a-1280.avif 1280w' },
+        { type: 'image/webp', srcset: 'https://example.com/uploads/a-640.webp 640w' }
+      ],
+      srcset: 'https://example.com/uploads/a-640.jpg 640w, https://example.com/uploads/a.jpg 1600w',
+      width: 1600,
+      height: 900
+    }
+    const images = new Map([['https://example.com/uploads/a.jpg', image]])
+
+    test('wraps known uploads in a picture and drops srcset from the input', () => {
+      const html = sanitizePostHtml('<p><img src="https://example.com/uploads/a.jpg" srcset="https://evil.example/x.jpg 1w" alt="A"></p>', images)
+
+      expect(html).toBe(
+        '<p><picture>' +
+        '<source type="image/avif" srcset="https://example.com/uploads/a-640.avif 640w, https://example.com/uploads/a-1280.avif 1280w" sizes="(min-width: 56rem) 54rem, 100vw">' +
+        '<source type="image/webp" srcset="https://example.com/uploads/a-640.webp 640w" sizes="(min-width: 56rem) 54rem, 100vw">' +
+        '<img src="https://example.com/uploads/a.jpg" alt="A" srcset="https://example.com/uploads/a-640.jpg 640w, https://example.com/uploads/a.jpg 1600w" sizes="(min-width: 56rem) 54rem, 100vw">' +
+        '</picture></p>'
+      )
+    })
+
+    test('sizes gallery images for their layout and leaves other images alone', () => {
+      const html = sanitizePostHtml(
+        '<figure data-type="gallery" data-layout="grid" class="gallery gallery-grid"><figure class="gallery-item">' +
+        '<img src="https://example.com/uploads/a.jpg"></figure></figure><img src="https://example.com/other.jpg">',
+        images
+      )
+
+      expect(html).toContain('sizes="(min-width: 56rem) 18rem, (min-width: 40rem) 33vw, 50vw"')
+      expect(html).toContain('<img src="https://example.com/other.jpg" />')
+      expect(html.match(/<picture>/g)).toHaveLength(1)
+    })
+  })
+})
@@ -0,0 +1,203 @@
+// server/__tests__/publish-scheduling.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals')
+const request = require('supertest')
+const express = require('express')
+
+// The stored post the update handler reads, and the updates it writes
+let mockStoredPost = null
+const mockUpdates = []
+
+function mockQuery() {
+  let update = null
+  const query = {
+    select: () => query,
+    eq: () => query,
+    update: (changes) => {
+      update = changes
+      mockUpdates.push(changes)
+      return query
+    },
+    single: async () => update
+      ? { data: { ...mockStoredPost, ...update }, error: null }
+      : mockStoredPost
+        ? { data: mockStoredPost, error: null }
+        : { data: null, error: { code: 'PGRST116', message: 'No rows' } }
+  }
+  return query
+}
+
+jest.mock('../auth/supabaseAdmin.ts', () => ({
+  getSupabaseAdmin: () => ({ from: mockQuery, rpc: async () => ({ data: null, error: null }) }),
+  isSupabaseAdminConfigured: true
+}))
+
+jest.mock('../src/middleware/requireSupabaseAdmin.ts', () => ({
+  requireSupabaseAdmin: (req, res, next) => {
+    req.user = { id: 'admin', role: 'admin' }
+    req.isAdmin = true
+    next()
+  }
+}))
+
+const { resolvePublishState } = require('../src/utils/publishState.ts')
+const { validatePublishAt } = require('../src/utils/validation.ts')
+const postsRoutes = require('../routes/posts.ts').default
+const { publishScheduler, DEFAULT_INTERVAL_MS } = require('../src/services/publishScheduler.ts')
+
+const HOUR = 60 * 60 * 1000
+const future = () => new Date(Date.now() + HOUR).toISOString()
+const past = () => new Date(Date.now() - HOUR).toISOString()
+
+describe('resolvePublishState', () => {
+  test('a published post with a future publish_at is scheduled', () => {
+    const publishAt = future()
+    expect(resolvePublishState('published', publishAt)).toEqual({ status: 'scheduled', publish_at: publishAt })
+  })
+
+  test('a scheduled post whose publish_at has passed is published', () => {
+    const publishAt = past()
+    expect(resolvePublishState('scheduled', publishAt)).toEqual({ status: 'published', publish_at: publishAt })
+  })
+
+  test('publish_at is normalized to an ISO timestamp', () => {
+    expect(resolvePublishState('published', '2020-01-02T03:04:05+02:00')).toEqual({
+      status: 'published',
+      publish_at: '2020-01-02T01:04:05.000Z'
+    })
+  })
+
+  test('without a publish_at the stored value is kept', () => {
+    expect(resolvePublishState('published', undefined)).toEqual({ status: 'published' })
+    expect(resolvePublishState('published', null)).toEqual({ status: 'published' })
+    expect(resolvePublishState('draft', undefined)).toEqual({ status: 'draft' })
+  })
+
+  test('drafts keep their status and can clear publish_at', () => {
+    const publishAt = future()
+    expect(resolvePublishState('draft', publishAt)).toEqual({ status: 'draft', publish_at: publishAt })
+    expect(resolvePublishState('draft', null)).toEqual({ status: 'draft', publish_at: null })
+  })
+})
+
+describe('validatePublishAt', () => {
+  test('accepts a missing publish_at unless the post is scheduled', () => {
+    expect(validatePublishAt(undefined, 'published')).toEqual([])
+    expect(validatePublishAt(null, 'draft')).toEqual([])
+    expect(validatePublishAt('', 'scheduled')).toEqual([
+      expect.objectContaining({ field: 'publish_at', code: 'REQUIRED' })
+    ])
+  })
+
+  test('rejects values that are not ISO dates', () => {
+    for (const value of ['not a date', 1700000000000, {}]) {
+      expect(validatePublishAt(value, 'published')).toEqual([
+        expect.objectContaining({ field: 'publish_at', code: 'INVALID_FORMAT' })
+      ])
+    }
+  })
+
+  test('scheduled posts need a publish_at in the future', () => {
+    expect(validatePublishAt(future(), 'scheduled')).toEqual([])
+    expect(validatePublishAt(past(), 'scheduled')).toEqual([
+      expect.objectContaining({ field: 'publish_at', code: 'INVALID_VALUE' })
+    ])
+  })
+
+  test('other statuses accept a past publish_at', () => {
+    expect(validatePublishAt(past(), 'published')).toEqual([])
+    expect(validatePublishAt(past(), 'draft')).toEqual([])
+  })
+})
+
+describe('PATCH /api/posts/:id scheduling', () => {
+  const POST_ID = '11111111-1111-4111-8111-111111111111'
+  let app
+
+  beforeEach(() => {
+    app = express()
+    app.use(express.json())
+    app.use('/api/posts', postsRoutes)
+    mockUpdates.length = 0
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('a future publish_at without a status schedules a published post', async () => {
+    mockStoredPost = { id: POST_ID, status: 'published', publish_at: past() }
+    const publishAt = future()
+
+    const response = await request(app)
+      .patch(`/api/posts/${POST_ID}`)
+      .send({ publish_at: publishAt })
+      .expect(200)
+
+    expect(mockUpdates).toEqual([{ status: 'scheduled', publish_at: publishAt }])
+    expect(response.body.post.status).toBe('scheduled')
+  })
+
+  test('clearing publish_at on a scheduled post is a validation error', async () => {
+    mockStoredPost = { id: POST_ID, status: 'scheduled', publish_at: future() }
+
+    const response = await request(app)
+      .patch(`/api/posts/${POST_ID}`)
+      .send({ publish_at: null })
+      .expect(422)
+
+    expect(response.body.fields.publish_at).toBeDefined()
+    expect(mockUpdates).toEqual([])
+  })
+
+  test('scheduling with only a status uses the stored publish_at', async () => {
+    const publishAt = future()
+    mockStoredPost = { id: POST_ID, status: 'draft', publish_at: publishAt }
+
+    await request(app)
+      .patch(`/api/posts/${POST_ID}`)
+      .send({ status: 'scheduled' })
+      .expect(200)
+
+    expect(mockUpdates).toEqual([{ status: 'scheduled' }])
+  })
+
+  test('publishing a scheduled post early records the publication time', async () => {
+    mockStoredPost = { id: POST_ID, status: 'scheduled', publish_at: future() }
+
+    await request(app)
+      .patch(`/api/posts/${POST_ID}`)
+      .send({ status: 'published' })
+      .expect(200)
+
+    expect(mockUpdates).toHaveLength(1)
+    expect(mockUpdates[0].status).toBe('published')
+    expect(new Date(mockUpdates[0].publish_at).getTime()).toBeLessThanOrEqual(Date.now())
+  })
+
+  test('an unknown post is a 404', async () => {
+    mockStoredPost = null
+
+    await request(app)
+      .patch(`/api/posts/${POST_ID}`)
+      .send({ publish_at: future() })
+      .expect(404)
+  })
+})
+
+describe('publishScheduler.start', () => {
+  afterEach(() => {
+    publishScheduler.stop()
+    jest.restoreAllMocks()
+  })
+
+  test('falls back to the default interval for unusable values', () => {
+    jest.spyOn(publishScheduler, 'publishDuePosts').mockResolvedValue({ checked: 0, published: [], errors: [] })
+
+    for (const value of [NaN, 0, -5, Infinity]) {
+      expect(publishScheduler.start(value)).toBe(DEFAULT_INTERVAL_MS)
+      publishScheduler.stop()
+    }
+    expect(publishScheduler.start(5000)).toBe(5000)
+  })
+})
@@ -0,0 +1,100 @@
+// server/__tests__/search.test.js
+const { describe, test, expect, beforeEach } = require('@jest/globals')
+const request = require('supertest')
+const express = require('express')
+
+// Matching posts; search_posts returns a page of them, each with the total
+let mockMatches = []
+const mockSearchCalls = []
+
+jest.mock('../auth/supabaseAdmin.ts', () => ({
+  getSupabaseAdmin: () => ({
+    rpc: async (name, params) => {
+      if (name === 'search_post_facets') {
+        return { data: { labels: [], journals: [] }, error: null }
+      }
+      mockSearchCalls.push(params)
+      const data = mockMatches
+        .slice(params.p_offset, params.p_offset + params.p_limit)
+        .map(post => ({ ...post, total_count: mockMatches.length, title_highlight: post.title, snippet: null }))
+      return { data, error: null }
+    },
+    from: () => {
+      const query = {
+        select: () => query,
+        in: async () => ({ data: [], error: null })
+      }
+      return query
+    }
+  }),
+  isSupabaseAdminConfigured: true
+}))
+
+jest.mock('../src/services/imageVariantService.ts', () => ({
+  imageVariantService: { withCoverVariants: async posts => posts }
+}))
+
+const { highlightToHtml } = require('../src/utils/searchHighlight.ts')
+const searchRoutes = require('../routes/search.ts').default
+
+describe('highlightToHtml', () => {
+  test('turns the highlight markers into mark elements', () => {
+    expect(highlightToHtml('a ⟦walk⟧ in the ⟦park⟧')).toBe('a <mark>walk</mark> in the <mark>park</mark>')
+  })
+
+  test('escapes markup in the post text', () => {
+    expect(highlightToHtml('<script>alert("x")</script> & ⟦more⟧'))
+      .toBe('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; <mark>more</mark>')
+  })
+
+  test('escapes markup inside highlighted terms', () => {
+    expect(highlightToHtml('⟦<img src=x onerror=alert(1)>⟧'))
+      .toBe('<mark>&lt;img src=x onerror=alert(1)&gt;</mark>')
+  })
+
+  test('treats entity-like text as plain text', () => {
+    expect(highlightToHtml('&lt;b&gt;')).toBe('&amp;lt;b&amp;gt;')
+  })
+
+  test('returns null for empty highlights', () => {
+    expect(highlightToHtml(null)).toBeNull()
+    expect(highlightToHtml('')).toBeNull()
+  })
+})
+
+describe('GET /api/search', () => {
+  let app
+
+  beforeEach(() => {
+    app = express()
+    app.use('/api/search', searchRoutes)
+
+    mockMatches = Array.from({ length: 5 }, (_, i) => ({ id: `post-${i + 1}`, title: `Walk ${i + 1}` }))
+    mockSearchCalls.length = 0
+  })
+
+  test('the total comes from the result rows', async () => {
+    const response = await request(app).get('/api/search?q=walk&limit=2&page=2').expect(200)
+
+    expect(response.body.items.map(post => post.id)).toEqual(['post-3', 'post-4'])
+    expect(response.body).toMatchObject({ page: 2, total: 5 })
+    expect(mockSearchCalls).toHaveLength(1)
+  })
+
+  test('a page past the end still reports the total', async () => {
+    const response = await request(app).get('/api/search?q=walk&limit=2&page=4').expect(200)
+
+    expect(response.body.items).toEqual([])
+    expect(response.body).toMatchObject({ page: 4, total: 5 })
+  })
+
+  test('no matches report a total of 0', async () => {
+    mockMatches = []
+
+    const response = await request(app).get('/api/search?q=walk').expect(200)
+
+    expect(response.body.items).toEqual([])
+    expect(response.body.total).toBe(0)
+    expect(mockSearchCalls).toHaveLength(1)
+  })
+})
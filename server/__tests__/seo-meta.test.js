@@ -0,0 +1,120 @@
+// server/__tests__/seo-meta.test.js
+const { describe, test, expect } = require('@jest/globals')
+
+const {
+  injectMetaTags,
+  buildSitemap,
+  buildRobotsTxt
+} = require('../src/utils/seoMeta.ts')
+
+const shell = [
+  '<!doctype html>',
+  '<html>',
+  '  <head>',
+  '    <meta charset="UTF-8" />',
+  '    <title>Site</title>',
+  '    <meta name="description" content="Shell description" />',
+  '    <meta property="og:title" content="Shell" />',
+  '    <link rel="canonical" href="https://example.com/" />',
+  '  </head>',
+  '  <body><div id="root"></div></body>',
+  '</html>'
+].join('\n')
+
+const meta = {
+  title: 'Spent $\' on tea & $& cake',
+  description: 'Costs $` and "more" <here>',
+  url: 'https://example.com/blog/tea?a=1&b=2',
+  imageUrl: 'https://example.com/uploads/tea.jpg',
+  imageAlt: 'Tea $$ cup',
+  type: 'article',
+  siteName: 'Stories & Notes',
+  tags: ['Food & drink']
+}
+
+describe('injectMetaTags', () => {
+  test('keeps $ patterns in titles literal', () => {
+    const html = injectMetaTags(shell, meta)
+
+    expect(html).toContain('<title>Spent $&#39; on tea &amp; $&amp; cake</title>')
+    expect(html).toContain('<meta name="description" content="Costs $` and &quot;more&quot; &lt;here&gt;" />')
+    expect(html).toContain('<meta property="og:image:alt" content="Tea $$ cup" />')
+    expect(html.match(/<\/head>/g)).toHaveLength(1)
+    expect(html).toContain('<body><div id="root"></div></body>')
+  })
+
+  test('escapes ampersands in attribute values', () => {
+    const html = injectMetaTags(shell, meta)
+
+    expect(html).toContain('<link rel="canonical" href="https://example.com/blog/tea?a=1&amp;b=2" />')
+    expect(html).toContain('<meta property="og:site_name" content="Stories &amp; Notes" />')
+    expect(html).toContain('<meta property="article:tag" content="Food &amp; drink" />')
+  })
+
+  test('replaces the shell tags instead of duplicating them', () => {
+    const html = injectMetaTags(shell, meta)
+
+    expect(html.match(/<title>/g)).toHaveLength(1)
+    expect(html.match(/name="description"/g)).toHaveLength(1)
+    expect(html.match(/property="og:title"/g)).toHaveLength(1)
+    expect(html.match(/rel="canonical"/g)).toHaveLength(1)
+    expect(html).not.toContain('Shell description')
+    expect(html).toContain('<meta charset="UTF-8" />')
+  })
+
+  test('prepends the tags when the shell has no head', () => {
+    const html = injectMetaTags('<div id="root"></div>', { ...meta, title: 'A $1 title' })
+
+    expect(html.startsWith('<title>A $1 title</title>')).toBe(true)
+    expect(html.endsWith('<div id="root"></div>')).toBe(true)
+  })
+})
+
+describe('buildSitemap', () => {
+  test('escapes locations and normalizes lastmod', () => {
+    const xml = buildSitemap([
+      { loc: 'https://example.com/blog/tea-&-cake?a=$&', lastmod: '2024-03-01T10:00:00+02:00' },
+      { loc: 'https://example.com/about' }
+    ])
+
+    expect(xml).toContain('<loc>https://example.com/blog/tea-&amp;-cake?a=$&amp;</loc>')
+    expect(xml).toContain('<lastmod>2024-03-01T08:00:00.000Z</lastmod>')
+    expect(xml.match(/<url>/g)).toHaveLength(2)
+    expect(xml.match(/<lastmod>/g)).toHaveLength(1)
+  })
+
+  test('leaves out invalid dates', () => {
+    const xml = buildSitemap([{ loc: 'https://example.com/', lastmod: 'not a date' }])
+
+    expect(xml).not.toContain('<lastmod>')
+  })
+
+  test('builds an empty urlset', () => {
+    expect(buildSitemap([])).toBe([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      '</urlset>',
+      ''
+    ].join('\n'))
+  })
+})
+
+describe('buildRobotsTxt', () => {
+  test('lists disallowed paths and the sitemap', () => {
+    expect(buildRobotsTxt('https://example.com/sitemap.xml?a=1&b=$&', ['/dashboard', '/auth/'])).toBe([
+      'User-agent: *',
+      'Disallow: /dashboard',
+      'Disallow: /auth/',
+      'Allow: /',
+      '',
+      'Sitemap: https://example.com/sitemap.xml?a=1&b=$&',
+      ''
+    ].join('\n'))
+  })
+
+  test('allows everything by default', () => {
+    expect(buildRobotsTxt('https://example.com/sitemap.xml')).toBe(
+      'User-agent: *\nAllow: /\n\nSitemap: https://example.com/sitemap.xml\n'
+    )
+  })
+})
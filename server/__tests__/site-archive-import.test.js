@@ -0,0 +1,201 @@
+// server/__tests__/site-archive-import.test.js
+const { describe, test, expect, beforeEach } = require('@jest/globals')
+
+// In-memory tables, and the table operation (`${table}.${op}`) that fails once
+let mockDb = {}
+let mockFailOn = null
+let mockThrowOn = null
+let mockSequence = 0
+
+function mockFrom(table) {
+  const state = { op: 'select', values: null, onConflict: 'id', filters: [], from: 0, to: undefined }
+  const rows = () => mockDb[table] || (mockDb[table] = [])
+  const matches = row => state.filters.every(filter => filter(row))
+  const withId = values => ({ id: `new-${++mockSequence}`, ...values })
+
+  const run = () => {
+    const operation = `${table}.${state.op}`
+    if (mockThrowOn === operation) {
+      mockThrowOn = null
+      throw new Error(`${operation} threw`)
+    }
+    if (mockFailOn === operation) {
+      mockFailOn = null
+      return { data: null, error: { message: `${operation} failed` } }
+    }
+
+    switch (state.op) {
+      case 'insert': {
+        const added = [].concat(state.values).map(withId)
+        rows().push(...added)
+        return { data: added, error: null }
+      }
+      case 'upsert': {
+        const keys = state.onConflict.split(',')
+        for (const values of [].concat(state.values)) {
+          const existing = rows().find(row => keys.every(key => row[key] === values[key]))
+          if (existing) Object.assign(existing, values)
+          else rows().push(withId(values))
+        }
+        return { data: null, error: null }
+      }
+      case 'update':
+        rows().filter(matches).forEach(row => Object.assign(row, state.values))
+        return { data: null, error: null }
+      case 'delete':
+        mockDb[table] = rows().filter(row => !matches(row))
+        return { data: null, error: null }
+      default:
+        return {
+          data: rows().filter(matches).slice(state.from, state.to === undefined ? undefined : state.to + 1).map(row => ({ ...row })),
+          error: null
+        }
+    }
+  }
+
+  const query = {
+    select: () => query,
+    insert: values => Object.assign(state, { op: 'insert', values }) && query,
+    upsert: (values, options = {}) => Object.assign(state, { op: 'upsert', values, onConflict: options.onConflict || 'id' }) && query,
+    update: values => Object.assign(state, { op: 'update', values }) && query,
+    delete: () => Object.assign(state, { op: 'delete' }) && query,
+    eq: (column, value) => state.filters.push(row => row[column] === value) && query,
+    is: (column, value) => state.filters.push(row => (row[column] ?? null) === value) && query,
+    in: (column, values) => state.filters.push(row => values.includes(row[column])) && query,
+    order: () => query,
+    limit: count => Object.assign(state, { to: count - 1 }) && query,
+    range: (from, to) => Object.assign(state, { from, to }) && query,
+    single: async () => {
+      const { data, error } = run()
+      return { data: Array.isArray(data) ? data[0] : data, error }
+    },
+    then: (resolve, reject) => new Promise(done => done(run())).then(resolve, reject)
+  }
+  return query
+}
+
+const mockUploads = []
+const mockDeletedFiles = []
+
+jest.mock('../auth/supabaseAdmin.ts', () => ({
+  getSupabaseAdmin: () => ({ from: mockFrom }),
+  isSupabaseAdminConfigured: true
+}))
+
+jest.mock('../src/storage/index.ts', () => {
+  const put = async ({ filenameHint }) => {
+    const path = `2025/01/${mockUploads.length + 1}-${filenameHint}`
+    mockUploads.push(path)
+    return { url: `/uploads/${path}`, path }
+  }
+  return {
+    storage: {
+      putImage: put,
+      putMedia: put,
+      delete: async path => {
+        mockDeletedFiles.push(path)
+        return true
+      }
+    },
+    storageInfo: { driver: 'local' }
+  }
+})
+
+jest.mock('../src/services/imageTrackingService.ts', () => ({
+  imageTrackingService: { syncPostImages: async () => {} }
+}))
+
+const { createZip } = require('../src/utils/zipArchive.ts')
+const { siteArchiveService, ARCHIVE_FORMAT, ARCHIVE_VERSION } = require('../src/services/siteArchiveService.ts')
+
+const json = value => Buffer.from(JSON.stringify(value))
+
+function archive() {
+  return createZip([
+    {
+      name: 'manifest.json',
+      data: json({
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        images: [
+          { url: '/uploads/2024/01/cover.jpg', file: 'images/1-cover.jpg', mime: 'image/jpeg' },
+          { url: '/uploads/2024/01/song.mp3', file: 'images/2-song.mp3', mime: 'audio/mpeg' }
+        ]
+      })
+    },
+    { name: 'images/1-cover.jpg', data: Buffer.from('jpeg bytes') },
+    { name: 'images/2-song.mp3', data: Buffer.from('mp3 bytes') },
+    { name: 'data/labels.json', data: json([{ id: 'label-1', name: 'Travel', slug: 'travel' }]) },
+    { name: 'data/journals.json', data: json([{ id: 'journal-1', slug: 'trips', title: 'Trips', icon_image_url: '/uploads/2024/01/cover.jpg' }]) },
+    { name: 'data/posts.json', data: json([{ id: 'post-1', slug: 'hello', title: 'Hello', content_html: '<img src="/uploads/2024/01/cover.jpg">' }]) },
+    { name: 'data/page_layouts.json', data: json([
+      { id: 'layout-x', page_id: 'home', slot_number: 1, cards: ['imported home'] },
+      { id: 'layout-y', page_id: 'about', slot_number: 1, cards: ['imported about'] }
+    ]) },
+    { name: 'data/system_settings.json', data: json([
+      { key: 'navbar_items', value: ['imported'] },
+      { key: 'not_exported', value: 'ignored' }
+    ]) },
+    { name: 'data/compression_settings.json', data: json([{ quality: 50 }]) }
+  ])
+}
+
+const original = () => ({
+  labels: [],
+  journals: [{ id: 'existing-journal', slug: 'home-journal' }],
+  posts: [],
+  page_layouts: [{ id: 'layout-home', page_id: 'home', slot_number: 1, cards: ['home'] }],
+  system_settings: [{ key: 'navbar_items', value: ['home', 'about'], updated_by: null }],
+  compression_settings: [{ id: 'compression-1', user_id: null, quality: 80 }]
+})
+
+describe('siteArchiveService.importArchive', () => {
+  beforeEach(() => {
+    mockDb = original()
+    mockFailOn = null
+    mockThrowOn = null
+    mockUploads.length = 0
+    mockDeletedFiles.length = 0
+  })
+
+  test('imports rows with rewritten URLs and replaces layouts and settings', async () => {
+    const summary = await siteArchiveService.importArchive(archive(), 'owner-1')
+
+    expect(summary.images).toEqual({ uploaded: 2, failed: 0 })
+    expect(summary.created).toEqual(expect.objectContaining({ labels: 1, journals: 1, posts: 1, page_layouts: 2, system_settings: 1, compression_settings: 1 }))
+    expect(mockDb.posts[0].content_html).toBe('<img src="/uploads/2025/01/1-cover.jpg">')
+    expect(mockDb.journals[1].icon_image_url).toBe('/uploads/2025/01/1-cover.jpg')
+    expect(mockDb.page_layouts.map(layout => layout.cards)).toEqual([['imported home'], ['imported about']])
+    expect(mockDb.system_settings).toEqual([{ key: 'navbar_items', value: ['imported'], updated_by: 'owner-1' }])
+    expect(mockDb.compression_settings).toEqual([{ id: 'compression-1', user_id: null, quality: 50 }])
+    expect(mockDeletedFiles).toEqual([])
+  })
+
+  test('a failed settings write restores layouts and deletes rows and uploads', async () => {
+    mockFailOn = 'system_settings.upsert'
+
+    await expect(siteArchiveService.importArchive(archive(), 'owner-1')).rejects.toThrow('Failed to import system_settings')
+
+    expect(mockDb).toEqual(original())
+    expect(mockDeletedFiles.sort()).toEqual([...mockUploads].sort())
+    expect(mockDeletedFiles).toHaveLength(2)
+  })
+
+  test('a failure while importing compression settings restores the settings it replaced', async () => {
+    mockThrowOn = 'compression_settings.update'
+
+    await expect(siteArchiveService.importArchive(archive(), 'owner-1')).rejects.toThrow('compression_settings.update threw')
+
+    expect(mockDb).toEqual(original())
+    expect(mockDeletedFiles).toHaveLength(2)
+  })
+
+  test('a failed post insert leaves layouts and settings alone', async () => {
+    mockFailOn = 'posts.insert'
+
+    await expect(siteArchiveService.importArchive(archive(), 'owner-1')).rejects.toThrow('Failed to import posts')
+
+    expect(mockDb).toEqual(original())
+    expect(mockDeletedFiles).toHaveLength(2)
+  })
+})
@@ -0,0 +1,193 @@
+// server/__tests__/storage-cleanup.test.js
+const { describe, test, expect, beforeEach } = require('@jest/globals')
+const { Readable } = require('stream')
+
+// In-memory StorageDriver: path -> { buffer, updatedAt }
+const mockFiles = new Map()
+const mockStorage = {
+  list: async () => [...mockFiles.entries()]
+    .map(([path, file]) => ({ path, url: `/uploads/${path}`, size: file.buffer.length, updatedAt: file.updatedAt }))
+    .sort((a, b) => a.path.localeCompare(b.path)),
+  getReadStream: async (path) => Readable.from([mockFiles.get(path).buffer]),
+  delete: async (path) => mockFiles.delete(path)
+}
+
+// Rows per table, read errors per table, and the row deletes the service makes
+let mockTables = {}
+let mockErrors = {}
+const mockDeletes = []
+
+function mockFrom(table) {
+  const query = {
+    select: () => query,
+    range: async (from, to) => mockErrors[table]
+      ? { data: null, error: mockErrors[table] }
+      : { data: (mockTables[table] || []).slice(from, to + 1), error: null },
+    delete: () => ({
+      in: async (column, values) => {
+        mockDeletes.push({ table, column, values })
+        return { error: null }
+      }
+    })
+  }
+  return query
+}
+
+jest.mock('../auth/supabaseAdmin.ts', () => ({
+  getSupabaseAdmin: () => ({ from: mockFrom }),
+  isSupabaseAdminConfigured: true
+}))
+
+jest.mock('../src/storage/index.ts', () => ({ storage: mockStorage }))
+
+const { storageCleanupService } = require('../src/services/storageCleanupService.ts')
+
+const HOUR = 60 * 60 * 1000
+const old = () => new Date(Date.now() - 48 * HOUR)
+const recent = () => new Date(Date.now() - HOUR)
+
+function addFile(path, contents, updatedAt = old()) {
+  mockFiles.set(path, { buffer: Buffer.from(contents), updatedAt })
+}
+
+// image_variants rows: the original (url === source_url) and one variant
+function variantRows(source, variant) {
+  return [
+    { source_url: `/uploads/${source}`, url: `/uploads/${source}`, path: source },
+    { source_url: `/uploads/${source}`, url: `/uploads/${variant}`, path: variant }
+  ]
+}
+
+const paths = files => files.map(file => file.path)
+
+describe('storageCleanupService', () => {
+  beforeEach(() => {
+    mockFiles.clear()
+    mockDeletes.length = 0
+    mockTables = {}
+    mockErrors = {}
+  })
+
+  describe('findOrphans', () => {
+    beforeEach(() => {
+      addFile('2024/01/in-post.jpg', 'post image')
+      addFile('2024/01/in-post-640.webp', 'post image variant')
+      addFile('2024/01/in-journal.jpg', 'journal icon')
+      addFile('2024/01/in-library.jpg', 'library image')
+      addFile('2024/01/new upload.jpg', 'not saved yet', recent())
+      addFile('2024/01/orphan.jpg', 'orphan')
+      addFile('2024/01/orphan-640.webp', 'orphan variant')
+
+      mockTables = {
+        posts: [{ id: 'p1', content_html: '<img src="/uploads/2024/01/in-post.jpg">' }],
+        journals: [{ id: 'j1', icon_image_url: 'https://api.example.com/uploads/2024/01/in-journal.jpg' }],
+        images: [{ path: '2024/01/in-library.jpg' }],
+        image_variants: [
+          ...variantRows('2024/01/in-post.jpg', '2024/01/in-post-640.webp'),
+          ...variantRows('2024/01/orphan.jpg', '2024/01/orphan-640.webp')
+        ]
+      }
+    })
+
+    test('keeps referenced, library, variant-of-used and recent files', async () => {
+      const orphans = await storageCleanupService.findOrphans(24)
+
+      expect(paths(orphans)).toEqual(['2024/01/orphan-640.webp', '2024/01/orphan.jpg'])
+    })
+
+    test('finds percent-encoded references', async () => {
+      mockTables.posts.push({ id: 'p2', content_html: '<img src="/uploads/2024/01/new%20upload.jpg">' })
+
+      const orphans = await storageCleanupService.findOrphans(0)
+
+      expect(paths(orphans)).toEqual(['2024/01/orphan-640.webp', '2024/01/orphan.jpg'])
+    })
+
+    test('a lower minimum age includes recent files', async () => {
+      const orphans = await storageCleanupService.findOrphans(0)
+
+      expect(paths(orphans)).toContain('2024/01/new upload.jpg')
+    })
+
+    test('refuses to guess when a reference table cannot be read', async () => {
+      mockErrors.page_layouts = { code: '500', message: 'boom' }
+
+      await expect(storageCleanupService.findOrphans(0)).rejects.toEqual(mockErrors.page_layouts)
+    })
+
+    test('treats a table that does not exist yet as empty', async () => {
+      mockErrors.post_drafts = { code: '42P01', message: 'relation "post_drafts" does not exist' }
+
+      const orphans = await storageCleanupService.findOrphans(24)
+
+      expect(paths(orphans)).toEqual(['2024/01/orphan-640.webp', '2024/01/orphan.jpg'])
+    })
+  })
+
+  describe('findDuplicates', () => {
+    test('keeps the copies content uses, and recent copies', async () => {
+      addFile('2024/01/used.jpg', 'same bytes', new Date(Date.now() - 24 * HOUR * 3))
+      addFile('2024/02/copy.jpg', 'same bytes')
+      addFile('2024/03/fresh-copy.jpg', 'same bytes', recent())
+      addFile('2024/03/other.jpg', 'diff bytes')
+      mockTables = { posts: [{ id: 'p1', content_html: '<img src="/uploads/2024/01/used.jpg">' }] }
+
+      const groups = await storageCleanupService.findDuplicates(24)
+
+      expect(groups).toHaveLength(1)
+      expect(paths(groups[0].kept)).toEqual(['2024/01/used.jpg'])
+      expect(paths(groups[0].removable)).toEqual(['2024/02/copy.jpg'])
+    })
+
+    test('keeps the oldest copy when no content uses any', async () => {
+      addFile('2024/02/newer.jpg', 'same bytes', new Date(Date.now() - 30 * HOUR))
+      addFile('2024/01/older.jpg', 'same bytes', new Date(Date.now() - 60 * HOUR))
+
+      const [group] = await storageCleanupService.findDuplicates(24)
+
+      expect(paths(group.kept)).toEqual(['2024/01/older.jpg'])
+      expect(paths(group.removable)).toEqual(['2024/02/newer.jpg'])
+    })
+  })
+
+  describe('removeFilesOf', () => {
+    test('deletes a deleted post\'s own files and variants but not shared ones', async () => {
+      addFile('2024/01/shared.jpg', 'shared')
+      addFile('2024/01/only.jpg', 'only')
+      addFile('2024/01/only-640.webp', 'only variant')
+      addFile('2024/01/library.jpg', 'library')
+      mockTables = {
+        posts: [{ id: 'other', content_rich: { type: 'image', attrs: { src: '/uploads/2024/01/shared.jpg' } } }],
+        images: [{ path: '2024/01/library.jpg' }],
+        image_variants: variantRows('2024/01/only.jpg', '2024/01/only-640.webp')
+      }
+
+      const deletedPost = {
+        id: 'gone',
+        content_html: '<img src="/uploads/2024/01/shared.jpg"><img src="/uploads/2024/01/only.jpg"><img src="/uploads/2024/01/library.jpg">'
+      }
+      const result = await storageCleanupService.removeFilesOf([deletedPost])
+
+      expect(paths(result.deleted)).toEqual(['2024/01/only-640.webp', '2024/01/only.jpg'])
+      expect([...mockFiles.keys()].sort()).toEqual(['2024/01/library.jpg', '2024/01/shared.jpg'])
+      expect(result.bytesFreed).toBe('only'.length + 'only variant'.length)
+      expect(mockDeletes).toContainEqual({ table: 'images', column: 'path', values: ['2024/01/only-640.webp', '2024/01/only.jpg'] })
+    })
+
+    test('reports files the driver could not delete', async () => {
+      addFile('2024/01/only.jpg', 'only')
+      const remove = mockStorage.delete
+      mockStorage.delete = async () => { throw new Error('read-only') }
+
+      try {
+        const result = await storageCleanupService.removeFilesOf([{ cover_image_url: '/uploads/2024/01/only.jpg' }])
+
+        expect(result.deleted).toEqual([])
+        expect(result.failed).toEqual([{ path: '2024/01/only.jpg', error: 'read-only' }])
+        expect(mockDeletes).toEqual([])
+      } finally {
+        mockStorage.delete = remove
+      }
+    })
+  })
+})
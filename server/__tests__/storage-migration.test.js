@@ -0,0 +1,86 @@
+// server/__tests__/storage-migration.test.js
+const { describe, test, expect } = require('@jest/globals')
+
+jest.mock('../auth/supabaseAdmin.ts', () => ({
+  getSupabaseAdmin: () => null,
+  isSupabaseAdminConfigured: false
+}))
+jest.mock('../src/storage/index.ts', () => ({
+  createStorageDriver: () => null,
+  STORAGE_DRIVERS: ['local', 'supabase', 's3']
+}))
+
+const { rewriteValue, lookupUrl } = require('../src/services/storageMigrationService.ts')
+
+const NEW_BASE = 'https://bucket.example.com/site'
+const urlMap = new Map([
+  ['/uploads/2024/03/photo.jpg', `${NEW_BASE}/2024/03/photo.jpg`],
+  ['/uploads/2024/03/my photo.jpg', `${NEW_BASE}/2024/03/my%20photo.jpg`],
+  ['https://old.supabase.co/storage/v1/object/public/public-images/2024/cover.png', `${NEW_BASE}/2024/cover.png`]
+])
+
+describe('lookupUrl', () => {
+  test('finds URLs stored exactly as the driver listed them', () => {
+    expect(lookupUrl('/uploads/2024/03/photo.jpg', urlMap)).toBe(`${NEW_BASE}/2024/03/photo.jpg`)
+    expect(lookupUrl('https://old.supabase.co/storage/v1/object/public/public-images/2024/cover.png', urlMap))
+      .toBe(`${NEW_BASE}/2024/cover.png`)
+  })
+
+  test('finds local uploads stored as absolute URLs', () => {
+    expect(lookupUrl('http://localhost:8080/uploads/2024/03/photo.jpg', urlMap)).toBe(`${NEW_BASE}/2024/03/photo.jpg`)
+    expect(lookupUrl('https://api.example.com/uploads/2024/03/photo.jpg', urlMap)).toBe(`${NEW_BASE}/2024/03/photo.jpg`)
+  })
+
+  test('matches URLs percent-encoded differently', () => {
+    expect(lookupUrl('/uploads/2024/03/my%20photo.jpg', urlMap)).toBe(`${NEW_BASE}/2024/03/my%20photo.jpg`)
+  })
+
+  test('returns undefined for other URLs, including malformed ones', () => {
+    expect(lookupUrl('https://example.com/elsewhere.jpg', urlMap)).toBeUndefined()
+    expect(lookupUrl('/uploads/2024/03/other.jpg', urlMap)).toBeUndefined()
+    expect(lookupUrl('/uploads/%E0%A4%A', urlMap)).toBeUndefined()
+  })
+})
+
+describe('rewriteValue', () => {
+  test('rewrites URLs inside text and counts them', () => {
+    const html = '<p><img src="/uploads/2024/03/photo.jpg"><a href="https://example.com/">x</a><img src="/uploads/2024/03/photo.jpg"></p>'
+
+    expect(rewriteValue(html, urlMap)).toEqual({
+      value: `<p><img src="${NEW_BASE}/2024/03/photo.jpg"><a href="https://example.com/">x</a><img src="${NEW_BASE}/2024/03/photo.jpg"></p>`,
+      count: 2
+    })
+  })
+
+  test('rewrites URLs anywhere inside JSON values', () => {
+    const content = {
+      type: 'doc',
+      content: [
+        { type: 'image', attrs: { src: '/uploads/2024/03/photo.jpg', alt: 'A photo' } },
+        { type: 'paragraph', content: [{ type: 'text', text: 'See /uploads/2024/03/my%20photo.jpg' }] }
+      ]
+    }
+
+    const { value, count } = rewriteValue(content, urlMap)
+
+    expect(count).toBe(2)
+    expect(value.content[0].attrs).toEqual({ src: `${NEW_BASE}/2024/03/photo.jpg`, alt: 'A photo' })
+    expect(value.content[1].content[0].text).toBe(`See ${NEW_BASE}/2024/03/my%20photo.jpg`)
+  })
+
+  test('stops URLs at quotes, brackets and whitespace', () => {
+    const css = "background: url('/uploads/2024/03/photo.jpg') center; (/uploads/2024/03/photo.jpg)"
+
+    expect(rewriteValue(css, urlMap)).toEqual({
+      value: `background: url('${NEW_BASE}/2024/03/photo.jpg') center; (${NEW_BASE}/2024/03/photo.jpg)`,
+      count: 2
+    })
+  })
+
+  test('returns the value itself when nothing matches', () => {
+    const settings = { items: [{ label: 'Home', href: '/' }] }
+
+    expect(rewriteValue(settings, urlMap)).toEqual({ value: settings, count: 0 })
+    expect(rewriteValue('no urls here', urlMap)).toEqual({ value: 'no urls here', count: 0 })
+  })
+})
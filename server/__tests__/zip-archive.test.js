@@ -0,0 +1,96 @@
+// server/__tests__/zip-archive.test.js
+const { describe, test, expect } = require('@jest/globals')
+const { Writable } = require('stream')
+const crypto = require('crypto')
+
+const { createZip, readZip, openZip, ZipWriter, crc32 } = require('../src/utils/zipArchive.ts')
+
+const entries = [
+  { name: 'manifest.json', data: Buffer.from(JSON.stringify({ format: 'test', items: Array(50).fill('repeat') })) },
+  { name: 'images/1-café ☕.jpg', data: crypto.randomBytes(4096) },
+  { name: 'data/empty.json', data: Buffer.alloc(0) }
+]
+
+// Collects everything written to it, like a response or file stream would
+function collector() {
+  const chunks = []
+  const stream = new Writable({
+    write(chunk, _encoding, callback) {
+      chunks.push(chunk)
+      callback()
+    }
+  })
+  return { stream, buffer: () => Buffer.concat(chunks) }
+}
+
+function expectSameFiles(files) {
+  expect([...files.keys()]).toEqual(entries.map(entry => entry.name))
+  for (const entry of entries) {
+    expect(files.get(entry.name).equals(entry.data)).toBe(true)
+  }
+}
+
+describe('zip archives', () => {
+  test('crc32 matches the reference value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926)
+  })
+
+  test('createZip round-trips through readZip', () => {
+    expectSameFiles(readZip(createZip(entries)))
+  })
+
+  test('ZipWriter streams the same archive createZip builds', async () => {
+    const modified = new Date(2024, 2, 1, 10, 30)
+    const output = collector()
+    const zip = new ZipWriter(output.stream, modified)
+    for (const entry of entries) {
+      await zip.add(entry)
+    }
+    await zip.finish()
+
+    expect(output.buffer().equals(createZip(entries, modified))).toBe(true)
+    expectSameFiles(readZip(output.buffer()))
+  })
+
+  test('compressible entries are deflated, random ones stored', () => {
+    const zip = createZip([
+      { name: 'text.txt', data: Buffer.alloc(10000, 'a') },
+      { name: 'random.bin', data: crypto.randomBytes(1000) }
+    ])
+
+    expect(zip.length).toBeLessThan(10000)
+    expect(readZip(zip).get('text.txt').toString()).toBe('a'.repeat(10000))
+  })
+
+  test('openZip only inflates an entry when it is read', () => {
+    const files = openZip(createZip(entries))
+
+    expect(files.get('manifest.json').size).toBe(entries[0].data.length)
+    expect(files.get('manifest.json').read().equals(entries[0].data)).toBe(true)
+  })
+
+  test('rejects archives whose declared sizes exceed maxTotalSize', () => {
+    const zip = createZip([{ name: 'big.txt', data: Buffer.alloc(2 * 1024 * 1024, 'a') }])
+
+    expect(() => openZip(zip, { maxTotalSize: 1024 * 1024 })).toThrow('exceed 1 MB uncompressed')
+    expect(readZip(zip, { maxTotalSize: 2 * 1024 * 1024 }).get('big.txt').length).toBe(2 * 1024 * 1024)
+  })
+
+  test('does not inflate past the size an entry declares', () => {
+    const zip = createZip([{ name: 'bomb.txt', data: Buffer.alloc(100000, 'a') }])
+    // Claim a much smaller uncompressed size in the central directory
+    const central = zip.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]))
+    zip.writeUInt32LE(10, central + 24)
+
+    expect(() => readZip(zip)).toThrow()
+  })
+
+  test('rejects corrupted entries and non-zip data', () => {
+    const zip = createZip([{ name: 'random.bin', data: crypto.randomBytes(100) }])
+    // Flip a byte of the stored data (30-byte header plus the name)
+    zip[30 + 'random.bin'.length] ^= 0xff
+
+    expect(() => readZip(zip)).toThrow('integrity check')
+    expect(() => readZip(Buffer.from('not a zip file at all, just some text here'))).toThrow('Not a zip archive')
+  })
+})
@@ -1,6 +1,12 @@
 module.exports = {
   // Use Node.js test environment
   testEnvironment: 'node',
+
+  // Tests require the TypeScript sources directly (see jest.transform.cjs)
+  transform: {
+    '^.+\\.ts$': '<rootDir>/jest.transform.cjs',
+    '^.+\\.js$': 'babel-jest'
+  },
   
   // Test file patterns
   testMatch: [
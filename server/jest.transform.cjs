@@ -0,0 +1,19 @@
+// Compiles the TypeScript sources to CommonJS for Jest with esbuild, the
+// compiler tsx runs them with. Types are not checked here.
+const { transformSync } = require('esbuild')
+
+module.exports = {
+  process(source, filename) {
+    const { code, map } = transformSync(source, {
+      loader: 'ts',
+      format: 'cjs',
+      target: 'node20',
+      sourcefile: filename,
+      sourcemap: 'external',
+      // CommonJS has no import.meta; modules use it to find their own path
+      define: { 'import.meta.url': '__import_meta_url' },
+      banner: "const __import_meta_url = require('url').pathToFileURL(__filename).href;"
+    })
+    return { code, map }
+  }
+}
@@ -1,14 +1,18 @@
 // Admin-only routes for system management
-import { Router } from 'express'
+import express, { Router } from 'express'
 import { getSupabaseAdmin } from '../auth/supabaseAdmin.ts'
-import { requireSupabaseAdmin } from '../src/middleware/requireSupabaseAdmin.ts'
+import { requireSupabaseAdmin, SupabaseAdminRequest } from '../src/middleware/requireSupabaseAdmin.ts'
 import { getComingSoon, setComingSoon } from '../src/state/runtimeConfig.ts'
+import { siteArchiveService } from '../src/services/siteArchiveService.ts'
 import { readFileSync } from 'fs'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 
 const router = Router()
 
+// Largest site archive accepted by POST /api/admin/import
+const ARCHIVE_UPLOAD_LIMIT = process.env.ARCHIVE_UPLOAD_LIMIT || '500mb'
+
 // Get package.json for version info
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -87,6 +91,46 @@ router.get('/health', requireSupabaseAdmin, (req, res) => {
   })
 })
 
+// GET /api/admin/export - Download the whole site as a zip archive (streamed)
+router.get('/export', requireSupabaseAdmin, async (req, res) => {
+  try {
+    const filename = `site-export-${new Date().toISOString().slice(0, 10)}.zip`
+
+    res.setHeader('Content-Type', 'application/zip')
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    await siteArchiveService.exportArchive(res)
+  } catch (error: any) {
+    console.error('Error exporting site archive:', error)
+    if (res.headersSent) {
+      // Part of the zip is already out; cut it off so the download fails
+      res.destroy(error)
+      return
+    }
+    res.removeHeader('Content-Disposition')
+    res.status(500).json({ error: 'Failed to export site', details: error.message })
+  }
+})
+
+// POST /api/admin/import - Import a site archive (raw zip body); creates new records
+router.post(
+  '/import',
+  requireSupabaseAdmin,
+  express.raw({ type: ['application/zip', 'application/octet-stream'], limit: ARCHIVE_UPLOAD_LIMIT }),
+  async (req: SupabaseAdminRequest, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Request body must be a zip archive (Content-Type: application/zip)' })
+      }
+
+      const summary = await siteArchiveService.importArchive(req.body, req.user!.id)
+      res.json({ ok: true, summary })
+    } catch (error: any) {
+      console.error('Error importing site archive:', error)
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to import site', details: error.message })
+    }
+  }
+)
+
 // GET /api/admin/storage-stats - Get database and storage usage stats
 router.get('/storage-stats', requireSupabaseAdmin, async (req, res) => {
   const supabase = getSupabaseAdmin()
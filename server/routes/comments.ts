@@ -0,0 +1,233 @@
+// Comment routes - public threads, reader comments and the admin moderation queue
+import { Router } from 'express'
+import { getSupabaseAdmin } from '../auth/supabaseAdmin.ts'
+import { requireUser, AuthenticatedRequest } from '../middleware/requireUser.ts'
+import { requireSupabaseAdmin } from '../src/middleware/requireSupabaseAdmin.ts'
+import { createRateLimiter } from '../src/middleware/rateLimit.ts'
+import { validateCommentBody, createValidationErrorResponse, ValidationError } from '../src/utils/validation.ts'
+import {
+  createErrorResponse,
+  createListResponse,
+  createSingleResponse,
+  HTTP_STATUS
+} from '../src/utils/responses.ts'
+import { commentService, toCommentNode, COMMENT_STATUSES, CommentStatus } from '../src/services/commentService.ts'
+
+const router = Router()
+
+// Initialize Supabase admin client
+const supabaseAdmin = getSupabaseAdmin()
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Upper bound for one moderation request
+const MAX_MODERATED_COMMENTS = 100
+
+// Enough for a lively discussion, not for flooding the moderation queue
+const commentRateLimit = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many comments posted. Please try again later.'
+})
+
+function isCommentStatus(status: any): status is CommentStatus {
+  return COMMENT_STATUSES.includes(status)
+}
+
+/**
+ * The signed-in reader, if the request carries a valid token
+ * Threads are public, so a missing or bad token just means an anonymous reader.
+ */
+async function getViewerId(authHeader: string | undefined): Promise<string | null> {
+  if (!authHeader?.startsWith('Bearer ')) return null
+
+  try {
+    const { data: { user } } = await supabaseAdmin.auth.getUser(authHeader.slice(7))
+    return user?.id || null
+  } catch (error) {
+    console.warn('Could not identify comment reader:', error)
+    return null
+  }
+}
+
+// GET /api/comments/moderation - Admin only: comments with a status (default pending)
+router.get('/moderation', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) => {
+  try {
+    const { status = 'pending', page = '1', limit = '20' } = req.query
+
+    if (!isCommentStatus(status)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(createErrorResponse(`Status must be one of: ${COMMENT_STATUSES.join(', ')}`))
+    }
+
+    const pageNum = Math.max(1, parseInt(page as string) || 1)
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit as string) || 20))
+
+    const [{ items, total }, counts] = await Promise.all([
+      commentService.listForModeration(status, pageNum, limitNum),
+      commentService.statusCounts()
+    ])
+
+    res.json({ ...createListResponse(items, pageNum, limitNum, total), counts })
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch comments'))
+  }
+})
+
+// POST /api/comments/moderation - Admin only: approve, reject or mark comments as spam
+router.post('/moderation', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) => {
+  try {
+    const { comment_ids, status } = req.body
+
+    const errors: ValidationError[] = []
+
+    if (!isCommentStatus(status)) {
+      errors.push({ field: 'status', message: `Status must be one of: ${COMMENT_STATUSES.join(', ')}`, code: 'INVALID_VALUE' })
+    }
+
+    if (!Array.isArray(comment_ids) || comment_ids.length === 0) {
+      errors.push({ field: 'comment_ids', message: 'comment_ids must be a non-empty array', code: 'REQUIRED' })
+    } else if (comment_ids.length > MAX_MODERATED_COMMENTS) {
+      errors.push({ field: 'comment_ids', message: `At most ${MAX_MODERATED_COMMENTS} comments can be moderated at once`, code: 'TOO_MANY' })
+    } else if (!comment_ids.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+      errors.push({ field: 'comment_ids', message: 'comment_ids must contain comment ids', code: 'INVALID_VALUE' })
+    }
+
+    if (errors.length > 0) {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(createValidationErrorResponse(errors))
+    }
+
+    const updated = await commentService.moderate([...new Set<string>(comment_ids)], status, req.user?.id || null)
+
+    res.json({ updated, status })
+  } catch (error) {
+    console.error('Error moderating comments:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to moderate comments'))
+  }
+})
+
+// GET /api/comments/post/:postId - Public: a published post's comment thread and whether it is open
+router.get('/post/:postId', async (req, res) => {
+  try {
+    const { postId } = req.params
+
+    if (!UUID_PATTERN.test(postId) || !(await commentService.isPublished(postId))) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Post not found'))
+    }
+
+    const viewerId = await getViewerId(req.headers.authorization)
+    const thread = await commentService.getThread(postId, viewerId)
+
+    res.json(thread)
+  } catch (error) {
+    console.error('Error fetching comments:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch comments'))
+  }
+})
+
+// POST /api/comments/post/:postId - Signed-in readers: comment on a post or reply to a comment
+router.post('/post/:postId', commentRateLimit, requireUser, async (req: AuthenticatedRequest, res) => {
+  try {
+    const { postId } = req.params
+    const { body, parent_id = null } = req.body
+
+    if (!UUID_PATTERN.test(postId)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Post not found'))
+    }
+
+    const errors = validateCommentBody(body)
+
+    if (parent_id !== null && (typeof parent_id !== 'string' || !UUID_PATTERN.test(parent_id))) {
+      errors.push({ field: 'parent_id', message: 'parent_id must be a comment id', code: 'INVALID_VALUE' })
+    }
+
+    if (errors.length > 0) {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(createValidationErrorResponse(errors))
+    }
+
+    if (!(await commentService.isOpen(postId))) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(createErrorResponse('Comments are closed for this post'))
+    }
+
+    // Replies go to comments the reader can see
+    if (parent_id) {
+      const parent = await commentService.getComment(parent_id)
+      const canSee = parent && !parent.deleted_at && (parent.status === 'approved' || parent.author_id === req.user!.id)
+
+      if (!parent || parent.post_id !== postId || !canSee) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Comment to reply to not found'))
+      }
+    }
+
+    const comment = await commentService.createComment({
+      postId,
+      parentId: parent_id,
+      authorId: req.user!.id,
+      body: body.trim(),
+      approved: req.user!.role === 'admin'
+    })
+
+    res.status(HTTP_STATUS.CREATED).json(createSingleResponse('comment', toCommentNode(comment)))
+  } catch (error) {
+    console.error('Error creating comment:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to post comment'))
+  }
+})
+
+// PATCH /api/comments/:id - Author only: change the text of a comment
+// (an approved comment goes back to the moderation queue)
+router.patch('/:id', requireUser, async (req: AuthenticatedRequest, res) => {
+  try {
+    const { id } = req.params
+    const { body } = req.body
+
+    const comment = UUID_PATTERN.test(id) ? await commentService.getComment(id) : null
+
+    if (!comment || comment.deleted_at) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Comment not found'))
+    }
+
+    if (comment.author_id !== req.user!.id) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(createErrorResponse('You can only edit your own comments'))
+    }
+
+    const errors = validateCommentBody(body)
+
+    if (errors.length > 0) {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(createValidationErrorResponse(errors))
+    }
+
+    const updated = await commentService.updateBody(comment, body.trim(), req.user!.role === 'admin')
+
+    res.json(createSingleResponse('comment', toCommentNode(updated)))
+  } catch (error) {
+    console.error('Error updating comment:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to update comment'))
+  }
+})
+
+// DELETE /api/comments/:id - Author or admin: delete a comment
+router.delete('/:id', requireUser, async (req: AuthenticatedRequest, res) => {
+  try {
+    const { id } = req.params
+
+    const comment = UUID_PATTERN.test(id) ? await commentService.getComment(id) : null
+
+    if (!comment || comment.deleted_at) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Comment not found'))
+    }
+
+    if (comment.author_id !== req.user!.id && req.user!.role !== 'admin') {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(createErrorResponse('You can only delete your own comments'))
+    }
+
+    await commentService.deleteComment(id)
+
+    res.json({ deleted: true })
+  } catch (error) {
+    console.error('Error deleting comment:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to delete comment'))
+  }
+})
+
+export default router
@@ -3,6 +3,7 @@ import { Router } from 'express'
 import { requireSupabaseAdmin } from '../src/middleware/requireSupabaseAdmin.ts'
 import { CompressionService, CompressionOptions } from '../src/services/compressionService.ts'
 import { storage } from '../src/storage/index.ts'
+import { imageVariantService } from '../src/services/imageVariantService.ts'
 import { query } from '../src/db.ts'
 
 const router = Router()
@@ -253,6 +254,13 @@ router.post('/compress-url', requireSupabaseAdmin, async (req, res) => {
       mime: result.mimeType,
       filenameHint: `compressed-${Date.now()}.${result.format}`
     })
+
+    // Smaller copies for srcset, as for direct uploads
+    try {
+      await imageVariantService.createVariants(result.buffer, { url: storageUrl, path, filenameHint: 'compressed' })
+    } catch (error) {
+      console.warn('Could not create image variants:', error)
+    }
     
     // Store metadata if image_metadata table exists
     try {
@@ -0,0 +1,123 @@
+// Contact routes - the public contact form and the admin inbox
+import { Router } from 'express'
+import { requireSupabaseAdmin } from '../src/middleware/requireSupabaseAdmin.ts'
+import { createRateLimiter } from '../src/middleware/rateLimit.ts'
+import { validateContactMessage, createValidationErrorResponse, ValidationError } from '../src/utils/validation.ts'
+import { createErrorResponse, createListResponse, HTTP_STATUS } from '../src/utils/responses.ts'
+import { contactService, CONTACT_MESSAGE_STATUSES, ContactMessageStatus } from '../src/services/contactService.ts'
+
+const router = Router()
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Upper bound for one inbox update
+const MAX_UPDATED_MESSAGES = 100
+
+// Hidden form field that people never see; anything in it came from a bot
+const HONEYPOT_FIELD = 'website'
+
+// A handful of messages per visitor every 15 minutes is plenty for a person
+const contactRateLimit = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many messages sent. Please try again later.'
+})
+
+function isMessageStatus(status: any): status is ContactMessageStatus {
+  return CONTACT_MESSAGE_STATUSES.includes(status)
+}
+
+// POST /api/contact - Public: send a message through the contact form
+router.post('/', contactRateLimit, async (req, res) => {
+  try {
+    const { name, email, subject, message } = req.body
+
+    // Bots get the same answer as people so they have nothing to learn from
+    if (req.body[HONEYPOT_FIELD]) {
+      return res.status(HTTP_STATUS.CREATED).json({ sent: true })
+    }
+
+    const errors = validateContactMessage({ name, email, subject, message })
+
+    if (errors.length > 0) {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(createValidationErrorResponse(errors))
+    }
+
+    const row = await contactService.createMessage({
+      name: name.trim(),
+      email: email.trim(),
+      subject: typeof subject === 'string' && subject.trim() ? subject.trim() : null,
+      message: message.trim(),
+      userAgent: req.get('user-agent')?.slice(0, 500) || null
+    })
+
+    try {
+      await contactService.notify(row)
+    } catch (error) {
+      console.error('Error sending contact notification:', error)
+    }
+
+    res.status(HTTP_STATUS.CREATED).json({ sent: true })
+  } catch (error) {
+    console.error('Error saving contact message:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to send message'))
+  }
+})
+
+// GET /api/contact/messages - Admin only: inbox messages with a status (default new)
+router.get('/messages', requireSupabaseAdmin, async (req, res) => {
+  try {
+    const { status = 'new', page = '1', limit = '20' } = req.query
+
+    if (!isMessageStatus(status)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(createErrorResponse(`Status must be one of: ${CONTACT_MESSAGE_STATUSES.join(', ')}`))
+    }
+
+    const pageNum = Math.max(1, parseInt(page as string) || 1)
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit as string) || 20))
+
+    const [{ items, total }, counts] = await Promise.all([
+      contactService.listMessages(status, pageNum, limitNum),
+      contactService.statusCounts()
+    ])
+
+    res.json({ ...createListResponse(items, pageNum, limitNum, total), counts })
+  } catch (error) {
+    console.error('Error fetching contact messages:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch messages'))
+  }
+})
+
+// PATCH /api/contact/messages - Admin only: mark messages new or read, or archive them
+router.patch('/messages', requireSupabaseAdmin, async (req, res) => {
+  try {
+    const { message_ids, status } = req.body
+
+    const errors: ValidationError[] = []
+
+    if (!isMessageStatus(status)) {
+      errors.push({ field: 'status', message: `Status must be one of: ${CONTACT_MESSAGE_STATUSES.join(', ')}`, code: 'INVALID_VALUE' })
+    }
+
+    if (!Array.isArray(message_ids) || message_ids.length === 0) {
+      errors.push({ field: 'message_ids', message: 'message_ids must be a non-empty array', code: 'REQUIRED' })
+    } else if (message_ids.length > MAX_UPDATED_MESSAGES) {
+      errors.push({ field: 'message_ids', message: `At most ${MAX_UPDATED_MESSAGES} messages can be updated at once`, code: 'TOO_MANY' })
+    } else if (!message_ids.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+      errors.push({ field: 'message_ids', message: 'message_ids must contain message ids', code: 'INVALID_VALUE' })
+    }
+
+    if (errors.length > 0) {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(createValidationErrorResponse(errors))
+    }
+
+    const updated = await contactService.setStatus([...new Set<string>(message_ids)], status)
+
+    res.json({ updated, status })
+  } catch (error) {
+    console.error('Error updating contact messages:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to update messages'))
+  }
+})
+
+export default router
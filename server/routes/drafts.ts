@@ -0,0 +1,149 @@
+// Draft autosave routes - per-user, per-post editor snapshots with versioning
+import { Router } from 'express'
+import { getSupabaseAdmin } from '../auth/supabaseAdmin.ts'
+import { requireSupabaseAdmin } from '../src/middleware/requireSupabaseAdmin.ts'
+import { AuthenticatedRequest } from '../middleware/requireUser.ts'
+import {
+  createErrorResponse,
+  createSingleResponse,
+  HTTP_STATUS
+} from '../src/utils/responses.ts'
+import { createValidationErrorResponse, ValidationError } from '../src/utils/validation.ts'
+
+const router = Router()
+
+// Initialize Supabase admin client
+const supabaseAdmin = getSupabaseAdmin()
+
+// Draft key for entries that haven't been created yet
+const NEW_DRAFT_KEY = 'new'
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Editor snapshots include rich content JSON; keep them well under the body limit
+const MAX_DRAFT_BYTES = 5 * 1024 * 1024
+
+const DRAFT_FIELDS = 'id, draft_key, post_id, data, version, client_id, created_at, updated_at'
+
+function isValidDraftKey(key: string): boolean {
+  return key === NEW_DRAFT_KEY || UUID_PATTERN.test(key)
+}
+
+// GET /api/drafts/:key - Current user's autosaved draft for a post (or 'new')
+router.get('/:key', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) => {
+  try {
+    const { key } = req.params
+
+    if (!isValidDraftKey(key)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(createErrorResponse('Invalid draft key'))
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('post_drafts')
+      .select(DRAFT_FIELDS)
+      .eq('user_id', req.user!.id)
+      .eq('draft_key', key)
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    if (!data) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Draft not found'))
+    }
+
+    res.json(createSingleResponse('draft', data))
+  } catch (error) {
+    console.error('Error fetching draft:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch draft'))
+  }
+})
+
+// PUT /api/drafts/:key - Autosave; 409 with the server draft when base_version is stale
+router.put('/:key', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) => {
+  try {
+    const { key } = req.params
+    const { data, base_version = 0, client_id } = req.body
+
+    if (!isValidDraftKey(key)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(createErrorResponse('Invalid draft key'))
+    }
+
+    const errors: ValidationError[] = []
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push({ field: 'data', message: 'Draft data must be an object', code: 'INVALID_TYPE' })
+    } else if (JSON.stringify(data).length > MAX_DRAFT_BYTES) {
+      errors.push({ field: 'data', message: 'Draft is too large', code: 'TOO_LONG' })
+    }
+
+    if (!Number.isInteger(base_version) || base_version < 0) {
+      errors.push({ field: 'base_version', message: 'base_version must be a non-negative integer', code: 'INVALID_VALUE' })
+    }
+
+    if (client_id !== undefined && (typeof client_id !== 'string' || client_id.length > 100)) {
+      errors.push({ field: 'client_id', message: 'client_id must be a short string', code: 'INVALID_VALUE' })
+    }
+
+    if (errors.length > 0) {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(createValidationErrorResponse(errors))
+    }
+
+    const { data: result, error } = await supabaseAdmin.rpc('save_post_draft', {
+      p_user_id: req.user!.id,
+      p_draft_key: key,
+      p_post_id: key === NEW_DRAFT_KEY ? null : key,
+      p_data: data,
+      p_base_version: base_version,
+      p_client_id: client_id || null
+    })
+
+    if (error) {
+      if (error.code === '23503') { // Foreign key violation - post no longer exists
+        return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Post not found'))
+      }
+      throw error
+    }
+
+    if (result?.conflict) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        error: 'A newer draft exists on the server',
+        draft: result.draft
+      })
+    }
+
+    res.json(createSingleResponse('draft', result.draft))
+  } catch (error) {
+    console.error('Error saving draft:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to save draft'))
+  }
+})
+
+// DELETE /api/drafts/:key - Discard the draft (after a real save or on user request)
+router.delete('/:key', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) => {
+  try {
+    const { key } = req.params
+
+    if (!isValidDraftKey(key)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(createErrorResponse('Invalid draft key'))
+    }
+
+    const { error } = await supabaseAdmin
+      .from('post_drafts')
+      .delete()
+      .eq('user_id', req.user!.id)
+      .eq('draft_key', key)
+
+    if (error) {
+      throw error
+    }
+
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Error deleting draft:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to delete draft'))
+  }
+})
+
+export default router
@@ -0,0 +1,276 @@
+// Public syndication feeds: RSS, Atom and JSON Feed for published posts
+// Site-wide at /feed.xml, /atom.xml, /feed.json and scoped per journal
+// (/journals/:slug/feed.xml) and per label (/labels/:slug/feed.xml)
+import { Router, Request, Response } from 'express'
+import { getSupabaseAdmin } from '../auth/supabaseAdmin.ts'
+import { createErrorResponse, HTTP_STATUS } from '../src/utils/responses.ts'
+import { getRequestOrigin, getSiteUrl, siteUrl } from '../src/utils/siteUrl.ts'
+import {
+  absolutizeHtmlUrls,
+  buildFeed,
+  FEED_CONTENT_TYPES,
+  FeedFormat,
+  FeedItem,
+  FeedMeta
+} from '../src/utils/feedBuilder.ts'
+
+const router = Router()
+
+// Initialize Supabase admin client
+const supabaseAdmin = getSupabaseAdmin()
+
+// Feed file names and the format each one serves
+const FEED_FILES: Record<string, FeedFormat> = {
+  'feed.xml': 'rss',
+  'atom.xml': 'atom',
+  'feed.json': 'json'
+}
+
+// Most recent posts included in a feed
+const FEED_ITEM_LIMIT = 50
+
+// Feed readers poll often; let proxies absorb most of it
+const FEED_CACHE_SECONDS = 600
+
+const FEED_POST_FIELDS = `
+  id,
+  title,
+  slug,
+  excerpt,
+  content_html,
+  cover_image_url,
+  publish_at,
+  created_at,
+  updated_at,
+  profiles!posts_author_id_fkey (
+    display_name
+  ),
+  post_labels (
+    labels (
+      name
+    )
+  )
+`
+
+interface FeedScope {
+  title: string
+  description: string
+  homePath: string
+  // null means every published post
+  postIds: string[] | null
+}
+
+const siteName = () => process.env.SITE_NAME || 'dahligarciamarquez'
+
+/**
+ * Latest published posts, optionally restricted to a set of ids
+ */
+async function fetchFeedPosts(postIds: string[] | null) {
+  if (postIds && postIds.length === 0) {
+    return []
+  }
+
+  let query = supabaseAdmin
+    .from('posts')
+    .select(FEED_POST_FIELDS)
+    .eq('status', 'published')
+    .order('publish_at', { ascending: false, nullsFirst: false })
+    .order('created_at', { ascending: false })
+    .limit(FEED_ITEM_LIMIT)
+
+  if (postIds) {
+    query = query.in('id', postIds)
+  }
+
+  const { data, error } = await query
+
+  if (error) {
+    throw error
+  }
+
+  return data || []
+}
+
+/**
+ * Map a post row to a feed item with absolute URLs
+ */
+function toFeedItem(post: any, assetOrigin: string): FeedItem {
+  const absolute = (url: string | null) =>
+    url && url.startsWith('/') ? `${assetOrigin}${url}` : url
+
+  return {
+    id: post.id,
+    url: siteUrl(`/blog/${post.slug}`),
+    title: post.title,
+    summary: post.excerpt || null,
+    contentHtml: absolutizeHtmlUrls(post.content_html || '', assetOrigin, getSiteUrl()),
+    imageUrl: absolute(post.cover_image_url || null),
+    author: post.profiles?.display_name || null,
+    tags: (post.post_labels || [])
+      .map((postLabel: any) => postLabel.labels?.name)
+      .filter(Boolean),
+    publishedAt: post.publish_at || post.created_at,
+    updatedAt: post.updated_at || post.publish_at || post.created_at
+  }
+}
+
+/**
+ * Post ids in a published journal: direct entries plus entries of its
+ * published collections (null when the journal doesn't exist)
+ */
+async function resolveJournalScope(slug: string): Promise<FeedScope | null> {
+  const { data: journal, error } = await supabaseAdmin
+    .from('journals')
+    .select('id, name, slug, description')
+    .eq('slug', slug)
+    .eq('status', 'published')
+    .maybeSingle()
+
+  if (error) {
+    throw error
+  }
+
+  if (!journal) {
+    return null
+  }
+
+  const [entriesResult, collectionsResult] = await Promise.all([
+    supabaseAdmin
+      .from('journal_entries')
+      .select('post_id')
+      .eq('journal_id', journal.id),
+    supabaseAdmin
+      .from('collections')
+      .select('collection_entries (post_id)')
+      .eq('journal_id', journal.id)
+      .eq('status', 'published')
+  ])
+
+  if (entriesResult.error) {
+    throw entriesResult.error
+  }
+  if (collectionsResult.error) {
+    throw collectionsResult.error
+  }
+
+  const postIds = new Set<string>((entriesResult.data || []).map(entry => entry.post_id))
+  for (const collection of collectionsResult.data || []) {
+    for (const entry of (collection as any).collection_entries || []) {
+      postIds.add(entry.post_id)
+    }
+  }
+
+  return {
+    title: `${journal.name} · ${siteName()}`,
+    description: journal.description || `Stories from the ${journal.name} journal`,
+    homePath: `/journals/${journal.slug}`,
+    postIds: [...postIds]
+  }
+}
+
+/**
+ * Post ids carrying a label (null when the label doesn't exist)
+ */
+async function resolveLabelScope(slug: string): Promise<FeedScope | null> {
+  const { data: label, error } = await supabaseAdmin
+    .from('labels')
+    .select('id, name, slug')
+    .eq('slug', slug)
+    .maybeSingle()
+
+  if (error) {
+    throw error
+  }
+
+  if (!label) {
+    return null
+  }
+
+  const { data: links, error: linksError } = await supabaseAdmin
+    .from('post_labels')
+    .select('post_id')
+    .eq('label_id', label.id)
+
+  if (linksError) {
+    throw linksError
+  }
+
+  return {
+    title: `${label.name} · ${siteName()}`,
+    description: `Stories labelled ${label.name}`,
+    homePath: `/stories?label=${encodeURIComponent(label.slug)}`,
+    postIds: (links || []).map(link => link.post_id)
+  }
+}
+
+/**
+ * Build and send a feed for a scope in the given format
+ */
+async function sendFeed(req: Request, res: Response, format: FeedFormat, scope: FeedScope) {
+  const origin = getRequestOrigin(req)
+  const posts = await fetchFeedPosts(scope.postIds)
+
+  const meta: FeedMeta = {
+    title: scope.title,
+    description: scope.description,
+    homePageUrl: siteUrl(scope.homePath),
+    feedUrl: `${origin}${req.originalUrl.split('?')[0]}`
+  }
+
+  const body = buildFeed(format, meta, posts.map(post => toFeedItem(post, origin)))
+
+  res.set('Content-Type', FEED_CONTENT_TYPES[format])
+  res.set('Cache-Control', `public, max-age=${FEED_CACHE_SECONDS}`)
+  res.send(body)
+}
+
+for (const [file, format] of Object.entries(FEED_FILES)) {
+  // GET /feed.xml, /atom.xml, /feed.json - Public: every published post
+  router.get(`/${file}`, async (req, res) => {
+    try {
+      await sendFeed(req, res, format, {
+        title: siteName(),
+        description: `Latest stories from ${siteName()}`,
+        homePath: '/',
+        postIds: null
+      })
+    } catch (error) {
+      console.error('Error building feed:', error)
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to build feed'))
+    }
+  })
+
+  // GET /journals/:slug/feed.xml (etc.) - Public: posts in one journal
+  router.get(`/journals/:slug/${file}`, async (req, res) => {
+    try {
+      const scope = await resolveJournalScope(req.params.slug)
+
+      if (!scope) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Journal not found'))
+      }
+
+      await sendFeed(req, res, format, scope)
+    } catch (error) {
+      console.error('Error building journal feed:', error)
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to build feed'))
+    }
+  })
+
+  // GET /labels/:slug/feed.xml (etc.) - Public: posts with one label
+  router.get(`/labels/:slug/${file}`, async (req, res) => {
+    try {
+      const scope = await resolveLabelScope(req.params.slug)
+
+      if (!scope) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Label not found'))
+      }
+
+      await sendFeed(req, res, format, scope)
+    } catch (error) {
+      console.error('Error building label feed:', error)
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to build feed'))
+    }
+  })
+}
+
+export default router
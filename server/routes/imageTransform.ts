@@ -0,0 +1,59 @@
+// Image transform routes - resized / re-encoded copies of stored images
+import { Router } from 'express'
+import { createErrorResponse, createValidationErrorResponse, HTTP_STATUS } from '../src/utils/responses.ts'
+import { imageTransformService, parseTransformParams } from '../src/services/imageTransformService.ts'
+
+const router = Router()
+
+// GET /img/<stored path>?width=&height=&fit=&format=&quality=&sig= - Public
+router.get('/*', async (req, res) => {
+  try {
+    const path = req.params[0]
+    if (!path) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Image not found'))
+    }
+
+    const { params, fields } = parseTransformParams(req.query)
+    if (Object.keys(fields).length > 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(createValidationErrorResponse(fields))
+    }
+
+    if (!imageTransformService.enabled) {
+      return res.status(503).json(createErrorResponse('Image transforms are not configured'))
+    }
+
+    if (!imageTransformService.verify(path, params, req.query.sig)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(createErrorResponse('Invalid signature'))
+    }
+
+    const image = await imageTransformService.transform(path, params)
+
+    // A URL always means the same image, so browsers and CDNs may keep it
+    res.set({
+      'Content-Type': image.mimeType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'ETag': image.etag,
+      'X-Cache': image.cached ? 'HIT' : 'MISS',
+      // helmet sets same-origin; the client app runs on another origin
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    })
+
+    if (req.get('if-none-match') === image.etag) {
+      return res.status(304).end()
+    }
+
+    res.send(image.buffer)
+  } catch (error: any) {
+    if (error.statusCode === HTTP_STATUS.NOT_FOUND) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Image not found'))
+    }
+    if (error.statusCode === 415) {
+      return res.status(415).json(createErrorResponse(error.message))
+    }
+
+    console.error('Error transforming image:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to transform image'))
+  }
+})
+
+export default router
@@ -1,8 +1,12 @@
 // Images metadata API routes
 import { Router } from 'express'
 import { requireSupabaseAdmin } from '../src/middleware/requireSupabaseAdmin.ts'
-import { parseMultipartForm, MulterRequest } from '../src/middleware/multipart.ts'
+import { parseMultipartForm, createMultipartParser, MulterRequest } from '../src/middleware/multipart.ts'
 import { storage } from '../src/storage/index.ts'
+import { MEDIA_MAX_BYTES, mediaKind } from '../src/storage/mediaTypes.ts'
+import { imageVariantService } from '../src/services/imageVariantService.ts'
+import { imageTransformService, parseTransformParams } from '../src/services/imageTransformService.ts'
+import { storageCleanupService, DEFAULT_MIN_AGE_HOURS } from '../src/services/storageCleanupService.ts'
 
 // Image processing dependencies
 let sharp: any
@@ -174,6 +178,16 @@ router.post('/uploads/image', parseMultipartForm, requireSupabaseAdmin, async (r
       filenameHint: file.originalname
     })
 
+    // Smaller copies in AVIF / WebP / the stored format for srcset; the
+    // upload is still usable without them
+    let variants = null
+    try {
+      await imageVariantService.createVariants(finalBuffer, { url, path, filenameHint: file.originalname })
+      variants = (await imageVariantService.responsiveImages([url])).get(url) || null
+    } catch (error) {
+      console.warn('Could not create image variants:', error)
+    }
+
     // Store metadata if possible
     try {
       const { query } = await import('../src/db.ts')
@@ -208,7 +222,8 @@ router.post('/uploads/image', parseMultipartForm, requireSupabaseAdmin, async (r
       url,
       path,
       width: finalWidth,
-      height: finalHeight
+      height: finalHeight,
+      variants
     }
 
     // Add compression info if compression was applied
@@ -247,6 +262,45 @@ router.post('/uploads/image', parseMultipartForm, requireSupabaseAdmin, async (r
   }
 })
 
+// Leave room for the multipart envelope around the largest accepted file
+const parseMediaForm = createMultipartParser(MEDIA_MAX_BYTES + 1024 * 1024)
+
+// POST /api/images/uploads/media - Upload an audio or video file for embedding in posts (admin only)
+router.post('/uploads/media', requireSupabaseAdmin, parseMediaForm, async (req: MulterRequest, res) => {
+  try {
+    const file = req.file
+
+    if (!file) {
+      return res.status(400).json({ error: 'No media file provided' })
+    }
+
+    // The driver validates type and size
+    const { url, path } = await storage.putMedia({
+      buffer: file.buffer,
+      mime: file.mimetype,
+      filenameHint: file.originalname
+    })
+
+    res.status(200).json({
+      url,
+      path,
+      kind: mediaKind(file.mimetype),
+      mimeType: file.mimetype,
+      size: file.size
+    })
+  } catch (error: any) {
+    console.error('Media upload error:', error)
+
+    if (error.statusCode === 503) {
+      return res.status(503).json({ error: 'Uploads not configured' })
+    } else if (error.statusCode === 415 || error.statusCode === 413) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+
+    res.status(500).json({ error: 'Failed to upload media' })
+  }
+})
+
 // GET /api/images/debug - Debug endpoint to check what's in the database
 router.get('/debug', requireSupabaseAdmin, async (req, res) => {
   try {
@@ -283,6 +337,31 @@ router.get('/debug', requireSupabaseAdmin, async (req, res) => {
   }
 })
 
+// GET /api/images/transform-url?path=&width=&height=&fit=&format=&quality= - Admin only:
+// signed /img URL for a stored image
+router.get('/transform-url', requireSupabaseAdmin, async (req, res) => {
+  try {
+    const { path } = req.query
+    if (typeof path !== 'string' || !path.trim()) {
+      return res.status(400).json({ error: 'path is required' })
+    }
+
+    const { params, fields } = parseTransformParams(req.query)
+    if (Object.keys(fields).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields })
+    }
+
+    if (!imageTransformService.enabled) {
+      return res.status(503).json({ error: 'Image transforms are not configured (set IMAGE_SIGNING_SECRET)' })
+    }
+
+    res.json({ url: imageTransformService.transformUrl(path.trim().replace(/^\/+/, ''), params) })
+  } catch (error: any) {
+    console.error('Error signing transform URL:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 // GET /api/images - Admin only: get all images (optimized with pre-computed data)
 router.get('/', requireSupabaseAdmin, async (req, res) => {
   try {
@@ -641,7 +720,7 @@ function extractImagesFromContent(content: any, post: any, images: any[]) {
     return
   }
   
-  if (content.type === 'image' && content.attrs?.src) {
+  if ((content.type === 'image' || content.type === 'galleryImage') && content.attrs?.src) {
     images.push({
       id: `inline-${post.id}-${images.length}`,
       url: content.attrs.src,
@@ -803,7 +882,27 @@ router.post('/deduplicate', requireSupabaseAdmin, async (req, res) => {
       return res.status(500).json({ error: 'Supabase admin client not configured' })
     }
     
-    const { dryRun = true } = req.body
+    const { dryRun = true, minAgeHours = DEFAULT_MIN_AGE_HOURS } = req.body
+    
+    if (typeof minAgeHours !== 'number' || minAgeHours < 0) {
+      return res.status(400).json({ error: 'minAgeHours must be a non-negative number' })
+    }
+    
+    // Stored files with identical contents: extra copies nothing uses are deleted
+    const fileGroups = await storageCleanupService.findDuplicates(minAgeHours)
+    const removableFiles = fileGroups.flatMap(group => group.removable)
+    const fileCleanup = dryRun
+      ? { deleted: removableFiles, failed: [], bytesFreed: removableFiles.reduce((sum, file) => sum + file.size, 0) }
+      : await storageCleanupService.removeFiles(removableFiles)
+    
+    const fileStats = {
+      duplicateGroups: fileGroups.length,
+      filesKept: fileGroups.reduce((sum, group) => sum + group.kept.length, 0),
+      filesRemoved: fileCleanup.deleted.length,
+      filesFailed: fileCleanup.failed.length,
+      bytesFreed: fileCleanup.bytesFreed,
+      removedPaths: dryRun ? removableFiles.map(file => file.path) : undefined
+    }
     
     // Check if post_images table exists
     const { error: tableError } = await supabaseAdmin
@@ -820,6 +919,7 @@ router.post('/deduplicate', requireSupabaseAdmin, async (req, res) => {
           recordsKept: 0,
           recordsRemoved: 0
         },
+        files: fileStats,
         message: 'Image tracking table not found. Run reconciliation first to build the image index.'
       })
     }
@@ -889,9 +989,10 @@ router.post('/deduplicate', requireSupabaseAdmin, async (req, res) => {
         recordsRemoved: removedCount,
         removedIds: dryRun ? removedIds : undefined
       },
+      files: fileStats,
       message: dryRun 
-        ? `Found ${removedCount} duplicate records that would be removed. Run with dryRun=false to remove them.`
-        : `Successfully removed ${removedCount} duplicate records.`
+        ? `Found ${removedCount} duplicate records and ${fileStats.filesRemoved} duplicate files that would be removed. Run with dryRun=false to remove them.`
+        : `Successfully removed ${removedCount} duplicate records and ${fileStats.filesRemoved} duplicate files.`
     })
     
   } catch (error: any) {
@@ -900,6 +1001,46 @@ router.post('/deduplicate', requireSupabaseAdmin, async (req, res) => {
   }
 })
 
+// POST /api/images/orphans/cleanup - Admin only: delete stored files nothing uses
+// Body: { dryRun = true, minAgeHours = 24 } - younger files are kept (they may be in an unsaved post)
+router.post('/orphans/cleanup', requireSupabaseAdmin, async (req, res) => {
+  try {
+    const { dryRun = true, minAgeHours = DEFAULT_MIN_AGE_HOURS } = req.body
+    
+    if (typeof minAgeHours !== 'number' || minAgeHours < 0) {
+      return res.status(400).json({ error: 'minAgeHours must be a non-negative number' })
+    }
+    
+    const orphans = await storageCleanupService.findOrphans(minAgeHours)
+    const bytes = orphans.reduce((sum, file) => sum + file.size, 0)
+    
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun,
+        stats: { orphanedFiles: orphans.length, filesRemoved: 0, filesFailed: 0, bytesFreed: 0, bytes },
+        files: orphans.map(file => ({ path: file.path, url: file.url, size: file.size, updatedAt: file.updatedAt })),
+        message: `Found ${orphans.length} unused files. Run with dryRun=false to delete them.`
+      })
+    }
+    
+    const { deleted, failed, bytesFreed } = await storageCleanupService.removeFiles(orphans)
+    
+    console.log(`🧹 Orphan cleanup: ${deleted.length} files deleted, ${failed.length} failed`)
+    
+    res.json({
+      success: true,
+      dryRun,
+      stats: { orphanedFiles: orphans.length, filesRemoved: deleted.length, filesFailed: failed.length, bytesFreed, bytes },
+      failed,
+      message: `Deleted ${deleted.length} unused files.`
+    })
+  } catch (error: any) {
+    console.error('❌ Orphan cleanup failed:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 // POST /api/images/reconcile - Admin only: full reconciliation (monthly maintenance)
 router.post('/reconcile', requireSupabaseAdmin, async (req, res) => {
   try {
@@ -947,8 +1088,8 @@ router.post('/reconcile', requireSupabaseAdmin, async (req, res) => {
           return images
         }
         
-        // Handle image nodes
-        if (content.type === 'image' && content.attrs?.src) {
+        // Handle image nodes (single images and gallery images)
+        if ((content.type === 'image' || content.type === 'galleryImage') && content.attrs?.src) {
           images.push({
             url: content.attrs.src,
             alt: content.attrs.alt || null
@@ -1589,8 +1730,8 @@ function extractImagesFromContentDirect(content: any, post: any): any[] {
     return images
   }
   
-  // Handle image nodes
-  if (content.type === 'image' && content.attrs?.src) {
+  // Handle image nodes (single images and gallery images)
+  if ((content.type === 'image' || content.type === 'galleryImage') && content.attrs?.src) {
     images.push({
       id: `inline-${post.id}-${images.length}`,
       image_url: content.attrs.src,
@@ -0,0 +1,208 @@
+// Public journal and collection browsing routes
+import { Router } from 'express'
+import { getSupabaseAdmin } from '../auth/supabaseAdmin.ts'
+import {
+  createErrorResponse,
+  createSingleResponse,
+  HTTP_STATUS
+} from '../src/utils/responses.ts'
+import { imageVariantService } from '../src/services/imageVariantService.ts'
+
+const router = Router()
+
+// Initialize Supabase admin client
+const supabaseAdmin = getSupabaseAdmin()
+
+const JOURNAL_FIELDS = `
+  id,
+  name,
+  slug,
+  icon_type,
+  icon_emoji,
+  icon_image_url,
+  description,
+  wallpaper_url,
+  wallpaper_blur,
+  display_order
+`
+
+const COLLECTION_FIELDS = `
+  id,
+  name,
+  slug,
+  icon_emoji,
+  description,
+  display_order
+`
+
+// Post fields exposed on public listings (status is only used for filtering)
+const ENTRY_POST_FIELDS = `
+  id,
+  title,
+  slug,
+  excerpt,
+  reading_time,
+  cover_image_url,
+  cover_image_alt,
+  status,
+  created_at
+`
+
+/**
+ * Flatten ordered entry rows into published post summaries,
+ * keeping the curated display_order
+ */
+function toPublishedPosts(entries: any[] | null) {
+  return (entries || [])
+    .filter(entry => entry.posts?.status === 'published')
+    .map(entry => {
+      const { status, ...post } = entry.posts
+      return post
+    })
+}
+
+/**
+ * Load a published journal by slug (null when missing or not published)
+ */
+async function getPublishedJournal(slug: string) {
+  const { data, error } = await supabaseAdmin
+    .from('journals')
+    .select(JOURNAL_FIELDS)
+    .eq('slug', slug)
+    .eq('status', 'published')
+    .maybeSingle()
+
+  if (error) {
+    throw error
+  }
+
+  return data
+}
+
+// GET /api/journals - Public: published journals in curated order
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('journals')
+      .select(`
+        ${JOURNAL_FIELDS},
+        collections (
+          id,
+          status
+        )
+      `)
+      .eq('status', 'published')
+      .order('display_order', { ascending: true })
+      .order('name', { ascending: true })
+
+    if (error) {
+      throw error
+    }
+
+    const journals = (data || []).map(({ collections, ...journal }: any) => ({
+      ...journal,
+      collection_count: (collections || []).filter((c: any) => c.status === 'published').length
+    }))
+
+    res.json(createSingleResponse('journals', journals))
+  } catch (error) {
+    console.error('Error fetching journals:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch journals'))
+  }
+})
+
+// GET /api/journals/:slug - Public: journal with its published collections and direct entries
+router.get('/:slug', async (req, res) => {
+  try {
+    const journal = await getPublishedJournal(req.params.slug)
+
+    if (!journal) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Journal not found'))
+    }
+
+    const [collectionsResult, entriesResult] = await Promise.all([
+      supabaseAdmin
+        .from('collections')
+        .select(COLLECTION_FIELDS)
+        .eq('journal_id', journal.id)
+        .eq('status', 'published')
+        .order('display_order', { ascending: true })
+        .order('name', { ascending: true }),
+      supabaseAdmin
+        .from('journal_entries')
+        .select(`
+          display_order,
+          posts (${ENTRY_POST_FIELDS})
+        `)
+        .eq('journal_id', journal.id)
+        .order('display_order', { ascending: true })
+    ])
+
+    if (collectionsResult.error) {
+      throw collectionsResult.error
+    }
+    if (entriesResult.error) {
+      throw entriesResult.error
+    }
+
+    res.json({
+      journal,
+      collections: collectionsResult.data || [],
+      entries: await imageVariantService.withCoverVariants(toPublishedPosts(entriesResult.data))
+    })
+  } catch (error) {
+    console.error('Error fetching journal:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch journal'))
+  }
+})
+
+// GET /api/journals/:slug/:collectionSlug - Public: published collection and its entries
+router.get('/:slug/:collectionSlug', async (req, res) => {
+  try {
+    const journal = await getPublishedJournal(req.params.slug)
+
+    if (!journal) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Journal not found'))
+    }
+
+    const { data: collection, error: collectionError } = await supabaseAdmin
+      .from('collections')
+      .select(COLLECTION_FIELDS)
+      .eq('journal_id', journal.id)
+      .eq('slug', req.params.collectionSlug)
+      .eq('status', 'published')
+      .maybeSingle()
+
+    if (collectionError) {
+      throw collectionError
+    }
+
+    if (!collection) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Collection not found'))
+    }
+
+    const { data: entries, error: entriesError } = await supabaseAdmin
+      .from('collection_entries')
+      .select(`
+        display_order,
+        posts (${ENTRY_POST_FIELDS})
+      `)
+      .eq('collection_id', collection.id)
+      .order('display_order', { ascending: true })
+
+    if (entriesError) {
+      throw entriesError
+    }
+
+    res.json({
+      journal,
+      collection,
+      entries: await imageVariantService.withCoverVariants(toPublishedPosts(entries))
+    })
+  } catch (error) {
+    console.error('Error fetching collection:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch collection'))
+  }
+})
+
+export default router
@@ -6,12 +6,14 @@ import { requireSupabaseAdmin } from '../src/middleware/requireSupabaseAdmin.ts'
 import { AuthenticatedRequest } from '../middleware/requireUser.ts'
 import { slugify, validateSlugAvailability } from '../src/utils/slugify.ts'
 import { extractTextFromRichContent } from '../src/utils/contentExtractor.ts'
-import { sanitizePostHtml, calculateReadingTime, extractTextFromHtml } from '../src/utils/sanitizeHtml.ts'
+import { sanitizePostHtml, calculateReadingTime, extractTextFromHtml, outlineHeadings } from '../src/utils/sanitizeHtml.ts'
 import { 
   validateTitle, 
   validateExcerpt, 
   validateSlugFormat, 
   validateStatus, 
+  validatePublishAt,
+  validateCommentsEnabled,
   validateRichContent,
   createValidationErrorResponse,
   ValidationError 
@@ -23,12 +25,127 @@ import {
   HTTP_STATUS
 } from '../src/utils/responses.ts'
 import { imageTrackingService } from '../src/services/imageTrackingService.ts'
+import { revisionService } from '../src/services/revisionService.ts'
+import { postLinkService, BrokenPostLink } from '../src/services/postLinkService.ts'
+import { relatedPostsService, DEFAULT_RELATED_LIMIT } from '../src/services/relatedPostsService.ts'
+import { imageVariantService } from '../src/services/imageVariantService.ts'
+import { ResponsiveImage } from '../src/utils/responsiveImage.ts'
+import { commentService } from '../src/services/commentService.ts'
+import { storageCleanupService } from '../src/services/storageCleanupService.ts'
+import { resolvePublishState } from '../src/utils/publishState.ts'
 
 const router = Router()
 
 // Initialize Supabase admin client
 const supabaseAdmin = getSupabaseAdmin()
 
+/**
+ * Strip characters that would break a PostgREST or() filter or act as
+ * ilike wildcards, and collapse whitespace
+ */
+function sanitizeSearchTerm(term: string): string {
+  return term
+    .replace(/[,()%*_\\]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 200)
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Upper bound for one bulk request (keeps the transaction short)
+const MAX_BULK_POSTS = 200
+
+// Bulk actions and the table their target_id refers to (null: no target)
+const BULK_ACTIONS: Record<string, { table: string; label: string } | null> = {
+  publish: null,
+  draft: null,
+  archive: null,
+  delete: null,
+  add_label: { table: 'labels', label: 'Label' },
+  remove_label: { table: 'labels', label: 'Label' },
+  add_to_journal: { table: 'journals', label: 'Journal' },
+  remove_from_journal: { table: 'journals', label: 'Journal' },
+  add_to_collection: { table: 'collections', label: 'Collection' },
+  remove_from_collection: { table: 'collections', label: 'Collection' }
+}
+
+/**
+ * Add the heading outline (for the table of contents) next to reading_time
+ * Posts saved before headings had ids get them here, so every post can be linked into.
+ */
+function withOutline<T extends { content_html?: string | null }>(post: T) {
+  const { html, outline } = outlineHeadings(post.content_html || '')
+  return { ...post, content_html: post.content_html ? html : post.content_html, outline }
+}
+
+/**
+ * Point links to other posts at their current slugs (see postLinkService)
+ * A lookup failure leaves the stored links as they are rather than failing the read.
+ */
+async function withResolvedLinks<T extends { content_html?: string | null }>(post: T, publishedOnly: boolean): Promise<{ post: T; broken: BrokenPostLink[] }> {
+  if (!post.content_html) return { post, broken: [] }
+
+  try {
+    const { html, broken } = await postLinkService.resolveLinks(post.content_html, publishedOnly)
+    return { post: { ...post, content_html: html }, broken }
+  } catch (error) {
+    console.error('Failed to resolve links to other posts:', error)
+    return { post, broken: [] }
+  }
+}
+
+/**
+ * srcset data for the uploaded images in post HTML about to be sanitized
+ * A lookup failure only costs the srcset, so it doesn't fail the save.
+ */
+async function responsiveImagesFor(html: string): Promise<Map<string, ResponsiveImage>> {
+  try {
+    return await imageVariantService.responsiveImagesInHtml(html)
+  } catch (error) {
+    console.error('Failed to look up image variants:', error)
+    return new Map()
+  }
+}
+
+/**
+ * The posts and their revisions, read before they are deleted, so the files
+ * only they used can be deleted afterwards (see removeDeletedPostFiles)
+ */
+async function postRowsForCleanup(postIds: string[]): Promise<unknown[]> {
+  try {
+    const [posts, revisions] = await Promise.all([
+      supabaseAdmin.from('posts').select('*').in('id', postIds),
+      supabaseAdmin.from('post_revisions').select('*').in('post_id', postIds)
+    ])
+
+    if (posts.error) throw posts.error
+    return [...(posts.data || []), ...(revisions.data || [])]
+  } catch (error) {
+    console.error('Failed to read posts before deletion:', error)
+    return []
+  }
+}
+
+/**
+ * Delete the uploads nothing uses any more once posts are gone
+ * Runs after the response; a failure leaves the files for the orphan cleanup.
+ */
+function removeDeletedPostFiles(rows: unknown[], label: string): void {
+  if (rows.length === 0) return
+
+  setImmediate(async () => {
+    try {
+      const { deleted, failed } = await storageCleanupService.removeFilesOf(rows)
+      if (deleted.length > 0 || failed.length > 0) {
+        console.log(`🧹 Removed ${deleted.length} unused files for ${label}${failed.length ? ` (${failed.length} failed)` : ''}`)
+      }
+    } catch (error) {
+      console.error(`Failed to remove unused files for ${label}:`, error)
+    }
+  })
+}
+
 // GET /api/posts - Public: published posts only
 router.get('/', async (req, res) => {
   try {
@@ -43,6 +160,39 @@ router.get('/', async (req, res) => {
     const limitNum = Math.min(100, Math.max(1, parseInt(limit as string)))
     const offset = (pageNum - 1) * limitNum
     
+    // Resolve the label filter to post ids up front - filtering on the
+    // post_labels embed would also strip the other labels from each post
+    let labelPostIds: string[] | null = null
+    if (label && typeof label === 'string') {
+      const { data: labelRow, error: labelError } = await supabaseAdmin
+        .from('labels')
+        .select('id')
+        .eq('slug', label)
+        .maybeSingle()
+      
+      if (labelError) {
+        throw labelError
+      }
+      
+      if (!labelRow) {
+        return res.json(createListResponse([], pageNum, limitNum, 0))
+      }
+      
+      const { data: labelLinks, error: linksError } = await supabaseAdmin
+        .from('post_labels')
+        .select('post_id')
+        .eq('label_id', labelRow.id)
+      
+      if (linksError) {
+        throw linksError
+      }
+      
+      labelPostIds = (labelLinks || []).map(link => link.post_id)
+      if (labelPostIds.length === 0) {
+        return res.json(createListResponse([], pageNum, limitNum, 0))
+      }
+    }
+    
     let query = supabaseAdmin
       .from('posts')
       .select(`
@@ -52,6 +202,8 @@ router.get('/', async (req, res) => {
         excerpt,
         reading_time,
         cover_image_url,
+        cover_image_alt,
+        publish_at,
         created_at,
         updated_at,
         profiles!posts_author_id_fkey (
@@ -63,19 +215,22 @@ router.get('/', async (req, res) => {
             slug
           )
         )
-      `)
+      `, { count: 'exact' })
       .eq('status', 'published')
+      // Scheduled posts go out at publish_at, not when they were written
+      .order('publish_at', { ascending: false, nullsFirst: false })
       .order('created_at', { ascending: false })
       .range(offset, offset + limitNum - 1)
     
-    // Filter by label if provided
-    if (label && typeof label === 'string') {
-      query = query.eq('post_labels.labels.slug', label)
+    if (labelPostIds) {
+      query = query.in('id', labelPostIds)
     }
     
-    // Text search if provided
-    if (search && typeof search === 'string') {
-      query = query.textSearch('title,content_text', search)
+    // Text search if provided (title, excerpt and body text)
+    const searchTerm = typeof search === 'string' ? sanitizeSearchTerm(search) : ''
+    if (searchTerm) {
+      const pattern = `%${searchTerm}%`
+      query = query.or(`title.ilike.${pattern},excerpt.ilike.${pattern},content_text.ilike.${pattern}`)
     }
     
     const { data, error, count } = await query
@@ -84,7 +239,8 @@ router.get('/', async (req, res) => {
       throw error
     }
     
-    res.json(createListResponse(data || [], pageNum, limitNum, count || 0))
+    const posts = await imageVariantService.withCoverVariants(data || [])
+    res.json(createListResponse(posts, pageNum, limitNum, count || 0))
   } catch (error) {
     console.error('Error fetching posts:', error)
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch posts'))
@@ -114,6 +270,7 @@ router.get('/admin', requireSupabaseAdmin, async (req: AuthenticatedRequest, res
         excerpt,
         reading_time,
         status,
+        publish_at,
         created_at,
         updated_at,
         profiles!posts_author_id_fkey (
@@ -145,13 +302,55 @@ router.get('/admin', requireSupabaseAdmin, async (req: AuthenticatedRequest, res
       throw error
     }
     
-    res.json(createListResponse(data || [], pageNum, limitNum, count || 0))
+    // Counts are extra information; the list still loads without them
+    const posts = data || []
+    let commentCounts = new Map<string, { approved: number; pending: number }>()
+    try {
+      commentCounts = await commentService.countsForPosts(posts.map(post => post.id))
+    } catch (countError) {
+      console.error('Failed to count comments for admin posts:', countError)
+    }
+    
+    const items = posts.map(post => ({
+      ...post,
+      comment_counts: commentCounts.get(post.id) || { approved: 0, pending: 0 }
+    }))
+    
+    res.json(createListResponse(items, pageNum, limitNum, count || 0))
   } catch (error) {
     console.error('Error fetching admin posts:', error)
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch posts'))
   }
 })
 
+// GET /api/posts/link-targets - Admin only: posts to pick from when linking in the editor
+router.get('/link-targets', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) => {
+  try {
+    const searchTerm = typeof req.query.q === 'string' ? sanitizeSearchTerm(req.query.q) : ''
+    
+    let query = supabaseAdmin
+      .from('posts')
+      .select('id, title, slug, status')
+      .order('updated_at', { ascending: false })
+      .limit(10)
+    
+    if (searchTerm) {
+      query = query.ilike('title', `%${searchTerm}%`)
+    }
+    
+    const { data, error } = await query
+    
+    if (error) {
+      throw error
+    }
+    
+    res.json(createSingleResponse('posts', data || []))
+  } catch (error) {
+    console.error('Error fetching link targets:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch posts'))
+  }
+})
+
 // GET /api/posts/slug/:slug - Get single post by slug (public - published only, unless admin)
 router.get('/slug/:slug', async (req, res) => {
   try {
@@ -203,6 +402,7 @@ router.get('/slug/:slug', async (req, res) => {
         cover_image_url,
         cover_image_alt,
         status,
+        publish_at,
         created_at,
         updated_at,
         profiles!posts_author_id_fkey (
@@ -228,12 +428,26 @@ router.get('/slug/:slug', async (req, res) => {
     
     if (error) {
       if (error.code === 'PGRST116') {
+        // An old slug of a renamed post redirects to its current one. no-cache
+        // because the old slug may be given to another post later.
+        const currentSlug = await postLinkService.findCurrentSlug(slug, !isAdmin).catch(historyError => {
+          console.error('Error looking up slug history:', historyError)
+          return null
+        })
+        if (currentSlug) {
+          const queryIndex = req.originalUrl.indexOf('?')
+          const queryString = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex)
+          res.set('Cache-Control', 'no-cache')
+          return res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(currentSlug)}${queryString}`)
+        }
         return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Post not found'))
       }
       throw error
     }
     
-    res.json(createSingleResponse('post', data))
+    const { post } = await withResolvedLinks(data, !isAdmin)
+    const [withVariants] = await imageVariantService.withCoverVariants([post])
+    res.json(createSingleResponse('post', withOutline(withVariants)))
   } catch (error) {
     console.error('Error fetching post by slug:', error)
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch post'))
@@ -260,6 +474,8 @@ router.get('/:id', async (req, res) => {
         cover_image_url,
         cover_image_alt,
         status,
+        publish_at,
+        comments_enabled,
         created_at,
         updated_at,
         author_id,
@@ -293,13 +509,36 @@ router.get('/:id', async (req, res) => {
       throw error
     }
     
-    res.json(createSingleResponse('post', data))
+    // The editor loads posts here, so it also learns which of its links are broken
+    const { post, broken } = await withResolvedLinks(data, false)
+    res.json(createSingleResponse('post', { ...withOutline(post), broken_links: broken }))
   } catch (error) {
     console.error('Error fetching post:', error)
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch post'))
   }
 })
 
+// GET /api/posts/:id/related - Public: related posts, backlinks and collection prev/next
+router.get('/:id/related', async (req, res) => {
+  try {
+    const { id } = req.params
+    
+    // Drafts have no public page, so they get no related content either
+    if (!UUID_PATTERN.test(id) || !(await relatedPostsService.isPublished(id))) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Post not found'))
+    }
+    
+    const limit = parseInt(req.query.limit as string) || DEFAULT_RELATED_LIMIT
+    const content = await relatedPostsService.getRelatedContent(id, limit)
+    const related = await imageVariantService.withCoverVariants(content.related)
+    
+    res.json({ ...content, related })
+  } catch (error) {
+    console.error('Error fetching related posts:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch related posts'))
+  }
+})
+
 // POST /api/posts - Create new post (admin token or authenticated user required)
 router.post('/', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) => {
   try {
@@ -311,6 +550,8 @@ router.post('/', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) =>
       cover_image_url,
       cover_image_alt, 
       status = 'draft', 
+      publish_at,
+      comments_enabled = null,
       label_ids = [],
       slug: providedSlug
     } = req.body
@@ -320,7 +561,9 @@ router.post('/', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) =>
       ...validateTitle(title),
       ...validateRichContent(content_rich),
       ...validateExcerpt(excerpt),
-      ...validateStatus(status)
+      ...validateStatus(status),
+      ...validatePublishAt(publish_at, status),
+      ...validateCommentsEnabled(comments_enabled)
     ]
     
     // Validate provided slug if any
@@ -386,7 +629,7 @@ router.post('/', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) =>
     let readingTime = 0
     
     if (content_html && typeof content_html === 'string') {
-      sanitizedHtml = sanitizePostHtml(content_html)
+      sanitizedHtml = sanitizePostHtml(content_html, await responsiveImagesFor(content_html))
       const plainText = extractTextFromHtml(sanitizedHtml)
       readingTime = calculateReadingTime(plainText)
     } else if (contentText) {
@@ -394,6 +637,12 @@ router.post('/', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) =>
       readingTime = calculateReadingTime(contentText)
     }
     
+    // Scheduling: published posts record when they went live
+    const publishState = resolvePublishState(status, publish_at)
+    const publishAt = publishState.publish_at !== undefined
+      ? publishState.publish_at
+      : (publishState.status === 'published' ? new Date().toISOString() : null)
+    
     // Prepare post data for insertion
     const postData: any = {
       title: title.trim(),
@@ -405,7 +654,9 @@ router.post('/', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) =>
       excerpt: excerpt?.trim() || null,
       cover_image_url: cover_image_url || null,
       cover_image_alt: cover_image_alt?.trim() || null,
-      status,
+      status: publishState.status,
+      publish_at: publishAt,
+      comments_enabled,
       author_id: authorId
     }
     
@@ -413,7 +664,7 @@ router.post('/', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) =>
     const { data: post, error: postError } = await supabaseAdmin
       .from('posts')
       .insert(postData)
-      .select('id, title, slug, status, created_at')
+      .select('id, title, slug, status, publish_at, created_at')
       .single()
     
     if (postError) {
@@ -435,6 +686,13 @@ router.post('/', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) =>
         .insert(labelInserts)
     }
     
+    // First revision mirrors the newly created post
+    try {
+      await revisionService.recordRevision(post.id, req.user?.id)
+    } catch (revisionError) {
+      console.error(`❌ Failed to record revision for post ${post.id}:`, revisionError)
+    }
+    
     // Track images in background (non-blocking)
     setImmediate(async () => {
       try {
@@ -457,6 +715,96 @@ router.post('/', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) =>
   }
 })
 
+// POST /api/posts/bulk - Admin only: apply one action to many posts in one transaction
+// Body: { action, post_ids, target_id?, atomic? } - see BULK_ACTIONS for target requirements
+router.post('/bulk', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) => {
+  try {
+    const { action, post_ids, target_id, atomic = true } = req.body
+    
+    const errors: ValidationError[] = []
+    const isKnownAction = typeof action === 'string' && Object.prototype.hasOwnProperty.call(BULK_ACTIONS, action)
+    const targetTable = isKnownAction ? BULK_ACTIONS[action] : null
+    
+    if (!isKnownAction) {
+      errors.push({ field: 'action', message: `Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`, code: 'INVALID_VALUE' })
+    }
+    
+    if (!Array.isArray(post_ids) || post_ids.length === 0) {
+      errors.push({ field: 'post_ids', message: 'post_ids must be a non-empty array', code: 'REQUIRED' })
+    } else if (post_ids.length > MAX_BULK_POSTS) {
+      errors.push({ field: 'post_ids', message: `At most ${MAX_BULK_POSTS} posts can be changed at once`, code: 'TOO_MANY' })
+    } else if (!post_ids.every(postId => typeof postId === 'string' && UUID_PATTERN.test(postId))) {
+      errors.push({ field: 'post_ids', message: 'post_ids must contain post ids', code: 'INVALID_VALUE' })
+    }
+    
+    if (targetTable && (typeof target_id !== 'string' || !UUID_PATTERN.test(target_id))) {
+      errors.push({ field: 'target_id', message: `A ${targetTable.label.toLowerCase()} is required for this action`, code: 'REQUIRED' })
+    }
+    
+    if (typeof atomic !== 'boolean') {
+      errors.push({ field: 'atomic', message: 'atomic must be a boolean', code: 'INVALID_TYPE' })
+    }
+    
+    if (errors.length > 0) {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(createValidationErrorResponse(errors))
+    }
+    
+    // Missing targets fail the whole request rather than every item
+    if (targetTable) {
+      const { data: target, error: targetError } = await supabaseAdmin
+        .from(targetTable.table)
+        .select('id')
+        .eq('id', target_id)
+        .maybeSingle()
+      
+      if (targetError) {
+        throw targetError
+      }
+      
+      if (!target) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse(`${targetTable.label} not found`))
+      }
+    }
+    
+    const postIds = [...new Set<string>(post_ids)]
+    const deletedRows = action === 'delete' ? await postRowsForCleanup(postIds) : []
+    
+    const { data: result, error } = await supabaseAdmin.rpc('bulk_post_operation', {
+      p_action: action,
+      p_post_ids: postIds,
+      p_target: targetTable ? target_id : null,
+      p_atomic: atomic
+    })
+    
+    if (error) {
+      throw error
+    }
+    
+    const results: Array<{ post_id: string; ok: boolean }> = result?.results || []
+    const succeeded = result?.committed ? results.filter(item => item.ok).length : 0
+    
+    if (result?.committed && deletedRows.length > 0) {
+      const deletedIds = new Set(results.filter(item => item.ok).map(item => item.post_id))
+      removeDeletedPostFiles(
+        deletedRows.filter((row: any) => deletedIds.has(row.post_id || row.id)),
+        `${deletedIds.size} deleted posts`
+      )
+    }
+    
+    res.json({
+      ...result,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - results.filter(item => item.ok).length
+      }
+    })
+  } catch (error) {
+    console.error('Error applying bulk post operation:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to apply bulk operation'))
+  }
+})
+
 // PUT /api/posts/:id - Update post (admin token or author)
 // PATCH /api/posts/:id - Update post (admin token or author) - same as PUT
 const updatePostHandler = async (req: AuthenticatedRequest, res: any) => {
@@ -472,6 +820,8 @@ const updatePostHandler = async (req: AuthenticatedRequest, res: any) => {
       cover_image_url,
       cover_image_alt, 
       status, 
+      publish_at,
+      comments_enabled,
       label_ids,
       regenerateSlug = false 
     } = req.body
@@ -517,6 +867,32 @@ const updatePostHandler = async (req: AuthenticatedRequest, res: any) => {
       errors.push(...validateStatus(status))
     }
     
+    // Scheduling fields the request leaves out keep their stored values, so
+    // the new ones are checked and resolved against those
+    let currentPublishState: { status: string; publish_at: string | null } | null = null
+    if (status !== undefined || publish_at !== undefined) {
+      const { data: current, error: currentError } = await supabaseAdmin
+        .from('posts')
+        .select('status, publish_at')
+        .eq('id', id)
+        .single()
+      
+      if (currentError) {
+        if (currentError.code === 'PGRST116') {
+          return res.status(404).json({ error: 'Post not found' })
+        }
+        throw currentError
+      }
+      
+      currentPublishState = current
+      errors.push(...validatePublishAt(
+        publish_at !== undefined ? publish_at : current.publish_at,
+        status !== undefined ? status : current.status
+      ))
+    }
+    
+    errors.push(...validateCommentsEnabled(comments_enabled))
+    
     // Return validation errors if any
     if (errors.length > 0) {
       return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(createValidationErrorResponse(errors))
@@ -540,7 +916,7 @@ const updatePostHandler = async (req: AuthenticatedRequest, res: any) => {
     let readingTime = 0
     
     if (content_html !== undefined && typeof content_html === 'string') {
-      sanitizedHtml = sanitizePostHtml(content_html)
+      sanitizedHtml = sanitizePostHtml(content_html, await responsiveImagesFor(content_html))
       const plainText = extractTextFromHtml(sanitizedHtml)
       readingTime = calculateReadingTime(plainText)
       
@@ -563,13 +939,36 @@ const updatePostHandler = async (req: AuthenticatedRequest, res: any) => {
       updates.cover_image_alt = cover_image_alt?.trim() || null
     }
     
-    if (status !== undefined) {
-      updates.status = status
+    if (currentPublishState) {
+      const publishState = resolvePublishState(status !== undefined ? status : currentPublishState.status, publish_at)
+      updates.status = publishState.status
+      
+      if (publishState.publish_at !== undefined) {
+        updates.publish_at = publishState.publish_at
+      } else if (publishState.status === 'published') {
+        // First publish (or publishing a scheduled post early) records the
+        // publication time; later saves keep it
+        const storedPublishAt = currentPublishState.publish_at
+        if (!storedPublishAt || new Date(storedPublishAt).getTime() > Date.now()) {
+          updates.publish_at = new Date().toISOString()
+        }
+      }
+    }
+    
+    if (comments_enabled !== undefined) {
+      updates.comments_enabled = comments_enabled
     }
     
     // Handle slug regeneration
+    let previousSlug: string | null = null
     if (regenerateSlug && title !== undefined) {
       try {
+        const { data: current } = await supabaseAdmin
+          .from('posts')
+          .select('slug')
+          .eq('id', id)
+          .single()
+        previousSlug = current?.slug || null
         updates.slug = await slugify(title.trim(), id)
       } catch (slugError: any) {
         return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(createValidationErrorResponse([{
@@ -580,13 +979,23 @@ const updatePostHandler = async (req: AuthenticatedRequest, res: any) => {
       }
     }
     
+    // Posts saved before revisions existed get their current state recorded first
+    const recordRevision = revisionService.hasRevisionedChanges(updates)
+    if (recordRevision) {
+      try {
+        await revisionService.ensureBaseline(id, req.user?.id)
+      } catch (revisionError) {
+        console.error(`❌ Failed to record baseline revision for post ${id}:`, revisionError)
+      }
+    }
+    
     // Update the post
     console.log(`📝 Updating post ${id} with:`, JSON.stringify(updates, null, 2))
     const { data: updatedPost, error: updateError } = await supabaseAdmin
       .from('posts')
       .update(updates)
       .eq('id', id)
-      .select('id, title, slug, status, updated_at')
+      .select('id, title, slug, status, publish_at, updated_at')
       .single()
     console.log(`✅ Update result:`, { updatedPost, error: updateError })
     
@@ -597,6 +1006,15 @@ const updatePostHandler = async (req: AuthenticatedRequest, res: any) => {
       throw updateError
     }
     
+    // The old address keeps working as a redirect
+    if (previousSlug && updatedPost.slug !== previousSlug) {
+      try {
+        await postLinkService.recordSlugChange(id, previousSlug, updatedPost.slug)
+      } catch (slugHistoryError) {
+        console.error(`❌ Failed to record previous slug for post ${id}:`, slugHistoryError)
+      }
+    }
+    
     // Update labels if provided
     if (Array.isArray(label_ids)) {
       // Remove existing labels
@@ -618,6 +1036,14 @@ const updatePostHandler = async (req: AuthenticatedRequest, res: any) => {
       }
     }
     
+    if (recordRevision) {
+      try {
+        await revisionService.recordRevision(id, req.user?.id)
+      } catch (revisionError) {
+        console.error(`❌ Failed to record revision for post ${id}:`, revisionError)
+      }
+    }
+    
     // Update image tracking if content or cover image changed
     if (content_rich !== undefined || cover_image_url !== undefined) {
       setImmediate(async () => {
@@ -632,10 +1058,14 @@ const updatePostHandler = async (req: AuthenticatedRequest, res: any) => {
       })
     }
     
+    // Let the editor know which of its links to other posts lead nowhere
+    const brokenLinks = sanitizedHtml ? (await withResolvedLinks({ content_html: sanitizedHtml }, false)).broken : undefined
+    
     res.json(createSingleResponse('post', {
       ...updatedPost,
       reading_time: Math.max(1, readingTime),
-      content_html: sanitizedHtml // Return sanitized HTML (now persisted)
+      content_html: sanitizedHtml, // Return sanitized HTML (now persisted)
+      broken_links: brokenLinks
     }))
   } catch (error) {
     console.error('Error updating post:', error)
@@ -647,6 +1077,92 @@ const updatePostHandler = async (req: AuthenticatedRequest, res: any) => {
 router.put('/:id', requireSupabaseAdmin, updatePostHandler)
 router.patch('/:id', requireSupabaseAdmin, updatePostHandler)
 
+// GET /api/posts/:id/revisions - Admin only: revision history, newest first
+router.get('/:id/revisions', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) => {
+  try {
+    const revisions = await revisionService.listRevisions(req.params.id)
+    res.json(createSingleResponse('revisions', revisions))
+  } catch (error) {
+    console.error('Error fetching revisions:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch revisions'))
+  }
+})
+
+// GET /api/posts/:id/revisions/:revisionId - Admin only: single revision with content
+router.get('/:id/revisions/:revisionId', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) => {
+  try {
+    const revision = await revisionService.getRevision(req.params.id, req.params.revisionId)
+    
+    if (!revision) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Revision not found'))
+    }
+    
+    res.json(createSingleResponse('revision', revision))
+  } catch (error) {
+    console.error('Error fetching revision:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to fetch revision'))
+  }
+})
+
+// POST /api/posts/:id/revisions/:revisionId/restore - Admin only: restore content from a revision
+// Status is left alone; the restore itself is recorded as a new revision
+router.post('/:id/revisions/:revisionId/restore', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) => {
+  try {
+    const { id, revisionId } = req.params
+    const revision = await revisionService.getRevision(id, revisionId)
+    
+    if (!revision) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Revision not found'))
+    }
+    
+    const { data: restoredPost, error: updateError } = await supabaseAdmin
+      .from('posts')
+      .update({
+        title: revision.title,
+        excerpt: revision.excerpt,
+        content_rich: revision.content_rich,
+        content_text: revision.content_text,
+        content_html: revision.content_html,
+        reading_time: revision.reading_time,
+        cover_image_url: revision.cover_image_url,
+        cover_image_alt: revision.cover_image_alt
+      })
+      .eq('id', id)
+      .select('id, title, slug, status, publish_at, updated_at')
+      .single()
+    
+    if (updateError) {
+      if (updateError.code === 'PGRST116') {
+        return res.status(HTTP_STATUS.NOT_FOUND).json(createErrorResponse('Post not found'))
+      }
+      throw updateError
+    }
+    
+    const newRevision = await revisionService.recordRevision(id, req.user?.id)
+    
+    setImmediate(async () => {
+      try {
+        await imageTrackingService.syncPostImages(id, revision.content_rich, revision.cover_image_url || undefined)
+        console.log(`✅ Images updated for restored post ${id}`)
+      } catch (error) {
+        console.error(`❌ Failed to update images for restored post ${id}:`, error)
+      }
+    })
+    
+    res.json({
+      post: restoredPost,
+      revision: {
+        id: newRevision.id,
+        revision_number: newRevision.revision_number,
+        restored_from: revision.revision_number
+      }
+    })
+  } catch (error) {
+    console.error('Error restoring revision:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to restore revision'))
+  }
+})
+
 // DELETE /api/posts/:id - Delete post (admin token or author)
 router.delete('/:id', requireSupabaseAdmin, async (req: AuthenticatedRequest, res) => {
   try {
@@ -674,6 +1190,8 @@ router.delete('/:id', requireSupabaseAdmin, async (req: AuthenticatedRequest, re
     }
     // Admin token users can delete any post
     
+    const deletedRows = await postRowsForCleanup([id])
+    
     const { error } = await supabaseAdmin
       .from('posts')
       .delete()
@@ -683,6 +1201,8 @@ router.delete('/:id', requireSupabaseAdmin, async (req: AuthenticatedRequest, re
       throw error
     }
     
+    removeDeletedPostFiles(deletedRows, `deleted post ${id}`)
+    
     // Clean up image tracking (post_images table has CASCADE DELETE, but let's be explicit)
     setImmediate(async () => {
       try {
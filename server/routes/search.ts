@@ -0,0 +1,182 @@
+// Public full-text search over published posts
+import { Router } from 'express'
+import { getSupabaseAdmin } from '../auth/supabaseAdmin.ts'
+import {
+  createErrorResponse,
+  createListResponse,
+  HTTP_STATUS
+} from '../src/utils/responses.ts'
+import { createValidationErrorResponse, ValidationError } from '../src/utils/validation.ts'
+import { imageVariantService } from '../src/services/imageVariantService.ts'
+import { highlightToHtml } from '../src/utils/searchHighlight.ts'
+
+const router = Router()
+
+// Initialize Supabase admin client
+const supabaseAdmin = getSupabaseAdmin()
+
+const MAX_QUERY_LENGTH = 200
+
+const SORT_OPTIONS = ['relevance', 'recent']
+
+function parseOptionalInt(value: unknown): number | null | undefined {
+  if (value === undefined || value === '') return undefined
+  const parsed = Number(value)
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : null
+}
+
+function parseOptionalDate(value: unknown): string | null | undefined {
+  if (value === undefined || value === '') return undefined
+  const date = new Date(String(value))
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+// GET /api/search - Public: ranked search with highlights, filters and facets
+// Query: q, label, journal, collection (requires journal), from, to,
+//        min_reading, max_reading, sort (relevance|recent), page, limit
+router.get('/', async (req, res) => {
+  try {
+    const {
+      q = '',
+      label,
+      journal,
+      collection,
+      sort = 'relevance',
+      page = '1',
+      limit = '20'
+    } = req.query
+
+    const pageNum = Math.max(1, parseInt(page as string) || 1)
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit as string) || 20))
+    const offset = (pageNum - 1) * limitNum
+
+    const query = typeof q === 'string' ? q.trim() : ''
+    const from = parseOptionalDate(req.query.from)
+    const to = parseOptionalDate(req.query.to)
+    const minReading = parseOptionalInt(req.query.min_reading)
+    const maxReading = parseOptionalInt(req.query.max_reading)
+
+    const errors: ValidationError[] = []
+
+    if (query.length > MAX_QUERY_LENGTH) {
+      errors.push({ field: 'q', message: `Search query must be ${MAX_QUERY_LENGTH} characters or less`, code: 'TOO_LONG' })
+    }
+    if (!SORT_OPTIONS.includes(sort as string)) {
+      errors.push({ field: 'sort', message: `Sort must be one of: ${SORT_OPTIONS.join(', ')}`, code: 'INVALID_VALUE' })
+    }
+    if (collection && !journal) {
+      errors.push({ field: 'collection', message: 'Collection filter requires a journal', code: 'REQUIRED' })
+    }
+    if (from === null) {
+      errors.push({ field: 'from', message: 'from must be a valid date', code: 'INVALID_DATE' })
+    }
+    if (to === null) {
+      errors.push({ field: 'to', message: 'to must be a valid date', code: 'INVALID_DATE' })
+    }
+    if (from && to && from > to) {
+      errors.push({ field: 'to', message: 'to must be after from', code: 'INVALID_RANGE' })
+    }
+    if (minReading === null) {
+      errors.push({ field: 'min_reading', message: 'min_reading must be a non-negative integer', code: 'INVALID_VALUE' })
+    }
+    if (maxReading === null) {
+      errors.push({ field: 'max_reading', message: 'max_reading must be a non-negative integer', code: 'INVALID_VALUE' })
+    }
+    if (minReading != null && maxReading != null && minReading > maxReading) {
+      errors.push({ field: 'max_reading', message: 'max_reading must be at least min_reading', code: 'INVALID_RANGE' })
+    }
+
+    if (errors.length > 0) {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(createValidationErrorResponse(errors))
+    }
+
+    const filters = {
+      p_query: query || null,
+      p_label: typeof label === 'string' && label ? label : null,
+      p_journal: typeof journal === 'string' && journal ? journal : null,
+      p_collection: typeof collection === 'string' && collection ? collection : null,
+      p_from: from || null,
+      p_to: to || null,
+      p_min_reading: minReading ?? null,
+      p_max_reading: maxReading ?? null
+    }
+
+    const [resultsResult, facetsResult] = await Promise.all([
+      supabaseAdmin.rpc('search_posts', {
+        ...filters,
+        p_sort: sort,
+        p_limit: limitNum,
+        p_offset: offset
+      }),
+      supabaseAdmin.rpc('search_post_facets', filters)
+    ])
+
+    if (resultsResult.error) {
+      throw resultsResult.error
+    }
+    if (facetsResult.error) {
+      throw facetsResult.error
+    }
+
+    const rows: any[] = resultsResult.data || []
+    let total = rows.length > 0 ? Number(rows[0].total_count) : 0
+
+    // Every row carries the total, so a page past the end needs the first row to get it
+    if (rows.length === 0 && offset > 0) {
+      const { data: firstRows, error: countError } = await supabaseAdmin.rpc('search_posts', {
+        ...filters,
+        p_sort: sort,
+        p_limit: 1,
+        p_offset: 0
+      })
+
+      if (countError) {
+        throw countError
+      }
+      total = firstRows?.length > 0 ? Number(firstRows[0].total_count) : 0
+    }
+
+    // Labels for the result cards
+    const labelsByPost = new Map<string, any[]>()
+    if (rows.length > 0) {
+      const { data: postLabels, error: labelsError } = await supabaseAdmin
+        .from('post_labels')
+        .select(`
+          post_id,
+          labels (
+            name,
+            slug
+          )
+        `)
+        .in('post_id', rows.map(row => row.id))
+
+      if (labelsError) {
+        throw labelsError
+      }
+
+      for (const postLabel of postLabels || []) {
+        const list = labelsByPost.get(postLabel.post_id) || []
+        list.push({ labels: postLabel.labels })
+        labelsByPost.set(postLabel.post_id, list)
+      }
+    }
+
+    const items = await imageVariantService.withCoverVariants(rows.map(({ total_count, title_highlight, snippet, ...post }) => ({
+      ...post,
+      title_highlight: highlightToHtml(title_highlight),
+      snippet: highlightToHtml(snippet),
+      post_labels: labelsByPost.get(post.id) || []
+    })))
+
+    res.json({
+      ...createListResponse(items, pageNum, limitNum, total),
+      query,
+      facets: facetsResult.data || { labels: [], journals: [] }
+    })
+  } catch (error) {
+    console.error('Error searching posts:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(createErrorResponse('Failed to search posts'))
+  }
+})
+
+export default router
@@ -0,0 +1,312 @@
+// Server-rendered SEO for public pages: the SPA shell with per-page head
+// tags (title, description, Open Graph, Twitter card), plus sitemap.xml and
+// robots.txt. The client host rewrites these paths to the API.
+import { Router, Request, Response } from 'express'
+import { getSupabaseAdmin } from '../auth/supabaseAdmin.ts'
+import { spaShell } from '../src/services/spaShell.ts'
+import { postLinkService } from '../src/services/postLinkService.ts'
+import { HTTP_STATUS } from '../src/utils/responses.ts'
+import { getRequestOrigin, siteUrl } from '../src/utils/siteUrl.ts'
+import {
+  buildRobotsTxt,
+  buildSitemap,
+  injectMetaTags,
+  PageMeta,
+  SitemapUrl,
+  toDescription
+} from '../src/utils/seoMeta.ts'
+
+const router = Router()
+
+// Initialize Supabase admin client
+const supabaseAdmin = getSupabaseAdmin()
+
+// Let the CDN hold rendered pages briefly; content edits show up within minutes
+const PAGE_CACHE_SECONDS = 300
+
+// Static public routes listed in the sitemap
+const STATIC_PATHS = ['/', '/stories', '/journals', '/about', '/contact']
+
+// SPA routes crawlers have no business indexing
+const DISALLOWED_PATHS = ['/dashboard', '/auth/', '/profile/', '/posts/']
+
+const siteName = () => process.env.SITE_NAME || 'dahligarciamarquez'
+
+// Same format as the client's pageTitle()
+const pageTitle = (title?: string) => title ? `${title} – ${siteName()}` : siteName()
+
+/**
+ * Site-wide social image (OG_IMAGE_URL). A path is a client asset, so it
+ * resolves against the site rather than the API.
+ */
+function defaultImage(): string | null {
+  const image = process.env.OG_IMAGE_URL
+  if (!image) return null
+  return image.startsWith('/') ? siteUrl(image) : image
+}
+
+/**
+ * Make stored image paths (local uploads) absolute for unfurlers
+ */
+function absoluteImageUrl(req: Request, url: string | null | undefined): string | null {
+  if (!url) return null
+  return url.startsWith('/') ? `${getRequestOrigin(req)}${url}` : url
+}
+
+function defaultMeta(path: string, title?: string, description?: string): PageMeta {
+  return {
+    title: pageTitle(title),
+    description: description || `Personal stories and experiences from ${siteName()}`,
+    url: siteUrl(path),
+    imageUrl: defaultImage(),
+    type: 'website',
+    siteName: siteName()
+  }
+}
+
+/**
+ * Send the SPA shell with the page's head tags
+ */
+async function sendPage(res: Response, meta: PageMeta, status: number = HTTP_STATUS.OK) {
+  const shell = await spaShell.getShell()
+
+  // helmet's API policy would block the SPA's own assets and API calls
+  res.removeHeader('Content-Security-Policy')
+  res.removeHeader('Cross-Origin-Opener-Policy')
+  res.removeHeader('Cross-Origin-Embedder-Policy')
+
+  res.status(status)
+  res.set('Content-Type', 'text/html; charset=utf-8')
+  const cacheable = status === HTTP_STATUS.OK && !spaShell.isFallback(shell)
+  res.set('Cache-Control', cacheable ? `public, max-age=${PAGE_CACHE_SECONDS}` : 'no-cache')
+  res.send(injectMetaTags(shell, meta))
+}
+
+/**
+ * Render a published post page (both /blog and /stories point at /blog)
+ */
+async function renderPostPage(req: Request, res: Response) {
+  const { data: post, error } = await supabaseAdmin
+    .from('posts')
+    .select(`
+      title,
+      slug,
+      excerpt,
+      content_text,
+      cover_image_url,
+      cover_image_alt,
+      publish_at,
+      created_at,
+      updated_at,
+      profiles!posts_author_id_fkey (
+        display_name
+      ),
+      post_labels (
+        labels (
+          name
+        )
+      )
+    `)
+    .eq('slug', req.params.slug)
+    .eq('status', 'published')
+    .maybeSingle()
+
+  if (error) {
+    throw error
+  }
+
+  if (!post) {
+    // Old slugs of renamed posts redirect (not cached: the slug may be reused)
+    const currentSlug = await postLinkService.findCurrentSlug(req.params.slug, true).catch(() => null)
+    if (currentSlug) {
+      res.set('Cache-Control', 'no-cache')
+      return res.redirect(301, `${req.path.slice(0, req.path.lastIndexOf('/'))}/${encodeURIComponent(currentSlug)}`)
+    }
+    return sendPage(res, defaultMeta(req.path, 'Not found'), HTTP_STATUS.NOT_FOUND)
+  }
+
+  const author = (post.profiles as any)?.display_name || null
+  const coverImage = absoluteImageUrl(req, post.cover_image_url)
+
+  await sendPage(res, {
+    title: pageTitle(post.title),
+    description: toDescription(post.excerpt || post.content_text) || defaultMeta('/').description,
+    url: siteUrl(`/blog/${post.slug}`),
+    imageUrl: coverImage || defaultImage(),
+    imageAlt: coverImage ? post.cover_image_alt || post.title : null,
+    type: 'article',
+    siteName: siteName(),
+    publishedTime: post.publish_at || post.created_at,
+    modifiedTime: post.updated_at,
+    author,
+    tags: (post.post_labels || []).map((postLabel: any) => postLabel.labels?.name).filter(Boolean)
+  })
+}
+
+// GET /blog/:slug, /stories/:slug - Post pages
+for (const prefix of ['/blog', '/stories']) {
+  router.get(`${prefix}/:slug`, async (req, res) => {
+    try {
+      await renderPostPage(req, res)
+    } catch (error) {
+      console.error('Error rendering post page:', error)
+      await sendPage(res, defaultMeta(req.path))
+    }
+  })
+}
+
+// GET /journals - Journal index
+router.get('/journals', async (req, res) => {
+  try {
+    await sendPage(res, defaultMeta('/journals', 'Journals', `Browse the journals of ${siteName()}`))
+  } catch (error) {
+    console.error('Error rendering journals page:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).send('Internal Server Error')
+  }
+})
+
+// GET /journals/:slug - Journal page
+router.get('/journals/:slug', async (req, res) => {
+  try {
+    const { data: journal, error } = await supabaseAdmin
+      .from('journals')
+      .select('name, slug, description, wallpaper_url, icon_image_url')
+      .eq('slug', req.params.slug)
+      .eq('status', 'published')
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    if (!journal) {
+      return sendPage(res, defaultMeta(req.path, 'Not found'), HTTP_STATUS.NOT_FOUND)
+    }
+
+    const image = absoluteImageUrl(req, journal.wallpaper_url || journal.icon_image_url)
+
+    await sendPage(res, {
+      ...defaultMeta(
+        `/journals/${journal.slug}`,
+        journal.name,
+        toDescription(journal.description) || `Stories from the ${journal.name} journal`
+      ),
+      imageUrl: image || defaultImage()
+    })
+  } catch (error) {
+    console.error('Error rendering journal page:', error)
+    await sendPage(res, defaultMeta(req.path))
+  }
+})
+
+// GET /journals/:slug/:collectionSlug - Collection page
+router.get('/journals/:slug/:collectionSlug', async (req, res) => {
+  try {
+    const { data: journal, error } = await supabaseAdmin
+      .from('journals')
+      .select('id, name, slug, wallpaper_url')
+      .eq('slug', req.params.slug)
+      .eq('status', 'published')
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    const { data: collection, error: collectionError } = journal
+      ? await supabaseAdmin
+        .from('collections')
+        .select('name, slug, description')
+        .eq('journal_id', journal.id)
+        .eq('slug', req.params.collectionSlug)
+        .eq('status', 'published')
+        .maybeSingle()
+      : { data: null, error: null }
+
+    if (collectionError) {
+      throw collectionError
+    }
+
+    if (!journal || !collection) {
+      return sendPage(res, defaultMeta(req.path, 'Not found'), HTTP_STATUS.NOT_FOUND)
+    }
+
+    await sendPage(res, {
+      ...defaultMeta(
+        `/journals/${journal.slug}/${collection.slug}`,
+        `${collection.name} – ${journal.name}`,
+        toDescription(collection.description) || `The ${collection.name} collection in ${journal.name}`
+      ),
+      imageUrl: absoluteImageUrl(req, journal.wallpaper_url) || defaultImage()
+    })
+  } catch (error) {
+    console.error('Error rendering collection page:', error)
+    await sendPage(res, defaultMeta(req.path))
+  }
+})
+
+// GET /sitemap.xml - Static pages, published posts, journals and collections
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const [postsResult, journalsResult] = await Promise.all([
+      supabaseAdmin
+        .from('posts')
+        .select('slug, updated_at')
+        .eq('status', 'published')
+        .order('publish_at', { ascending: false, nullsFirst: false }),
+      supabaseAdmin
+        .from('journals')
+        .select(`
+          slug,
+          updated_at,
+          collections (
+            slug,
+            status,
+            updated_at
+          )
+        `)
+        .eq('status', 'published')
+        .order('display_order', { ascending: true })
+    ])
+
+    if (postsResult.error) {
+      throw postsResult.error
+    }
+    if (journalsResult.error) {
+      throw journalsResult.error
+    }
+
+    const urls: SitemapUrl[] = STATIC_PATHS.map(path => ({ loc: siteUrl(path) }))
+
+    for (const post of postsResult.data || []) {
+      urls.push({ loc: siteUrl(`/blog/${post.slug}`), lastmod: post.updated_at })
+    }
+
+    for (const journal of (journalsResult.data || []) as any[]) {
+      urls.push({ loc: siteUrl(`/journals/${journal.slug}`), lastmod: journal.updated_at })
+      for (const collection of journal.collections || []) {
+        if (collection.status !== 'published') continue
+        urls.push({
+          loc: siteUrl(`/journals/${journal.slug}/${collection.slug}`),
+          lastmod: collection.updated_at
+        })
+      }
+    }
+
+    res.set('Content-Type', 'application/xml; charset=utf-8')
+    res.set('Cache-Control', `public, max-age=${PAGE_CACHE_SECONDS}`)
+    res.send(buildSitemap(urls))
+  } catch (error) {
+    console.error('Error building sitemap:', error)
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).type('text/plain').send('Failed to build sitemap')
+  }
+})
+
+// GET /robots.txt
+router.get('/robots.txt', (req, res) => {
+  res.set('Content-Type', 'text/plain; charset=utf-8')
+  res.set('Cache-Control', `public, max-age=${PAGE_CACHE_SECONDS}`)
+  res.send(buildRobotsTxt(siteUrl('/sitemap.xml'), DISALLOWED_PATHS))
+})
+
+export default router
@@ -1,5 +1,7 @@
 import { Router } from 'express';
+import { requireSupabaseAdmin } from '../src/middleware/requireSupabaseAdmin.ts';
 import { storage, storageInfo } from '../src/storage/index.ts';
+import { storageMigrationService } from '../src/services/storageMigrationService.ts';
 
 const router = Router();
 
@@ -24,4 +26,55 @@ router.get('/health', async (req, res) => {
   }
 });
 
+// POST /api/storage/migrate - Admin only: copy all files to another driver
+// and rewrite the stored URLs. A dry run reports what would change; a real
+// run continues in the background (follow it in GET /migrations).
+router.post('/migrate', requireSupabaseAdmin, async (req, res) => {
+  try {
+    const { from = storageInfo.driver, to, dryRun = true } = req.body;
+
+    if (typeof to !== 'string' || typeof from !== 'string') {
+      return res.status(400).json({ error: 'to (the target driver) is required' });
+    }
+
+    const log = (message: string) => console.log(`🚚 Storage migration ${from} → ${to}: ${message}`);
+
+    if (dryRun) {
+      const report = await storageMigrationService.migrate({ from, to, dryRun: true, log });
+      return res.json({
+        success: true,
+        dryRun,
+        report,
+        message: `Would copy ${report.files.copied} files and rewrite ${report.references.urls} URLs in ${report.references.rows} rows. Run with dryRun=false to migrate.`
+      });
+    }
+
+    const { id, done } = await storageMigrationService.start({ from, to, log });
+    done
+      .then(report => log(`done: ${report.files.copied} copied, ${report.files.failed} failed, ${report.references.urls} URLs rewritten`))
+      .catch(error => console.error('❌ Storage migration failed:', error));
+
+    res.status(202).json({
+      success: true,
+      dryRun,
+      id,
+      message: `Migration from ${from} to ${to} started. Set STORAGE_DRIVER=${to} and restart the server once it has completed.`
+    });
+  } catch (error: any) {
+    console.error('❌ Storage migration could not start:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// GET /api/storage/migrations - Admin only: recent migration runs
+router.get('/migrations', requireSupabaseAdmin, async (req, res) => {
+  try {
+    const migrations = await storageMigrationService.history();
+    res.json({ driver: storageInfo.driver, migrations });
+  } catch (error: any) {
+    console.error('❌ Error fetching storage migrations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Site Archive - export the whole site to a zip, or import one
+ * Run with: npm run archive -- export [file.zip]
+ *           npm run archive -- import <file.zip> [--owner <profile-id>]
+ *
+ * Import creates new records owned by --owner (default: the first admin
+ * profile) and re-uploads images through the configured STORAGE_DRIVER.
+ */
+
+// Safe fallback to load envs if script is run without --env-file
+try {
+  await import('dotenv/config');
+} catch {}
+
+import { createWriteStream } from 'fs';
+import { readFile, stat } from 'fs/promises';
+
+// Loaded after the env so the Supabase client sees its configuration
+const { getSupabaseAdmin, isSupabaseAdminConfigured } = await import('../auth/supabaseAdmin.ts');
+const { siteArchiveService } = await import('../src/services/siteArchiveService.ts');
+const { storageInfo } = await import('../src/storage/index.ts');
+
+const USAGE = `Usage:
+  npm run archive -- export [file.zip]
+  npm run archive -- import <file.zip> [--owner <profile-id>]`;
+
+const log = (message: string) => console.log(`   ${message}`);
+
+async function resolveOwner(ownerArg?: string): Promise<string> {
+  if (ownerArg) return ownerArg;
+
+  const { data, error } = await getSupabaseAdmin()
+    .from('profiles')
+    .select('id, display_name')
+    .eq('role', 'admin')
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error || !data || data.length === 0) {
+    throw new Error('No admin profile found; pass --owner <profile-id>');
+  }
+  console.log(`👤 Importing as ${data[0].display_name || data[0].id}`);
+  return data[0].id;
+}
+
+async function runExport(file?: string): Promise<void> {
+  console.log('📦 Exporting site...');
+  const target = file || `site-export-${new Date().toISOString().slice(0, 10)}.zip`;
+  const manifest = await siteArchiveService.exportArchive(createWriteStream(target), log);
+  const { size } = await stat(target);
+
+  console.log(`✅ Wrote ${target} (${(size / 1024 / 1024).toFixed(1)} MB)`);
+  if (manifest.missing_images.length > 0) {
+    console.log(`⚠️  ${manifest.missing_images.length} referenced images could not be read and were left out`);
+  }
+}
+
+async function runImport(file: string, ownerArg?: string): Promise<void> {
+  const owner = await resolveOwner(ownerArg);
+  console.log(`📥 Importing ${file} (storage: ${storageInfo.driver})...`);
+  const summary = await siteArchiveService.importArchive(await readFile(file), owner, log);
+
+  console.log('✅ Import complete');
+  for (const [table, count] of Object.entries(summary.created)) {
+    log(`${table}: ${count}`);
+  }
+  log(`labels reused: ${summary.reused.labels}`);
+  log(`images: ${summary.images.uploaded} uploaded, ${summary.images.failed} failed`);
+  for (const { table, from, to } of summary.renamed_slugs) {
+    log(`renamed ${table} slug ${from} → ${to}`);
+  }
+  if (summary.warnings.length > 0) {
+    console.log(`⚠️  ${summary.warnings.length} warnings (see above)`);
+  }
+}
+
+async function main(): Promise<void> {
+  const [command, file, ...rest] = process.argv.slice(2);
+  const ownerIndex = rest.indexOf('--owner');
+  const owner = ownerIndex >= 0 ? rest[ownerIndex + 1] : undefined;
+
+  if (!isSupabaseAdminConfigured) {
+    console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+    process.exit(1);
+  }
+
+  if (command === 'export') {
+    await runExport(file);
+  } else if (command === 'import' && file) {
+    await runImport(file, owner);
+  } else {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('💥 Site archive failed:', error.message || error);
+  process.exit(1);
+});
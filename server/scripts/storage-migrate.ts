@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Storage Migrate - move uploads to another STORAGE_DRIVER
+ * Run with: npm run storage:migrate -- --to <driver> [--from <driver>] [--dry-run]
+ *
+ * Copies every file from --from (default: the current STORAGE_DRIVER) to
+ * the same path in --to, then rewrites the URLs stored in posts, journals,
+ * page layouts etc. Files already copied are skipped, so an interrupted
+ * run is finished by running it again. Source files are kept. Once it has
+ * completed, set STORAGE_DRIVER to the target and restart the server.
+ */
+
+// Safe fallback to load envs if script is run without --env-file
+try {
+  await import('dotenv/config');
+} catch {}
+
+// Loaded after the env so the drivers see their configuration
+const { storageMigrationService } = await import('../src/services/storageMigrationService.ts');
+const { storageInfo, STORAGE_DRIVERS } = await import('../src/storage/index.ts');
+
+const USAGE = `Usage:
+  npm run storage:migrate -- --to <driver> [--from <driver>] [--dry-run]
+
+Drivers: ${STORAGE_DRIVERS.join(', ')}`;
+
+const log = (message: string) => console.log(`   ${message}`);
+
+function option(name: string): string | undefined {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function main(): Promise<void> {
+  const from = option('from') || storageInfo.driver;
+  const to = option('to');
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (!to) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  console.log(`🚚 ${dryRun ? 'Dry run: migrating' : 'Migrating'} storage from ${from} to ${to}...`);
+  const report = await storageMigrationService.migrate({ from, to, dryRun, log });
+
+  const { files, references } = report;
+  const megabytes = (files.bytes / 1024 / 1024).toFixed(1);
+  console.log(`\n📁 Files: ${files.found} found, ${files.copied} ${dryRun ? 'to copy' : 'copied'} (${megabytes} MB), ${files.skipped} already there, ${files.failed} failed`);
+  for (const failure of report.failures) {
+    console.log(`   ❌ ${failure.path}: ${failure.error}`);
+  }
+  console.log(`🔗 URLs: ${references.urls} ${dryRun ? 'to rewrite' : 'rewritten'} in ${references.rows} rows`);
+  for (const [table, rows] of Object.entries(references.tables)) {
+    log(`${table}: ${rows}`);
+  }
+  if (!report.id) {
+    console.log('⚠️  Not logged: run supabase/sql/32_storage_migration_log.sql to keep a history');
+  }
+
+  if (files.failed > 0) {
+    console.log('\n⚠️  Some files could not be copied; run the migration again to retry them');
+    process.exit(1);
+  }
+  console.log(dryRun
+    ? '\n✅ Dry run complete; nothing was changed'
+    : `\n✅ Migration complete. Set STORAGE_DRIVER=${to} and restart the server.`);
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('💥 Storage migration failed:', error.message);
+  process.exit(1);
+});
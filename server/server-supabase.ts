@@ -10,13 +10,25 @@ import { fileURLToPath } from 'url'
 import authRoutes from './routes/auth.ts'
 import labelsRoutes from './routes/labels.ts'
 import postsRoutes from './routes/posts.ts'
+import journalsRoutes from './routes/journals.ts'
+import searchRoutes from './routes/search.ts'
+import draftsRoutes from './routes/drafts.ts'
+import commentsRoutes from './routes/comments.ts'
+import contactRoutes from './routes/contact.ts'
+import feedsRoutes from './routes/feeds.ts'
+import seoRoutes from './routes/seo.ts'
 import imagesRoutes from './routes/images.ts'
 import adminRoutes from './routes/admin.ts'
 import storageRoutes from './routes/storage.ts'
+import imageTransformRoutes from './routes/imageTransform.ts'
 
 // Import storage info for startup logging
 import { storageInfo } from './src/storage/index.ts'
 
+// Import scheduled publishing
+import { publishScheduler } from './src/services/publishScheduler.ts'
+import { isSupabaseAdminConfigured } from './auth/supabaseAdmin.ts'
+
 // Import middleware
 import { comingSoonMiddleware } from './src/middleware/comingSoon.ts'
 import { getComingSoon } from './src/state/runtimeConfig.ts'
@@ -24,6 +36,13 @@ import { getComingSoon } from './src/state/runtimeConfig.ts'
 const app = express()
 const PORT = config.server.port
 
+// Behind a proxy (Render, Vercel, nginx) this makes req.ip the client's
+// address, which the contact form's rate limit depends on
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10)
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops)
+}
+
 // Security middleware
 app.use(helmet())
 
@@ -77,7 +96,15 @@ app.use(express.urlencoded({ extended: true }))
 // Static file serving for uploads (development)
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')))
+app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
+  // express.static doesn't know AVIF yet; image variants use it
+  setHeaders: (res, filePath) => {
+    if (filePath.endsWith('.avif')) res.setHeader('Content-Type', 'image/avif')
+  }
+}))
+
+// Resized / re-encoded copies of stored images, from signed URLs
+app.use('/img', imageTransformRoutes)
 
 // Root route
 app.get('/', (req, res) => {
@@ -92,7 +119,16 @@ app.get('/', (req, res) => {
       "/api/labels",
       "/api/posts",
       "/api/posts/admin",
+      "/api/journals",
+      "/api/search",
+      "/api/contact",
+      "/feed.xml",
+      "/atom.xml",
+      "/feed.json",
+      "/sitemap.xml",
+      "/robots.txt",
       "/api/images",
+      "/img/:path",
       "/api/admin"
     ]
   })
@@ -115,10 +151,21 @@ app.get('/api/coming-soon', (req, res) => {
 // Coming Soon middleware - blocks non-admin traffic when enabled
 app.use(comingSoonMiddleware)
 
+// Syndication feeds (RSS, Atom, JSON Feed)
+app.use(feedsRoutes)
+
+// Public pages with server-rendered meta tags, sitemap.xml and robots.txt
+app.use(seoRoutes)
+
 // API routes
 app.use('/api/auth', authRoutes)
 app.use('/api/labels', labelsRoutes)
 app.use('/api/posts', postsRoutes)
+app.use('/api/journals', journalsRoutes)
+app.use('/api/search', searchRoutes)
+app.use('/api/drafts', draftsRoutes)
+app.use('/api/comments', commentsRoutes)
+app.use('/api/contact', contactRoutes)
 app.use('/api/images', imagesRoutes)
 app.use('/api/admin', adminRoutes)
 app.use('/api/storage', storageRoutes)
@@ -153,11 +200,13 @@ app.use((err: any, req: express.Request, res: express.Response, next: express.Ne
 // Graceful shutdown handlers
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...')
+  publishScheduler.stop()
   process.exit(0)
 })
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully...')
+  publishScheduler.stop()
   process.exit(0)
 })
 
@@ -176,11 +225,24 @@ app.listen(PORT, () => {
   if (storageInfo.driver === 'supabase') {
     const bucketName = process.env.SUPABASE_BUCKET || 'public-images'
     console.log(`🗄️ Storage driver: supabase (${bucketName})`)
+  } else if (storageInfo.driver === 's3') {
+    const prefix = process.env.S3_PREFIX ? `/${process.env.S3_PREFIX.replace(/^\/+|\/+$/g, '')}` : ''
+    console.log(`🗄️ Storage driver: s3 (${process.env.S3_ENDPOINT || 'aws'}: ${process.env.S3_BUCKET || 'S3_BUCKET not set'}${prefix})`)
   } else {
     console.log(`🗄️ Storage driver: local`)
   }
   console.log(`🌐 CORS allowed origins: ${allowedOrigins.map(o => o instanceof RegExp ? o.source : o).join(', ')}`)
   console.log('[boot] CORS configured with allowedHeaders: Authorization, X-Admin-Token')
+  
+  // Start scheduled publishing (one instance is enough when several run)
+  if (!isSupabaseAdminConfigured) {
+    console.log('🗓️ Publish scheduler not started: Supabase admin is not configured')
+  } else if (process.env.PUBLISH_SCHEDULER_ENABLED === 'false') {
+    console.log('🗓️ Publish scheduler disabled (PUBLISH_SCHEDULER_ENABLED=false)')
+  } else {
+    const schedulerInterval = publishScheduler.start(parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS || '', 10))
+    console.log(`🗓️ Publish scheduler running every ${Math.round(schedulerInterval / 1000)}s`)
+  }
 })
 
 export default app
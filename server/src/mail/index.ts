@@ -0,0 +1,25 @@
+import { MailTransport } from './transport.ts';
+import { LogMailTransport } from './logTransport.ts';
+import { ResendMailTransport } from './resendTransport.ts';
+
+const TRANSPORT = (process.env.MAIL_TRANSPORT || 'log').toLowerCase(); // 'log' | 'resend'
+
+function createMailTransport(): MailTransport {
+  switch (TRANSPORT) {
+    case 'resend': {
+      const apiKey = process.env.RESEND_API_KEY;
+      const from = process.env.MAIL_FROM;
+      if (apiKey && from) {
+        return new ResendMailTransport(apiKey, from);
+      }
+      console.warn('MAIL_TRANSPORT=resend needs RESEND_API_KEY and MAIL_FROM; falling back to the log transport');
+      return new LogMailTransport();
+    }
+    case 'log':
+    default:
+      return new LogMailTransport();
+  }
+}
+
+export const mail = createMailTransport();
+export const mailInfo = { transport: mail.name };
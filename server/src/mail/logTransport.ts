@@ -0,0 +1,18 @@
+import { MailMessage, MailTransport } from './transport.ts';
+
+// Development transport: prints mail to the server log instead of sending it
+export class LogMailTransport implements MailTransport {
+  readonly name = 'log';
+
+  async send(message: MailMessage): Promise<void> {
+    const lines = [
+      `To: ${message.to}`,
+      message.replyTo ? `Reply-To: ${message.replyTo}` : null,
+      `Subject: ${message.subject}`,
+      '',
+      message.text
+    ].filter(line => line !== null);
+
+    console.log(`[mail] Not sent (log transport)\n${lines.join('\n')}`);
+  }
+}
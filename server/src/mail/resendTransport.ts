@@ -0,0 +1,37 @@
+import { MailMessage, MailTransport } from './transport.ts';
+
+const RESEND_API_URL = 'https://api.resend.com/emails';
+
+// Sends through the Resend HTTP API (https://resend.com/docs/api-reference/emails/send-email)
+export class ResendMailTransport implements MailTransport {
+  readonly name = 'resend';
+  private apiKey: string;
+  private from: string;
+
+  constructor(apiKey: string, from: string) {
+    this.apiKey = apiKey;
+    this.from = from;
+  }
+
+  async send(message: MailMessage): Promise<void> {
+    const response = await fetch(RESEND_API_URL, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        from: this.from,
+        to: [message.to],
+        subject: message.subject,
+        text: message.text,
+        ...(message.replyTo ? { reply_to: message.replyTo } : {})
+      })
+    });
+
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      throw new Error(`Resend rejected the message (${response.status}): ${details}`);
+    }
+  }
+}
@@ -0,0 +1,11 @@
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  replyTo?: string;
+}
+
+export interface MailTransport {
+  readonly name: string;
+  send(message: MailMessage): Promise<void>;
+}
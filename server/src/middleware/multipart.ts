@@ -10,49 +10,61 @@ export interface MulterRequest extends Request {
 }
 
 /**
- * Simple multipart parser middleware (alternative to multer)
+ * Creates a multipart parser middleware that rejects bodies over maxSize bytes
  */
-export function parseMultipartForm(req: MulterRequest, res: Response, next: NextFunction): void {
-  const contentType = req.headers['content-type']
-  
-  if (!contentType || !contentType.includes('multipart/form-data')) {
-    return next()
-  }
-
-  // Extract boundary
-  const boundary = contentType.split('boundary=')[1]
-  if (!boundary) {
-    return res.status(400).json({ error: 'Invalid multipart boundary' })
-  }
-
-  let body = Buffer.alloc(0)
-  const maxSize = 10 * 1024 * 1024 // 10MB max request size
-
-  req.on('data', (chunk: Buffer) => {
-    body = Buffer.concat([body, chunk])
-    if (body.length > maxSize) {
-      return res.status(413).json({ error: 'Request too large' })
+export function createMultipartParser(maxSize: number) {
+  return function parseMultipart(req: MulterRequest, res: Response, next: NextFunction): void {
+    const contentType = req.headers['content-type']
+    
+    if (!contentType || !contentType.includes('multipart/form-data')) {
+      return next()
     }
-  })
-
-  req.on('end', () => {
-    try {
-      const parsed = parseMultipartBody(body, boundary)
-      req.body = parsed.fields
-      req.file = parsed.file
-      next()
-    } catch (error: any) {
-      console.error('Multipart parsing error:', error)
-      res.status(400).json({ error: 'Invalid multipart data' })
+
+    // Extract boundary
+    const boundary = contentType.split('boundary=')[1]
+    if (!boundary) {
+      return res.status(400).json({ error: 'Invalid multipart boundary' })
     }
-  })
 
-  req.on('error', (error) => {
-    console.error('Request error:', error)
-    res.status(400).json({ error: 'Request error' })
-  })
+    let body = Buffer.alloc(0)
+    let tooLarge = false
+
+    req.on('data', (chunk: Buffer) => {
+      if (tooLarge) return
+      body = Buffer.concat([body, chunk])
+      if (body.length > maxSize) {
+        // Answer once and drop the rest of the upload
+        tooLarge = true
+        body = Buffer.alloc(0)
+        res.status(413).json({ error: 'Request too large' })
+      }
+    })
+
+    req.on('end', () => {
+      if (tooLarge) return
+      try {
+        const parsed = parseMultipartBody(body, boundary)
+        req.body = parsed.fields
+        req.file = parsed.file
+        next()
+      } catch (error: any) {
+        console.error('Multipart parsing error:', error)
+        res.status(400).json({ error: 'Invalid multipart data' })
+      }
+    })
+
+    req.on('error', (error) => {
+      console.error('Request error:', error)
+      res.status(400).json({ error: 'Request error' })
+    })
+  }
 }
 
+/**
+ * Simple multipart parser middleware (alternative to multer), 10MB max request size
+ */
+export const parseMultipartForm = createMultipartParser(10 * 1024 * 1024)
+
 /**
  * Parses multipart body manually
  */
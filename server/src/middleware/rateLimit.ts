@@ -0,0 +1,52 @@
+// Rate limit middleware - caps requests per client IP in a fixed time window
+import { Request, Response, NextFunction } from 'express'
+import { createErrorResponse, HTTP_STATUS } from '../utils/responses.ts'
+
+interface RateLimitOptions {
+  // Length of the window in milliseconds
+  windowMs: number
+  // Requests allowed per client in one window
+  max: number
+  // Error message for rejected requests
+  message?: string
+}
+
+/**
+ * Creates a rate limiter
+ * Counts live in this process's memory, so each server instance limits on
+ * its own and a restart resets them. Behind a proxy, set TRUST_PROXY so
+ * req.ip is the client's address rather than the proxy's.
+ */
+export function createRateLimiter({ windowMs, max, message = 'Too many requests, please try again later' }: RateLimitOptions) {
+  const hits = new Map<string, { count: number; resetAt: number }>()
+
+  // Forget finished windows so the map doesn't grow with every visitor
+  const sweep = setInterval(() => {
+    const now = Date.now()
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key)
+    }
+  }, windowMs)
+  sweep.unref()
+
+  return function rateLimit(req: Request, res: Response, next: NextFunction): void {
+    const key = req.ip || req.socket.remoteAddress || 'unknown'
+    const now = Date.now()
+
+    let entry = hits.get(key)
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs }
+      hits.set(key, entry)
+    }
+
+    entry.count += 1
+
+    if (entry.count > max) {
+      res.setHeader('Retry-After', Math.ceil((entry.resetAt - now) / 1000).toString())
+      res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json(createErrorResponse(message))
+      return
+    }
+
+    next()
+  }
+}
@@ -0,0 +1,408 @@
+/**
+ * Comment Service
+ *
+ * Reader comments on posts. Comments thread through parent_id and are only
+ * public once approved; their authors see them while they wait. A deleted
+ * comment with replies stays in the thread as a placeholder (deleted_at set,
+ * text cleared) so the replies keep their context.
+ *
+ * Whether a post takes comments comes from comments_open() (post setting,
+ * else its journals).
+ */
+
+import { getSupabaseAdmin } from '../../auth/supabaseAdmin.ts'
+
+export const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'] as const
+export type CommentStatus = typeof COMMENT_STATUSES[number]
+
+const COMMENT_FIELDS = `
+  id,
+  post_id,
+  parent_id,
+  author_id,
+  body,
+  status,
+  edited_at,
+  deleted_at,
+  created_at,
+  profiles!comments_author_id_fkey (
+    id,
+    display_name,
+    avatar_url
+  )
+`
+
+export interface CommentRow {
+  id: string
+  post_id: string
+  parent_id: string | null
+  author_id: string
+  body: string
+  status: CommentStatus
+  edited_at: string | null
+  deleted_at: string | null
+  created_at: string
+  profiles: CommentAuthor | null
+}
+
+export interface CommentAuthor {
+  id: string
+  display_name: string | null
+  avatar_url: string | null
+}
+
+export interface CommentNode {
+  id: string
+  parent_id: string | null
+  // null when the comment was removed but its replies are still shown
+  body: string | null
+  author: CommentAuthor | null
+  status: CommentStatus
+  removed: boolean
+  edited_at: string | null
+  created_at: string
+  replies: CommentNode[]
+}
+
+export interface CommentThread {
+  open: boolean
+  count: number
+  comments: CommentNode[]
+}
+
+export interface CommentCounts {
+  approved: number
+  pending: number
+}
+
+/**
+ * A comment as the public thread shows it
+ */
+export function toCommentNode(row: CommentRow, replies: CommentNode[] = []): CommentNode {
+  return {
+    id: row.id,
+    parent_id: row.parent_id,
+    body: row.body,
+    author: row.profiles,
+    status: row.status,
+    removed: false,
+    edited_at: row.edited_at,
+    created_at: row.created_at,
+    replies
+  }
+}
+
+/**
+ * The columns an edit writes. An approved comment edited by a reader goes
+ * back to the moderation queue, so an approval can't be used to publish
+ * different text.
+ */
+export function commentEditChanges(status: CommentStatus, body: string, byAdmin: boolean): Record<string, unknown> {
+  const changes: Record<string, unknown> = { body, edited_at: new Date().toISOString() }
+
+  if (status === 'approved' && !byAdmin) {
+    changes.status = 'pending'
+    changes.moderated_at = null
+    changes.moderated_by = null
+  }
+
+  return changes
+}
+
+export class CommentService {
+  private supabase = getSupabaseAdmin()
+
+  /**
+   * Whether the post takes new comments (false for unpublished posts)
+   */
+  async isOpen(postId: string): Promise<boolean> {
+    const { data, error } = await this.supabase.rpc('comments_open', { p_post_id: postId })
+
+    if (error) {
+      throw error
+    }
+
+    return data === true
+  }
+
+  /**
+   * Whether the post is published, so its thread can be shown
+   */
+  async isPublished(postId: string): Promise<boolean> {
+    const { data, error } = await this.supabase
+      .from('posts')
+      .select('id')
+      .eq('id', postId)
+      .eq('status', 'published')
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    return data !== null
+  }
+
+  /**
+   * A post's comments as a tree, oldest first at every level
+   * The viewer also sees their own comments that are still awaiting moderation.
+   */
+  async getThread(postId: string, viewerId: string | null): Promise<CommentThread> {
+    const [open, { data, error }] = await Promise.all([
+      this.isOpen(postId),
+      this.supabase
+        .from('comments')
+        .select(COMMENT_FIELDS)
+        .eq('post_id', postId)
+        .order('created_at', { ascending: true })
+    ])
+
+    if (error) {
+      throw error
+    }
+
+    const rows = (data || []) as unknown as CommentRow[]
+    const isVisible = (row: CommentRow) =>
+      !row.deleted_at && (row.status === 'approved' || (viewerId !== null && row.author_id === viewerId))
+
+    const nodes = new Map<string, { row: CommentRow; replies: string[] }>()
+    const roots: string[] = []
+
+    for (const row of rows) {
+      nodes.set(row.id, { row, replies: [] })
+    }
+
+    for (const row of rows) {
+      const parent = row.parent_id ? nodes.get(row.parent_id) : undefined
+      if (parent) {
+        parent.replies.push(row.id)
+      } else {
+        roots.push(row.id)
+      }
+    }
+
+    // Hidden comments only stay (as placeholders) when something below them is shown
+    const build = (ids: string[]): CommentNode[] => ids.flatMap(id => {
+      const { row, replies } = nodes.get(id)!
+      const children = build(replies)
+      const visible = isVisible(row)
+
+      if (visible) return [toCommentNode(row, children)]
+      if (children.length === 0) return []
+
+      return [{
+        ...toCommentNode(row, children),
+        body: null,
+        author: null,
+        status: 'approved' as const,
+        removed: true,
+        edited_at: null
+      }]
+    })
+
+    return {
+      open,
+      count: rows.filter(row => !row.deleted_at && row.status === 'approved').length,
+      comments: build(roots)
+    }
+  }
+
+  /**
+   * A single comment (null if not found)
+   */
+  async getComment(id: string): Promise<CommentRow | null> {
+    const { data, error } = await this.supabase
+      .from('comments')
+      .select(COMMENT_FIELDS)
+      .eq('id', id)
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    return data as unknown as CommentRow | null
+  }
+
+  /**
+   * Add a comment; admins' comments skip the moderation queue
+   */
+  async createComment(input: {
+    postId: string
+    parentId: string | null
+    authorId: string
+    body: string
+    approved: boolean
+  }): Promise<CommentRow> {
+    const now = new Date().toISOString()
+
+    const { data, error } = await this.supabase
+      .from('comments')
+      .insert({
+        post_id: input.postId,
+        parent_id: input.parentId,
+        author_id: input.authorId,
+        body: input.body,
+        status: input.approved ? 'approved' : 'pending',
+        moderated_at: input.approved ? now : null,
+        moderated_by: input.approved ? input.authorId : null
+      })
+      .select(COMMENT_FIELDS)
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return data as unknown as CommentRow
+  }
+
+  /**
+   * Replace a comment's text (see commentEditChanges)
+   */
+  async updateBody(comment: Pick<CommentRow, 'id' | 'status'>, body: string, byAdmin: boolean): Promise<CommentRow> {
+    const { data, error } = await this.supabase
+      .from('comments')
+      .update(commentEditChanges(comment.status, body, byAdmin))
+      .eq('id', comment.id)
+      .select(COMMENT_FIELDS)
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return data as unknown as CommentRow
+  }
+
+  /**
+   * Delete a comment, or clear it to a placeholder if it has replies
+   */
+  async deleteComment(id: string): Promise<void> {
+    const { count, error: countError } = await this.supabase
+      .from('comments')
+      .select('id', { count: 'exact', head: true })
+      .eq('parent_id', id)
+
+    if (countError) {
+      throw countError
+    }
+
+    const { error } = count
+      ? await this.supabase
+        .from('comments')
+        .update({ body: '', deleted_at: new Date().toISOString() })
+        .eq('id', id)
+      : await this.supabase
+        .from('comments')
+        .delete()
+        .eq('id', id)
+
+    if (error) {
+      throw error
+    }
+  }
+
+  /**
+   * One page of comments with a status: pending ones oldest first so nothing
+   * waits forever, the others newest first
+   */
+  async listForModeration(status: CommentStatus, page: number, limit: number) {
+    const offset = (page - 1) * limit
+
+    const { data, error, count } = await this.supabase
+      .from('comments')
+      .select(`
+        id,
+        post_id,
+        parent_id,
+        body,
+        status,
+        moderated_at,
+        edited_at,
+        created_at,
+        profiles!comments_author_id_fkey (
+          id,
+          display_name
+        ),
+        posts (
+          title,
+          slug
+        )
+      `, { count: 'exact' })
+      .eq('status', status)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: status === 'pending' })
+      .range(offset, offset + limit - 1)
+
+    if (error) {
+      throw error
+    }
+
+    return { items: data || [], total: count || 0 }
+  }
+
+  /**
+   * Set the moderation status of several comments; returns how many changed
+   */
+  async moderate(ids: string[], status: CommentStatus, moderatorId: string | null): Promise<number> {
+    const { data, error } = await this.supabase
+      .from('comments')
+      .update({
+        status,
+        moderated_at: new Date().toISOString(),
+        moderated_by: moderatorId
+      })
+      .in('id', ids)
+      .select('id')
+
+    if (error) {
+      throw error
+    }
+
+    return (data || []).length
+  }
+
+  /**
+   * Number of comments in each moderation status
+   */
+  async statusCounts(): Promise<Record<CommentStatus, number>> {
+    const { data, error } = await this.supabase.rpc('comment_status_counts')
+
+    if (error) {
+      throw error
+    }
+
+    const counts = { pending: 0, approved: 0, rejected: 0, spam: 0 }
+    for (const row of data || []) {
+      if (row.status in counts) {
+        counts[row.status as CommentStatus] = row.comment_count
+      }
+    }
+
+    return counts
+  }
+
+  /**
+   * Approved and pending counts for each of the given posts
+   */
+  async countsForPosts(postIds: string[]): Promise<Map<string, CommentCounts>> {
+    const counts = new Map<string, CommentCounts>()
+    if (postIds.length === 0) return counts
+
+    const { data, error } = await this.supabase.rpc('post_comment_counts', { p_post_ids: postIds })
+
+    if (error) {
+      throw error
+    }
+
+    for (const row of data || []) {
+      counts.set(row.post_id, { approved: row.approved_count, pending: row.pending_count })
+    }
+
+    return counts
+  }
+}
+
+// Export singleton instance
+export const commentService = new CommentService()
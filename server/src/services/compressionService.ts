@@ -20,6 +20,22 @@ export interface CompressionResult {
   height: number
 }
 
+export interface TransformOptions {
+  width?: number
+  height?: number
+  fit?: 'cover' | 'contain' | 'fill' | 'inside' | 'outside'
+  format?: 'avif' | 'webp' | 'jpeg' | 'png'
+  quality?: 'high' | 'balanced' | 'aggressive' | number
+}
+
+export interface TransformResult {
+  buffer: Buffer
+  format: string
+  mimeType: string
+  width: number
+  height: number
+}
+
 export class CompressionService {
   /**
    * Compress an image buffer with the specified options
@@ -108,6 +124,57 @@ export class CompressionService {
     }
   }
   
+  /**
+   * Resize and/or re-encode an image for the /img endpoint
+   * Never enlarges. Without a format the input's own format is kept
+   * (anything but PNG and WebP becomes JPEG).
+   */
+  static async transformImage(
+    inputBuffer: Buffer,
+    options: TransformOptions
+  ): Promise<TransformResult> {
+    const quality = this.parseQuality(options.quality ?? 'balanced')
+
+    // rotate() applies EXIF orientation, which re-encoding would otherwise lose
+    let sharpInstance = sharp(inputBuffer).rotate()
+
+    if (options.width || options.height) {
+      sharpInstance = sharpInstance.resize(options.width, options.height, {
+        fit: options.fit || 'inside',
+        withoutEnlargement: true
+      })
+    }
+
+    const metadata = await sharp(inputBuffer).metadata()
+    const format = options.format
+      || (metadata.format === 'png' || metadata.format === 'webp' ? metadata.format : 'jpeg')
+
+    switch (format) {
+      case 'avif':
+        sharpInstance = sharpInstance.avif({ quality, effort: 4 })
+        break
+      case 'webp':
+        sharpInstance = sharpInstance.webp({ quality })
+        break
+      case 'png':
+        sharpInstance = sharpInstance.png({ quality, compressionLevel: 9, adaptiveFiltering: true })
+        break
+      case 'jpeg':
+        sharpInstance = sharpInstance.jpeg({ quality, progressive: true, mozjpeg: true })
+        break
+    }
+
+    const { data, info } = await sharpInstance.toBuffer({ resolveWithObject: true })
+
+    return {
+      buffer: data,
+      format,
+      mimeType: `image/${format}`,
+      width: info.width,
+      height: info.height
+    }
+  }
+
   /**
    * Check if an image should be compressed based on size/dimension thresholds
    */
@@ -0,0 +1,176 @@
+/**
+ * Contact Service
+ *
+ * Messages from the public contact form. Each one is stored for the
+ * dashboard inbox and, when CONTACT_EMAIL_TO is set, forwarded to the site
+ * owner through the configured mail transport. The stored copy is what
+ * counts: a failed notification is recorded (notified_at stays NULL) but
+ * never loses the message.
+ */
+
+import { getSupabaseAdmin } from '../../auth/supabaseAdmin.ts'
+import { mail } from '../mail/index.ts'
+
+export const CONTACT_MESSAGE_STATUSES = ['new', 'read', 'archived'] as const
+export type ContactMessageStatus = typeof CONTACT_MESSAGE_STATUSES[number]
+
+const MESSAGE_FIELDS = `
+  id,
+  name,
+  email,
+  subject,
+  message,
+  status,
+  read_at,
+  archived_at,
+  notified_at,
+  created_at
+`
+
+export interface ContactMessageRow {
+  id: string
+  name: string
+  email: string
+  subject: string | null
+  message: string
+  status: ContactMessageStatus
+  read_at: string | null
+  archived_at: string | null
+  notified_at: string | null
+  created_at: string
+}
+
+export class ContactService {
+  private supabase = getSupabaseAdmin()
+
+  /**
+   * Store a message from the contact form
+   */
+  async createMessage(input: {
+    name: string
+    email: string
+    subject: string | null
+    message: string
+    userAgent: string | null
+  }): Promise<ContactMessageRow> {
+    const { data, error } = await this.supabase
+      .from('contact_messages')
+      .insert({
+        name: input.name,
+        email: input.email,
+        subject: input.subject,
+        message: input.message,
+        user_agent: input.userAgent
+      })
+      .select(MESSAGE_FIELDS)
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return data as ContactMessageRow
+  }
+
+  /**
+   * Email the site owner about a new message; returns whether it was sent
+   * Replying to the email answers the sender directly.
+   */
+  async notify(row: ContactMessageRow): Promise<boolean> {
+    const to = process.env.CONTACT_EMAIL_TO
+    if (!to) return false
+
+    const siteName = process.env.SITE_NAME || 'dahligarciamarquez'
+
+    await mail.send({
+      to,
+      replyTo: row.email,
+      subject: `[${siteName}] ${row.subject || `Message from ${row.name}`}`,
+      text: [
+        `From: ${row.name} <${row.email}>`,
+        `Sent: ${new Date(row.created_at).toUTCString()}`,
+        '',
+        row.message
+      ].join('\n')
+    })
+
+    const { error } = await this.supabase
+      .from('contact_messages')
+      .update({ notified_at: new Date().toISOString() })
+      .eq('id', row.id)
+
+    if (error) {
+      throw error
+    }
+
+    return true
+  }
+
+  /**
+   * One page of messages with a status, newest first
+   */
+  async listMessages(status: ContactMessageStatus, page: number, limit: number) {
+    const offset = (page - 1) * limit
+
+    const { data, error, count } = await this.supabase
+      .from('contact_messages')
+      .select(MESSAGE_FIELDS, { count: 'exact' })
+      .eq('status', status)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1)
+
+    if (error) {
+      throw error
+    }
+
+    return { items: (data || []) as ContactMessageRow[], total: count || 0 }
+  }
+
+  /**
+   * Move several messages to a status; returns how many changed
+   * Marking a message new again clears when it was read.
+   */
+  async setStatus(ids: string[], status: ContactMessageStatus): Promise<number> {
+    const now = new Date().toISOString()
+    const timestamps = {
+      new: { read_at: null, archived_at: null },
+      read: { read_at: now, archived_at: null },
+      archived: { archived_at: now }
+    }[status]
+
+    const { data, error } = await this.supabase
+      .from('contact_messages')
+      .update({ status, ...timestamps })
+      .in('id', ids)
+      .select('id')
+
+    if (error) {
+      throw error
+    }
+
+    return (data || []).length
+  }
+
+  /**
+   * Number of messages in each inbox status
+   */
+  async statusCounts(): Promise<Record<ContactMessageStatus, number>> {
+    const { data, error } = await this.supabase.rpc('contact_message_status_counts')
+
+    if (error) {
+      throw error
+    }
+
+    const counts = { new: 0, read: 0, archived: 0 }
+    for (const row of data || []) {
+      if (row.status in counts) {
+        counts[row.status as ContactMessageStatus] = row.message_count
+      }
+    }
+
+    return counts
+  }
+}
+
+// Export singleton instance
+export const contactService = new ContactService()
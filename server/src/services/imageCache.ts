@@ -0,0 +1,180 @@
+/**
+ * Image Cache
+ *
+ * Transformed images from the /img endpoint, kept on disk under
+ * IMAGE_CACHE_DIR (default server/cache/img) up to IMAGE_CACHE_MAX_MB.
+ * When a new entry would go over the limit, the least recently used
+ * entries are deleted first.
+ *
+ * Recency is tracked in memory. On startup the index is rebuilt from the
+ * files already on disk, oldest modification time first, so a restart
+ * keeps the cache but forgets which entries were read since.
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+
+const DEFAULT_MAX_MB = 500
+
+// Cache files are named <key>.<extension>
+const EXTENSION_MIME_TYPES: Record<string, string> = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+}
+
+export interface CachedImage {
+  buffer: Buffer
+  mimeType: string
+}
+
+interface CacheEntry {
+  file: string
+  size: number
+}
+
+function defaultCacheDir(): string {
+  // Same layout whether the server runs from the project root or server/
+  const cwd = process.cwd()
+  return cwd.endsWith('server')
+    ? path.join(cwd, 'cache', 'img')
+    : path.join(cwd, 'server', 'cache', 'img')
+}
+
+export class ImageCache {
+  private dir: string
+  private maxBytes: number
+  private totalBytes = 0
+  // Insertion order is recency order: the first entry is the least recently used
+  private entries = new Map<string, CacheEntry>()
+  private ready: Promise<void> | null = null
+
+  constructor(dir: string, maxBytes: number) {
+    this.dir = dir
+    this.maxBytes = maxBytes
+  }
+
+  /**
+   * A cached image, or null on a miss
+   */
+  async get(key: string): Promise<CachedImage | null> {
+    await this.init()
+
+    const entry = this.entries.get(key)
+    if (!entry) return null
+
+    try {
+      const buffer = await fs.readFile(path.join(this.dir, entry.file))
+      this.touch(key, entry)
+      return { buffer, mimeType: EXTENSION_MIME_TYPES[path.extname(entry.file).slice(1)] }
+    } catch {
+      // Deleted behind our back: treat as a miss
+      this.forget(key)
+      return null
+    }
+  }
+
+  /**
+   * Store an image, evicting older entries to stay under the size limit
+   * Images larger than the whole cache are not stored.
+   */
+  async set(key: string, image: CachedImage & { format: string }): Promise<void> {
+    await this.init()
+
+    const size = image.buffer.length
+    if (size > this.maxBytes || !EXTENSION_MIME_TYPES[image.format]) return
+
+    this.forget(key)
+    await this.evict(this.maxBytes - size)
+
+    // Write then rename so readers never see a half-written file
+    const file = `${key}.${image.format}`
+    const tempPath = path.join(this.dir, `${file}.${process.pid}.tmp`)
+    await fs.writeFile(tempPath, image.buffer)
+    await fs.rename(tempPath, path.join(this.dir, file))
+
+    this.entries.set(key, { file, size })
+    this.totalBytes += size
+  }
+
+  /**
+   * Number of entries and bytes used, for health checks
+   */
+  async stats(): Promise<{ entries: number; bytes: number; maxBytes: number; dir: string }> {
+    await this.init()
+    return { entries: this.entries.size, bytes: this.totalBytes, maxBytes: this.maxBytes, dir: this.dir }
+  }
+
+  private init(): Promise<void> {
+    if (!this.ready) {
+      this.ready = this.load().catch(error => {
+        // Let the next request try again
+        this.ready = null
+        throw error
+      })
+    }
+    return this.ready
+  }
+
+  private async load(): Promise<void> {
+    await fs.mkdir(this.dir, { recursive: true })
+
+    const found: { key: string; file: string; size: number; mtime: number }[] = []
+    for (const file of await fs.readdir(this.dir)) {
+      const fullPath = path.join(this.dir, file)
+
+      // Leftovers from writes interrupted by a restart
+      if (file.endsWith('.tmp')) {
+        await fs.unlink(fullPath).catch(() => {})
+        continue
+      }
+
+      const extension = path.extname(file).slice(1)
+      if (!EXTENSION_MIME_TYPES[extension]) continue
+
+      const stat = await fs.stat(fullPath)
+      found.push({ key: path.basename(file, `.${extension}`), file, size: stat.size, mtime: stat.mtimeMs })
+    }
+
+    found.sort((a, b) => a.mtime - b.mtime)
+    for (const { key, file, size } of found) {
+      this.entries.set(key, { file, size })
+      this.totalBytes += size
+    }
+
+    await this.evict(this.maxBytes)
+  }
+
+  private touch(key: string, entry: CacheEntry): void {
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+  }
+
+  private forget(key: string): CacheEntry | undefined {
+    const entry = this.entries.get(key)
+    if (entry) {
+      this.entries.delete(key)
+      this.totalBytes -= entry.size
+    }
+    return entry
+  }
+
+  // Delete least recently used entries until at most `limit` bytes are used
+  private async evict(limit: number): Promise<void> {
+    for (const key of this.entries.keys()) {
+      if (this.totalBytes <= limit) break
+
+      const entry = this.forget(key)
+      if (entry) {
+        await fs.unlink(path.join(this.dir, entry.file)).catch(() => {})
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const imageCache = new ImageCache(
+  process.env.IMAGE_CACHE_DIR || defaultCacheDir(),
+  (parseInt(process.env.IMAGE_CACHE_MAX_MB || '', 10) || DEFAULT_MAX_MB) * 1024 * 1024
+)
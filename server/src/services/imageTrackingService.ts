@@ -218,6 +218,30 @@ export class ImageTrackingService {
       })
     }
     
+    // Handle gallery images (each one counts as an inline image of the post)
+    if (content.type === 'galleryImage' && content.attrs?.src) {
+      images.push({
+        url: content.attrs.src,
+        type: 'inline',
+        alt_text: content.attrs.alt || null,
+        usage_context: {
+          node_type: 'galleryImage',
+          position: context,
+          caption: content.attrs.caption || null,
+          gallery_layout: context.gallery_layout || null
+        }
+      })
+    }
+
+    // Pass the gallery layout down to its images
+    if (content.type === 'gallery' && content.content) {
+      images.push(...this.extractImagesFromContent(content.content, {
+        ...context,
+        gallery_layout: content.attrs?.layout || 'grid'
+      }))
+      return images
+    }
+
     // Handle figure nodes (images with captions)
     if (content.type === 'figure' && content.content) {
       const figureImages = this.extractImagesFromContent(content.content, {
@@ -0,0 +1,214 @@
+/**
+ * Image Transform Service
+ *
+ * Backs the public /img/<stored path> endpoint: resizes and re-encodes a
+ * stored image on request (width, height, fit, format, quality) and keeps
+ * the result in the image cache.
+ *
+ * Every URL carries an HMAC of its path and parameters (sig), made with
+ * IMAGE_SIGNING_SECRET, so only URLs the server handed out get
+ * transformed; anyone else would otherwise be able to make us encode any
+ * image at any size. Without a secret, production refuses every transform
+ * and development signs with a random per-process secret.
+ */
+
+import crypto from 'crypto'
+import { storage } from '../storage/index.ts'
+import { CompressionService, TransformOptions } from './compressionService.ts'
+import { imageCache } from './imageCache.ts'
+
+const DEFAULT_MAX_DIMENSION = 4000
+
+export const TRANSFORM_FITS = ['cover', 'contain', 'fill', 'inside', 'outside'] as const
+export const TRANSFORM_FORMATS = ['avif', 'webp', 'jpeg', 'png'] as const
+
+export interface ImageTransformParams {
+  width?: number
+  height?: number
+  fit?: typeof TRANSFORM_FITS[number]
+  format?: typeof TRANSFORM_FORMATS[number]
+  quality?: number
+}
+
+export interface TransformedImage {
+  buffer: Buffer
+  mimeType: string
+  etag: string
+  cached: boolean
+}
+
+// Query parameter order in signed URLs and signatures
+const PARAM_NAMES: (keyof ImageTransformParams)[] = ['width', 'height', 'fit', 'format', 'quality']
+
+function maxDimension(): number {
+  return parseInt(process.env.IMAGE_TRANSFORM_MAX_DIMENSION || '', 10) || DEFAULT_MAX_DIMENSION
+}
+
+function statusError(message: string, statusCode: number): Error {
+  const error = new Error(message) as any
+  error.statusCode = statusCode
+  return error
+}
+
+/**
+ * Check the transform parameters of an /img request
+ * Returns the parsed parameters, or the problems per field.
+ */
+export function parseTransformParams(query: Record<string, unknown>): {
+  params: ImageTransformParams
+  fields: Record<string, string[]>
+} {
+  const params: ImageTransformParams = {}
+  const fields: Record<string, string[]> = {}
+  const max = maxDimension()
+
+  const integer = (name: 'width' | 'height' | 'quality', min: number, upper: number) => {
+    const value = query[name]
+    if (value === undefined) return
+
+    if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+      fields[name] = [`${name} must be a whole number`]
+      return
+    }
+
+    const parsed = parseInt(value, 10)
+    if (parsed < min || parsed > upper) {
+      fields[name] = [`${name} must be between ${min} and ${upper}`]
+      return
+    }
+
+    params[name] = parsed
+  }
+
+  const oneOf = <T extends string>(name: 'fit' | 'format', allowed: readonly T[]) => {
+    const value = query[name]
+    if (value === undefined) return
+
+    if (typeof value !== 'string' || !allowed.includes(value as T)) {
+      fields[name] = [`${name} must be one of: ${allowed.join(', ')}`]
+      return
+    }
+
+    params[name] = value as any
+  }
+
+  integer('width', 1, max)
+  integer('height', 1, max)
+  integer('quality', 1, 100)
+  oneOf('fit', TRANSFORM_FITS)
+  oneOf('format', TRANSFORM_FORMATS)
+
+  return { params, fields }
+}
+
+export class ImageTransformService {
+  private secret: string | null
+  // Transforms being made, so simultaneous requests for one image share the work
+  private inflight = new Map<string, Promise<{ buffer: Buffer; mimeType: string }>>()
+
+  constructor() {
+    this.secret = process.env.IMAGE_SIGNING_SECRET || null
+
+    if (!this.secret && process.env.NODE_ENV !== 'production') {
+      // Signed URLs stop working when the process restarts
+      this.secret = crypto.randomBytes(32).toString('hex')
+      console.warn('IMAGE_SIGNING_SECRET is not set; signing /img URLs with a temporary secret')
+    }
+  }
+
+  get enabled(): boolean {
+    return this.secret !== null
+  }
+
+  /**
+   * Signature of a stored path and its transform parameters
+   */
+  sign(path: string, params: ImageTransformParams): string {
+    if (!this.secret) {
+      throw statusError('Image transforms are not configured', 503)
+    }
+
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${path}?${this.canonicalQuery(params)}`)
+      .digest('base64url')
+  }
+
+  verify(path: string, params: ImageTransformParams, signature: unknown): boolean {
+    if (typeof signature !== 'string' || !this.secret) return false
+
+    const expected = Buffer.from(this.sign(path, params))
+    const actual = Buffer.from(signature)
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+  }
+
+  /**
+   * Signed /img URL for a stored path (as returned by the storage driver)
+   * Relative: the client host forwards /img to the API (vite.config.js in
+   * development, vercel.json in production).
+   */
+  transformUrl(path: string, params: ImageTransformParams): string {
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/')
+    const query = this.canonicalQuery(params)
+    const signature = this.sign(path, params)
+
+    return `/img/${encodedPath}?${query ? `${query}&` : ''}sig=${signature}`
+  }
+
+  /**
+   * The transformed image, from the cache when it has been made before
+   * Throws with statusCode 404 for a missing source and 415 for a file
+   * sharp can't read.
+   */
+  async transform(path: string, params: ImageTransformParams): Promise<TransformedImage> {
+    const key = crypto
+      .createHash('sha256')
+      .update(`${path}?${this.canonicalQuery(params)}`)
+      .digest('hex')
+    const etag = `"${key.slice(0, 32)}"`
+
+    const cached = await imageCache.get(key)
+    if (cached) {
+      return { ...cached, etag, cached: true }
+    }
+
+    let pending = this.inflight.get(key)
+    if (!pending) {
+      pending = this.create(key, path, params).finally(() => this.inflight.delete(key))
+      this.inflight.set(key, pending)
+    }
+
+    return { ...(await pending), etag, cached: false }
+  }
+
+  private async create(key: string, path: string, params: ImageTransformParams): Promise<{ buffer: Buffer; mimeType: string }> {
+    const source = await storage.read(path)
+
+    let result
+    try {
+      result = await CompressionService.transformImage(source, params as TransformOptions)
+    } catch (error) {
+      console.warn(`Could not transform ${path}:`, error)
+      throw statusError('Not a supported image', 415)
+    }
+
+    try {
+      await imageCache.set(key, result)
+    } catch (error) {
+      // Still serve the image; the next request makes it again
+      console.error('Failed to cache transformed image:', error)
+    }
+
+    return { buffer: result.buffer, mimeType: result.mimeType }
+  }
+
+  private canonicalQuery(params: ImageTransformParams): string {
+    return PARAM_NAMES
+      .filter(name => params[name] !== undefined)
+      .map(name => `${name}=${encodeURIComponent(String(params[name]))}`)
+      .join('&')
+  }
+}
+
+// Export singleton instance
+export const imageTransformService = new ImageTransformService()
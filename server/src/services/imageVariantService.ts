@@ -0,0 +1,221 @@
+/**
+ * Image Variant Service
+ *
+ * Uploaded images are also stored at every width of a ladder
+ * (IMAGE_VARIANT_WIDTHS) narrower than the upload, in AVIF, WebP and the
+ * upload's own format. AVIF and WebP also get a full-size copy unless the
+ * upload is wider than the ladder. Each variant is a row in image_variants
+ * keyed by the upload's URL; the upload itself is recorded too, as the
+ * largest candidate in its own format.
+ *
+ * Pages turn the rows into srcset (see utils/responsiveImage).
+ */
+
+import sharp from 'sharp'
+import { getSupabaseAdmin } from '../../auth/supabaseAdmin.ts'
+import { storage } from '../storage/index.ts'
+import { ResponsiveImage, srcsetCandidate, extractImageSources } from '../utils/responsiveImage.ts'
+
+const DEFAULT_WIDTHS = [320, 640, 960, 1280, 1920]
+
+export type VariantFormat = 'avif' | 'webp' | 'jpeg' | 'png'
+
+// Best first: the order of <source> elements
+const MODERN_FORMATS: VariantFormat[] = ['avif', 'webp']
+
+const MIME_TYPES: Record<VariantFormat, string> = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+}
+
+export interface ImageVariantRow {
+  source_url: string
+  url: string
+  path: string
+  width: number
+  height: number
+  format: VariantFormat
+  size_bytes: number
+}
+
+/**
+ * Widths to generate, from IMAGE_VARIANT_WIDTHS (comma-separated pixels)
+ */
+export function variantWidths(): number[] {
+  const configured = (process.env.IMAGE_VARIANT_WIDTHS || '')
+    .split(',')
+    .map(width => parseInt(width.trim(), 10))
+    .filter(width => width > 0)
+
+  return [...new Set(configured.length > 0 ? configured : DEFAULT_WIDTHS)].sort((a, b) => a - b)
+}
+
+function encode(image: sharp.Sharp, format: VariantFormat): sharp.Sharp {
+  switch (format) {
+    case 'avif':
+      return image.avif({ quality: 50, effort: 4 })
+    case 'webp':
+      return image.webp({ quality: 75 })
+    case 'jpeg':
+      return image.jpeg({ quality: 80, progressive: true, mozjpeg: true })
+    case 'png':
+      return image.png({ compressionLevel: 9, adaptiveFiltering: true })
+  }
+}
+
+export class ImageVariantService {
+  private supabase = getSupabaseAdmin()
+
+  /**
+   * Make, store and record the variants of an uploaded image
+   * Formats other than JPEG, PNG and WebP (e.g. animated GIFs) get none.
+   */
+  async createVariants(
+    buffer: Buffer,
+    source: { url: string; path: string; filenameHint?: string }
+  ): Promise<ImageVariantRow[]> {
+    const metadata = await sharp(buffer).metadata()
+    const ownFormat = metadata.format === 'jpg' ? 'jpeg' : metadata.format
+
+    if ((ownFormat !== 'jpeg' && ownFormat !== 'png' && ownFormat !== 'webp') || (metadata.pages || 1) > 1) {
+      return []
+    }
+
+    // Variants are stored upright, so measure the upload the way it displays
+    const rotated = (metadata.orientation || 1) >= 5
+    const width = (rotated ? metadata.height : metadata.width) || 0
+    const height = (rotated ? metadata.width : metadata.height) || 0
+    if (!width || !height) return []
+
+    const ladder = variantWidths()
+    const narrower = ladder.filter(target => target < width)
+    const baseName = (source.filenameHint || 'image').replace(/\.[^.]+$/, '')
+
+    const rows: ImageVariantRow[] = [{
+      source_url: source.url,
+      url: source.url,
+      path: source.path,
+      width,
+      height,
+      format: ownFormat,
+      size_bytes: buffer.length
+    }]
+
+    const formats = [...new Set<VariantFormat>([...MODERN_FORMATS, ownFormat])]
+
+    // One at a time: encoding is CPU- and memory-heavy
+    for (const format of formats) {
+      const widths = format !== ownFormat && width <= ladder[ladder.length - 1]
+        ? [...narrower, width]
+        : narrower
+
+      for (const target of widths) {
+        const { data, info } = await encode(sharp(buffer).rotate().resize({ width: target }), format)
+          .toBuffer({ resolveWithObject: true })
+
+        const stored = await storage.putImage({
+          buffer: data,
+          mime: MIME_TYPES[format],
+          filenameHint: `${baseName}-${target}w`
+        })
+
+        rows.push({
+          source_url: source.url,
+          url: stored.url,
+          path: stored.path,
+          width: info.width,
+          height: info.height,
+          format,
+          size_bytes: data.length
+        })
+      }
+    }
+
+    const { error } = await this.supabase
+      .from('image_variants')
+      .upsert(rows, { onConflict: 'source_url,format,width' })
+
+    if (error) {
+      throw error
+    }
+
+    return rows
+  }
+
+  /**
+   * srcset data for each of the given image URLs that has variants
+   */
+  async responsiveImages(urls: string[]): Promise<Map<string, ResponsiveImage>> {
+    const images = new Map<string, ResponsiveImage>()
+    const unique = [...new Set(urls.filter(Boolean))]
+    if (unique.length === 0) return images
+
+    const { data, error } = await this.supabase
+      .from('image_variants')
+      .select('source_url, url, width, height, format')
+      .in('source_url', unique)
+      .order('width', { ascending: true })
+
+    if (error) {
+      throw error
+    }
+
+    const bySource = new Map<string, ImageVariantRow[]>()
+    for (const row of (data || []) as ImageVariantRow[]) {
+      bySource.set(row.source_url, [...(bySource.get(row.source_url) || []), row])
+    }
+
+    for (const [sourceUrl, rows] of bySource) {
+      const original = rows.find(row => row.url === sourceUrl)
+      if (!original || rows.length === 1) continue
+
+      const srcsetFor = (format: VariantFormat) => rows
+        .filter(row => row.format === format)
+        .map(row => srcsetCandidate(row.url, row.width))
+        .join(', ')
+
+      images.set(sourceUrl, {
+        sources: MODERN_FORMATS
+          .filter(format => format !== original.format && rows.some(row => row.format === format))
+          .map(format => ({ type: MIME_TYPES[format], srcset: srcsetFor(format) })),
+        srcset: srcsetFor(original.format),
+        width: original.width,
+        height: original.height
+      })
+    }
+
+    return images
+  }
+
+  /**
+   * srcset data for the images in a piece of post HTML
+   */
+  async responsiveImagesInHtml(html: string): Promise<Map<string, ResponsiveImage>> {
+    return this.responsiveImages(extractImageSources(html))
+  }
+
+  /**
+   * Add cover_image_variants (srcset data, or null) to each post
+   * A lookup failure is logged and leaves every post without variants, so
+   * pages still load with their plain cover images.
+   */
+  async withCoverVariants<T extends { cover_image_url?: string | null }>(posts: T[]): Promise<(T & { cover_image_variants: ResponsiveImage | null })[]> {
+    let images = new Map<string, ResponsiveImage>()
+
+    try {
+      images = await this.responsiveImages(posts.map(post => post.cover_image_url || ''))
+    } catch (error) {
+      console.error('Failed to look up cover image variants:', error)
+    }
+
+    return posts.map(post => ({
+      ...post,
+      cover_image_variants: (post.cover_image_url && images.get(post.cover_image_url)) || null
+    }))
+  }
+}
+
+// Export singleton instance
+export const imageVariantService = new ImageVariantService()
@@ -0,0 +1,147 @@
+/**
+ * Post Link Service
+ *
+ * Links from one post to another are stored with the target's id:
+ *   <a href="/blog/current-slug" data-post-id="...">Title</a>
+ * so they survive the target being renamed. The href is rewritten to the
+ * target's current slug whenever a post is read, and links to posts that
+ * are gone (or not published) are reported as broken.
+ *
+ * A post's previous slugs are kept in post_slug_history so old URLs can be
+ * redirected to the current one.
+ */
+
+import { getSupabaseAdmin } from '../../auth/supabaseAdmin.ts'
+
+const POST_LINK = /<a\b([^>]*\bdata-post-id=(["'])([0-9a-f-]{36})\2[^>]*)>([\s\S]*?)<\/a>/gi
+const HREF = /\s+href=(["'])[\s\S]*?\1/i
+
+export interface BrokenPostLink {
+  post_id: string
+  text: string
+  reason: 'missing' | 'unpublished'
+}
+
+export interface Backlink {
+  id: string
+  title: string
+  slug: string
+  excerpt: string | null
+}
+
+export interface ResolvedPostLinks {
+  html: string
+  broken: BrokenPostLink[]
+}
+
+export class PostLinkService {
+  private supabase = getSupabaseAdmin()
+
+  /**
+   * Remember a post's previous slug after it changes
+   */
+  async recordSlugChange(postId: string, previousSlug: string, currentSlug: string): Promise<void> {
+    if (!previousSlug || previousSlug === currentSlug) return
+
+    // The current slug is live, so it must not redirect anywhere any more
+    const { error: deleteError } = await this.supabase
+      .from('post_slug_history')
+      .delete()
+      .eq('slug', currentSlug)
+
+    if (deleteError) {
+      throw deleteError
+    }
+
+    const { error } = await this.supabase
+      .from('post_slug_history')
+      .upsert({ slug: previousSlug, post_id: postId, created_at: new Date().toISOString() }, { onConflict: 'slug' })
+
+    if (error) {
+      throw error
+    }
+  }
+
+  /**
+   * The current slug of the post that used to live at `slug` (null if none)
+   */
+  async findCurrentSlug(slug: string, publishedOnly: boolean): Promise<string | null> {
+    const { data, error } = await this.supabase
+      .from('post_slug_history')
+      .select('posts!inner ( slug, status )')
+      .eq('slug', slug)
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    const post = (data as any)?.posts
+    if (!post || post.slug === slug) return null
+    if (publishedOnly && post.status !== 'published') return null
+
+    return post.slug
+  }
+
+  /**
+   * Published posts whose content links to this post, newest first
+   */
+  async findBacklinks(postId: string): Promise<Backlink[]> {
+    const { data, error } = await this.supabase
+      .from('posts')
+      .select('id, title, slug, excerpt')
+      .eq('status', 'published')
+      .neq('id', postId)
+      .like('content_html', `%data-post-id="${postId}"%`)
+      .order('publish_at', { ascending: false, nullsFirst: false })
+      .limit(20)
+
+    if (error) {
+      throw error
+    }
+
+    return data || []
+  }
+
+  /**
+   * Point every internal link in sanitized post HTML at its target's current slug
+   * Links to deleted posts are unwrapped to their text, as are links to
+   * unpublished posts when `publishedOnly` (public readers can't open them).
+   */
+  async resolveLinks(html: string, publishedOnly: boolean): Promise<ResolvedPostLinks> {
+    const ids = [...new Set([...html.matchAll(POST_LINK)].map(match => match[3].toLowerCase()))]
+    if (ids.length === 0) return { html, broken: [] }
+
+    const { data, error } = await this.supabase
+      .from('posts')
+      .select('id, slug, status')
+      .in('id', ids)
+
+    if (error) {
+      throw error
+    }
+
+    const targets = new Map((data || []).map(post => [post.id, post]))
+    const broken: BrokenPostLink[] = []
+
+    const resolved = html.replace(POST_LINK, (_link, attributes: string, _quote: string, id: string, inner: string) => {
+      const target = targets.get(id.toLowerCase())
+      const reason = !target ? 'missing' : target.status !== 'published' ? 'unpublished' : null
+
+      if (reason) {
+        broken.push({ post_id: id, text: inner.replace(/<[^>]*>/g, '').trim(), reason })
+      }
+
+      if (!target || (reason && publishedOnly)) {
+        return publishedOnly ? inner : `<span class="post-link-broken">${inner}</span>`
+      }
+
+      return `<a href="/blog/${target.slug}"${attributes.replace(HREF, '')}>${inner}</a>`
+    })
+
+    return { html: resolved, broken }
+  }
+}
+
+// Export singleton instance
+export const postLinkService = new PostLinkService()
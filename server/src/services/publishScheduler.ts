@@ -0,0 +1,125 @@
+/**
+ * Publish Scheduler
+ *
+ * Periodically flips scheduled posts whose publish_at has passed to 'published'
+ * and refreshes their image tracking. Public endpoints only ever list
+ * 'published' posts, so scheduled posts stay hidden until this runs.
+ */
+
+import { getSupabaseAdmin } from '../../auth/supabaseAdmin.ts'
+import { imageTrackingService } from './imageTrackingService.ts'
+
+export interface PublishRunResult {
+  checked: number
+  published: string[]
+  errors: Array<{ post_id: string; error: string }>
+}
+
+// Poll interval when none (or no usable one) is configured
+export const DEFAULT_INTERVAL_MS = 60000
+
+export class PublishScheduler {
+  private supabase = getSupabaseAdmin()
+  private timer: ReturnType<typeof setInterval> | null = null
+  private running = false
+
+  /**
+   * Start polling for due posts (no-op if already started). Returns the
+   * interval used: DEFAULT_INTERVAL_MS unless intervalMs is a positive number.
+   */
+  start(intervalMs: number = DEFAULT_INTERVAL_MS): number {
+    const interval = Number.isFinite(intervalMs) && intervalMs > 0 ? intervalMs : DEFAULT_INTERVAL_MS
+    if (this.timer) return interval
+
+    // Catch up on anything that came due while the server was down
+    this.runSafely()
+
+    this.timer = setInterval(() => this.runSafely(), interval)
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref?.()
+    return interval
+  }
+
+  /**
+   * Stop polling
+   */
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  /**
+   * Publish every scheduled post whose publish_at is now or in the past
+   */
+  async publishDuePosts(now: Date = new Date()): Promise<PublishRunResult> {
+    const result: PublishRunResult = { checked: 0, published: [], errors: [] }
+
+    const { data: duePosts, error: fetchError } = await this.supabase
+      .from('posts')
+      .select('id, content_rich, cover_image_url')
+      .eq('status', 'scheduled')
+      .lte('publish_at', now.toISOString())
+      .order('publish_at', { ascending: true })
+
+    if (fetchError) {
+      throw fetchError
+    }
+
+    result.checked = duePosts?.length || 0
+
+    for (const post of duePosts || []) {
+      // Only flip posts that are still scheduled (the author may have changed it meanwhile)
+      const { data: updated, error: updateError } = await this.supabase
+        .from('posts')
+        .update({ status: 'published' })
+        .eq('id', post.id)
+        .eq('status', 'scheduled')
+        .select('id')
+
+      if (updateError) {
+        result.errors.push({ post_id: post.id, error: updateError.message })
+        continue
+      }
+
+      if (!updated || updated.length === 0) {
+        continue
+      }
+
+      result.published.push(post.id)
+
+      try {
+        await imageTrackingService.syncPostImages(post.id, post.content_rich, post.cover_image_url)
+      } catch (error: any) {
+        // The post is live; image tracking can be fixed by a later reconciliation
+        console.error(`❌ Failed to track images for scheduled post ${post.id}:`, error)
+      }
+    }
+
+    return result
+  }
+
+  private async runSafely(): Promise<void> {
+    // Skip overlapping runs on slow databases
+    if (this.running) return
+    this.running = true
+
+    try {
+      const result = await this.publishDuePosts()
+      if (result.published.length > 0) {
+        console.log(`🗓️ Published ${result.published.length} scheduled post(s): ${result.published.join(', ')}`)
+      }
+      for (const { post_id, error } of result.errors) {
+        console.error(`❌ Failed to publish scheduled post ${post_id}: ${error}`)
+      }
+    } catch (error) {
+      console.error('❌ Publish scheduler run failed:', error)
+    } finally {
+      this.running = false
+    }
+  }
+}
+
+// Export singleton instance
+export const publishScheduler = new PublishScheduler()
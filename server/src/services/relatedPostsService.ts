@@ -0,0 +1,134 @@
+/**
+ * Related Posts Service
+ *
+ * Everything the public post page shows after the entry itself:
+ *   related     - posts sharing labels, collections or vocabulary (related_posts())
+ *   backlinks   - posts that link to this one (postLinkService)
+ *   collections - previous / next entry in each collection the post is in
+ *                 (post_collection_neighbours())
+ */
+
+import { getSupabaseAdmin } from '../../auth/supabaseAdmin.ts'
+import { postLinkService, Backlink } from './postLinkService.ts'
+
+export const DEFAULT_RELATED_LIMIT = 4
+export const MAX_RELATED_LIMIT = 12
+
+export interface RelatedPost {
+  id: string
+  title: string
+  slug: string
+  excerpt: string | null
+  cover_image_url: string | null
+  cover_image_alt: string | null
+  reading_time: number | null
+  publish_at: string | null
+  created_at: string
+  shared_labels: number
+  shared_collections: number
+  text_similarity: number
+  score: number
+}
+
+export interface PostLinkSummary {
+  title: string
+  slug: string
+}
+
+export interface CollectionNavigation {
+  collection: { id: string; name: string; slug: string }
+  journal: { name: string; slug: string }
+  position: number
+  count: number
+  previous: PostLinkSummary | null
+  next: PostLinkSummary | null
+}
+
+export interface RelatedContent {
+  related: RelatedPost[]
+  backlinks: Backlink[]
+  collections: CollectionNavigation[]
+}
+
+export class RelatedPostsService {
+  private supabase = getSupabaseAdmin()
+
+  /**
+   * Whether the post exists and is published (only those get related content)
+   */
+  async isPublished(postId: string): Promise<boolean> {
+    const { data, error } = await this.supabase
+      .from('posts')
+      .select('id')
+      .eq('id', postId)
+      .eq('status', 'published')
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    return !!data
+  }
+
+  /**
+   * Published posts most related to this one, best first
+   */
+  async getRelated(postId: string, limit: number = DEFAULT_RELATED_LIMIT): Promise<RelatedPost[]> {
+    const { data, error } = await this.supabase.rpc('related_posts', {
+      p_post_id: postId,
+      p_limit: Math.min(Math.max(1, limit), MAX_RELATED_LIMIT)
+    })
+
+    if (error) {
+      throw error
+    }
+
+    return data || []
+  }
+
+  /**
+   * Previous / next navigation for each published collection holding the post
+   */
+  async getCollectionNavigation(postId: string): Promise<CollectionNavigation[]> {
+    const { data, error } = await this.supabase.rpc('post_collection_neighbours', {
+      p_post_id: postId
+    })
+
+    if (error) {
+      throw error
+    }
+
+    return (data || []).map((row: any) => ({
+      collection: { id: row.collection_id, name: row.collection_name, slug: row.collection_slug },
+      journal: { name: row.journal_name, slug: row.journal_slug },
+      position: row.entry_position,
+      count: row.entry_count,
+      previous: row.previous_slug ? { title: row.previous_title, slug: row.previous_slug } : null,
+      next: row.next_slug ? { title: row.next_title, slug: row.next_slug } : null
+    }))
+  }
+
+  /**
+   * Related posts, backlinks and collection navigation in one go
+   */
+  async getRelatedContent(postId: string, limit?: number): Promise<RelatedContent> {
+    const [related, backlinks, collections] = await Promise.all([
+      this.getRelated(postId, limit),
+      postLinkService.findBacklinks(postId),
+      this.getCollectionNavigation(postId)
+    ])
+
+    // A post that links here is already listed under backlinks
+    const linking = new Set(backlinks.map(post => post.id))
+
+    return {
+      related: related.filter(post => !linking.has(post.id)),
+      backlinks,
+      collections
+    }
+  }
+}
+
+// Export singleton instance
+export const relatedPostsService = new RelatedPostsService()
@@ -0,0 +1,132 @@
+/**
+ * Revision Service
+ *
+ * Records post revisions (snapshots written on every content save) and
+ * reads them back for the editor's history panel.
+ */
+
+import { getSupabaseAdmin } from '../../auth/supabaseAdmin.ts'
+
+// Fields that make a save worth a new revision (status-only changes are not)
+export const REVISIONED_FIELDS = [
+  'title',
+  'excerpt',
+  'content_rich',
+  'content_html',
+  'cover_image_url',
+  'cover_image_alt'
+] as const
+
+// Columns listed in the history panel (content is loaded per revision)
+const REVISION_SUMMARY_FIELDS = `
+  id,
+  post_id,
+  revision_number,
+  title,
+  status,
+  created_at,
+  profiles!post_revisions_created_by_fkey (
+    display_name
+  )
+`
+
+export interface PostRevision {
+  id: string
+  post_id: string
+  revision_number: number
+  title: string
+  excerpt: string | null
+  content_rich: any
+  content_text: string | null
+  content_html: string | null
+  reading_time: number | null
+  cover_image_url: string | null
+  cover_image_alt: string | null
+  status: string | null
+  created_by: string | null
+  created_at: string
+}
+
+export class RevisionService {
+  private supabase = getSupabaseAdmin()
+
+  /**
+   * Whether an update body touches any revisioned field
+   */
+  hasRevisionedChanges(updates: Record<string, any>): boolean {
+    return REVISIONED_FIELDS.some(field => updates[field] !== undefined)
+  }
+
+  /**
+   * Snapshot the post's current state as its next revision
+   */
+  async recordRevision(postId: string, createdBy?: string | null): Promise<PostRevision> {
+    const { data, error } = await this.supabase.rpc('record_post_revision', {
+      p_post_id: postId,
+      p_created_by: createdBy || null
+    })
+
+    if (error) {
+      throw error
+    }
+
+    return data as PostRevision
+  }
+
+  /**
+   * Record a baseline for posts created before revisions existed, so the
+   * first update can still be undone
+   */
+  async ensureBaseline(postId: string, createdBy?: string | null): Promise<void> {
+    const { count, error } = await this.supabase
+      .from('post_revisions')
+      .select('id', { count: 'exact', head: true })
+      .eq('post_id', postId)
+
+    if (error) {
+      throw error
+    }
+
+    if (!count) {
+      await this.recordRevision(postId, createdBy)
+    }
+  }
+
+  /**
+   * List revisions for a post, newest first
+   */
+  async listRevisions(postId: string) {
+    const { data, error } = await this.supabase
+      .from('post_revisions')
+      .select(REVISION_SUMMARY_FIELDS)
+      .eq('post_id', postId)
+      .order('revision_number', { ascending: false })
+
+    if (error) {
+      throw error
+    }
+
+    return data || []
+  }
+
+  /**
+   * Get a single revision with its full content (null if not found)
+   */
+  async getRevision(postId: string, revisionId: string): Promise<PostRevision | null> {
+    const { data, error } = await this.supabase
+      .from('post_revisions')
+      .select('*')
+      .eq('post_id', postId)
+      .eq('id', revisionId)
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    return data as PostRevision | null
+  }
+}
+
+// Export singleton instance
+export const revisionService = new RevisionService()
@@ -0,0 +1,640 @@
+/**
+ * Site Archive Service
+ *
+ * Exports the whole site (content, layout, settings and the image files
+ * they reference) to a single zip, and imports such a zip into this
+ * project. Import always creates new rows: ids are remapped, slugs that
+ * are already taken get a numeric suffix, and images are re-uploaded
+ * through the active storage driver with every reference rewritten.
+ *
+ * Export streams the zip out one file at a time. Import reads the uploaded
+ * zip from memory but inflates one file at a time, and refuses archives
+ * whose contents add up to more than ARCHIVE_MAX_UNCOMPRESSED_MB. If an
+ * import fails part way, it is undone: the rows it created and the images
+ * it uploaded are deleted, and the page layouts and settings it replaced
+ * are restored.
+ *
+ * Archive layout:
+ *   manifest.json        format, version, counts and the image index
+ *   data/<table>.json    rows per table
+ *   images/<n>-<name>    image files listed in the manifest
+ */
+
+import crypto from 'crypto'
+import path from 'path'
+import { promises as fs } from 'fs'
+import { Writable } from 'stream'
+import { fileURLToPath } from 'url'
+import { getSupabaseAdmin } from '../../auth/supabaseAdmin.ts'
+import { storage, storageInfo } from '../storage/index.ts'
+import { MEDIA_EXTENSIONS } from '../storage/mediaTypes.ts'
+import { openZip, ZipFile, ZipWriter } from '../utils/zipArchive.ts'
+import { imageTrackingService } from './imageTrackingService.ts'
+
+export const ARCHIVE_FORMAT = 'storytelling-site-archive'
+export const ARCHIVE_VERSION = 1
+
+const PAGE_SIZE = 1000
+const INSERT_BATCH_SIZE = 100
+
+// Largest total uncompressed size of an imported archive
+const MAX_IMPORT_SIZE = parseInt(process.env.ARCHIVE_MAX_UNCOMPRESSED_MB || '2048', 10) * 1024 * 1024
+
+// system_settings keys that belong to the site rather than this deployment
+const EXPORTED_SETTINGS = ['navbar_items']
+
+// Tables in dependency order; `order` keeps paging stable
+const EXPORT_TABLES: Array<{ table: string; order: string[] }> = [
+  { table: 'labels', order: ['id'] },
+  { table: 'journals', order: ['id'] },
+  { table: 'collections', order: ['id'] },
+  { table: 'posts', order: ['id'] },
+  { table: 'post_labels', order: ['post_id', 'label_id'] },
+  { table: 'journal_entries', order: ['id'] },
+  { table: 'collection_entries', order: ['id'] },
+  { table: 'page_layouts', order: ['page_id', 'slot_number'] }
+]
+
+const IMAGE_MIME_TYPES: Record<string, string> = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif'
+}
+
+// Uploaded audio / video travels with the images and is restored through putMedia
+const MEDIA_MIME_TYPES: Record<string, string> = {}
+for (const [mime, extension] of Object.entries(MEDIA_EXTENSIONS)) {
+  MEDIA_MIME_TYPES[extension] = MEDIA_MIME_TYPES[extension] || mime
+}
+
+// Files written by the local driver, referenced by root-relative URL
+const LOCAL_UPLOAD_URL = /(?<![\w.:/-])\/uploads\/[\w/.%-]+\.(?:png|jpe?g|webp|gif|mp4|webm|ogv|mp3|m4a|aac|ogg|weba|wav|flac)/gi
+
+const UPLOADS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'uploads')
+
+export interface ArchiveImage {
+  url: string
+  file: string
+  mime: string
+}
+
+export interface ArchiveManifest {
+  format: string
+  version: number
+  exported_at: string
+  storage_driver: string
+  counts: Record<string, number>
+  images: ArchiveImage[]
+  missing_images: string[]
+}
+
+export interface ImportSummary {
+  created: Record<string, number>
+  reused: { labels: number }
+  renamed_slugs: Array<{ table: string; from: string; to: string }>
+  images: { uploaded: number; failed: number }
+  warnings: string[]
+}
+
+type Row = Record<string, any>
+type Logger = (message: string) => void
+
+// Rows an import has created so far, by table, for rolling it back
+type CreatedRows = Array<{ table: string; ids: string[] }>
+
+// Puts back rows an import replaced
+type Restore = () => Promise<void>
+
+function archiveError(message: string, statusCode = 400): Error {
+  const error = new Error(message) as any
+  error.statusCode = statusCode
+  return error
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Call fn on every string inside a JSON value, returning a rewritten copy
+ */
+function mapStrings(value: any, fn: (text: string) => string): any {
+  if (typeof value === 'string') return fn(value)
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn))
+  if (value && typeof value === 'object') {
+    const result: Row = {}
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = mapStrings(item, fn)
+    }
+    return result
+  }
+  return value
+}
+
+function uniqueSlug(base: string, taken: Set<string>): string {
+  let slug = base
+  for (let n = 2; taken.has(slug); n++) {
+    slug = `${base}-${n}`
+  }
+  taken.add(slug)
+  return slug
+}
+
+export class SiteArchiveService {
+  private get supabase() {
+    return getSupabaseAdmin()
+  }
+
+  /**
+   * Write the archive zip for everything on the site to output
+   * Files are read and written one at a time; the manifest goes last
+   * because it lists the images that could be read.
+   */
+  async exportArchive(output: Writable, log: Logger = () => {}): Promise<ArchiveManifest> {
+    const exportedAt = new Date()
+    const data: Record<string, Row[]> = {}
+
+    for (const { table, order } of EXPORT_TABLES) {
+      data[table] = await this.fetchAll(table, order)
+      log(`Exported ${data[table].length} ${table}`)
+    }
+
+    // Generated column, rebuilt by the database on insert
+    for (const post of data.posts) {
+      delete post.search_vector
+    }
+
+    const { data: settings, error: settingsError } = await this.supabase
+      .from('system_settings')
+      .select('key, value, description')
+      .in('key', EXPORTED_SETTINGS)
+    if (settingsError) throw settingsError
+    data.system_settings = settings || []
+
+    data.compression_settings = await this.fetchCompressionSettings(log)
+
+    const zip = new ZipWriter(output, exportedAt)
+    for (const [table, rows] of Object.entries(data)) {
+      await zip.add({ name: `data/${table}.json`, data: Buffer.from(JSON.stringify(rows, null, 2)) })
+    }
+
+    const images: ArchiveImage[] = []
+    const missingImages: string[] = []
+
+    for (const url of this.collectImageUrls(data)) {
+      let buffer: Buffer
+      try {
+        buffer = await this.readImage(url)
+      } catch (error: any) {
+        missingImages.push(url)
+        log(`Skipped image ${url}: ${error.message}`)
+        continue
+      }
+      const name = decodeURIComponent(url.split('/').pop() || 'image')
+      const extension = name.split('.').pop()?.toLowerCase() || ''
+      const file = `images/${images.length + 1}-${name.replace(/[^\w.-]/g, '_')}`
+      images.push({ url, file, mime: IMAGE_MIME_TYPES[extension] || MEDIA_MIME_TYPES[extension] || 'image/jpeg' })
+      await zip.add({ name: file, data: buffer })
+    }
+    log(`Exported ${images.length} images${missingImages.length ? ` (${missingImages.length} missing)` : ''}`)
+
+    const manifest: ArchiveManifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exported_at: exportedAt.toISOString(),
+      storage_driver: storageInfo.driver,
+      counts: Object.fromEntries(Object.entries(data).map(([table, rows]) => [table, rows.length])),
+      images,
+      missing_images: missingImages
+    }
+
+    await zip.add({ name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2)) })
+    await zip.finish()
+
+    return manifest
+  }
+
+  /**
+   * Import an archive built by exportArchive
+   * Rows are created as new records owned by ownerId. Not transactional,
+   * but if a step fails the labels, journals, collections and posts created
+   * so far are deleted (their link rows go with them), the page layouts and
+   * settings it replaced are restored and its uploaded files are deleted
+   * before rethrowing.
+   */
+  async importArchive(buffer: Buffer, ownerId: string, log: Logger = () => {}): Promise<ImportSummary> {
+    let files: Map<string, ZipFile>
+    try {
+      files = openZip(buffer, { maxTotalSize: MAX_IMPORT_SIZE })
+    } catch (error: any) {
+      throw archiveError(`Invalid archive: ${error.message}`)
+    }
+
+    const manifest = this.readJson<ArchiveManifest>(files, 'manifest.json')
+    if (manifest.format !== ARCHIVE_FORMAT) {
+      throw archiveError('Not a site archive')
+    }
+    if (manifest.version > ARCHIVE_VERSION) {
+      throw archiveError(`Archive version ${manifest.version} is newer than this server supports (${ARCHIVE_VERSION})`)
+    }
+
+    const table = (name: string): Row[] => (files.has(`data/${name}.json`) ? this.readJson<Row[]>(files, `data/${name}.json`) : [])
+
+    const summary: ImportSummary = {
+      created: {},
+      reused: { labels: 0 },
+      renamed_slugs: [],
+      images: { uploaded: 0, failed: 0 },
+      warnings: []
+    }
+    const warn = (message: string) => {
+      summary.warnings.push(message)
+      log(`Warning: ${message}`)
+    }
+
+    // Images first so every row can be written with its final URLs
+    const urlMap = new Map<string, string>()
+    const uploaded: string[] = []
+    for (const image of manifest.images || []) {
+      const file = files.get(image.file)
+      if (!file) {
+        summary.images.failed++
+        warn(`Image ${image.url} is listed but missing from the archive`)
+        continue
+      }
+      try {
+        const put = image.mime.startsWith('image/') ? storage.putImage : storage.putMedia
+        const { url, path } = await put.call(storage, {
+          buffer: file.read(),
+          mime: image.mime,
+          // Drop the uuid prefix the original upload was given
+          filenameHint: image.file.replace(/^images\/\d+-/, '').replace(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}-?/i, '')
+        })
+        urlMap.set(image.url, url)
+        uploaded.push(path)
+        summary.images.uploaded++
+      } catch (error: any) {
+        summary.images.failed++
+        warn(`Image ${image.url} could not be uploaded: ${error.message}`)
+      }
+    }
+    log(`Uploaded ${summary.images.uploaded} images`)
+
+    const rewrite = this.createRewriter(urlMap)
+
+    const created: CreatedRows = []
+    const restores: Restore[] = []
+    let posts: Row[] = []
+    try {
+      // Labels: reuse an existing label with the same slug or name
+      const labelIds = new Map<string, string>()
+      const existingLabels = await this.fetchAll('labels', ['id'], 'id, name, slug')
+      const newLabels: Row[] = []
+      for (const label of table('labels')) {
+        const match = existingLabels.find(existing => existing.slug === label.slug || existing.name === label.name)
+        if (match) {
+          labelIds.set(label.id, match.id)
+          summary.reused.labels++
+          continue
+        }
+        const id = crypto.randomUUID()
+        labelIds.set(label.id, id)
+        newLabels.push({ ...label, id })
+      }
+      summary.created.labels = await this.insertRows('labels', newLabels, created)
+
+      // Journals and collections
+      const journalIds = new Map<string, string>()
+      const journalSlugs = new Set((await this.fetchAll('journals', ['id'], 'slug')).map(row => row.slug))
+      const journals = table('journals').map(journal => {
+        const id = crypto.randomUUID()
+        journalIds.set(journal.id, id)
+        const slug = uniqueSlug(journal.slug, journalSlugs)
+        if (slug !== journal.slug) {
+          summary.renamed_slugs.push({ table: 'journals', from: journal.slug, to: slug })
+        }
+        return rewrite({ ...journal, id, slug, owner_id: ownerId })
+      })
+      summary.created.journals = await this.insertRows('journals', journals, created)
+
+      const collectionIds = new Map<string, string>()
+      const collections: Row[] = []
+      for (const collection of table('collections')) {
+        const journalId = journalIds.get(collection.journal_id)
+        if (!journalId) {
+          warn(`Collection "${collection.name}" skipped: its journal is not in the archive`)
+          continue
+        }
+        const id = crypto.randomUUID()
+        collectionIds.set(collection.id, id)
+        collections.push({ ...collection, id, journal_id: journalId })
+      }
+      summary.created.collections = await this.insertRows('collections', collections, created)
+
+      // Posts
+      const postIds = new Map<string, string>()
+      for (const post of table('posts')) {
+        postIds.set(post.id, crypto.randomUUID())
+      }
+      // Links between posts store the target's id, so they follow the new ids
+      const rewritePostLinks = this.createRewriter(postIds)
+      const postSlugs = new Set((await this.fetchAll('posts', ['id'], 'slug')).map(row => row.slug))
+      posts = table('posts').map(({ search_vector, ...post }) => {
+        const id = postIds.get(post.id)
+        const slug = uniqueSlug(post.slug, postSlugs)
+        if (slug !== post.slug) {
+          summary.renamed_slugs.push({ table: 'posts', from: post.slug, to: slug })
+        }
+        return rewritePostLinks(rewrite({ ...post, id, slug, author_id: ownerId }))
+      })
+      summary.created.posts = await this.insertRows('posts', posts, created)
+
+      // Link tables; entries whose ends weren't imported are dropped
+      const remapLinks = (rows: Row[], keys: Record<string, Map<string, string>>): Row[] =>
+        rows.flatMap(({ id, ...row }) => {
+          const mapped: Row = { ...row }
+          for (const [key, ids] of Object.entries(keys)) {
+            mapped[key] = ids.get(row[key])
+            if (!mapped[key]) return []
+          }
+          return [mapped]
+        })
+
+      summary.created.post_labels = await this.insertRows(
+        'post_labels',
+        remapLinks(table('post_labels'), { post_id: postIds, label_id: labelIds })
+      )
+      summary.created.journal_entries = await this.insertRows(
+        'journal_entries',
+        remapLinks(table('journal_entries'), { journal_id: journalIds, post_id: postIds })
+      )
+      summary.created.collection_entries = await this.insertRows(
+        'collection_entries',
+        remapLinks(table('collection_entries'), { collection_id: collectionIds, post_id: postIds })
+      )
+      log(`Imported ${summary.created.posts} posts, ${summary.created.journals} journals, ${summary.created.collections} collections`)
+
+      // Page layouts replace the slot they were exported from
+      const layouts = table('page_layouts').map(({ id, ...layout }) => rewrite(layout))
+      if (layouts.length > 0) {
+        restores.push(await this.snapshot('page_layouts', 'id'))
+      }
+      if (layouts.some(layout => layout.is_universal_wallpaper)) {
+        const { error } = await this.supabase
+          .from('page_layouts')
+          .update({ is_universal_wallpaper: false })
+          .eq('is_universal_wallpaper', true)
+        if (error) throw error
+      }
+      if (layouts.length > 0) {
+        const { error } = await this.supabase
+          .from('page_layouts')
+          .upsert(layouts, { onConflict: 'page_id,slot_number' })
+        if (error) throw new Error(`Failed to import page_layouts: ${error.message}`)
+      }
+      summary.created.page_layouts = layouts.length
+
+      // Settings
+      const settings = table('system_settings')
+        .filter(setting => EXPORTED_SETTINGS.includes(setting.key))
+        .map(setting => ({ ...setting, updated_by: ownerId }))
+      if (settings.length > 0) {
+        restores.push(await this.snapshot('system_settings', 'key', row => EXPORTED_SETTINGS.includes(row.key)))
+        const { error } = await this.supabase
+          .from('system_settings')
+          .upsert(settings, { onConflict: 'key' })
+        if (error) throw new Error(`Failed to import system_settings: ${error.message}`)
+      }
+      summary.created.system_settings = settings.length
+
+      const [compression] = table('compression_settings')
+      summary.created.compression_settings = compression ? await this.importCompressionSettings(compression, warn, restores) : 0
+    } catch (error) {
+      await this.rollback(created, restores, uploaded, log)
+      throw error
+    }
+
+    // Keep post_images in step with the imported content
+    for (const post of posts) {
+      try {
+        await imageTrackingService.syncPostImages(post.id, post.content_rich, post.cover_image_url || undefined)
+      } catch (error: any) {
+        warn(`Image tracking failed for post "${post.title}": ${error.message}`)
+      }
+    }
+
+    return summary
+  }
+
+  private readJson<T>(files: Map<string, ZipFile>, name: string): T {
+    const file = files.get(name)
+    if (!file) {
+      throw archiveError(`Archive is missing ${name}`)
+    }
+    let text: string
+    try {
+      text = file.read().toString('utf8')
+    } catch (error: any) {
+      throw archiveError(`Invalid archive: ${error.message}`)
+    }
+    try {
+      return JSON.parse(text)
+    } catch {
+      throw archiveError(`Archive file ${name} is not valid JSON`)
+    }
+  }
+
+  private async fetchAll(table: string, order: string[], columns = '*'): Promise<Row[]> {
+    const rows: Row[] = []
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = this.supabase.from(table).select(columns)
+      for (const column of order) {
+        query = query.order(column, { ascending: true })
+      }
+      const { data, error } = await query.range(from, from + PAGE_SIZE - 1)
+      if (error) throw new Error(`Failed to read ${table}: ${error.message}`)
+      rows.push(...(data as Row[] || []))
+      if (!data || data.length < PAGE_SIZE) return rows
+    }
+  }
+
+  private async insertRows(table: string, rows: Row[], created?: CreatedRows): Promise<number> {
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const batch = rows.slice(i, i + INSERT_BATCH_SIZE)
+      const { error } = await this.supabase.from(table).insert(batch)
+      if (error) throw new Error(`Failed to import ${table}: ${error.message}`)
+      created?.push({ table, ids: batch.map(row => row.id) })
+    }
+    return rows.length
+  }
+
+  /**
+   * Undo a failed import: put back the rows it replaced, delete the rows it
+   * created (newest first) and the files it uploaded
+   * Link rows cascade with their post, journal, collection or label.
+   */
+  private async rollback(created: CreatedRows, restores: Restore[], uploaded: string[], log: Logger): Promise<void> {
+    for (const restore of [...restores].reverse()) {
+      try {
+        await restore()
+      } catch (error: any) {
+        console.error('Failed to restore replaced rows:', error.message)
+      }
+    }
+
+    for (const { table, ids } of [...created].reverse()) {
+      const { error } = await this.supabase.from(table).delete().in('id', ids)
+      if (error) {
+        console.error(`Failed to roll back imported ${table}:`, error.message)
+        continue
+      }
+      log(`Rolled back ${ids.length} ${table}`)
+    }
+
+    let deleted = 0
+    for (const path of uploaded) {
+      try {
+        if (await storage.delete(path)) deleted++
+      } catch (error: any) {
+        console.error(`Failed to delete imported file ${path}:`, error.message)
+      }
+    }
+    if (uploaded.length > 0) {
+      log(`Deleted ${deleted} uploaded files`)
+    }
+  }
+
+  /**
+   * Copy of the rows (those matching include) an import is about to replace
+   * The returned restore writes them back and deletes matching rows added since.
+   */
+  private async snapshot(table: string, key: string, include: (row: Row) => boolean = () => true): Promise<Restore> {
+    const before = (await this.fetchAll(table, [key])).filter(include)
+    const keys = new Set(before.map(row => row[key]))
+
+    return async () => {
+      const added = (await this.fetchAll(table, [key]))
+        .filter(row => include(row) && !keys.has(row[key]))
+        .map(row => row[key])
+      if (added.length > 0) {
+        const { error } = await this.supabase.from(table).delete().in(key, added)
+        if (error) throw new Error(`Failed to restore ${table}: ${error.message}`)
+      }
+      if (before.length > 0) {
+        const { error } = await this.supabase.from(table).upsert(before, { onConflict: key })
+        if (error) throw new Error(`Failed to restore ${table}: ${error.message}`)
+      }
+    }
+  }
+
+  /**
+   * The site-wide compression settings row (user_id IS NULL), if the table exists
+   */
+  private async fetchCompressionSettings(log: Logger): Promise<Row[]> {
+    const { data, error } = await this.supabase
+      .from('compression_settings')
+      .select('*')
+      .is('user_id', null)
+      .order('created_at', { ascending: false })
+      .limit(1)
+
+    if (error) {
+      log(`Skipped compression settings: ${error.message}`)
+      return []
+    }
+    return (data || []).map(({ id, user_id, created_at, updated_at, ...settings }: Row) => settings)
+  }
+
+  private async importCompressionSettings(settings: Row, warn: Logger, restores: Restore[]): Promise<number> {
+    const { id, user_id, created_at, updated_at, ...values } = settings
+    const { data: existing, error } = await this.supabase
+      .from('compression_settings')
+      .select('*')
+      .is('user_id', null)
+      .order('created_at', { ascending: false })
+      .limit(1)
+
+    if (error) {
+      warn(`Compression settings not imported: ${error.message}`)
+      return 0
+    }
+
+    const previous: Row | undefined = existing?.[0]
+    const result = previous
+      ? await this.supabase.from('compression_settings').update(values).eq('id', previous.id)
+      : await this.supabase.from('compression_settings').insert(values).select('id').single()
+
+    if (result.error) {
+      warn(`Compression settings not imported: ${result.error.message}`)
+      return 0
+    }
+
+    restores.push(async () => {
+      const { error: restoreError } = previous
+        ? await this.supabase.from('compression_settings').update(previous).eq('id', previous.id)
+        : await this.supabase.from('compression_settings').delete().eq('id', (result.data as Row).id)
+      if (restoreError) throw new Error(`Failed to restore compression_settings: ${restoreError.message}`)
+    })
+    return 1
+  }
+
+  /**
+   * Every image URL served by one of our storage drivers, in first-seen order
+   */
+  private collectImageUrls(data: Record<string, Row[]>): string[] {
+    const patterns = [LOCAL_UPLOAD_URL]
+    const supabaseUrl = (process.env.SUPABASE_URL || '').replace(/\/+$/, '')
+    if (supabaseUrl) {
+      const bucket = process.env.SUPABASE_BUCKET || 'public-images'
+      patterns.push(new RegExp(
+        `${escapeRegExp(supabaseUrl)}/storage/v1/object/public/${escapeRegExp(bucket)}/[^\\s"'<>()?#\\\\]+`,
+        'g'
+      ))
+    }
+
+    const urls = new Set<string>()
+    mapStrings(data, text => {
+      for (const pattern of patterns) {
+        for (const match of text.matchAll(pattern)) {
+          urls.add(match[0])
+        }
+      }
+      return text
+    })
+    return [...urls]
+  }
+
+  private async readImage(url: string): Promise<Buffer> {
+    if (url.startsWith('/uploads/')) {
+      const filePath = path.resolve(UPLOADS_DIR, decodeURIComponent(url.slice('/uploads/'.length)))
+      if (!filePath.startsWith(UPLOADS_DIR + path.sep)) {
+        throw new Error('Path escapes the uploads directory')
+      }
+      return fs.readFile(filePath)
+    }
+
+    const response = await fetch(url)
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+    return Buffer.from(await response.arrayBuffer())
+  }
+
+  /**
+   * Replace old values (image URLs, post ids) with their new ones anywhere in a row
+   */
+  private createRewriter(valueMap: Map<string, string>): (row: Row) => Row {
+    if (valueMap.size === 0) return row => row
+
+    // Longest first so one value never matches inside a longer one
+    const pattern = new RegExp(
+      [...valueMap.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'),
+      'g'
+    )
+    return row => mapStrings(row, text => text.replace(pattern, match => valueMap.get(match) || match))
+  }
+}
+
+export const siteArchiveService = new SiteArchiveService()
@@ -0,0 +1,109 @@
+/**
+ * SPA Shell
+ *
+ * Loads the client's built index.html so the server can return it with
+ * page-specific head tags. Reads CLIENT_DIST_DIR when the client build is
+ * deployed alongside the API, otherwise fetches index.html from SITE_URL.
+ * The shell is cached briefly so a client deploy is picked up quickly, and
+ * the last good copy is kept if a refresh fails.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { getSiteUrl } from '../utils/siteUrl.ts'
+
+// How long a loaded shell is reused before refreshing
+const SHELL_TTL_MS = 60 * 1000
+
+// Used only when no shell has ever been loaded. Crawlers still get the
+// head tags; browsers load the real index.html from the site themselves and
+// replace the page with it, so the app starts at this URL.
+const FALLBACK_SHELL = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  </head>
+  <body>
+    <div id="root"></div>
+    <script>
+      fetch('/index.html', { headers: { Accept: 'text/html' } })
+        .then(function (response) {
+          if (!response.ok) throw new Error('HTTP ' + response.status)
+          return response.text()
+        })
+        .then(function (html) {
+          document.open()
+          document.write(html)
+          document.close()
+        })
+        .catch(function () {
+          document.getElementById('root').innerHTML = '<p><a href="/">Continue to the site</a></p>'
+        })
+    </script>
+    <noscript><p><a href="/">Continue to the site</a></p></noscript>
+  </body>
+</html>
+`
+
+export class SpaShell {
+  private html: string | null = null
+  private loadedAt = 0
+  private pending: Promise<string> | null = null
+
+  /**
+   * Current shell HTML (cached, refreshed after SHELL_TTL_MS)
+   */
+  async getShell(): Promise<string> {
+    if (this.html && Date.now() - this.loadedAt < SHELL_TTL_MS) {
+      return this.html
+    }
+
+    // Share one refresh between concurrent requests
+    if (!this.pending) {
+      this.pending = this.refresh().finally(() => {
+        this.pending = null
+      })
+    }
+    return this.pending
+  }
+
+  /**
+   * Whether getShell() had to fall back (the page shouldn't be cached)
+   */
+  isFallback(html: string): boolean {
+    return html === FALLBACK_SHELL
+  }
+
+  private async refresh(): Promise<string> {
+    try {
+      const html = await this.load()
+      this.html = html
+      this.loadedAt = Date.now()
+      return html
+    } catch (error) {
+      console.warn('Failed to load SPA shell:', error instanceof Error ? error.message : error)
+      // Retry on the next TTL window rather than every request
+      this.loadedAt = Date.now()
+      return this.html || FALLBACK_SHELL
+    }
+  }
+
+  private async load(): Promise<string> {
+    const distDir = process.env.CLIENT_DIST_DIR
+    if (distDir) {
+      return fs.readFile(path.join(distDir, 'index.html'), 'utf8')
+    }
+
+    const response = await fetch(`${getSiteUrl()}/index.html`, {
+      headers: { Accept: 'text/html' },
+      signal: AbortSignal.timeout(5000)
+    })
+    if (!response.ok) {
+      throw new Error(`index.html request failed with HTTP ${response.status}`)
+    }
+    return response.text()
+  }
+}
+
+export const spaShell = new SpaShell()
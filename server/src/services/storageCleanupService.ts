@@ -0,0 +1,264 @@
+/**
+ * Storage Cleanup Service
+ *
+ * Deletes stored files that nothing uses any more. A file is in use when
+ * its path appears anywhere in the content tables (posts, revisions,
+ * drafts, journals, collections, page layouts, settings, profiles), when
+ * it's in the image library (images table), or when it's an image variant
+ * of a file in use.
+ *
+ * Files younger than a grace period are always kept: the editor uploads
+ * images before the post that uses them is saved.
+ */
+
+import crypto from 'crypto'
+import { getSupabaseAdmin } from '../../auth/supabaseAdmin.ts'
+import { storage } from '../storage/index.ts'
+import { StoredFile } from '../storage/driver.ts'
+
+export const DEFAULT_MIN_AGE_HOURS = 24
+
+// Everything that can point at an uploaded file; rows are searched as JSON
+const REFERENCE_TABLES = [
+  'posts',
+  'post_revisions',
+  'post_drafts',
+  'journals',
+  'collections',
+  'page_layouts',
+  'system_settings',
+  'profiles'
+]
+
+const PAGE_SIZE = 1000
+
+export interface CleanupResult {
+  deleted: StoredFile[]
+  failed: { path: string; error: string }[]
+  bytesFreed: number
+}
+
+export interface DuplicateFileGroup {
+  hash: string
+  size: number
+  kept: StoredFile[]
+  removable: StoredFile[]
+}
+
+interface References {
+  content: string
+  library: Set<string>
+  // Variant path -> path of the image it was made from
+  variantSources: Map<string, string>
+}
+
+function isMissingTable(error: any): boolean {
+  return error?.code === '42P01' || error?.code === 'PGRST205' || /does not exist/i.test(error?.message || '')
+}
+
+function mentions(text: string, file: StoredFile): boolean {
+  return text.includes(file.path) || text.includes(encodeURI(file.path))
+}
+
+export class StorageCleanupService {
+  private supabase = getSupabaseAdmin()
+
+  /**
+   * Files older than minAgeHours that nothing uses
+   */
+  async findOrphans(minAgeHours: number = DEFAULT_MIN_AGE_HOURS): Promise<StoredFile[]> {
+    const [files, references] = await Promise.all([storage.list(), this.loadReferences()])
+    const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000
+
+    return files.filter(file =>
+      file.updatedAt.getTime() < cutoff && !this.isUsed(file, references, new Set())
+    )
+  }
+
+  /**
+   * Groups of files with identical contents
+   * In each group the copies used by content are kept, or the oldest copy
+   * if none is; the rest (including extra image library entries) can go.
+   */
+  async findDuplicates(minAgeHours: number = DEFAULT_MIN_AGE_HOURS): Promise<DuplicateFileGroup[]> {
+    const [files, references] = await Promise.all([storage.list(), this.loadReferences()])
+    const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000
+
+    // Only files of the same size can be identical, so only those get read
+    const bySize = new Map<number, StoredFile[]>()
+    for (const file of files) {
+      bySize.set(file.size, [...(bySize.get(file.size) || []), file])
+    }
+
+    const groups: DuplicateFileGroup[] = []
+
+    for (const [size, sameSize] of bySize) {
+      if (sameSize.length < 2) continue
+
+      const byHash = new Map<string, StoredFile[]>()
+      for (const file of sameSize) {
+        const hash = await this.hashFile(file.path)
+        byHash.set(hash, [...(byHash.get(hash) || []), file])
+      }
+
+      for (const [hash, copies] of byHash) {
+        if (copies.length < 2) continue
+
+        const oldestFirst = [...copies].sort((a, b) => a.updatedAt.getTime() - b.updatedAt.getTime())
+        const usedByContent = oldestFirst.filter(file =>
+          mentions(references.content, file) || this.isUsedVariant(file, references)
+        )
+        const kept = usedByContent.length > 0 ? usedByContent : [oldestFirst[0]]
+
+        groups.push({
+          hash,
+          size,
+          kept,
+          removable: oldestFirst.filter(file => !kept.includes(file) && file.updatedAt.getTime() < cutoff)
+        })
+      }
+    }
+
+    return groups.sort((a, b) => b.removable.length - a.removable.length)
+  }
+
+  /**
+   * Delete the files a deleted row (e.g. a post) pointed at, unless something
+   * else still uses them. Their image variants go with them.
+   */
+  async removeFilesOf(deletedRows: unknown[]): Promise<CleanupResult> {
+    const text = JSON.stringify(deletedRows)
+    const [files, references] = await Promise.all([storage.list(), this.loadReferences()])
+
+    const candidates = files.filter(file => {
+      if (mentions(text, file)) return true
+      const source = references.variantSources.get(file.path)
+      return !!source && text.includes(source)
+    })
+
+    return this.removeFiles(candidates.filter(file => !this.isUsed(file, references, new Set())))
+  }
+
+  /**
+   * Delete files and the rows that describe them
+   */
+  async removeFiles(files: StoredFile[]): Promise<CleanupResult> {
+    const result: CleanupResult = { deleted: [], failed: [], bytesFreed: 0 }
+
+    for (const file of files) {
+      try {
+        await storage.delete(file.path)
+        result.deleted.push(file)
+        result.bytesFreed += file.size
+      } catch (error: any) {
+        result.failed.push({ path: file.path, error: error.message })
+      }
+    }
+
+    if (result.deleted.length > 0) {
+      await this.forgetFiles(result.deleted)
+    }
+
+    return result
+  }
+
+  private async forgetFiles(files: StoredFile[]): Promise<void> {
+    const paths = files.map(file => file.path)
+    const urls = files.map(file => file.url)
+
+    for (let start = 0; start < files.length; start += 100) {
+      const pathChunk = paths.slice(start, start + 100)
+      const urlChunk = urls.slice(start, start + 100)
+
+      const deletions = [
+        this.supabase.from('image_variants').delete().in('path', pathChunk),
+        this.supabase.from('image_variants').delete().in('source_url', urlChunk),
+        this.supabase.from('images').delete().in('path', pathChunk)
+      ]
+
+      for (const { error } of await Promise.all(deletions)) {
+        if (error && !isMissingTable(error)) {
+          console.warn('Could not remove rows for deleted files:', error.message)
+        }
+      }
+    }
+  }
+
+  private isUsed(file: StoredFile, references: References, seen: Set<string>): boolean {
+    if (seen.has(file.path)) return false
+    seen.add(file.path)
+
+    if (mentions(references.content, file) || references.library.has(file.path)) {
+      return true
+    }
+
+    const source = references.variantSources.get(file.path)
+    return !!source && this.isUsed({ ...file, path: source }, references, seen)
+  }
+
+  private isUsedVariant(file: StoredFile, references: References): boolean {
+    const source = references.variantSources.get(file.path)
+    return !!source && references.content.includes(source)
+  }
+
+  private async loadReferences(): Promise<References> {
+    const chunks: string[] = []
+
+    for (const table of REFERENCE_TABLES) {
+      for (const row of await this.fetchAll(table, '*')) {
+        chunks.push(JSON.stringify(row))
+      }
+    }
+
+    const library = new Set<string>(
+      (await this.fetchAll('images', 'path')).map(row => row.path).filter(Boolean)
+    )
+
+    const variantRows = await this.fetchAll('image_variants', 'source_url, url, path')
+    const sourcePaths = new Map<string, string>()
+    for (const row of variantRows) {
+      if (row.url === row.source_url) sourcePaths.set(row.source_url, row.path)
+    }
+
+    const variantSources = new Map<string, string>()
+    for (const row of variantRows) {
+      const sourcePath = sourcePaths.get(row.source_url)
+      if (row.url !== row.source_url && sourcePath) variantSources.set(row.path, sourcePath)
+    }
+
+    return { content: chunks.join('\n'), library, variantSources }
+  }
+
+  // Every row of a table; a table that doesn't exist yet has none. Any other
+  // error throws: cleaning up with some references unknown would delete
+  // files that are in use.
+  private async fetchAll(table: string, columns: string): Promise<any[]> {
+    const rows: any[] = []
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .from(table)
+        .select(columns)
+        .range(offset, offset + PAGE_SIZE - 1)
+
+      if (error) {
+        if (isMissingTable(error)) return rows
+        throw error
+      }
+
+      rows.push(...(data || []))
+      if (!data || data.length < PAGE_SIZE) return rows
+    }
+  }
+
+  private async hashFile(path: string): Promise<string> {
+    const hash = crypto.createHash('sha256')
+    for await (const chunk of await storage.getReadStream(path)) {
+      hash.update(chunk)
+    }
+    return hash.digest('hex')
+  }
+}
+
+// Export singleton instance
+export const storageCleanupService = new StorageCleanupService()
@@ -0,0 +1,376 @@
+/**
+ * Storage Migration Service
+ *
+ * Moves uploads from one STORAGE_DRIVER to another: copies every file to
+ * the same path in the target, then rewrites the stored URLs that point at
+ * the old files (post content and covers, revisions, drafts, journal icons
+ * and wallpapers, page layouts, settings, avatars, image variants).
+ *
+ * Files already in the target with the same size are skipped, so an
+ * interrupted run is finished by running it again. Source files are left
+ * where they are. Each run is recorded in storage_migration_log.
+ */
+
+import { getSupabaseAdmin } from '../../auth/supabaseAdmin.ts'
+import { createStorageDriver, STORAGE_DRIVERS } from '../storage/index.ts'
+import { StorageDriver, StoredFile } from '../storage/driver.ts'
+import { contentTypeFor } from '../storage/mediaTypes.ts'
+
+// Columns that can hold upload URLs, as plain text or inside JSON
+const URL_COLUMNS: { table: string; key: string; columns: string[] }[] = [
+  { table: 'posts', key: 'id', columns: ['content_rich', 'content_html', 'cover_image_url'] },
+  { table: 'post_revisions', key: 'id', columns: ['content_rich', 'content_html', 'cover_image_url'] },
+  { table: 'post_drafts', key: 'id', columns: ['data'] },
+  { table: 'post_images', key: 'id', columns: ['image_url'] },
+  { table: 'journals', key: 'id', columns: ['icon_image_url', 'wallpaper_url'] },
+  { table: 'page_layouts', key: 'id', columns: ['cards', 'settings', 'wallpaper'] },
+  { table: 'system_settings', key: 'key', columns: ['value'] },
+  { table: 'profiles', key: 'id', columns: ['avatar_url'] },
+  { table: 'image_variants', key: 'id', columns: ['source_url', 'url'] }
+]
+
+// Absolute URLs, and the relative /uploads/... URLs of the local driver
+const URL_PATTERN = /https?:\/\/[^\s"'<>()\\]+|\/uploads\/[^\s"'<>()\\]+/g
+
+const PAGE_SIZE = 1000
+
+// How often (in files) the log row's counters are updated during the copy
+const PROGRESS_INTERVAL = 25
+
+// Failures kept in the log row and the report; the counter has the total
+const MAX_REPORTED_FAILURES = 100
+
+export interface StorageMigrationOptions {
+  from: string
+  to: string
+  dryRun?: boolean
+  log?: (message: string) => void
+}
+
+export interface StorageMigrationReport {
+  id: string | null
+  from: string
+  to: string
+  dryRun: boolean
+  files: {
+    found: number
+    // In a dry run: the files a real run would copy
+    copied: number
+    skipped: number
+    failed: number
+    bytes: number
+  }
+  failures: { path: string; error: string }[]
+  references: {
+    rows: number
+    urls: number
+    // Rewritten rows per table
+    tables: Record<string, number>
+  }
+}
+
+function isMissingTable(error: any): boolean {
+  return error?.code === '42P01' || error?.code === 'PGRST205' || /does not exist/i.test(error?.message || '')
+}
+
+function httpError(message: string, statusCode: number): Error {
+  const error = new Error(message) as any
+  error.statusCode = statusCode
+  return error
+}
+
+/**
+ * Replace the upload URLs in a column value that urlMap knows
+ * Text columns are rewritten as they are, JSON columns as JSON text.
+ */
+export function rewriteValue(value: unknown, urlMap: Map<string, string>): { value: unknown; count: number } {
+  const isText = typeof value === 'string'
+  let count = 0
+
+  const rewritten = (isText ? value : JSON.stringify(value)).replace(URL_PATTERN, url => {
+    const replacement = lookupUrl(url, urlMap)
+    if (replacement === undefined) return url
+    count++
+    return replacement
+  })
+
+  if (count === 0) return { value, count }
+  return { value: isText ? rewritten : JSON.parse(rewritten), count }
+}
+
+/**
+ * The new URL for a stored one, allowing for absolute local URLs and
+ * different percent-encoding
+ */
+export function lookupUrl(url: string, urlMap: Map<string, string>): string | undefined {
+  const candidates = [url]
+
+  // Local URLs are also stored absolute (http://host/uploads/...)
+  const uploadsAt = url.indexOf('/uploads/')
+  if (/^https?:\/\//.test(url) && uploadsAt > 0) {
+    candidates.push(url.slice(uploadsAt))
+  }
+
+  for (const candidate of candidates) {
+    const direct = urlMap.get(candidate)
+    if (direct !== undefined) return direct
+
+    // Stored URLs may be percent-encoded differently from the driver's
+    try {
+      const decoded = urlMap.get(decodeURI(candidate)) ?? urlMap.get(encodeURI(decodeURI(candidate)))
+      if (decoded !== undefined) return decoded
+    } catch {}
+  }
+
+  return undefined
+}
+
+export class StorageMigrationService {
+  private supabase = getSupabaseAdmin()
+  private running = false
+
+  /**
+   * Migrate and wait for the report
+   */
+  async migrate(options: StorageMigrationOptions): Promise<StorageMigrationReport> {
+    const { done } = await this.start(options)
+    return done
+  }
+
+  /**
+   * Check both drivers and open the log entry, then migrate in the
+   * background. Throws (with statusCode) if the run can't start; done
+   * rejects if it fails part way.
+   */
+  async start(options: StorageMigrationOptions): Promise<{ id: string | null; done: Promise<StorageMigrationReport> }> {
+    const { from, to, dryRun = false } = options
+
+    if (!STORAGE_DRIVERS.includes(from) || !STORAGE_DRIVERS.includes(to)) {
+      throw httpError(`Unknown storage driver. Available: ${STORAGE_DRIVERS.join(', ')}`, 400)
+    }
+    if (from === to) {
+      throw httpError('Source and target driver must differ', 400)
+    }
+    if (this.running) {
+      throw httpError('A storage migration is already running', 409)
+    }
+
+    this.running = true
+    try {
+      const source = createStorageDriver(from)
+      const target = createStorageDriver(to)
+
+      for (const [name, driver] of [[from, source], [to, target]] as [string, StorageDriver][]) {
+        const health = await driver.health()
+        if (!health.ok) {
+          throw httpError(`Storage driver '${name}' is not available: ${health.details}`, 503)
+        }
+      }
+
+      const id = await this.openLog(from, to, dryRun)
+      const done = this.run(source, target, { ...options, dryRun }, id).finally(() => {
+        this.running = false
+      })
+      return { id, done }
+    } catch (error) {
+      this.running = false
+      throw error
+    }
+  }
+
+  /**
+   * Recent runs, newest first
+   */
+  async history(limit: number = 20): Promise<any[]> {
+    const { data, error } = await this.supabase
+      .from('storage_migration_log')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit)
+
+    if (error) {
+      if (isMissingTable(error)) return []
+      throw error
+    }
+    return data || []
+  }
+
+  private async run(
+    source: StorageDriver,
+    target: StorageDriver,
+    options: StorageMigrationOptions,
+    id: string | null
+  ): Promise<StorageMigrationReport> {
+    const { from, to, dryRun = false, log = () => {} } = options
+    const report: StorageMigrationReport = {
+      id,
+      from,
+      to,
+      dryRun,
+      files: { found: 0, copied: 0, skipped: 0, failed: 0, bytes: 0 },
+      failures: [],
+      references: { rows: 0, urls: 0, tables: {} }
+    }
+
+    try {
+      const [files, existing] = await Promise.all([source.list(), target.list()])
+      const existingSizes = new Map(existing.map(file => [file.path, file.size]))
+      report.files.found = files.length
+      log(`${files.length} files in ${from}, ${existing.length} already in ${to}`)
+
+      // Old URL -> new URL, for every file that is (or would be) in the target
+      const urlMap = new Map<string, string>()
+
+      for (const [index, file] of files.entries()) {
+        if (existingSizes.get(file.path) === file.size) {
+          report.files.skipped++
+          urlMap.set(file.url, target.publicUrl(file.path))
+        } else if (dryRun) {
+          report.files.copied++
+          report.files.bytes += file.size
+          urlMap.set(file.url, target.publicUrl(file.path))
+        } else {
+          try {
+            const copied = await this.copyFile(source, target, file)
+            report.files.copied++
+            report.files.bytes += file.size
+            urlMap.set(file.url, copied.url)
+          } catch (error: any) {
+            report.files.failed++
+            if (report.failures.length < MAX_REPORTED_FAILURES) {
+              report.failures.push({ path: file.path, error: error.message })
+            }
+            log(`Could not copy ${file.path}: ${error.message}`)
+          }
+        }
+
+        if ((index + 1) % PROGRESS_INTERVAL === 0) {
+          log(`${index + 1}/${files.length} files`)
+          await this.updateLog(id, report)
+        }
+      }
+
+      log(`${dryRun ? 'Would copy' : 'Copied'} ${report.files.copied} files, skipped ${report.files.skipped}, ${report.files.failed} failed`)
+      await this.updateLog(id, report)
+
+      await this.rewriteReferences(urlMap, report, dryRun, log)
+
+      await this.updateLog(id, report, { status: 'completed', completed_at: new Date().toISOString() })
+      return report
+    } catch (error: any) {
+      await this.updateLog(id, report, {
+        status: 'failed',
+        completed_at: new Date().toISOString(),
+        error_message: error.message
+      })
+      throw error
+    }
+  }
+
+  private async copyFile(source: StorageDriver, target: StorageDriver, file: StoredFile): Promise<{ url: string, path: string }> {
+    const buffer = await source.read(file.path)
+    return target.write(file.path, buffer, contentTypeFor(file.path))
+  }
+
+  private async rewriteReferences(
+    urlMap: Map<string, string>,
+    report: StorageMigrationReport,
+    dryRun: boolean,
+    log: (message: string) => void
+  ): Promise<void> {
+    if (urlMap.size === 0) return
+
+    for (const { table, key, columns } of URL_COLUMNS) {
+      let rewrittenRows = 0
+
+      for (const row of await this.fetchAll(table)) {
+        const changes: Record<string, unknown> = {}
+
+        for (const column of columns) {
+          if (row[column] === null || row[column] === undefined) continue
+
+          const { value, count } = rewriteValue(row[column], urlMap)
+          if (count > 0) {
+            changes[column] = value
+            report.references.urls += count
+          }
+        }
+
+        if (Object.keys(changes).length === 0) continue
+
+        if (!dryRun) {
+          const { error } = await this.supabase.from(table).update(changes).eq(key, row[key])
+          if (error) throw error
+        }
+        rewrittenRows++
+      }
+
+      if (rewrittenRows > 0) {
+        report.references.tables[table] = rewrittenRows
+        report.references.rows += rewrittenRows
+        log(`${dryRun ? 'Would rewrite' : 'Rewrote'} URLs in ${rewrittenRows} ${table} rows`)
+      }
+    }
+  }
+
+  private async openLog(from: string, to: string, dryRun: boolean): Promise<string | null> {
+    const { data, error } = await this.supabase
+      .from('storage_migration_log')
+      .insert({ source_driver: from, target_driver: to, dry_run: dryRun })
+      .select('id')
+      .single()
+
+    if (error) {
+      // Non-fatal: the migration itself doesn't need the log
+      console.log('⚠️ Could not log storage migration (table may not exist):', error.message)
+      return null
+    }
+    return data.id
+  }
+
+  private async updateLog(id: string | null, report: StorageMigrationReport, fields: Record<string, unknown> = {}): Promise<void> {
+    if (!id) return
+
+    const { error } = await this.supabase
+      .from('storage_migration_log')
+      .update({
+        files_found: report.files.found,
+        files_copied: report.files.copied,
+        files_skipped: report.files.skipped,
+        files_failed: report.files.failed,
+        bytes_copied: report.files.bytes,
+        rows_rewritten: report.references.rows,
+        urls_rewritten: report.references.urls,
+        failures: report.failures,
+        ...fields
+      })
+      .eq('id', id)
+
+    if (error) {
+      console.log('⚠️ Could not update storage migration log:', error.message)
+    }
+  }
+
+  // Every row of a table; a table that doesn't exist yet has none
+  private async fetchAll(table: string): Promise<any[]> {
+    const rows: any[] = []
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .from(table)
+        .select('*')
+        .range(offset, offset + PAGE_SIZE - 1)
+
+      if (error) {
+        if (isMissingTable(error)) return rows
+        throw error
+      }
+
+      rows.push(...(data || []))
+      if (!data || data.length < PAGE_SIZE) return rows
+    }
+  }
+}
+
+// Export singleton instance
+export const storageMigrationService = new StorageMigrationService()
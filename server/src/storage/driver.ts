@@ -1,4 +1,32 @@
+import { Readable } from 'stream';
+
+// A file as the driver stores it; path is relative to the uploads root / bucket
+export interface StoredFile {
+  path: string;
+  url: string;
+  size: number;
+  updatedAt: Date;
+}
+
 export interface StorageDriver {
   putImage(params: { buffer: Buffer; mime: string; filenameHint?: string }): Promise<{ url: string, path: string }>;
+  putMedia(params: { buffer: Buffer; mime: string; filenameHint?: string }): Promise<{ url: string, path: string }>;
+  // Contents of a stored file; throws with statusCode 404 if there is none
+  read(path: string): Promise<Buffer>;
+  // Same as read, without holding the whole file in memory
+  getReadStream(path: string): Promise<Readable>;
+  // Size and modification time, or null if there is no such file
+  stat(path: string): Promise<StoredFile | null>;
+  // Every file under a folder prefix (e.g. '2025/09'), including subfolders
+  list(prefix?: string): Promise<StoredFile[]>;
+  // Throws with statusCode 404 if the source is missing and 409 if the target exists
+  copy(fromPath: string, toPath: string): Promise<{ url: string, path: string }>;
+  // Resolves to false if there was no such file
+  delete(path: string): Promise<boolean>;
+  // Stores a file at an exact path, replacing any file there, without the
+  // checks putImage / putMedia make; used to move files between drivers
+  write(path: string, buffer: Buffer, mime: string): Promise<{ url: string, path: string }>;
+  // The URL a file at this path is served from, whether or not it exists
+  publicUrl(path: string): string;
   health(): Promise<{ ok: boolean; details?: string }>;
 }
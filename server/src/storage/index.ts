@@ -1,13 +1,22 @@
 import { StorageDriver } from './driver.ts';
 import { LocalStorageDriver } from './localDriver.ts';
 import { SupabaseStorageDriver } from './supabaseDriver.ts';
+import { S3StorageDriver } from './s3Driver.ts';
 
-const DRIVER = (process.env.STORAGE_DRIVER || 'local').toLowerCase(); // 'local' | 'supabase'
+export const STORAGE_DRIVERS = ['local', 'supabase', 's3'];
 
-function createStorageDriver(): StorageDriver {
-  switch (DRIVER) {
+const DRIVER = (process.env.STORAGE_DRIVER || 'local').toLowerCase(); // 'local' | 'supabase' | 's3'
+
+/**
+ * A driver by name, configured from the environment like the active one
+ * (the storage migration needs the old and the new driver side by side)
+ */
+export function createStorageDriver(driver: string = DRIVER): StorageDriver {
+  switch (driver) {
     case 'supabase':
       return new SupabaseStorageDriver();
+    case 's3':
+      return new S3StorageDriver();
     case 'local':
     default:
       return new LocalStorageDriver();
@@ -1,7 +1,9 @@
-import { StorageDriver } from './driver.ts';
-import { promises as fs } from 'fs';
+import { StorageDriver, StoredFile } from './driver.ts';
+import { promises as fs, constants as fsConstants, createReadStream } from 'fs';
+import { Readable } from 'stream';
 import path from 'path';
 import crypto from 'crypto';
+import { MEDIA_EXTENSIONS, assertValidMedia } from './mediaTypes.ts';
 
 export class LocalStorageDriver implements StorageDriver {
   private uploadsDir: string;
@@ -21,7 +23,7 @@ export class LocalStorageDriver implements StorageDriver {
     const { buffer, mime, filenameHint } = params;
 
     // Validate mime type
-    const allowedTypes = ['image/png', 'image/jpg', 'image/jpeg', 'image/webp', 'image/gif'];
+    const allowedTypes = ['image/png', 'image/jpg', 'image/jpeg', 'image/webp', 'image/gif', 'image/avif'];
     if (!allowedTypes.includes(mime)) {
       const error = new Error(`Unsupported media type. Allowed: ${allowedTypes.join(', ')}`) as any;
       error.statusCode = 415;
@@ -36,6 +38,141 @@ export class LocalStorageDriver implements StorageDriver {
       throw error;
     }
 
+    return this.writeFile(buffer, mime, filenameHint);
+  }
+
+  async putMedia(params: { buffer: Buffer; mime: string; filenameHint?: string }): Promise<{ url: string, path: string }> {
+    const { buffer, mime, filenameHint } = params;
+
+    assertValidMedia(buffer, mime);
+
+    return this.writeFile(buffer, mime, filenameHint);
+  }
+
+  async read(filePath: string): Promise<Buffer> {
+    try {
+      return await fs.readFile(this.resolvePath(filePath));
+    } catch (error: any) {
+      throw this.mapNotFound(error, filePath);
+    }
+  }
+
+  async getReadStream(filePath: string): Promise<Readable> {
+    // Check first: a stream only reports a missing file once it's read
+    const file = await this.stat(filePath);
+    if (!file) {
+      throw this.notFound(filePath);
+    }
+    return createReadStream(this.resolvePath(filePath));
+  }
+
+  async stat(filePath: string): Promise<StoredFile | null> {
+    try {
+      const stats = await fs.stat(this.resolvePath(filePath));
+      return stats.isFile() ? this.toStoredFile(filePath, stats) : null;
+    } catch (error: any) {
+      if (error.code === 'ENOENT' || error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async list(prefix: string = ''): Promise<StoredFile[]> {
+    const root = path.resolve(this.uploadsDir);
+    const start = prefix ? this.resolvePath(prefix) : root;
+    const files: StoredFile[] = [];
+
+    const walk = async (dir: string): Promise<void> => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error: any) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        // Skip .gitkeep and the like
+        if (entry.name.startsWith('.')) continue;
+
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          files.push(this.toStoredFile(path.relative(root, fullPath), await fs.stat(fullPath)));
+        }
+      }
+    };
+
+    await walk(start);
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  async copy(fromPath: string, toPath: string): Promise<{ url: string, path: string }> {
+    const source = this.resolvePath(fromPath);
+    const target = this.resolvePath(toPath);
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await fs.copyFile(source, target, fsConstants.COPYFILE_EXCL);
+    } catch (error: any) {
+      if (error.code === 'EEXIST') {
+        const exists = new Error(`File already exists: ${toPath}`) as any;
+        exists.statusCode = 409;
+        throw exists;
+      }
+      throw this.mapNotFound(error, fromPath);
+    }
+
+    const relativePath = this.normalizePath(toPath);
+    return { url: this.publicUrl(relativePath), path: relativePath };
+  }
+
+  async delete(filePath: string): Promise<boolean> {
+    try {
+      await fs.unlink(this.resolvePath(filePath));
+      return true;
+    } catch (error: any) {
+      if (error.code === 'ENOENT' || error.statusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async write(filePath: string, buffer: Buffer, _mime: string): Promise<{ url: string, path: string }> {
+    const target = this.resolvePath(filePath);
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+
+    const relativePath = this.normalizePath(filePath);
+    return { url: this.publicUrl(relativePath), path: relativePath };
+  }
+
+  publicUrl(filePath: string): string {
+    return `/uploads/${this.normalizePath(filePath)}`;
+  }
+
+  async health(): Promise<{ ok: boolean; details?: string }> {
+    try {
+      // Check if uploads directory exists and is writable
+      await this.ensureUploadsDir();
+      
+      // Try to write a test file
+      const testPath = path.join(this.uploadsDir, 'health-check.tmp');
+      await fs.writeFile(testPath, 'test');
+      await fs.unlink(testPath);
+      
+      return { ok: true, details: `Local storage at ${this.uploadsDir}` };
+    } catch (error: any) {
+      return { ok: false, details: `Local storage error: ${error.message}` };
+    }
+  }
+
+  private async writeFile(buffer: Buffer, mime: string, filenameHint?: string): Promise<{ url: string, path: string }> {
     // Ensure uploads directory exists
     await this.ensureUploadsDir();
 
@@ -60,20 +197,41 @@ export class LocalStorageDriver implements StorageDriver {
     };
   }
 
-  async health(): Promise<{ ok: boolean; details?: string }> {
-    try {
-      // Check if uploads directory exists and is writable
-      await this.ensureUploadsDir();
-      
-      // Try to write a test file
-      const testPath = path.join(this.uploadsDir, 'health-check.tmp');
-      await fs.writeFile(testPath, 'test');
-      await fs.unlink(testPath);
-      
-      return { ok: true, details: `Local storage at ${this.uploadsDir}` };
-    } catch (error: any) {
-      return { ok: false, details: `Local storage error: ${error.message}` };
+  // Stored paths are relative to the uploads directory and must stay inside it
+  private resolvePath(filePath: string): string {
+    const root = path.resolve(this.uploadsDir);
+    const fullPath = path.resolve(root, filePath);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw this.notFound(filePath);
     }
+    return fullPath;
+  }
+
+  private normalizePath(filePath: string): string {
+    return path.relative(path.resolve(this.uploadsDir), this.resolvePath(filePath)).replace(/\\/g, '/');
+  }
+
+  private toStoredFile(filePath: string, stats: { size: number; mtime: Date }): StoredFile {
+    const relativePath = this.normalizePath(filePath);
+    return {
+      path: relativePath,
+      url: this.publicUrl(relativePath),
+      size: stats.size,
+      updatedAt: stats.mtime
+    };
+  }
+
+  private mapNotFound(error: any, filePath: string): Error {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+      return this.notFound(filePath);
+    }
+    return error;
+  }
+
+  private notFound(filePath: string): Error {
+    const error = new Error(`File not found: ${filePath}`) as any;
+    error.statusCode = 404;
+    return error;
   }
 
   private async ensureUploadsDir(): Promise<void> {
@@ -112,8 +270,10 @@ export class LocalStorageDriver implements StorageDriver {
         return 'webp';
       case 'image/gif':
         return 'gif';
+      case 'image/avif':
+        return 'avif';
       default:
-        return 'jpg';
+        return MEDIA_EXTENSIONS[mime] || 'jpg';
     }
   }
 
@@ -0,0 +1,62 @@
+// Audio and video types accepted by StorageDriver.putMedia
+
+export const MEDIA_EXTENSIONS: Record<string, string> = {
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/ogg': 'ogv',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'weba',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/flac': 'flac'
+};
+
+export const MEDIA_MIME_TYPES = Object.keys(MEDIA_EXTENSIONS);
+
+export const MEDIA_MAX_BYTES = (parseInt(process.env.MAX_MEDIA_MB || '', 10) || 50) * 1024 * 1024;
+
+export function mediaKind(mime: string): 'audio' | 'video' {
+  return mime.startsWith('video/') ? 'video' : 'audio';
+}
+
+/**
+ * Throws a 415 / 413 error (statusCode set) for files putMedia must refuse
+ */
+export function assertValidMedia(buffer: Buffer, mime: string): void {
+  if (!MEDIA_EXTENSIONS[mime]) {
+    const error = new Error(`Unsupported media type. Allowed: ${MEDIA_MIME_TYPES.join(', ')}`) as any;
+    error.statusCode = 415;
+    throw error;
+  }
+
+  if (buffer.length > MEDIA_MAX_BYTES) {
+    const error = new Error(`File too large. Maximum size: ${MEDIA_MAX_BYTES / 1024 / 1024}MB`) as any;
+    error.statusCode = 413;
+    throw error;
+  }
+}
+
+const IMAGE_TYPES: Record<string, string> = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  avif: 'image/avif'
+};
+
+/**
+ * Content type of a stored file, from its extension
+ */
+export function contentTypeFor(path: string): string {
+  const ext = path.split('.').pop()?.toLowerCase() || '';
+  if (IMAGE_TYPES[ext]) {
+    return IMAGE_TYPES[ext];
+  }
+  const media = Object.keys(MEDIA_EXTENSIONS).find(mime => MEDIA_EXTENSIONS[mime] === ext);
+  return media || 'application/octet-stream';
+}
@@ -0,0 +1,379 @@
+import { StorageDriver, StoredFile } from './driver.ts';
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  HeadBucketCommand,
+  ListObjectsV2Command,
+  CopyObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { Readable } from 'stream';
+import crypto from 'crypto';
+import { MEDIA_EXTENSIONS, assertValidMedia } from './mediaTypes.ts';
+
+// S3 refuses multipart parts under 5MB (except the last)
+const MIN_PART_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Storage in any S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, ...)
+ *
+ * Paths are the same date-based paths the other drivers use; S3_PREFIX is
+ * prepended to make the object key, so files can share a bucket with
+ * other data. Public URLs are S3_PUBLIC_BASE_URL + key when set (a CDN or
+ * R2 public bucket URL serving the bucket root), otherwise the bucket's own
+ * URL.
+ */
+export class S3StorageDriver implements StorageDriver {
+  private bucketName: string;
+  private region: string;
+  private endpoint: string;
+  private prefix: string;
+  private forcePathStyle: boolean;
+  private publicBaseUrl: string;
+  private partSize: number;
+  private client: S3Client | null = null;
+
+  constructor() {
+    this.bucketName = process.env.S3_BUCKET || '';
+    this.region = process.env.S3_REGION || 'us-east-1';
+    this.endpoint = (process.env.S3_ENDPOINT || '').replace(/\/+$/, '');
+    this.prefix = (process.env.S3_PREFIX || '').replace(/^\/+|\/+$/g, '');
+    this.forcePathStyle = ['true', '1', 'yes'].includes((process.env.S3_FORCE_PATH_STYLE || '').toLowerCase());
+    this.publicBaseUrl = (process.env.S3_PUBLIC_BASE_URL || this.defaultPublicBaseUrl()).replace(/\/+$/, '');
+    this.partSize = Math.max(MIN_PART_BYTES, (parseInt(process.env.S3_MULTIPART_PART_MB || '', 10) || 8) * 1024 * 1024);
+
+    if (this.bucketName) {
+      const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+      const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+
+      this.client = new S3Client({
+        region: this.region,
+        endpoint: this.endpoint || undefined,
+        forcePathStyle: this.forcePathStyle,
+        // Without keys the SDK's default chain applies (env, profile, instance role)
+        credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+      });
+    }
+  }
+
+  async putImage(params: { buffer: Buffer; mime: string; filenameHint?: string }): Promise<{ url: string, path: string }> {
+    const { buffer, mime, filenameHint } = params;
+
+    // Validate mime type
+    const allowedTypes = ['image/png', 'image/jpg', 'image/jpeg', 'image/webp', 'image/gif', 'image/avif'];
+    if (!allowedTypes.includes(mime)) {
+      const error = new Error(`Unsupported media type. Allowed: ${allowedTypes.join(', ')}`) as any;
+      error.statusCode = 415;
+      throw error;
+    }
+
+    // Validate buffer size (5MB limit)
+    const maxSize = 5 * 1024 * 1024;
+    if (buffer.length > maxSize) {
+      const error = new Error(`File too large. Maximum size: ${maxSize / 1024 / 1024}MB`) as any;
+      error.statusCode = 413;
+      throw error;
+    }
+
+    return this.upload(buffer, mime, filenameHint);
+  }
+
+  async putMedia(params: { buffer: Buffer; mime: string; filenameHint?: string }): Promise<{ url: string, path: string }> {
+    const { buffer, mime, filenameHint } = params;
+
+    assertValidMedia(buffer, mime);
+
+    return this.upload(buffer, mime, filenameHint);
+  }
+
+  async read(path: string): Promise<Buffer> {
+    const body = await this.getObject(path);
+    return Buffer.from(await body.transformToByteArray());
+  }
+
+  async getReadStream(path: string): Promise<Readable> {
+    // In Node the SDK hands back the response itself, which is a Readable
+    return (await this.getObject(path)) as unknown as Readable;
+  }
+
+  async stat(path: string): Promise<StoredFile | null> {
+    const client = this.requireClient();
+
+    try {
+      const head = await client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: this.key(path) }));
+      return this.toStoredFile(path, head.ContentLength ?? 0, head.LastModified);
+    } catch (error: any) {
+      if (this.isNotFound(error)) {
+        return null;
+      }
+      console.error('S3 head error:', this.describeError(error));
+      throw new Error('Storage lookup failed');
+    }
+  }
+
+  async list(prefix: string = ''): Promise<StoredFile[]> {
+    const client = this.requireClient();
+    const folder = prefix.replace(/^\/+|\/+$/g, '');
+    const keyPrefix = this.prefix ? `${this.prefix}/` : '';
+    const files: StoredFile[] = [];
+    let continuationToken: string | undefined;
+
+    do {
+      let page;
+      try {
+        page = await client.send(new ListObjectsV2Command({
+          Bucket: this.bucketName,
+          Prefix: folder ? `${keyPrefix}${folder}/` : keyPrefix || undefined,
+          ContinuationToken: continuationToken
+        }));
+      } catch (error: any) {
+        console.error('S3 list error:', this.describeError(error));
+        throw new Error('Storage list failed');
+      }
+
+      for (const object of page.Contents || []) {
+        if (!object.Key || object.Key.endsWith('/')) continue;
+
+        const path = object.Key.slice(keyPrefix.length);
+        // Skip .keep files and the like
+        if (path.split('/').pop()!.startsWith('.')) continue;
+
+        files.push(this.toStoredFile(path, object.Size ?? 0, object.LastModified));
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  async copy(fromPath: string, toPath: string): Promise<{ url: string, path: string }> {
+    const client = this.requireClient();
+
+    // S3 copies overwrite; the other drivers refuse to
+    if (await this.stat(toPath)) {
+      const exists = new Error(`File already exists: ${toPath}`) as any;
+      exists.statusCode = 409;
+      throw exists;
+    }
+
+    try {
+      await client.send(new CopyObjectCommand({
+        Bucket: this.bucketName,
+        Key: this.key(toPath),
+        CopySource: `${this.bucketName}/${this.encodePath(this.key(fromPath))}`
+      }));
+    } catch (error: any) {
+      if (this.isNotFound(error)) {
+        throw this.notFound(fromPath);
+      }
+      console.error('S3 copy error:', this.describeError(error));
+      throw new Error('Storage copy failed');
+    }
+
+    return { url: this.publicUrl(toPath), path: toPath };
+  }
+
+  async delete(path: string): Promise<boolean> {
+    const client = this.requireClient();
+
+    // DeleteObject succeeds for missing keys too, so look first
+    if (!(await this.stat(path))) {
+      return false;
+    }
+
+    try {
+      await client.send(new DeleteObjectCommand({ Bucket: this.bucketName, Key: this.key(path) }));
+      return true;
+    } catch (error: any) {
+      console.error('S3 delete error:', this.describeError(error));
+      throw new Error('Storage delete failed');
+    }
+  }
+
+  async write(path: string, buffer: Buffer, mime: string): Promise<{ url: string, path: string }> {
+    const client = this.requireClient();
+
+    try {
+      // One PutObject up to partSize, a multipart upload beyond (large video)
+      await new Upload({
+        client,
+        params: {
+          Bucket: this.bucketName,
+          Key: this.key(path),
+          Body: buffer,
+          ContentType: mime,
+          CacheControl: 'public, max-age=31536000, immutable'
+        },
+        partSize: this.partSize,
+        queueSize: 4,
+        leavePartsOnError: false
+      }).done();
+    } catch (error: any) {
+      console.error('S3 upload error:', this.describeError(error));
+      throw new Error('Storage upload failed');
+    }
+
+    return { url: this.publicUrl(path), path };
+  }
+
+  publicUrl(path: string): string {
+    return `${this.publicBaseUrl}/${this.encodePath(this.key(path))}`;
+  }
+
+  async health(): Promise<{ ok: boolean; details?: string }> {
+    try {
+      if (!this.bucketName) {
+        return { ok: false, details: 'S3_BUCKET not configured' };
+      }
+
+      const client = this.requireClient();
+
+      try {
+        await client.send(new HeadBucketCommand({ Bucket: this.bucketName }));
+      } catch (error: any) {
+        return { ok: false, details: `Bucket '${this.bucketName}' not reachable: ${this.describeError(error)}` };
+      }
+
+      // Round-trip a tiny object to prove the credentials can write and delete
+      const testPath = `health-check/${Date.now()}.txt`;
+      await new Upload({
+        client,
+        params: { Bucket: this.bucketName, Key: this.key(testPath), Body: 'ok', ContentType: 'text/plain' }
+      }).done();
+      await client.send(new DeleteObjectCommand({ Bucket: this.bucketName, Key: this.key(testPath) }));
+
+      return { ok: true, details: `S3 storage (${this.endpoint || `s3.${this.region}`}/${this.bucketName}${this.prefix ? `/${this.prefix}` : ''})` };
+    } catch (error: any) {
+      return { ok: false, details: `S3 health check failed: ${this.describeError(error)}` };
+    }
+  }
+
+  private async upload(buffer: Buffer, mime: string, filenameHint?: string): Promise<{ url: string, path: string }> {
+    const filename = this.generateFilename(mime, filenameHint);
+    const storagePath = `${this.getDatePath()}/${filename}`;
+
+    return this.write(storagePath, buffer, mime);
+  }
+
+  private async getObject(path: string) {
+    const client = this.requireClient();
+
+    try {
+      const result = await client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: this.key(path) }));
+      if (!result.Body) {
+        throw this.notFound(path);
+      }
+      return result.Body;
+    } catch (error: any) {
+      if (error.statusCode === 404 || this.isNotFound(error)) {
+        throw this.notFound(path);
+      }
+      console.error('S3 download error:', this.describeError(error));
+      throw new Error('Storage download failed');
+    }
+  }
+
+  private requireClient(): S3Client {
+    if (!this.client) {
+      const error = new Error('Storage not configured') as any;
+      error.statusCode = 503;
+      throw error;
+    }
+    return this.client;
+  }
+
+  private key(path: string): string {
+    const cleanPath = path.replace(/^\/+/, '');
+    return this.prefix ? `${this.prefix}/${cleanPath}` : cleanPath;
+  }
+
+  private encodePath(path: string): string {
+    return path.split('/').map(encodeURIComponent).join('/');
+  }
+
+  private defaultPublicBaseUrl(): string {
+    if (this.endpoint) {
+      return this.forcePathStyle
+        ? `${this.endpoint}/${this.bucketName}`
+        : this.endpoint.replace('://', `://${this.bucketName}.`);
+    }
+    return `https://${this.bucketName}.s3.${this.region}.amazonaws.com`;
+  }
+
+  private toStoredFile(path: string, size: number, updatedAt?: Date): StoredFile {
+    return {
+      path,
+      url: this.publicUrl(path),
+      size,
+      updatedAt: updatedAt || new Date(0)
+    };
+  }
+
+  private isNotFound(error: any): boolean {
+    return error?.name === 'NoSuchKey' || error?.name === 'NotFound' || error?.$metadata?.httpStatusCode === 404;
+  }
+
+  private notFound(path: string): Error {
+    const error = new Error(`File not found: ${path}`) as any;
+    error.statusCode = 404;
+    return error;
+  }
+
+  // SDK errors carry request metadata; only the name and message are worth logging
+  private describeError(error: any): string {
+    return `${error?.name || 'Error'}: ${error?.message || 'unknown error'}`;
+  }
+
+  private generateFilename(mime: string, filenameHint?: string): string {
+    const uuid = crypto.randomUUID();
+    const ext = this.getExtensionFromMime(mime);
+
+    if (filenameHint) {
+      // Sanitize filename hint
+      const sanitized = this.sanitizeFilename(filenameHint);
+      const baseName = sanitized.split('.')[0];
+      if (baseName) {
+        return `${uuid}-${baseName}.${ext}`;
+      }
+    }
+
+    return `${uuid}.${ext}`;
+  }
+
+  private getExtensionFromMime(mime: string): string {
+    switch (mime) {
+      case 'image/png':
+        return 'png';
+      case 'image/jpg':
+      case 'image/jpeg':
+        return 'jpg';
+      case 'image/webp':
+        return 'webp';
+      case 'image/gif':
+        return 'gif';
+      case 'image/avif':
+        return 'avif';
+      default:
+        return MEDIA_EXTENSIONS[mime] || 'jpg';
+    }
+  }
+
+  private sanitizeFilename(filename: string): string {
+    // Remove path separators and dangerous characters
+    return filename
+      .replace(/[\/\\:*?"<>|]/g, '')
+      .replace(/\s+/g, '-')
+      .toLowerCase();
+  }
+
+  private getDatePath(): string {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${year}/${month}/${day}`;
+  }
+}
@@ -1,6 +1,8 @@
-import { StorageDriver } from './driver.ts';
+import { StorageDriver, StoredFile } from './driver.ts';
 import { createClient } from '@supabase/supabase-js';
+import { Readable } from 'stream';
 import crypto from 'crypto';
+import { MEDIA_EXTENSIONS, MEDIA_MAX_BYTES, MEDIA_MIME_TYPES, assertValidMedia } from './mediaTypes.ts';
 
 export class SupabaseStorageDriver implements StorageDriver {
   private supabaseUrl: string;
@@ -34,7 +36,7 @@ export class SupabaseStorageDriver implements StorageDriver {
     }
 
     // Validate mime type
-    const allowedTypes = ['image/png', 'image/jpg', 'image/jpeg', 'image/webp', 'image/gif'];
+    const allowedTypes = ['image/png', 'image/jpg', 'image/jpeg', 'image/webp', 'image/gif', 'image/avif'];
     if (!allowedTypes.includes(mime)) {
       const error = new Error(`Unsupported media type. Allowed: ${allowedTypes.join(', ')}`) as any;
       error.statusCode = 415;
@@ -49,42 +51,153 @@ export class SupabaseStorageDriver implements StorageDriver {
       throw error;
     }
 
-    // Generate filename and path
-    const filename = this.generateFilename(mime, filenameHint);
-    const datePath = this.getDatePath();
-    const storagePath = `${datePath}/${filename}`;
+    return this.upload(buffer, mime, filenameHint);
+  }
 
-    try {
-      // Upload to Supabase Storage
-      const { data, error } = await this.supabase.storage
-        .from(this.bucketName)
-        .upload(storagePath, buffer, {
-          contentType: mime,
-          cacheControl: '3600',
-          upsert: false
-        });
+  async putMedia(params: { buffer: Buffer; mime: string; filenameHint?: string }): Promise<{ url: string, path: string }> {
+    const { buffer, mime, filenameHint } = params;
 
-      if (error) {
-        console.error('Supabase storage error:', this.redactError(error));
-        throw new Error(`Storage upload failed: ${error.message}`);
+    // Check configuration
+    if (!this.supabaseUrl || !this.serviceRoleKey) {
+      const error = new Error('Uploads not configured') as any;
+      error.statusCode = 503;
+      throw error;
+    }
+
+    assertValidMedia(buffer, mime);
+
+    return this.upload(buffer, mime, filenameHint);
+  }
+
+  async read(path: string): Promise<Buffer> {
+    const data = await this.download(path);
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async getReadStream(path: string): Promise<Readable> {
+    const data = await this.download(path);
+    return Readable.fromWeb(data.stream() as any);
+  }
+
+  async stat(path: string): Promise<StoredFile | null> {
+    this.assertConfigured();
+
+    const { data, error } = await this.supabase.storage
+      .from(this.bucketName)
+      .info(path);
+
+    if (error || !data) {
+      if (!error || this.isNotFound(error)) {
+        return null;
+      }
+      console.error('Supabase info error:', this.redactError(error));
+      throw new Error('Storage lookup failed');
+    }
+
+    return this.toStoredFile(path, data.size ?? data.metadata?.size ?? 0, data.lastModified || data.updatedAt);
+  }
+
+  async list(prefix: string = ''): Promise<StoredFile[]> {
+    this.assertConfigured();
+
+    const files: StoredFile[] = [];
+    const pageSize = 1000;
+
+    // The storage API lists one folder at a time; folders come back without an id
+    const walk = async (folder: string): Promise<void> => {
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await this.supabase.storage
+          .from(this.bucketName)
+          .list(folder, { limit: pageSize, offset, sortBy: { column: 'name', order: 'asc' } });
+
+        if (error) {
+          console.error('Supabase list error:', this.redactError(error));
+          throw new Error('Storage list failed');
+        }
+
+        for (const entry of data || []) {
+          const entryPath = folder ? `${folder}/${entry.name}` : entry.name;
+          if (entry.id === null) {
+            await walk(entryPath);
+          } else if (!entry.name.startsWith('.')) {
+            files.push(this.toStoredFile(entryPath, entry.metadata?.size ?? 0, entry.updated_at));
+          }
+        }
+
+        if (!data || data.length < pageSize) break;
       }
+    };
 
-      // Generate public URL
-      const { data: { publicUrl } } = this.supabase.storage
-        .from(this.bucketName)
-        .getPublicUrl(storagePath);
+    await walk(prefix.replace(/^\/+|\/+$/g, ''));
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+  }
 
-      return {
-        url: publicUrl,
-        path: storagePath
-      };
-    } catch (error: any) {
-      if (error.statusCode) {
-        throw error;
+  async copy(fromPath: string, toPath: string): Promise<{ url: string, path: string }> {
+    this.assertConfigured();
+
+    if (await this.stat(toPath)) {
+      const exists = new Error(`File already exists: ${toPath}`) as any;
+      exists.statusCode = 409;
+      throw exists;
+    }
+
+    const { error } = await this.supabase.storage
+      .from(this.bucketName)
+      .copy(fromPath, toPath);
+
+    if (error) {
+      if (this.isNotFound(error)) {
+        throw this.notFound(fromPath);
       }
-      console.error('Supabase upload error:', this.redactError(error));
-      throw new Error('Storage upload failed');
+      console.error('Supabase copy error:', this.redactError(error));
+      throw new Error('Storage copy failed');
     }
+
+    return { url: this.publicUrl(toPath), path: toPath };
+  }
+
+  async delete(path: string): Promise<boolean> {
+    this.assertConfigured();
+
+    const { data, error } = await this.supabase.storage
+      .from(this.bucketName)
+      .remove([path]);
+
+    if (error) {
+      console.error('Supabase remove error:', this.redactError(error));
+      throw new Error('Storage delete failed');
+    }
+
+    // Missing files are not an error; they just aren't in the result
+    return (data || []).length > 0;
+  }
+
+  async write(path: string, buffer: Buffer, mime: string): Promise<{ url: string, path: string }> {
+    this.assertConfigured();
+
+    const { error } = await this.supabase.storage
+      .from(this.bucketName)
+      .upload(path, buffer, {
+        contentType: mime,
+        cacheControl: '3600',
+        upsert: true
+      });
+
+    if (error) {
+      console.error('Supabase storage error:', this.redactError(error));
+      throw new Error(`Storage upload failed: ${error.message}`);
+    }
+
+    return { url: this.publicUrl(path), path };
+  }
+
+  publicUrl(path: string): string {
+    this.assertConfigured();
+
+    const { data: { publicUrl } } = this.supabase.storage
+      .from(this.bucketName)
+      .getPublicUrl(path);
+    return publicUrl;
   }
 
   async health(): Promise<{ ok: boolean; details?: string }> {
@@ -110,8 +223,8 @@ export class SupabaseStorageDriver implements StorageDriver {
         // Try to create the bucket
         const { error: createError } = await this.supabase.storage.createBucket(this.bucketName, {
           public: true,
-          allowedMimeTypes: ['image/png', 'image/jpg', 'image/jpeg', 'image/webp', 'image/gif'],
-          fileSizeLimit: 5242880 // 5MB
+          allowedMimeTypes: ['image/png', 'image/jpg', 'image/jpeg', 'image/webp', 'image/gif', 'image/avif', ...MEDIA_MIME_TYPES],
+          fileSizeLimit: MEDIA_MAX_BYTES // Largest upload putMedia accepts
         });
 
         if (createError) {
@@ -165,6 +278,92 @@ export class SupabaseStorageDriver implements StorageDriver {
     }
   }
 
+  private async upload(buffer: Buffer, mime: string, filenameHint?: string): Promise<{ url: string, path: string }> {
+    // Generate filename and path
+    const filename = this.generateFilename(mime, filenameHint);
+    const datePath = this.getDatePath();
+    const storagePath = `${datePath}/${filename}`;
+
+    try {
+      // Upload to Supabase Storage
+      const { data, error } = await this.supabase.storage
+        .from(this.bucketName)
+        .upload(storagePath, buffer, {
+          contentType: mime,
+          cacheControl: '3600',
+          upsert: false
+        });
+
+      if (error) {
+        console.error('Supabase storage error:', this.redactError(error));
+        throw new Error(`Storage upload failed: ${error.message}`);
+      }
+
+      // Generate public URL
+      const { data: { publicUrl } } = this.supabase.storage
+        .from(this.bucketName)
+        .getPublicUrl(storagePath);
+
+      return {
+        url: publicUrl,
+        path: storagePath
+      };
+    } catch (error: any) {
+      if (error.statusCode) {
+        throw error;
+      }
+      console.error('Supabase upload error:', this.redactError(error));
+      throw new Error('Storage upload failed');
+    }
+  }
+
+  private async download(path: string): Promise<Blob> {
+    this.assertConfigured();
+
+    const { data, error } = await this.supabase.storage
+      .from(this.bucketName)
+      .download(path);
+
+    if (error || !data) {
+      if (!error || this.isNotFound(error)) {
+        throw this.notFound(path);
+      }
+      console.error('Supabase download error:', this.redactError(error));
+      throw new Error('Storage download failed');
+    }
+
+    return data;
+  }
+
+  private assertConfigured(): void {
+    if (!this.supabase) {
+      const error = new Error('Storage not configured') as any;
+      error.statusCode = 503;
+      throw error;
+    }
+  }
+
+  // The storage API reports missing objects as 400 / 404
+  private isNotFound(error: any): boolean {
+    const status = error?.statusCode || error?.status;
+    return String(status) === '404' || String(status) === '400' || /not found/i.test(error?.message || '');
+  }
+
+  private notFound(path: string): Error {
+    const error = new Error(`File not found: ${path}`) as any;
+    error.statusCode = 404;
+    return error;
+  }
+
+  private toStoredFile(path: string, size: number, updatedAt?: string): StoredFile {
+    return {
+      path,
+      url: this.publicUrl(path),
+      size,
+      updatedAt: updatedAt ? new Date(updatedAt) : new Date(0)
+    };
+  }
+
   private generateFilename(mime: string, filenameHint?: string): string {
     const uuid = crypto.randomUUID();
     const ext = this.getExtensionFromMime(mime);
@@ -192,8 +391,10 @@ export class SupabaseStorageDriver implements StorageDriver {
         return 'webp';
       case 'image/gif':
         return 'gif';
+      case 'image/avif':
+        return 'avif';
       default:
-        return 'jpg';
+        return MEDIA_EXTENSIONS[mime] || 'jpg';
     }
   }
 
@@ -7,7 +7,13 @@ export function extractTextFromRichContent(contentRich: any): string {
   }
 
   try {
-    return extractTextFromNode(contentRich).trim()
+    const text = extractTextFromNode(contentRich).trim()
+
+    // Footnote text is kept in node attributes; it reads after the body
+    const footnotes: string[] = []
+    collectFootnotes(contentRich, footnotes)
+
+    return footnotes.length > 0 ? `${text}\n${footnotes.join('\n')}`.trim() : text
   } catch (error) {
     console.warn('Error extracting text from rich content:', error)
     return ''
@@ -29,6 +35,15 @@ function extractTextFromNode(node: any): string {
     text += node.text
   }
 
+  // Embeds and media players have no children; their title is the readable part
+  if ((node.type === 'embed' || node.type === 'media') && typeof node.attrs?.title === 'string') {
+    text += node.attrs.title
+  }
+
+  if (node.type === 'galleryImage' && typeof node.attrs?.caption === 'string') {
+    text += node.attrs.caption
+  }
+
   // If this node has content (children), process them
   if (Array.isArray(node.content)) {
     for (const child of node.content) {
@@ -51,6 +66,25 @@ function extractTextFromNode(node: any): string {
   return text
 }
 
+/**
+ * Collects footnote texts in document order
+ */
+function collectFootnotes(node: any, footnotes: string[]): void {
+  if (!node || typeof node !== 'object') {
+    return
+  }
+
+  if (node.type === 'footnote' && typeof node.attrs?.content === 'string' && node.attrs.content.trim()) {
+    footnotes.push(node.attrs.content.trim())
+  }
+
+  if (Array.isArray(node.content)) {
+    for (const child of node.content) {
+      collectFootnotes(child, footnotes)
+    }
+  }
+}
+
 /**
  * Determines if a node type is a block-level element
  */
@@ -63,7 +97,14 @@ function isBlockElement(nodeType: string): boolean {
     'bulletList',
     'orderedList',
     'listItem',
-    'horizontalRule'
+    'horizontalRule',
+    'table',
+    'tableRow',
+    'callout',
+    'embed',
+    'media',
+    'gallery',
+    'galleryImage'
   ]
   
   return blockTypes.includes(nodeType)
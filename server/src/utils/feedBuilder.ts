@@ -0,0 +1,196 @@
+// Feed serialization: RSS 2.0, Atom 1.0 and JSON Feed 1.1
+
+export type FeedFormat = 'rss' | 'atom' | 'json'
+
+export interface FeedMeta {
+  title: string
+  description: string
+  // HTML page the feed represents
+  homePageUrl: string
+  // URL of this feed document
+  feedUrl: string
+  language?: string
+}
+
+export interface FeedItem {
+  id: string
+  url: string
+  title: string
+  summary: string | null
+  contentHtml: string
+  imageUrl: string | null
+  author: string | null
+  tags: string[]
+  publishedAt: string
+  updatedAt: string
+}
+
+export const FEED_CONTENT_TYPES: Record<FeedFormat, string> = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+}
+
+/**
+ * Escape text for use in XML element content and attribute values
+ */
+export function escapeXml(value: string): string {
+  return value
+    // Characters not allowed in XML 1.0 documents
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * Rewrite root-relative src/href attributes so feed readers can resolve them.
+ * Images (uploads) resolve against the API origin, links against the site.
+ */
+export function absolutizeHtmlUrls(html: string, assetOrigin: string, siteOrigin: string): string {
+  return html.replace(/\s(src|href)="(\/[^/"][^"]*|\/)"/g, (_match, attr, path) => {
+    const origin = attr === 'src' ? assetOrigin : siteOrigin
+    return ` ${attr}="${origin}${path}"`
+  })
+}
+
+// Most recent update across the items (falls back to now for empty feeds)
+function latestUpdate(items: FeedItem[]): Date {
+  const times = items.map(item => new Date(item.updatedAt).getTime()).filter(t => !Number.isNaN(t))
+  return times.length > 0 ? new Date(Math.max(...times)) : new Date()
+}
+
+/**
+ * RSS 2.0 with content:encoded for full HTML and media:content for covers
+ */
+export function buildRssFeed(meta: FeedMeta, items: FeedItem[]): string {
+  const entries = items.map(item => {
+    const lines = [
+      '    <item>',
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.url)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      `      <pubDate>${new Date(item.publishedAt).toUTCString()}</pubDate>`
+    ]
+    if (item.author) {
+      lines.push(`      <dc:creator>${escapeXml(item.author)}</dc:creator>`)
+    }
+    for (const tag of item.tags) {
+      lines.push(`      <category>${escapeXml(tag)}</category>`)
+    }
+    if (item.summary) {
+      lines.push(`      <description>${escapeXml(item.summary)}</description>`)
+    }
+    lines.push(`      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>`)
+    if (item.imageUrl) {
+      lines.push(`      <media:content url="${escapeXml(item.imageUrl)}" medium="image" />`)
+    }
+    lines.push('    </item>')
+    return lines.join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+    '  <channel>',
+    `    <title>${escapeXml(meta.title)}</title>`,
+    `    <link>${escapeXml(meta.homePageUrl)}</link>`,
+    `    <description>${escapeXml(meta.description)}</description>`,
+    `    <language>${escapeXml(meta.language || 'en')}</language>`,
+    `    <lastBuildDate>${latestUpdate(items).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(meta.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Atom 1.0 with HTML content and the cover as an enclosure link
+ */
+export function buildAtomFeed(meta: FeedMeta, items: FeedItem[]): string {
+  const entries = items.map(item => {
+    const lines = [
+      '  <entry>',
+      `    <id>urn:uuid:${escapeXml(item.id)}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />`,
+      `    <published>${new Date(item.publishedAt).toISOString()}</published>`,
+      `    <updated>${new Date(item.updatedAt).toISOString()}</updated>`
+    ]
+    if (item.author) {
+      lines.push(`    <author><name>${escapeXml(item.author)}</name></author>`)
+    }
+    for (const tag of item.tags) {
+      lines.push(`    <category term="${escapeXml(tag)}" />`)
+    }
+    if (item.imageUrl) {
+      lines.push(`    <link rel="enclosure" href="${escapeXml(item.imageUrl)}" />`)
+    }
+    if (item.summary) {
+      lines.push(`    <summary>${escapeXml(item.summary)}</summary>`)
+    }
+    lines.push(`    <content type="html">${escapeXml(item.contentHtml)}</content>`)
+    lines.push('  </entry>')
+    return lines.join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(meta.language || 'en')}">`,
+    `  <id>${escapeXml(meta.feedUrl)}</id>`,
+    `  <title>${escapeXml(meta.title)}</title>`,
+    `  <subtitle>${escapeXml(meta.description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(meta.homePageUrl)}" />`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(meta.feedUrl)}" />`,
+    `  <updated>${latestUpdate(items).toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/)
+ */
+export function buildJsonFeed(meta: FeedMeta, items: FeedItem[]): string {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    description: meta.description,
+    home_page_url: meta.homePageUrl,
+    feed_url: meta.feedUrl,
+    language: meta.language || 'en',
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_html: item.contentHtml,
+      ...(item.summary && { summary: item.summary }),
+      ...(item.imageUrl && { image: item.imageUrl }),
+      date_published: new Date(item.publishedAt).toISOString(),
+      date_modified: new Date(item.updatedAt).toISOString(),
+      ...(item.author && { authors: [{ name: item.author }] }),
+      ...(item.tags.length > 0 && { tags: item.tags })
+    }))
+  }
+
+  return JSON.stringify(feed, null, 2)
+}
+
+/**
+ * Serialize a feed in the requested format
+ */
+export function buildFeed(format: FeedFormat, meta: FeedMeta, items: FeedItem[]): string {
+  switch (format) {
+    case 'atom':
+      return buildAtomFeed(meta, items)
+    case 'json':
+      return buildJsonFeed(meta, items)
+    default:
+      return buildRssFeed(meta, items)
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * Normalize status and publish_at for scheduled publishing. A 'published'
+ * post with a future publish_at becomes 'scheduled' so public listings keep
+ * hiding it until the scheduler publishes it. publish_at is left undefined
+ * when the caller should keep (or default) the stored value.
+ */
+export function resolvePublishState(status: string, publishAt: any): { status: string; publish_at?: string | null } {
+  const date = publishAt ? new Date(publishAt) : null
+
+  if (status === 'published' || status === 'scheduled') {
+    if (!date) {
+      return { status }
+    }
+    return {
+      status: date.getTime() > Date.now() ? 'scheduled' : 'published',
+      publish_at: date.toISOString()
+    }
+  }
+
+  if (publishAt === undefined) {
+    return { status }
+  }
+  return { status, publish_at: date ? date.toISOString() : null }
+}
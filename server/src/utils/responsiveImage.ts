@@ -0,0 +1,100 @@
+// Responsive image markup - srcset / sizes for uploaded images with variants
+
+/**
+ * The variants of one uploaded image, ready for srcset
+ * (see imageVariantService)
+ */
+export interface ResponsiveImage {
+  // Modern formats, best first, each for a <source> element
+  sources: { type: string; srcset: string }[]
+  // The upload's own format, for the <img> itself
+  srcset: string
+  // Size of the uploaded image
+  width: number
+  height: number
+}
+
+// How wide images are shown on the post page, by gallery layout. Posts are
+// at most 56rem wide (54rem of content); see .prose .gallery-* in index.css.
+export const IMAGE_SIZES = {
+  content: '(min-width: 56rem) 54rem, 100vw',
+  grid: '(min-width: 56rem) 18rem, (min-width: 40rem) 33vw, 50vw',
+  'two-up': '(min-width: 56rem) 27rem, (min-width: 40rem) 50vw, 100vw',
+  carousel: '(min-width: 56rem) 36rem, (min-width: 40rem) 67vw, 80vw'
+} as const
+
+export type ImageSizesContext = keyof typeof IMAGE_SIZES
+
+const IMG_TAG = /<img\b[^>]*>/gi
+const FIGURE_OR_IMG_TAG = /<figure\b[^>]*>|<\/figure>|<img\b[^>]*>/gi
+const SRC_ATTRIBUTE = /\ssrc="([^"]*)"/i
+const GALLERY_LAYOUT_ATTRIBUTE = /\sdata-layout="(grid|carousel|two-up)"/i
+
+function escapeAttribute(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+}
+
+function unescapeAttribute(value: string): string {
+  return value.replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+}
+
+/**
+ * One srcset candidate; spaces and commas would split it, so they are encoded
+ */
+export function srcsetCandidate(url: string, width: number): string {
+  return `${url.replace(/ /g, '%20').replace(/,/g, '%2C')} ${width}w`
+}
+
+/**
+ * Wrap every <img> in sanitized post HTML whose src has variants in a
+ * <picture> with AVIF / WebP sources and give it srcset and sizes
+ * Images in galleries get sizes for their layout. Other images are left
+ * as they are.
+ */
+export function withResponsiveImages(html: string, images: Map<string, ResponsiveImage>): string {
+  if (!html || images.size === 0) return html
+
+  // Layout of each open figure, innermost last (null for non-gallery figures)
+  const figures: (string | null)[] = []
+
+  return html.replace(FIGURE_OR_IMG_TAG, (tag) => {
+    if (tag.startsWith('</')) {
+      figures.pop()
+      return tag
+    }
+
+    if (!/^<img/i.test(tag)) {
+      figures.push(tag.match(GALLERY_LAYOUT_ATTRIBUTE)?.[1] || null)
+      return tag
+    }
+
+    const src = tag.match(SRC_ATTRIBUTE)?.[1]
+    const image = src ? images.get(unescapeAttribute(src)) : undefined
+    if (!image) return tag
+
+    const layout = figures.find(layout => layout !== null) as ImageSizesContext | undefined
+    return pictureHtml(tag, image, IMAGE_SIZES[layout || 'content'])
+  })
+}
+
+function pictureHtml(img: string, image: ResponsiveImage, sizes: string): string {
+  const sizesAttribute = ` sizes="${escapeAttribute(sizes)}"`
+  const sources = image.sources
+    .map(source => `<source type="${source.type}" srcset="${escapeAttribute(source.srcset)}"${sizesAttribute}>`)
+    .join('')
+  const responsiveImg = img.replace(/\s*\/?>$/, ` srcset="${escapeAttribute(image.srcset)}"${sizesAttribute}>`)
+
+  return `<picture>${sources}${responsiveImg}</picture>`
+}
+
+/**
+ * The src of every <img> in a piece of HTML
+ */
+export function extractImageSources(html: string): string[] {
+  const sources = new Set<string>()
+  for (const tag of html.match(IMG_TAG) || []) {
+    const src = tag.match(/\ssrc=(["'])(.*?)\1/i)?.[2]
+    if (src) sources.add(unescapeAttribute(src))
+  }
+  return [...sources]
+}
@@ -1,17 +1,47 @@
 // HTML sanitization utility for post content
 import sanitizeHtml from 'sanitize-html'
+import { EMBED_PROVIDERS, resolveEmbedUrl } from './embedProviders.ts'
+import { ResponsiveImage, withResponsiveImages } from './responsiveImage.ts'
+
+const GALLERY_LAYOUTS = ['grid', 'carousel', 'two-up']
+
+/**
+ * A heading in a post's table of contents
+ */
+export interface HeadingOutlineItem {
+  id: string
+  level: number
+  text: string
+}
+
+// Links to other posts carry the target's id (see postLinkService)
+const POST_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const HEADING = /<h([1-3])\b([^>]*)>([\s\S]*?)<\/h\1>/gi
+const HEADING_ID = /\s+id=(["'])[\s\S]*?\1/i
+
+// Ids the post page already gives its own elements (React root, footnotes)
+const RESERVED_HEADING_IDS = /^(root|footnotes-label|fn-\d+|fnref-\d+)$/
 
 /**
  * Sanitize HTML content for blog posts
- * Allows safe formatting while blocking dangerous tags and attributes
+ * Allows safe formatting while blocking dangerous tags and attributes.
+ * Images found in `images` (uploads with variants) come out as a <picture>
+ * with srcset and sizes; any srcset in the input is dropped.
  */
-export function sanitizePostHtml(html: string): string {
-  return sanitizeHtml(html, {
+export function sanitizePostHtml(html: string, images: Map<string, ResponsiveImage> = new Map()): string {
+  const sanitized = sanitizeHtml(html, {
     // Allowed HTML tags
     allowedTags: [
       'p', 'h1', 'h2', 'h3', 'strong', 'b', 'em', 'i', 'u', 's',
       'a', 'ul', 'ol', 'li', 'blockquote', 'code', 'pre',
-      'img', 'figure', 'figcaption', 'br', 'hr', 'span'
+      'img', 'figure', 'figcaption', 'br', 'hr', 'span',
+      // Tables
+      'table', 'thead', 'tbody', 'tr', 'th', 'td',
+      // Callouts and footnote references
+      'aside', 'sup',
+      // Uploaded audio / video
+      'audio', 'video'
     ],
 
     // Allowed attributes per tag
@@ -19,26 +49,63 @@ export function sanitizePostHtml(html: string): string {
       // All tags can have class attribute (for alignment classes)
       '*': ['class'],
       // Links can have href, title, and we'll add rel automatically
-      'a': ['href', 'title', 'target'],
+      'a': ['href', 'title', 'target', 'rel', 'data-post-id'],
       // Images need src, alt, and optional dimensions/title
-      'img': ['src', 'alt', 'title', 'width', 'height']
+      'img': ['src', 'alt', 'title', 'width', 'height', { name: 'loading', multiple: false, values: ['lazy', 'eager'] }],
+      'th': ['colspan', 'rowspan', 'data-colwidth'],
+      'td': ['colspan', 'rowspan', 'data-colwidth'],
+      'aside': [
+        { name: 'data-type', multiple: false, values: ['callout'] },
+        { name: 'data-variant', multiple: false, values: ['info', 'tip', 'warning'] }
+      ],
+      // Footnote text lives in data-content; numbering happens at display time
+      'sup': [
+        { name: 'data-type', multiple: false, values: ['footnote'] },
+        'data-content'
+      ],
+      // Provider embeds are stored as a figure with a fallback link; the
+      // iframe is only created in the browser when the reader asks for it.
+      // Galleries are a figure of figures, laid out by class.
+      'figure': [
+        { name: 'data-type', multiple: false, values: ['embed', 'gallery'] },
+        { name: 'data-provider', multiple: false, values: [...EMBED_PROVIDERS] },
+        'data-src',
+        { name: 'data-layout', multiple: false, values: [...GALLERY_LAYOUTS] }
+      ],
+      'audio': ['src', 'controls', 'preload', 'title'],
+      'video': ['src', 'controls', 'preload', 'title', 'width', 'height']
     },
 
     // Allowed CSS classes (for alignment)
     allowedClasses: {
-      '*': ['align-left', 'align-center', 'align-right']
+      '*': ['align-left', 'align-center', 'align-right'],
+      'aside': ['callout', 'callout-info', 'callout-tip', 'callout-warning'],
+      'sup': ['footnote-ref'],
+      'figure': [
+        'embed', ...EMBED_PROVIDERS.map(provider => `embed-${provider}`),
+        'gallery', 'gallery-item', ...GALLERY_LAYOUTS.map(layout => `gallery-${layout}`)
+      ],
+      'audio': ['media', 'media-audio'],
+      'video': ['media', 'media-video']
     },
 
     // Remove disallowed attributes
     allowedSchemes: ['http', 'https', 'mailto'],
     allowedSchemesByTag: {
-      img: ['http', 'https', 'data'] // Allow data URIs for images
+      img: ['http', 'https', 'data'], // Allow data URIs for images
+      audio: ['http', 'https'],
+      video: ['http', 'https']
     },
 
     // Transform functions to add security attributes
     transformTags: {
       // Add rel="noopener noreferrer" to external links with target="_blank"
       'a': function(tagName, attribs) {
+        if (attribs['data-post-id'] !== undefined && !POST_ID.test(attribs['data-post-id'])) {
+          const { 'data-post-id': _postId, ...rest } = attribs
+          attribs = rest
+        }
+
         const href = attribs.href
         const target = attribs.target
 
@@ -67,6 +134,45 @@ export function sanitizePostHtml(html: string): string {
           tagName: 'a',
           attribs
         }
+      },
+
+      // Embed URLs must belong to an allowlisted provider; the stored src is
+      // rebuilt from the parsed id. Anything else keeps only its fallback link.
+      // Galleries keep their layout and drop any embed attributes.
+      'figure': function(tagName, attribs) {
+        if (attribs['data-type'] === 'gallery') {
+          const { 'data-provider': _provider, 'data-src': _src, ...gallery } = attribs
+          return { tagName, attribs: gallery }
+        }
+
+        const { 'data-type': type, 'data-provider': _provider, 'data-src': src, 'data-layout': _layout, ...rest } = attribs
+        const embed = type === 'embed' ? resolveEmbedUrl(src) : null
+
+        if (!embed) {
+          if (type === 'embed') delete rest.class
+          return { tagName, attribs: rest }
+        }
+
+        const alignment = (rest.class || '').split(/\s+/).filter(name => name.startsWith('align-'))
+
+        return {
+          tagName,
+          attribs: {
+            ...rest,
+            'data-type': 'embed',
+            'data-provider': embed.provider,
+            'data-src': embed.src,
+            class: ['embed', `embed-${embed.provider}`, ...alignment].join(' ')
+          }
+        }
+      },
+
+      // Media players always show their controls and only preload metadata
+      'audio': function(tagName, attribs) {
+        return { tagName, attribs: { ...attribs, controls: 'controls', preload: 'metadata' } }
+      },
+      'video': function(tagName, attribs) {
+        return { tagName, attribs: { ...attribs, controls: 'controls', preload: 'metadata' } }
       }
     },
 
@@ -86,6 +192,67 @@ export function sanitizePostHtml(html: string): string {
     // Parser options
     parseStyleAttributes: true
   })
+
+  return outlineHeadings(withResponsiveImages(sanitized, images)).html
+}
+
+/**
+ * Turn heading text into a URL fragment, keeping letters from any script
+ */
+function slugifyHeading(text: string): string {
+  const slug = text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '')
+
+  return slug || 'section'
+}
+
+function decodeHtmlText(text: string): string {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&nbsp;|&#160;/g, ' ')
+    .replace(/&amp;/g, '&')
+}
+
+/**
+ * Give every h1-h3 in sanitized post HTML an id derived from its text and
+ * collect them, in document order, as the post's outline
+ * Ids are recomputed on every call (any stored id is replaced), so the same
+ * heading text always gets the same id; repeats are numbered -2, -3, ...
+ * Empty headings get no id and are left out of the outline.
+ */
+export function outlineHeadings(html: string): { html: string; outline: HeadingOutlineItem[] } {
+  const outline: HeadingOutlineItem[] = []
+  if (!html) return { html: html || '', outline }
+
+  const used = new Set<string>()
+  const result = html.replace(HEADING, (_heading, level: string, attributes: string, inner: string) => {
+    const rest = attributes.replace(HEADING_ID, '')
+    const text = decodeHtmlText(inner.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim()
+    if (!text) return `<h${level}${rest}>${inner}</h${level}>`
+
+    const base = slugifyHeading(text)
+    let id = base
+    let counter = 1
+    while (used.has(id) || RESERVED_HEADING_IDS.test(id)) {
+      counter++
+      id = `${base}-${counter}`
+    }
+    used.add(id)
+
+    outline.push({ id, level: parseInt(level, 10), text })
+    return `<h${level} id="${id}"${rest}>${inner}</h${level}>`
+  })
+
+  return { html: result, outline }
 }
 
 /**
@@ -118,13 +285,12 @@ export function extractTextFromHtml(html: string): string {
     return ''
   }
 
+  // Block boundaries separate words even without whitespace between the tags
+  const spaced = html.replace(/<\/(p|h[1-6]|li|blockquote|pre|figcaption|td|th)>|<br\s*\/?>/gi, '$& ')
+
   // Use sanitize-html to strip all tags and get just text
-  return sanitizeHtml(html, {
+  return sanitizeHtml(spaced, {
     allowedTags: [],
-    allowedAttributes: {},
-    textFilter: function(text) {
-      // Clean up whitespace
-      return text.replace(/\s+/g, ' ').trim()
-    }
-  })
+    allowedAttributes: {}
+  }).replace(/\s+/g, ' ').trim()
 }
@@ -0,0 +1,19 @@
+// Search result highlighting (ts_headline output to safe HTML)
+
+// Markers search_posts() wraps around highlighted terms
+const HIGHLIGHT_START = '⟦'
+const HIGHLIGHT_END = '⟧'
+
+/**
+ * Escape a ts_headline result and turn its markers into <mark> elements
+ */
+export function highlightToHtml(text: string | null): string | null {
+  if (!text) return null
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>')
+}
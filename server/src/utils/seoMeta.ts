@@ -0,0 +1,155 @@
+// SEO helpers: head tags for server-rendered SPA shells, sitemap and robots.txt
+import { escapeXml } from './feedBuilder.ts'
+
+export interface PageMeta {
+  title: string
+  description: string
+  // Canonical URL on the public site
+  url: string
+  imageUrl?: string | null
+  imageAlt?: string | null
+  type?: 'website' | 'article'
+  siteName: string
+  // Article-only details
+  publishedTime?: string | null
+  modifiedTime?: string | null
+  author?: string | null
+  tags?: string[]
+}
+
+export interface SitemapUrl {
+  loc: string
+  lastmod?: string | null
+}
+
+// Search engines truncate descriptions around this length
+const MAX_DESCRIPTION_LENGTH = 160
+
+/**
+ * Escape text for use in HTML attribute values and text nodes
+ */
+export function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * Collapse whitespace and cut text to a description-sized snippet
+ */
+export function toDescription(text: string | null | undefined, maxLength: number = MAX_DESCRIPTION_LENGTH): string {
+  const clean = (text || '').replace(/\s+/g, ' ').trim()
+  if (clean.length <= maxLength) {
+    return clean
+  }
+  const cut = clean.slice(0, maxLength - 1)
+  const lastSpace = cut.lastIndexOf(' ')
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`
+}
+
+/**
+ * Title, description, canonical, Open Graph and Twitter card tags
+ */
+export function renderMetaTags(meta: PageMeta): string {
+  const tags: string[] = []
+  const metaName = (name: string, content: string) =>
+    tags.push(`<meta name="${name}" content="${escapeHtml(content)}" />`)
+  const metaProperty = (property: string, content: string) =>
+    tags.push(`<meta property="${property}" content="${escapeHtml(content)}" />`)
+
+  tags.push(`<title>${escapeHtml(meta.title)}</title>`)
+  metaName('description', meta.description)
+  tags.push(`<link rel="canonical" href="${escapeHtml(meta.url)}" />`)
+
+  metaProperty('og:site_name', meta.siteName)
+  metaProperty('og:type', meta.type || 'website')
+  metaProperty('og:title', meta.title)
+  metaProperty('og:description', meta.description)
+  metaProperty('og:url', meta.url)
+  if (meta.imageUrl) {
+    metaProperty('og:image', meta.imageUrl)
+    if (meta.imageAlt) {
+      metaProperty('og:image:alt', meta.imageAlt)
+    }
+  }
+
+  if (meta.type === 'article') {
+    if (meta.publishedTime) metaProperty('article:published_time', meta.publishedTime)
+    if (meta.modifiedTime) metaProperty('article:modified_time', meta.modifiedTime)
+    if (meta.author) metaProperty('article:author', meta.author)
+    for (const tag of meta.tags || []) {
+      metaProperty('article:tag', tag)
+    }
+  }
+
+  metaName('twitter:card', meta.imageUrl ? 'summary_large_image' : 'summary')
+  metaName('twitter:title', meta.title)
+  metaName('twitter:description', meta.description)
+  if (meta.imageUrl) {
+    metaName('twitter:image', meta.imageUrl)
+    if (meta.imageAlt) {
+      metaName('twitter:image:alt', meta.imageAlt)
+    }
+  }
+
+  return tags.join('\n    ')
+}
+
+/**
+ * Replace the shell's title/description/social tags with the page's own
+ */
+export function injectMetaTags(shellHtml: string, meta: PageMeta): string {
+  const stripped = shellHtml
+    .replace(/<title>[\s\S]*?<\/title>\s*/i, '')
+    .replace(/<meta\s+(?:name|property)="(?:description|og:[^"]*|twitter:[^"]*|article:[^"]*)"[^>]*>\s*/gi, '')
+    .replace(/<link\s+rel="canonical"[^>]*>\s*/gi, '')
+
+  const tags = renderMetaTags(meta)
+  if (/<\/head>/i.test(stripped)) {
+    // A function replacer: a string one would expand $& and $' in page titles
+    return stripped.replace(/<\/head>/i, () => `  ${tags}\n  </head>`)
+  }
+  return `${tags}\n${stripped}`
+}
+
+/**
+ * sitemaps.org urlset document
+ */
+export function buildSitemap(urls: SitemapUrl[]): string {
+  const entries = urls.map(url => {
+    const lastmod = url.lastmod ? new Date(url.lastmod) : null
+    return [
+      '  <url>',
+      `    <loc>${escapeXml(url.loc)}</loc>`,
+      ...(lastmod && !Number.isNaN(lastmod.getTime())
+        ? [`    <lastmod>${lastmod.toISOString()}</lastmod>`]
+        : []),
+      '  </url>'
+    ].join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</urlset>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * robots.txt allowing public pages and pointing at the sitemap
+ */
+export function buildRobotsTxt(sitemapUrl: string, disallow: string[] = []): string {
+  return [
+    'User-agent: *',
+    ...disallow.map(path => `Disallow: ${path}`),
+    'Allow: /',
+    '',
+    `Sitemap: ${sitemapUrl}`,
+    ''
+  ].join('\n')
+}
@@ -0,0 +1,27 @@
+// Public site URL helpers for links that leave the API (feeds, sitemaps, meta tags)
+import { Request } from 'express'
+
+const DEFAULT_SITE_URL = 'https://dahligarciamarquez.com'
+
+/**
+ * Public URL of the client site (no trailing slash)
+ */
+export function getSiteUrl(): string {
+  return (process.env.SITE_URL || DEFAULT_SITE_URL).replace(/\/+$/, '')
+}
+
+/**
+ * Absolute URL on the client site for a path like /blog/my-post
+ */
+export function siteUrl(path: string = '/'): string {
+  return `${getSiteUrl()}${path.startsWith('/') ? path : `/${path}`}`
+}
+
+/**
+ * Origin this API was reached on (used for self links and local uploads).
+ * Honors X-Forwarded-Proto since TLS is terminated by the hosting proxy.
+ */
+export function getRequestOrigin(req: Request): string {
+  const forwardedProto = req.get('x-forwarded-proto')?.split(',')[0].trim()
+  return `${forwardedProto || req.protocol}://${req.get('host')}`
+}
@@ -102,11 +102,15 @@ async function isSlugTaken(slug: string, excludeId?: string): Promise<boolean> {
 
     if (error) {
       // PGRST116 means no rows found, which is what we want
-      return error.code !== 'PGRST116'
+      if (error.code !== 'PGRST116') {
+        return true
+      }
+    } else if (data) {
+      // If we got data, the slug is taken
+      return true
     }
 
-    // If we got data, the slug is taken
-    return !!data
+    return await isSlugInHistory(slug, excludeId)
   } catch (error) {
     console.error('Error checking slug availability:', error)
     // On error, assume it's taken to be safe
@@ -114,6 +118,26 @@ async function isSlugTaken(slug: string, excludeId?: string): Promise<boolean> {
   }
 }
 
+/**
+ * Checks if another post used the slug before, so its old links still redirect
+ * (a post may take back one of its own old slugs)
+ */
+async function isSlugInHistory(slug: string, excludeId?: string): Promise<boolean> {
+  const { data, error } = await supabaseAdmin
+    .from('post_slug_history')
+    .select('post_id')
+    .eq('slug', slug)
+    .maybeSingle()
+
+  if (error) {
+    // Without the history table every slug would look taken; fall back to posts only
+    console.error('Error checking slug history:', error)
+    return false
+  }
+
+  return !!data && data.post_id !== excludeId
+}
+
 /**
  * Gets reserved words list for validation
  */
@@ -33,6 +33,37 @@ export const POST_CONSTRAINTS = {
   }
 } as const
 
+/**
+ * Comment validation constraints
+ */
+export const COMMENT_CONSTRAINTS = {
+  body: {
+    maxLength: 5000
+  }
+} as const
+
+/**
+ * Contact form validation constraints
+ */
+export const CONTACT_CONSTRAINTS = {
+  name: {
+    maxLength: 100
+  },
+  email: {
+    maxLength: 254
+  },
+  subject: {
+    maxLength: 200
+  },
+  message: {
+    minLength: 10,
+    maxLength: 5000
+  }
+} as const
+
+// Deliberately loose: one @, no spaces, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
 /**
  * Validates a post title
  */
@@ -169,7 +200,7 @@ export function validateSlugFormat(slug: any): ValidationError[] {
  */
 export function validateStatus(status: any): ValidationError[] {
   const errors: ValidationError[] = []
-  const validStatuses = ['draft', 'published', 'private', 'system', 'archived']
+  const validStatuses = ['draft', 'published', 'scheduled', 'private', 'system', 'archived']
 
   if (status !== undefined && !validStatuses.includes(status)) {
     errors.push({
@@ -182,6 +213,177 @@ export function validateStatus(status: any): ValidationError[] {
   return errors
 }
 
+/**
+ * Validates publish_at (ISO timestamp or null)
+ * Scheduled posts require a publish_at in the future
+ */
+export function validatePublishAt(publishAt: any, status?: string): ValidationError[] {
+  const errors: ValidationError[] = []
+
+  if (publishAt === undefined || publishAt === null || publishAt === '') {
+    if (status === 'scheduled') {
+      errors.push({
+        field: 'publish_at',
+        message: 'Publish date is required for scheduled posts',
+        code: 'REQUIRED'
+      })
+    }
+    return errors
+  }
+
+  const date = typeof publishAt === 'string' ? new Date(publishAt) : null
+  if (!date || isNaN(date.getTime())) {
+    errors.push({
+      field: 'publish_at',
+      message: 'Publish date must be a valid ISO date',
+      code: 'INVALID_FORMAT'
+    })
+    return errors
+  }
+
+  if (status === 'scheduled' && date.getTime() <= Date.now()) {
+    errors.push({
+      field: 'publish_at',
+      message: 'Publish date must be in the future for scheduled posts',
+      code: 'INVALID_VALUE'
+    })
+  }
+
+  return errors
+}
+
+/**
+ * Validates a post's comments setting (true, false, or null to follow its journals)
+ */
+export function validateCommentsEnabled(commentsEnabled: any): ValidationError[] {
+  const errors: ValidationError[] = []
+
+  if (commentsEnabled !== undefined && commentsEnabled !== null && typeof commentsEnabled !== 'boolean') {
+    errors.push({
+      field: 'comments_enabled',
+      message: 'Comments setting must be true, false or null',
+      code: 'INVALID_TYPE'
+    })
+  }
+
+  return errors
+}
+
+/**
+ * Validates the text of a comment
+ */
+export function validateCommentBody(body: any): ValidationError[] {
+  const errors: ValidationError[] = []
+
+  if (typeof body !== 'string') {
+    errors.push({
+      field: 'body',
+      message: body ? 'Comment must be a string' : 'Comment is required',
+      code: body ? 'INVALID_TYPE' : 'REQUIRED'
+    })
+    return errors
+  }
+
+  const trimmedBody = body.trim()
+
+  if (trimmedBody.length === 0) {
+    errors.push({
+      field: 'body',
+      message: 'Comment cannot be empty',
+      code: 'EMPTY'
+    })
+  }
+
+  if (trimmedBody.length > COMMENT_CONSTRAINTS.body.maxLength) {
+    errors.push({
+      field: 'body',
+      message: `Comment must be ${COMMENT_CONSTRAINTS.body.maxLength} characters or less`,
+      code: 'TOO_LONG'
+    })
+  }
+
+  return errors
+}
+
+/**
+ * Validates a message sent through the contact form (subject is optional)
+ */
+export function validateContactMessage(input: {
+  name?: any
+  email?: any
+  subject?: any
+  message?: any
+}): ValidationError[] {
+  const errors: ValidationError[] = []
+  const { name, email, subject, message } = input
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    errors.push({
+      field: 'name',
+      message: 'Name is required',
+      code: 'REQUIRED'
+    })
+  } else if (name.trim().length > CONTACT_CONSTRAINTS.name.maxLength) {
+    errors.push({
+      field: 'name',
+      message: `Name must be ${CONTACT_CONSTRAINTS.name.maxLength} characters or less`,
+      code: 'TOO_LONG'
+    })
+  }
+
+  if (typeof email !== 'string' || email.trim().length === 0) {
+    errors.push({
+      field: 'email',
+      message: 'Email is required',
+      code: 'REQUIRED'
+    })
+  } else if (email.trim().length > CONTACT_CONSTRAINTS.email.maxLength || !EMAIL_PATTERN.test(email.trim())) {
+    errors.push({
+      field: 'email',
+      message: 'Email must be a valid email address',
+      code: 'INVALID_FORMAT'
+    })
+  }
+
+  if (subject !== undefined && subject !== null) {
+    if (typeof subject !== 'string') {
+      errors.push({
+        field: 'subject',
+        message: 'Subject must be a string',
+        code: 'INVALID_TYPE'
+      })
+    } else if (subject.trim().length > CONTACT_CONSTRAINTS.subject.maxLength) {
+      errors.push({
+        field: 'subject',
+        message: `Subject must be ${CONTACT_CONSTRAINTS.subject.maxLength} characters or less`,
+        code: 'TOO_LONG'
+      })
+    }
+  }
+
+  if (typeof message !== 'string' || message.trim().length === 0) {
+    errors.push({
+      field: 'message',
+      message: 'Message is required',
+      code: 'REQUIRED'
+    })
+  } else if (message.trim().length < CONTACT_CONSTRAINTS.message.minLength) {
+    errors.push({
+      field: 'message',
+      message: `Message must be at least ${CONTACT_CONSTRAINTS.message.minLength} characters`,
+      code: 'TOO_SHORT'
+    })
+  } else if (message.trim().length > CONTACT_CONSTRAINTS.message.maxLength) {
+    errors.push({
+      field: 'message',
+      message: `Message must be ${CONTACT_CONSTRAINTS.message.maxLength} characters or less`,
+      code: 'TOO_LONG'
+    })
+  }
+
+  return errors
+}
+
 /**
  * Validates rich content
  */
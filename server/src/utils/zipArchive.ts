@@ -0,0 +1,296 @@
+/**
+ * Minimal zip writer and reader
+ *
+ * Enough of the zip format for site archives: deflate or stored entries,
+ * UTF-8 names, no zip64 (archives stay under 4GB and 65535 entries).
+ * ZipWriter streams entries out one at a time, and openZip only inflates
+ * an entry when it is read, so neither side holds every file in memory.
+ */
+
+import { Writable } from 'stream'
+import { once } from 'events'
+import { finished } from 'stream/promises'
+import { deflateRawSync, inflateRawSync } from 'zlib'
+
+export interface ZipEntry {
+  name: string
+  data: Buffer
+}
+
+// A file in an opened zip; read() inflates and checks it
+export interface ZipFile {
+  size: number
+  read(): Buffer
+}
+
+export interface ZipReadOptions {
+  // Largest total uncompressed size accepted, from the sizes the entries declare
+  maxTotalSize?: number
+}
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50
+const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50
+
+const METHOD_STORED = 0
+const METHOD_DEFLATE = 8
+
+// General purpose flag bit 11: file names are UTF-8
+const FLAG_UTF8 = 0x0800
+
+const MAX_ENTRIES = 0xffff
+const MAX_SIZE = 0xffffffff
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+export function crc32(data: Buffer): number {
+  let crc = 0xffffffff
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * DOS date/time fields for an entry's modification time
+ */
+function dosDateTime(date: Date): { time: number; date: number } {
+  const year = Math.max(1980, date.getFullYear())
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * Local header, name and body for an entry, plus its central directory record
+ */
+function encodeEntry(entry: ZipEntry, offset: number, modified: Date): { local: Buffer[]; central: Buffer[]; length: number } {
+  if (entry.data.length > MAX_SIZE || offset > MAX_SIZE) {
+    throw new Error('Zip archive is too large')
+  }
+
+  const { time, date } = dosDateTime(modified)
+  const name = Buffer.from(entry.name, 'utf8')
+  const crc = crc32(entry.data)
+  // Entries that don't shrink when deflated (images, mostly) are stored as-is
+  const deflated = deflateRawSync(entry.data)
+  const method = deflated.length < entry.data.length ? METHOD_DEFLATE : METHOD_STORED
+  const body = method === METHOD_DEFLATE ? deflated : entry.data
+
+  const local = Buffer.alloc(30)
+  local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0)
+  local.writeUInt16LE(20, 4)
+  local.writeUInt16LE(FLAG_UTF8, 6)
+  local.writeUInt16LE(method, 8)
+  local.writeUInt16LE(time, 10)
+  local.writeUInt16LE(date, 12)
+  local.writeUInt32LE(crc, 14)
+  local.writeUInt32LE(body.length, 18)
+  local.writeUInt32LE(entry.data.length, 22)
+  local.writeUInt16LE(name.length, 26)
+  local.writeUInt16LE(0, 28)
+
+  const central = Buffer.alloc(46)
+  central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0)
+  central.writeUInt16LE(20, 4)
+  central.writeUInt16LE(20, 6)
+  central.writeUInt16LE(FLAG_UTF8, 8)
+  central.writeUInt16LE(method, 10)
+  central.writeUInt16LE(time, 12)
+  central.writeUInt16LE(date, 14)
+  central.writeUInt32LE(crc, 16)
+  central.writeUInt32LE(body.length, 20)
+  central.writeUInt32LE(entry.data.length, 24)
+  central.writeUInt16LE(name.length, 28)
+  central.writeUInt32LE(offset, 42)
+
+  return {
+    local: [local, name, body],
+    central: [central, name],
+    length: local.length + name.length + body.length
+  }
+}
+
+function endOfCentralDirectory(count: number, size: number, offset: number): Buffer {
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(END_OF_CENTRAL_DIR_SIGNATURE, 0)
+  end.writeUInt16LE(count, 8)
+  end.writeUInt16LE(count, 10)
+  end.writeUInt32LE(size, 12)
+  end.writeUInt32LE(offset, 16)
+  return end
+}
+
+/**
+ * Build a zip file from in-memory entries
+ */
+export function createZip(entries: ZipEntry[], modified: Date = new Date()): Buffer {
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error(`Zip archives are limited to ${MAX_ENTRIES} entries`)
+  }
+
+  const localParts: Buffer[] = []
+  const centralParts: Buffer[] = []
+  let offset = 0
+
+  for (const entry of entries) {
+    const encoded = encodeEntry(entry, offset, modified)
+    localParts.push(...encoded.local)
+    centralParts.push(...encoded.central)
+    offset += encoded.length
+  }
+
+  const centralDirectory = Buffer.concat(centralParts)
+  return Buffer.concat([...localParts, centralDirectory, endOfCentralDirectory(entries.length, centralDirectory.length, offset)])
+}
+
+/**
+ * Write a zip to a stream one entry at a time
+ * Only the central directory is kept until finish(); each entry's data can
+ * be released as soon as add() resolves.
+ */
+export class ZipWriter {
+  private central: Buffer[] = []
+  private count = 0
+  private offset = 0
+
+  constructor(private output: Writable, private modified: Date = new Date()) {}
+
+  async add(entry: ZipEntry): Promise<void> {
+    if (this.count >= MAX_ENTRIES) {
+      throw new Error(`Zip archives are limited to ${MAX_ENTRIES} entries`)
+    }
+
+    const encoded = encodeEntry(entry, this.offset, this.modified)
+    for (const part of encoded.local) {
+      await this.write(part)
+    }
+    this.central.push(...encoded.central)
+    this.offset += encoded.length
+    this.count++
+  }
+
+  /**
+   * Write the central directory and end the stream
+   */
+  async finish(): Promise<void> {
+    const centralDirectory = Buffer.concat(this.central)
+    await this.write(centralDirectory)
+    await this.write(endOfCentralDirectory(this.count, centralDirectory.length, this.offset))
+    this.output.end()
+    await finished(this.output)
+  }
+
+  private async write(chunk: Buffer): Promise<void> {
+    if (!this.output.write(chunk)) {
+      await once(this.output, 'drain')
+    }
+  }
+}
+
+/**
+ * Index the files in a zip without inflating them
+ * Throws on anything this module can't have written: encryption, zip64,
+ * unknown compression methods; and before inflating anything when the
+ * declared sizes add up to more than maxTotalSize. read() inflates at most
+ * the size an entry declares and throws on CRC mismatches.
+ */
+export function openZip(buffer: Buffer, options: ZipReadOptions = {}): Map<string, ZipFile> {
+  // The end record sits in the last 22 bytes plus an optional comment (max 64KB)
+  let endOffset = -1
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIR_SIGNATURE) {
+      endOffset = i
+      break
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a zip archive')
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10)
+  let pointer = buffer.readUInt32LE(endOffset + 16)
+  const files = new Map<string, ZipFile>()
+  let totalSize = 0
+
+  for (let i = 0; i < count; i++) {
+    if (pointer + 46 > buffer.length || buffer.readUInt32LE(pointer) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt zip central directory')
+    }
+
+    const flags = buffer.readUInt16LE(pointer + 8)
+    const method = buffer.readUInt16LE(pointer + 10)
+    const crc = buffer.readUInt32LE(pointer + 16)
+    const compressedSize = buffer.readUInt32LE(pointer + 20)
+    const size = buffer.readUInt32LE(pointer + 24)
+    const nameLength = buffer.readUInt16LE(pointer + 28)
+    const extraLength = buffer.readUInt16LE(pointer + 30)
+    const commentLength = buffer.readUInt16LE(pointer + 32)
+    const localOffset = buffer.readUInt32LE(pointer + 42)
+    const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength)
+    pointer += 46 + nameLength + extraLength + commentLength
+
+    if (flags & 0x1) {
+      throw new Error(`Encrypted zip entry: ${name}`)
+    }
+    if (compressedSize === MAX_SIZE || size === MAX_SIZE || localOffset === MAX_SIZE) {
+      throw new Error(`Zip64 entries are not supported: ${name}`)
+    }
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+      throw new Error(`Unsupported zip compression method ${method}: ${name}`)
+    }
+    if (name.endsWith('/')) continue
+
+    totalSize += size
+    if (options.maxTotalSize !== undefined && totalSize > options.maxTotalSize) {
+      throw new Error(`Zip contents exceed ${Math.floor(options.maxTotalSize / 1024 / 1024)} MB uncompressed`)
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt zip entry: ${name}`)
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28)
+    if (dataStart + compressedSize > buffer.length) {
+      throw new Error(`Corrupt zip entry: ${name}`)
+    }
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize)
+
+    files.set(name, {
+      size,
+      read: () => {
+        const data = method === METHOD_STORED
+          ? Buffer.from(raw)
+          : inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) })
+
+        if (data.length !== size || crc32(data) !== crc) {
+          throw new Error(`Zip entry failed its integrity check: ${name}`)
+        }
+        return data
+      }
+    })
+  }
+
+  return files
+}
+
+/**
+ * Read every file in a zip into a name → contents map
+ */
+export function readZip(buffer: Buffer, options: ZipReadOptions = {}): Map<string, Buffer> {
+  const files = new Map<string, Buffer>()
+  for (const [name, file] of openZip(buffer, options)) {
+    files.set(name, file.read())
+  }
+  return files
+}
@@ -0,0 +1,43 @@
+-- Migration: Scheduled publishing for posts
+-- 
+-- Adds:
+-- - posts.publish_at: when the post goes (or went) live
+-- - 'scheduled' status: hidden from the public until the server scheduler
+--   flips it to 'published' once publish_at has passed
+
+-- ============================================================================
+-- COLUMN
+-- ============================================================================
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+
+-- Backfill publication time for already published posts
+UPDATE posts SET publish_at = created_at WHERE status = 'published' AND publish_at IS NULL;
+
+-- ============================================================================
+-- STATUS CONSTRAINT
+-- ============================================================================
+
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_status_check;
+ALTER TABLE posts ADD CONSTRAINT posts_status_check 
+  CHECK (status IN ('draft', 'published', 'scheduled', 'private', 'system', 'archived'));
+
+-- A scheduled post must know when to go live
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_scheduled_publish_at_check;
+ALTER TABLE posts ADD CONSTRAINT posts_scheduled_publish_at_check
+  CHECK (status <> 'scheduled' OR publish_at IS NOT NULL);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+-- The scheduler only ever looks at scheduled posts ordered by publish_at
+CREATE INDEX IF NOT EXISTS posts_scheduled_publish_at_idx 
+  ON posts(publish_at) 
+  WHERE status = 'scheduled';
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON COLUMN posts.publish_at IS 'Publication time; for scheduled posts, when the scheduler publishes them';
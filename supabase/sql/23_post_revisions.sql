@@ -0,0 +1,116 @@
+-- Migration: Post Revision History
+--
+-- Every content save writes a snapshot of the post to post_revisions so
+-- earlier versions can be viewed, diffed and restored from the editor.
+-- The latest revision always mirrors the current post content.
+
+-- ============================================================================
+-- TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS post_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+
+  -- Snapshot of the post's editable content
+  title TEXT NOT NULL,
+  excerpt TEXT,
+  content_rich JSONB,
+  content_text TEXT,
+  content_html TEXT,
+  reading_time INTEGER,
+  cover_image_url TEXT,
+  cover_image_alt TEXT,
+  status TEXT,
+
+  -- Who saved this revision (null for system/admin-token saves)
+  created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(post_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS post_revisions_post_id_idx
+  ON post_revisions(post_id, revision_number DESC);
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE post_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Revisions are visible to the post's author and admins only
+DROP POLICY IF EXISTS "post_revisions_select_author_or_admin" ON post_revisions;
+CREATE POLICY "post_revisions_select_author_or_admin" ON post_revisions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM posts p
+      WHERE p.id = post_revisions.post_id
+      AND (p.author_id = auth.uid() OR is_admin())
+    )
+  );
+
+-- Writes go through record_post_revision() / the service role only
+
+-- ============================================================================
+-- FUNCTION: record_post_revision
+-- ============================================================================
+-- Snapshots the current state of a post as its next revision.
+-- Locks the post row so concurrent saves get distinct revision numbers.
+-- SECURITY DEFINER with a caller-supplied p_created_by, so only the service
+-- role (the API) or an admin may call it.
+CREATE OR REPLACE FUNCTION record_post_revision(
+  p_post_id UUID,
+  p_created_by UUID DEFAULT NULL
+)
+RETURNS post_revisions AS $$
+DECLARE
+  v_post posts%ROWTYPE;
+  v_next INTEGER;
+  v_revision post_revisions%ROWTYPE;
+BEGIN
+  IF auth.role() <> 'service_role' AND NOT is_admin() THEN
+    RAISE EXCEPTION 'Recording revisions requires admin privileges' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_post FROM posts WHERE id = p_post_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Post % not found', p_post_id;
+  END IF;
+
+  SELECT COALESCE(MAX(revision_number), 0) + 1 INTO v_next
+  FROM post_revisions
+  WHERE post_id = p_post_id;
+
+  INSERT INTO post_revisions (
+    post_id, revision_number, title, excerpt, content_rich, content_text,
+    content_html, reading_time, cover_image_url, cover_image_alt, status, created_by
+  ) VALUES (
+    v_post.id, v_next, v_post.title, v_post.excerpt, v_post.content_rich, v_post.content_text,
+    v_post.content_html, v_post.reading_time, v_post.cover_image_url, v_post.cover_image_alt,
+    v_post.status, p_created_by
+  )
+  RETURNING * INTO v_revision;
+
+  RETURN v_revision;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================================================
+-- GRANTS
+-- ============================================================================
+
+GRANT SELECT ON post_revisions TO authenticated;
+GRANT ALL ON post_revisions TO service_role;
+REVOKE EXECUTE ON FUNCTION record_post_revision(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_post_revision(UUID, UUID) TO service_role;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE post_revisions IS 'Snapshots of post content written on every save';
+COMMENT ON COLUMN post_revisions.revision_number IS 'Sequential per post, starting at 1';
+COMMENT ON FUNCTION record_post_revision(UUID, UUID) IS 'Snapshot the current post content as its next revision';
@@ -0,0 +1,129 @@
+-- Migration: Server-side Draft Autosave
+--
+-- Stores one autosaved editor snapshot per user per post (draft_key is the
+-- post id, or 'new' for an entry that hasn't been created yet).
+-- Every save bumps a version counter; a save based on an older version is
+-- rejected so two tabs can't silently overwrite each other.
+
+-- ============================================================================
+-- TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS post_drafts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  draft_key TEXT NOT NULL,
+  post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+
+  -- Editor snapshot (title, excerpt, cover, content, status, curator picks)
+  data JSONB NOT NULL,
+
+  -- Incremented on every save, used for conflict detection
+  version INTEGER NOT NULL DEFAULT 1,
+
+  -- Browser tab that wrote the latest version
+  client_id TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(user_id, draft_key)
+);
+
+CREATE INDEX IF NOT EXISTS post_drafts_post_id_idx ON post_drafts(post_id);
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE post_drafts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "post_drafts_own" ON post_drafts;
+CREATE POLICY "post_drafts_own" ON post_drafts
+  FOR ALL USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+-- ============================================================================
+-- FUNCTION: save_post_draft
+-- ============================================================================
+-- Compare-and-set save. p_base_version is the version the client last saw
+-- (0 when it has never seen a draft). Returns:
+--   { "conflict": false, "draft": <saved row> }
+--   { "conflict": true,  "draft": <current server row> }
+--
+-- SECURITY DEFINER and p_user_id is trusted, so only the service role (the
+-- API, which passes the signed-in user) may call it; EXECUTE is revoked
+-- from everyone else and the body refuses any other caller saving for
+-- someone but themselves.
+CREATE OR REPLACE FUNCTION save_post_draft(
+  p_user_id UUID,
+  p_draft_key TEXT,
+  p_post_id UUID,
+  p_data JSONB,
+  p_base_version INTEGER,
+  p_client_id TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_existing post_drafts%ROWTYPE;
+  v_saved post_drafts%ROWTYPE;
+BEGIN
+  IF auth.role() <> 'service_role' AND p_user_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Cannot save another user''s draft' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_existing
+  FROM post_drafts
+  WHERE user_id = p_user_id AND draft_key = p_draft_key
+  FOR UPDATE;
+
+  IF FOUND THEN
+    IF v_existing.version <> COALESCE(p_base_version, 0) THEN
+      RETURN jsonb_build_object('conflict', true, 'draft', to_jsonb(v_existing));
+    END IF;
+
+    UPDATE post_drafts
+    SET data = p_data,
+        version = v_existing.version + 1,
+        client_id = p_client_id,
+        post_id = p_post_id,
+        updated_at = NOW()
+    WHERE id = v_existing.id
+    RETURNING * INTO v_saved;
+  ELSE
+    -- No draft yet (or it was discarded after a real save elsewhere):
+    -- start a fresh version chain rather than failing the save
+    INSERT INTO post_drafts (user_id, draft_key, post_id, data, version, client_id)
+    VALUES (p_user_id, p_draft_key, p_post_id, p_data, 1, p_client_id)
+    ON CONFLICT (user_id, draft_key) DO NOTHING
+    RETURNING * INTO v_saved;
+
+    -- Lost an insert race with another tab
+    IF v_saved.id IS NULL THEN
+      SELECT * INTO v_existing
+      FROM post_drafts
+      WHERE user_id = p_user_id AND draft_key = p_draft_key;
+      RETURN jsonb_build_object('conflict', true, 'draft', to_jsonb(v_existing));
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object('conflict', false, 'draft', to_jsonb(v_saved));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================================================
+-- GRANTS
+-- ============================================================================
+
+GRANT SELECT, DELETE ON post_drafts TO authenticated;
+GRANT ALL ON post_drafts TO service_role;
+REVOKE EXECUTE ON FUNCTION save_post_draft(UUID, TEXT, UUID, JSONB, INTEGER, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION save_post_draft(UUID, TEXT, UUID, JSONB, INTEGER, TEXT) TO service_role;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE post_drafts IS 'Autosaved editor drafts, one per user per post (draft_key = post id or ''new'')';
+COMMENT ON COLUMN post_drafts.version IS 'Incremented on every save; stale saves are rejected as conflicts';
+COMMENT ON FUNCTION save_post_draft(UUID, TEXT, UUID, JSONB, INTEGER, TEXT) IS 'Compare-and-set draft save with version conflict detection';
@@ -0,0 +1,268 @@
+-- Migration: Full-Text Search
+--
+-- Adds a weighted search vector to posts (title A, excerpt B, body C) and
+-- search functions used by GET /api/search:
+--   search_posts        - ranked, paginated results with ts_headline snippets
+--   search_post_facets  - label and journal counts for the same filters
+-- Only published posts are ever matched.
+
+-- ============================================================================
+-- COLUMN + INDEX
+-- ============================================================================
+
+ALTER TABLE posts
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(excerpt, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(content_text, '')), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS posts_search_vector_idx ON posts USING gin(search_vector);
+
+-- ============================================================================
+-- FUNCTION: search_matching_posts
+-- ============================================================================
+-- Published posts matching a tsquery (NULL = no text filter) and the
+-- optional label / journal / collection / date / reading time filters,
+-- with their rank. Journal membership counts direct entries and entries
+-- of the journal's published collections.
+CREATE OR REPLACE FUNCTION search_matching_posts(
+  p_query TSQUERY,
+  p_label TEXT DEFAULT NULL,
+  p_journal TEXT DEFAULT NULL,
+  p_collection TEXT DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_min_reading INTEGER DEFAULT NULL,
+  p_max_reading INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+  post_id UUID,
+  rank REAL
+) AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  SELECT
+    p.id AS post_id,
+    CASE WHEN p_query IS NULL THEN 0::REAL ELSE ts_rank(p.search_vector, p_query) END AS rank
+  FROM posts p
+  WHERE p.status = 'published'
+    AND (p_query IS NULL OR p.search_vector @@ p_query)
+    AND (p_label IS NULL OR EXISTS (
+      SELECT 1
+      FROM post_labels pl
+      JOIN labels l ON l.id = pl.label_id
+      WHERE pl.post_id = p.id AND l.slug = p_label
+    ))
+    AND (p_journal IS NULL OR EXISTS (
+      SELECT 1
+      FROM journal_entries je
+      JOIN journals j ON j.id = je.journal_id
+      WHERE je.post_id = p.id AND j.slug = p_journal AND j.status = 'published'
+    ) OR EXISTS (
+      SELECT 1
+      FROM collection_entries ce
+      JOIN collections c ON c.id = ce.collection_id
+      JOIN journals j ON j.id = c.journal_id
+      WHERE ce.post_id = p.id AND j.slug = p_journal
+        AND j.status = 'published' AND c.status = 'published'
+    ))
+    AND (p_collection IS NULL OR EXISTS (
+      SELECT 1
+      FROM collection_entries ce
+      JOIN collections c ON c.id = ce.collection_id
+      JOIN journals j ON j.id = c.journal_id
+      WHERE ce.post_id = p.id AND c.slug = p_collection
+        AND (p_journal IS NULL OR j.slug = p_journal)
+        AND j.status = 'published' AND c.status = 'published'
+    ))
+    AND (p_from IS NULL OR COALESCE(p.publish_at, p.created_at) >= p_from)
+    AND (p_to IS NULL OR COALESCE(p.publish_at, p.created_at) < p_to)
+    AND (p_min_reading IS NULL OR p.reading_time >= p_min_reading)
+    AND (p_max_reading IS NULL OR p.reading_time <= p_max_reading);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Turn user input into a tsquery (NULL when there is no text to search)
+CREATE OR REPLACE FUNCTION search_parse_query(p_query TEXT)
+RETURNS TSQUERY AS $$
+BEGIN
+  IF p_query IS NULL OR btrim(p_query) = '' THEN
+    RETURN NULL;
+  END IF;
+  -- websearch syntax: "quoted phrases", OR, -excluded
+  RETURN websearch_to_tsquery('english', p_query);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- ============================================================================
+-- FUNCTION: search_posts
+-- ============================================================================
+-- One page of results ordered by rank (or date when p_sort = 'recent' or
+-- there is no text query). Highlights are wrapped in ⟦ ⟧ markers which the
+-- API escapes and converts to <mark> elements.
+CREATE OR REPLACE FUNCTION search_posts(
+  p_query TEXT,
+  p_label TEXT DEFAULT NULL,
+  p_journal TEXT DEFAULT NULL,
+  p_collection TEXT DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_min_reading INTEGER DEFAULT NULL,
+  p_max_reading INTEGER DEFAULT NULL,
+  p_sort TEXT DEFAULT 'relevance',
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  id UUID,
+  title TEXT,
+  slug TEXT,
+  excerpt TEXT,
+  cover_image_url TEXT,
+  cover_image_alt TEXT,
+  reading_time INTEGER,
+  publish_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ,
+  rank REAL,
+  title_highlight TEXT,
+  snippet TEXT,
+  total_count BIGINT
+) AS $$
+#variable_conflict use_column
+DECLARE
+  v_query TSQUERY := search_parse_query(p_query);
+  v_by_rank BOOLEAN := v_query IS NOT NULL AND COALESCE(p_sort, 'relevance') <> 'recent';
+BEGIN
+  RETURN QUERY
+  WITH matches AS (
+    SELECT m.post_id, m.rank, COUNT(*) OVER () AS total_count
+    FROM search_matching_posts(
+      v_query, p_label, p_journal, p_collection,
+      p_from, p_to, p_min_reading, p_max_reading
+    ) m
+  ),
+  page AS (
+    SELECT
+      p.id, p.title, p.slug, p.excerpt, p.cover_image_url, p.cover_image_alt,
+      p.reading_time, p.publish_at, p.created_at, p.content_text,
+      m.rank, m.total_count
+    FROM matches m
+    JOIN posts p ON p.id = m.post_id
+    ORDER BY
+      CASE WHEN v_by_rank THEN m.rank END DESC NULLS LAST,
+      COALESCE(p.publish_at, p.created_at) DESC
+    LIMIT GREATEST(p_limit, 1)
+    OFFSET GREATEST(p_offset, 0)
+  )
+  SELECT
+    pg.id, pg.title, pg.slug, pg.excerpt, pg.cover_image_url, pg.cover_image_alt,
+    pg.reading_time, pg.publish_at, pg.created_at, pg.rank,
+    CASE WHEN v_query IS NULL THEN NULL ELSE ts_headline(
+      'english', pg.title, v_query,
+      'StartSel=⟦, StopSel=⟧, HighlightAll=true'
+    ) END AS title_highlight,
+    CASE WHEN v_query IS NULL THEN NULL ELSE ts_headline(
+      'english', COALESCE(NULLIF(pg.content_text, ''), pg.excerpt, ''), v_query,
+      'StartSel=⟦, StopSel=⟧, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+    ) END AS snippet,
+    pg.total_count
+  FROM page pg
+  ORDER BY
+    CASE WHEN v_by_rank THEN pg.rank END DESC NULLS LAST,
+    COALESCE(pg.publish_at, pg.created_at) DESC;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- ============================================================================
+-- FUNCTION: search_post_facets
+-- ============================================================================
+-- Result counts per label and per published journal. Each facet ignores its
+-- own filter so the counts show what picking a different value would give.
+CREATE OR REPLACE FUNCTION search_post_facets(
+  p_query TEXT,
+  p_label TEXT DEFAULT NULL,
+  p_journal TEXT DEFAULT NULL,
+  p_collection TEXT DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_min_reading INTEGER DEFAULT NULL,
+  p_max_reading INTEGER DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_query TSQUERY := search_parse_query(p_query);
+  v_labels JSONB;
+  v_journals JSONB;
+BEGIN
+  SELECT jsonb_agg(
+    jsonb_build_object('slug', l.slug, 'name', l.name, 'count', counts.post_count)
+    ORDER BY counts.post_count DESC, l.name
+  ) INTO v_labels
+  FROM (
+    SELECT pl.label_id, COUNT(*) AS post_count
+    FROM search_matching_posts(
+      v_query, NULL, p_journal, p_collection,
+      p_from, p_to, p_min_reading, p_max_reading
+    ) m
+    JOIN post_labels pl ON pl.post_id = m.post_id
+    GROUP BY pl.label_id
+  ) counts
+  JOIN labels l ON l.id = counts.label_id;
+
+  SELECT jsonb_agg(
+    jsonb_build_object('slug', j.slug, 'name', j.name, 'count', counts.post_count)
+    ORDER BY counts.post_count DESC, j.display_order, j.name
+  ) INTO v_journals
+  FROM (
+    SELECT membership.journal_id, COUNT(DISTINCT membership.post_id) AS post_count
+    FROM search_matching_posts(
+      v_query, p_label, NULL, NULL,
+      p_from, p_to, p_min_reading, p_max_reading
+    ) m
+    JOIN (
+      SELECT je.journal_id, je.post_id
+      FROM journal_entries je
+      UNION
+      SELECT c.journal_id, ce.post_id
+      FROM collection_entries ce
+      JOIN collections c ON c.id = ce.collection_id
+      WHERE c.status = 'published'
+    ) membership ON membership.post_id = m.post_id
+    GROUP BY membership.journal_id
+  ) counts
+  JOIN journals j ON j.id = counts.journal_id
+  WHERE j.status = 'published';
+
+  RETURN jsonb_build_object(
+    'labels', COALESCE(v_labels, '[]'::jsonb),
+    'journals', COALESCE(v_journals, '[]'::jsonb)
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- ============================================================================
+-- GRANTS
+-- ============================================================================
+
+-- Only the API calls these (with the service role). Functions are
+-- executable by PUBLIC by default, so that grant is revoked first.
+REVOKE EXECUTE ON FUNCTION search_parse_query(TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION search_matching_posts(TSQUERY, TEXT, TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION search_posts(TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER, TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION search_post_facets(TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION search_parse_query(TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION search_matching_posts(TSQUERY, TEXT, TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION search_posts(TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER, TEXT, INTEGER, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION search_post_facets(TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) TO service_role;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON COLUMN posts.search_vector IS 'Weighted full-text vector: title (A), excerpt (B), body (C)';
+COMMENT ON FUNCTION search_posts(TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER, TEXT, INTEGER, INTEGER) IS 'Ranked full-text search over published posts with highlighted snippets';
+COMMENT ON FUNCTION search_post_facets(TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) IS 'Label and journal result counts for a search';
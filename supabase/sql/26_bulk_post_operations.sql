@@ -0,0 +1,164 @@
+-- Migration: Bulk Post Operations
+--
+-- One function applies a single action to many posts inside one
+-- transaction and reports a result per post. Used by POST /api/posts/bulk.
+--
+-- Actions (p_target is the label/journal/collection id where needed):
+--   publish, draft, archive, delete,
+--   add_label, remove_label,
+--   add_to_journal, remove_from_journal,
+--   add_to_collection, remove_from_collection
+--
+-- With p_atomic = true (the default) any failed item rolls back the whole
+-- batch; otherwise each item succeeds or fails on its own.
+--
+-- SECURITY DEFINER bypasses RLS, so the function only runs for the service
+-- role (the API, after its admin check) or an admin, and EXECUTE is revoked
+-- from everyone else.
+
+-- ============================================================================
+-- FUNCTION: bulk_post_operation
+-- ============================================================================
+-- Returns:
+--   {
+--     "action": "...",
+--     "committed": true|false,
+--     "results": [{ "post_id": "...", "ok": true, "status": "published" },
+--                 { "post_id": "...", "ok": false, "error": "Post not found" }]
+--   }
+CREATE OR REPLACE FUNCTION bulk_post_operation(
+  p_action TEXT,
+  p_post_ids UUID[],
+  p_target UUID DEFAULT NULL,
+  p_atomic BOOLEAN DEFAULT true
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_post_id UUID;
+  v_status TEXT;
+  v_results JSONB := '[]'::jsonb;
+  v_failed BOOLEAN := false;
+  v_next_order INTEGER;
+BEGIN
+  IF auth.role() <> 'service_role' AND NOT is_admin() THEN
+    RAISE EXCEPTION 'Bulk post operations require admin privileges' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_action NOT IN (
+    'publish', 'draft', 'archive', 'delete',
+    'add_label', 'remove_label',
+    'add_to_journal', 'remove_from_journal',
+    'add_to_collection', 'remove_from_collection'
+  ) THEN
+    RAISE EXCEPTION 'Unknown bulk action: %', p_action USING ERRCODE = '22023';
+  END IF;
+
+  IF p_action IN ('add_label', 'remove_label', 'add_to_journal', 'remove_from_journal',
+                  'add_to_collection', 'remove_from_collection') AND p_target IS NULL THEN
+    RAISE EXCEPTION 'Bulk action % requires a target', p_action USING ERRCODE = '22023';
+  END IF;
+
+  BEGIN
+    FOREACH v_post_id IN ARRAY p_post_ids LOOP
+      -- Each item runs in its own savepoint so one failure doesn't hide the rest
+      BEGIN
+        SELECT status INTO v_status FROM posts WHERE id = v_post_id FOR UPDATE;
+        IF NOT FOUND THEN
+          RAISE EXCEPTION 'Post not found' USING ERRCODE = 'P0002';
+        END IF;
+
+        CASE p_action
+          WHEN 'publish' THEN
+            -- Keep the original publish date; publishing a scheduled post early uses now
+            UPDATE posts
+            SET status = 'published',
+                publish_at = CASE
+                  WHEN publish_at IS NULL OR publish_at > NOW() THEN NOW()
+                  ELSE publish_at
+                END
+            WHERE id = v_post_id;
+            v_status := 'published';
+
+          WHEN 'draft' THEN
+            UPDATE posts SET status = 'draft' WHERE id = v_post_id;
+            v_status := 'draft';
+
+          WHEN 'archive' THEN
+            UPDATE posts SET status = 'archived' WHERE id = v_post_id;
+            v_status := 'archived';
+
+          WHEN 'delete' THEN
+            DELETE FROM posts WHERE id = v_post_id;
+            v_status := NULL;
+
+          WHEN 'add_label' THEN
+            INSERT INTO post_labels (post_id, label_id)
+            VALUES (v_post_id, p_target)
+            ON CONFLICT DO NOTHING;
+
+          WHEN 'remove_label' THEN
+            DELETE FROM post_labels WHERE post_id = v_post_id AND label_id = p_target;
+
+          WHEN 'add_to_journal' THEN
+            SELECT COALESCE(MAX(display_order), -1) + 1 INTO v_next_order
+            FROM journal_entries WHERE journal_id = p_target;
+
+            INSERT INTO journal_entries (journal_id, post_id, display_order)
+            VALUES (p_target, v_post_id, v_next_order)
+            ON CONFLICT (journal_id, post_id) DO NOTHING;
+
+          WHEN 'remove_from_journal' THEN
+            DELETE FROM journal_entries WHERE journal_id = p_target AND post_id = v_post_id;
+
+          WHEN 'add_to_collection' THEN
+            SELECT COALESCE(MAX(display_order), -1) + 1 INTO v_next_order
+            FROM collection_entries WHERE collection_id = p_target;
+
+            INSERT INTO collection_entries (collection_id, post_id, display_order)
+            VALUES (p_target, v_post_id, v_next_order)
+            ON CONFLICT (collection_id, post_id) DO NOTHING;
+
+          WHEN 'remove_from_collection' THEN
+            DELETE FROM collection_entries WHERE collection_id = p_target AND post_id = v_post_id;
+        END CASE;
+
+        v_results := v_results || jsonb_build_object('post_id', v_post_id, 'ok', true, 'status', v_status);
+      EXCEPTION WHEN OTHERS THEN
+        v_failed := true;
+        v_results := v_results || jsonb_build_object(
+          'post_id', v_post_id,
+          'ok', false,
+          'error', CASE WHEN SQLSTATE = '23503' THEN 'Target no longer exists' ELSE SQLERRM END
+        );
+      END;
+    END LOOP;
+
+    IF p_atomic AND v_failed THEN
+      -- Undo the items that did succeed (caught below, results are kept)
+      RAISE EXCEPTION 'bulk_rollback' USING ERRCODE = 'P0001';
+    END IF;
+  EXCEPTION WHEN SQLSTATE 'P0001' THEN
+    IF SQLERRM <> 'bulk_rollback' THEN
+      RAISE;
+    END IF;
+    RETURN jsonb_build_object('action', p_action, 'committed', false, 'results', v_results);
+  END;
+
+  RETURN jsonb_build_object('action', p_action, 'committed', true, 'results', v_results);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================================================
+-- GRANTS
+-- ============================================================================
+
+-- Functions are executable by PUBLIC by default (and Supabase grants new
+-- ones to anon and authenticated)
+REVOKE EXECUTE ON FUNCTION bulk_post_operation(TEXT, UUID[], UUID, BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION bulk_post_operation(TEXT, UUID[], UUID, BOOLEAN) TO service_role;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON FUNCTION bulk_post_operation(TEXT, UUID[], UUID, BOOLEAN) IS 'Apply one action to many posts in a single transaction with per-post results';
@@ -0,0 +1,52 @@
+-- Migration: Post Slug History
+--
+-- When a post's slug is regenerated, its previous slug is kept here so old
+-- URLs (shared links, bookmarks, links from other posts) redirect to the
+-- post's current address instead of returning 404.
+-- A slug a live post is using never has a history row: posts win.
+
+-- ============================================================================
+-- TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS post_slug_history (
+  slug TEXT PRIMARY KEY,
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS post_slug_history_post_id_idx
+  ON post_slug_history(post_id);
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE post_slug_history ENABLE ROW LEVEL SECURITY;
+
+-- Old slugs of published posts are public (they are old public URLs)
+DROP POLICY IF EXISTS "post_slug_history_select_published_or_admin" ON post_slug_history;
+CREATE POLICY "post_slug_history_select_published_or_admin" ON post_slug_history
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM posts p
+      WHERE p.id = post_slug_history.post_id
+      AND (p.status = 'published' OR p.author_id = auth.uid() OR is_admin())
+    )
+  );
+
+-- Writes go through the service role only
+
+-- ============================================================================
+-- GRANTS
+-- ============================================================================
+
+GRANT SELECT ON post_slug_history TO anon, authenticated;
+GRANT ALL ON post_slug_history TO service_role;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE post_slug_history IS 'Previous slugs of posts, served as redirects to the current slug';
+COMMENT ON COLUMN post_slug_history.slug IS 'A slug the post used before; unique across all posts';
@@ -0,0 +1,179 @@
+-- Migration: Related Posts and Collection Navigation
+--
+-- Functions behind GET /api/posts/:id/related:
+--   related_posts              - published posts scored by shared labels,
+--                                shared collections and body text similarity
+--   post_collection_neighbours - previous / next entry in each published
+--                                collection the post belongs to
+-- Backlinks (posts linking here) come from data-post-id links in
+-- content_html and are looked up by the API directly.
+
+-- ============================================================================
+-- FUNCTION: related_posts
+-- ============================================================================
+-- Text similarity ranks each candidate's search_vector against the source
+-- post's most frequent body terms, so it uses the same stemming as search.
+-- Score = 3 per shared label + 2 per shared collection + 10 x similarity
+-- (similarity is normalised to 0..1), newest first on ties.
+CREATE OR REPLACE FUNCTION related_posts(
+  p_post_id UUID,
+  p_limit INTEGER DEFAULT 4
+)
+RETURNS TABLE (
+  id UUID,
+  title TEXT,
+  slug TEXT,
+  excerpt TEXT,
+  cover_image_url TEXT,
+  cover_image_alt TEXT,
+  reading_time INTEGER,
+  publish_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ,
+  shared_labels INTEGER,
+  shared_collections INTEGER,
+  text_similarity REAL,
+  score REAL
+) AS $$
+#variable_conflict use_column
+DECLARE
+  v_terms TSQUERY;
+BEGIN
+  -- The source post's 24 most frequent body terms, OR-ed together
+  SELECT string_agg(quote_literal(terms.lexeme), ' | ')::tsquery INTO v_terms
+  FROM (
+    SELECT t.lexeme
+    FROM posts p,
+      unnest(to_tsvector('english', COALESCE(p.content_text, ''))) t
+    WHERE p.id = p_post_id
+    ORDER BY array_length(t.positions, 1) DESC, t.lexeme
+    LIMIT 24
+  ) terms;
+
+  RETURN QUERY
+  WITH source_labels AS (
+    SELECT pl.label_id
+    FROM post_labels pl
+    WHERE pl.post_id = p_post_id
+  ),
+  source_collections AS (
+    SELECT ce.collection_id
+    FROM collection_entries ce
+    JOIN collections c ON c.id = ce.collection_id
+    WHERE ce.post_id = p_post_id AND c.status = 'published'
+  ),
+  candidates AS (
+    SELECT
+      p.id AS post_id,
+      (
+        SELECT COUNT(*)
+        FROM post_labels pl
+        WHERE pl.post_id = p.id
+          AND pl.label_id IN (SELECT label_id FROM source_labels)
+      )::INTEGER AS shared_labels,
+      (
+        SELECT COUNT(*)
+        FROM collection_entries ce
+        WHERE ce.post_id = p.id
+          AND ce.collection_id IN (SELECT collection_id FROM source_collections)
+      )::INTEGER AS shared_collections,
+      CASE
+        WHEN v_terms IS NULL THEN 0::REAL
+        ELSE ts_rank(p.search_vector, v_terms, 32)
+      END AS text_similarity
+    FROM posts p
+    WHERE p.status = 'published'
+      AND p.id <> p_post_id
+  )
+  SELECT
+    p.id, p.title, p.slug, p.excerpt, p.cover_image_url, p.cover_image_alt,
+    p.reading_time, p.publish_at, p.created_at,
+    c.shared_labels,
+    c.shared_collections,
+    c.text_similarity,
+    (c.shared_labels * 3 + c.shared_collections * 2 + c.text_similarity * 10)::REAL AS score
+  FROM candidates c
+  JOIN posts p ON p.id = c.post_id
+  WHERE c.shared_labels > 0 OR c.shared_collections > 0 OR c.text_similarity > 0
+  ORDER BY score DESC, COALESCE(p.publish_at, p.created_at) DESC
+  LIMIT LEAST(GREATEST(COALESCE(p_limit, 4), 1), 20);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- ============================================================================
+-- FUNCTION: post_collection_neighbours
+-- ============================================================================
+-- For every published collection (in a published journal) holding the
+-- post: its position among the collection's published entries, in the
+-- curated display_order, and the entries either side of it.
+CREATE OR REPLACE FUNCTION post_collection_neighbours(p_post_id UUID)
+RETURNS TABLE (
+  collection_id UUID,
+  collection_name TEXT,
+  collection_slug TEXT,
+  journal_name TEXT,
+  journal_slug TEXT,
+  entry_position INTEGER,
+  entry_count INTEGER,
+  previous_title TEXT,
+  previous_slug TEXT,
+  next_title TEXT,
+  next_slug TEXT
+) AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  WITH ordered AS (
+    SELECT
+      ce.collection_id,
+      p.id AS post_id,
+      ROW_NUMBER() OVER w AS entry_position,
+      COUNT(*) OVER (PARTITION BY ce.collection_id) AS entry_count,
+      LAG(p.title) OVER w AS previous_title,
+      LAG(p.slug) OVER w AS previous_slug,
+      LEAD(p.title) OVER w AS next_title,
+      LEAD(p.slug) OVER w AS next_slug
+    FROM collection_entries ce
+    JOIN posts p ON p.id = ce.post_id AND p.status = 'published'
+    WHERE ce.collection_id IN (
+      SELECT own.collection_id FROM collection_entries own WHERE own.post_id = p_post_id
+    )
+    WINDOW w AS (PARTITION BY ce.collection_id ORDER BY ce.display_order, ce.created_at)
+  )
+  SELECT
+    o.collection_id,
+    c.name,
+    c.slug,
+    j.name,
+    j.slug,
+    o.entry_position::INTEGER,
+    o.entry_count::INTEGER,
+    o.previous_title,
+    o.previous_slug,
+    o.next_title,
+    o.next_slug
+  FROM ordered o
+  JOIN collections c ON c.id = o.collection_id AND c.status = 'published'
+  JOIN journals j ON j.id = c.journal_id AND j.status = 'published'
+  WHERE o.post_id = p_post_id
+  ORDER BY j.display_order, c.display_order, c.name;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- ============================================================================
+-- GRANTS
+-- ============================================================================
+
+-- Only the API calls these (with the service role). Functions are
+-- executable by PUBLIC by default, so that grant is revoked first.
+REVOKE EXECUTE ON FUNCTION related_posts(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION post_collection_neighbours(UUID) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION related_posts(UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION post_collection_neighbours(UUID) TO service_role;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON FUNCTION related_posts(UUID, INTEGER) IS 'Published posts related to a post by labels, collections and body text';
+COMMENT ON FUNCTION post_collection_neighbours(UUID) IS 'Previous and next published entries around a post in each of its collections';
@@ -0,0 +1,319 @@
+-- Migration: Reader Comments
+--
+-- Signed-in readers comment on published posts and reply to each other
+-- (parent_id threads replies). New comments wait in a moderation queue:
+-- only approved comments are public, everyone still sees their own.
+--
+-- Whether a post takes comments:
+--   posts.comments_enabled    - true / false, or NULL to follow its journals
+--   journals.comments_enabled - false closes comments on every entry in the
+--                               journal (directly or through a collection)
+--                               that doesn't set its own value
+-- See comments_open().
+
+-- ============================================================================
+-- SETTINGS
+-- ============================================================================
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS comments_enabled BOOLEAN;
+ALTER TABLE journals ADD COLUMN IF NOT EXISTS comments_enabled BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- ============================================================================
+-- TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS comments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  parent_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+  author_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+
+  -- Plain text; rendered as text, never as HTML
+  body TEXT NOT NULL,
+
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'spam')),
+  moderated_at TIMESTAMPTZ,
+  moderated_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  -- Set when the author changes the text
+  edited_at TIMESTAMPTZ,
+
+  -- A deleted comment that has replies keeps its place in the thread
+  -- with its text cleared
+  deleted_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT comments_body_check CHECK (
+    deleted_at IS NOT NULL OR char_length(btrim(body)) BETWEEN 1 AND 5000
+  )
+);
+
+CREATE INDEX IF NOT EXISTS comments_post_id_idx ON comments(post_id, created_at);
+CREATE INDEX IF NOT EXISTS comments_parent_id_idx ON comments(parent_id);
+CREATE INDEX IF NOT EXISTS comments_author_id_idx ON comments(author_id);
+
+-- The moderation queue lists one status at a time, oldest first
+CREATE INDEX IF NOT EXISTS comments_status_idx ON comments(status, created_at);
+
+-- ============================================================================
+-- FUNCTION: comments_open
+-- ============================================================================
+-- Only published posts take comments. The post's own setting wins; without
+-- one, any journal holding the post can close them.
+CREATE OR REPLACE FUNCTION comments_open(p_post_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_status TEXT;
+  v_enabled BOOLEAN;
+BEGIN
+  SELECT p.status, p.comments_enabled INTO v_status, v_enabled
+  FROM posts p
+  WHERE p.id = p_post_id;
+
+  IF v_status IS DISTINCT FROM 'published' THEN
+    RETURN FALSE;
+  END IF;
+
+  IF v_enabled IS NOT NULL THEN
+    RETURN v_enabled;
+  END IF;
+
+  RETURN NOT EXISTS (
+    SELECT 1
+    FROM journals j
+    WHERE j.comments_enabled = FALSE
+      AND (
+        j.id IN (SELECT je.journal_id FROM journal_entries je WHERE je.post_id = p_post_id)
+        OR j.id IN (
+          SELECT c.journal_id
+          FROM collection_entries ce
+          JOIN collections c ON c.id = ce.collection_id
+          WHERE ce.post_id = p_post_id
+        )
+      )
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- ============================================================================
+-- TRIGGER: comments_guard
+-- ============================================================================
+-- Replies stay on their parent's post. Readers writing through the API
+-- with their own token can only set the text: new comments start pending,
+-- an edit to an approved comment sends it back to the queue, and
+-- moderation fields are the admins' alone.
+CREATE OR REPLACE FUNCTION comments_guard()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.parent_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM comments parent
+    WHERE parent.id = NEW.parent_id AND parent.post_id = NEW.post_id
+  ) THEN
+    RAISE EXCEPTION 'A reply must be on the same post as the comment it replies to';
+  END IF;
+
+  IF auth.role() = 'authenticated' AND NOT is_admin() THEN
+    IF TG_OP = 'INSERT' THEN
+      NEW.status := 'pending';
+      NEW.moderated_at := NULL;
+      NEW.moderated_by := NULL;
+      NEW.edited_at := NULL;
+      NEW.deleted_at := NULL;
+    ELSE
+      NEW.post_id := OLD.post_id;
+      NEW.parent_id := OLD.parent_id;
+      NEW.author_id := OLD.author_id;
+      NEW.status := OLD.status;
+      NEW.moderated_at := OLD.moderated_at;
+      NEW.moderated_by := OLD.moderated_by;
+      NEW.created_at := OLD.created_at;
+
+      -- Approval covers the text that was approved (clearing it on delete is fine)
+      IF NEW.body IS DISTINCT FROM OLD.body AND OLD.status = 'approved' AND NEW.deleted_at IS NULL THEN
+        NEW.status := 'pending';
+        NEW.moderated_at := NULL;
+        NEW.moderated_by := NULL;
+      END IF;
+    END IF;
+  END IF;
+
+  IF TG_OP = 'UPDATE' THEN
+    IF NEW.body IS DISTINCT FROM OLD.body AND NEW.deleted_at IS NULL THEN
+      NEW.edited_at := NOW();
+    END IF;
+    NEW.updated_at := NOW();
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS comments_guard ON comments;
+CREATE TRIGGER comments_guard
+  BEFORE INSERT OR UPDATE ON comments
+  FOR EACH ROW EXECUTE FUNCTION comments_guard();
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE comments ENABLE ROW LEVEL SECURITY;
+
+-- Approved comments on published posts are public; authors see their own
+-- comments whatever their status
+DROP POLICY IF EXISTS "comments_select" ON comments;
+CREATE POLICY "comments_select" ON comments
+  FOR SELECT USING (
+    (
+      status = 'approved'
+      AND EXISTS (SELECT 1 FROM posts p WHERE p.id = comments.post_id AND p.status = 'published')
+    )
+    OR author_id = auth.uid()
+    OR is_admin()
+  );
+
+-- Signed-in readers comment as themselves, where comments are open
+DROP POLICY IF EXISTS "comments_insert_own" ON comments;
+CREATE POLICY "comments_insert_own" ON comments
+  FOR INSERT WITH CHECK (
+    author_id = auth.uid() AND comments_open(post_id)
+  );
+
+-- Authors edit their own comments (comments_guard limits them to the text)
+DROP POLICY IF EXISTS "comments_update_own_or_admin" ON comments;
+CREATE POLICY "comments_update_own_or_admin" ON comments
+  FOR UPDATE USING (author_id = auth.uid() OR is_admin())
+  WITH CHECK (author_id = auth.uid() OR is_admin());
+
+-- Only admins delete rows: replies cascade with their parent, so authors
+-- delete through the API, which keeps a placeholder when there are replies
+DROP POLICY IF EXISTS "comments_delete_own_or_admin" ON comments;
+DROP POLICY IF EXISTS "comments_delete_admin" ON comments;
+CREATE POLICY "comments_delete_admin" ON comments
+  FOR DELETE USING (is_admin());
+
+-- ============================================================================
+-- FUNCTION: post_comment_counts
+-- ============================================================================
+-- Approved and pending comments per post, for the admin posts list
+CREATE OR REPLACE FUNCTION post_comment_counts(p_post_ids UUID[])
+RETURNS TABLE (
+  post_id UUID,
+  approved_count INTEGER,
+  pending_count INTEGER
+) AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  SELECT
+    c.post_id,
+    (COUNT(*) FILTER (WHERE c.status = 'approved'))::INTEGER,
+    (COUNT(*) FILTER (WHERE c.status = 'pending'))::INTEGER
+  FROM comments c
+  WHERE c.post_id = ANY(p_post_ids)
+    AND c.deleted_at IS NULL
+  GROUP BY c.post_id;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- ============================================================================
+-- FUNCTION: comment_status_counts
+-- ============================================================================
+-- Size of each moderation queue tab
+CREATE OR REPLACE FUNCTION comment_status_counts()
+RETURNS TABLE (
+  status TEXT,
+  comment_count INTEGER
+) AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  SELECT c.status, COUNT(*)::INTEGER
+  FROM comments c
+  WHERE c.deleted_at IS NULL
+  GROUP BY c.status;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- ============================================================================
+-- FUNCTION: get_user_journals (now with comments_enabled)
+-- ============================================================================
+-- The return type changes, so the function has to be dropped first
+DROP FUNCTION IF EXISTS get_user_journals();
+CREATE OR REPLACE FUNCTION get_user_journals()
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  slug TEXT,
+  icon_type TEXT,
+  icon_emoji TEXT,
+  icon_image_url TEXT,
+  status TEXT,
+  wallpaper_url TEXT,
+  wallpaper_blur INTEGER,
+  display_order INTEGER,
+  description TEXT,
+  comments_enabled BOOLEAN,
+  created_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ,
+  collection_count BIGINT,
+  total_entry_count BIGINT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    j.id, j.name, j.slug, j.icon_type, j.icon_emoji, j.icon_image_url,
+    j.status, j.wallpaper_url, j.wallpaper_blur, j.display_order,
+    j.description, j.comments_enabled, j.created_at, j.updated_at,
+    COALESCE(c.collection_count, 0::BIGINT) AS collection_count,
+    COALESCE(e.entry_count, 0::BIGINT) AS total_entry_count
+  FROM journals j
+  LEFT JOIN (
+    SELECT journal_id, COUNT(*)::BIGINT AS collection_count
+    FROM collections
+    GROUP BY journal_id
+  ) c ON c.journal_id = j.id
+  LEFT JOIN (
+    SELECT col.journal_id, COUNT(ce.id)::BIGINT AS entry_count
+    FROM collections col
+    LEFT JOIN collection_entries ce ON ce.collection_id = col.id
+    GROUP BY col.journal_id
+  ) e ON e.journal_id = j.id
+  WHERE j.owner_id = auth.uid() OR is_admin()
+  ORDER BY j.display_order, j.created_at;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================================================
+-- GRANTS
+-- ============================================================================
+
+GRANT SELECT ON comments TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON comments TO authenticated;
+GRANT ALL ON comments TO service_role;
+
+-- comments_open() is used by the insert policy, so readers need it too
+GRANT EXECUTE ON FUNCTION comments_open(UUID) TO anon, authenticated, service_role;
+
+-- The counts include pending, rejected and spam comments: API only
+REVOKE EXECUTE ON FUNCTION post_comment_counts(UUID[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION post_comment_counts(UUID[]) TO service_role;
+REVOKE EXECUTE ON FUNCTION comment_status_counts() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION comment_status_counts() TO service_role;
+
+GRANT EXECUTE ON FUNCTION get_user_journals() TO authenticated;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE comments IS 'Reader comments on posts, threaded through parent_id and moderated before they are public';
+COMMENT ON COLUMN comments.status IS 'pending (awaiting moderation), approved (public), rejected or spam';
+COMMENT ON COLUMN comments.deleted_at IS 'Deleted by its author or an admin but kept because it has replies';
+COMMENT ON COLUMN posts.comments_enabled IS 'Open or close comments on this post; NULL follows its journals';
+COMMENT ON COLUMN journals.comments_enabled IS 'FALSE closes comments on entries that do not set their own value';
+COMMENT ON FUNCTION comments_open(UUID) IS 'Whether a post currently accepts new comments';
+COMMENT ON FUNCTION post_comment_counts(UUID[]) IS 'Approved and pending comment counts per post';
+COMMENT ON FUNCTION comment_status_counts() IS 'Number of comments in each moderation status';
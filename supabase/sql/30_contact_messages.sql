@@ -0,0 +1,107 @@
+-- Migration: Contact Messages
+--
+-- Messages sent through the public contact form. The API stores them with
+-- the service role (after validation, spam checks and rate limiting), so
+-- there is no insert policy: only admins read and manage them, from the
+-- dashboard inbox.
+--
+-- A message is new until it is opened, then read; archiving takes it out
+-- of the inbox without deleting it.
+
+-- ============================================================================
+-- TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS contact_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  subject TEXT,
+
+  -- Plain text; rendered as text, never as HTML
+  message TEXT NOT NULL,
+
+  status TEXT NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'read', 'archived')),
+  read_at TIMESTAMPTZ,
+  archived_at TIMESTAMPTZ,
+
+  -- When the notification email went out (NULL if sending failed)
+  notified_at TIMESTAMPTZ,
+
+  user_agent TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT contact_messages_name_check CHECK (char_length(btrim(name)) BETWEEN 1 AND 100),
+  CONSTRAINT contact_messages_email_check CHECK (char_length(email) <= 254),
+  CONSTRAINT contact_messages_subject_check CHECK (subject IS NULL OR char_length(subject) <= 200),
+  CONSTRAINT contact_messages_message_check CHECK (char_length(btrim(message)) BETWEEN 1 AND 5000)
+);
+
+-- The inbox lists one status at a time, newest first
+CREATE INDEX IF NOT EXISTS contact_messages_status_idx ON contact_messages(status, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_contact_messages_updated_at ON contact_messages;
+CREATE TRIGGER update_contact_messages_updated_at
+  BEFORE UPDATE ON contact_messages
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE contact_messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "contact_messages_select_admin" ON contact_messages;
+CREATE POLICY "contact_messages_select_admin" ON contact_messages
+  FOR SELECT USING (is_admin());
+
+DROP POLICY IF EXISTS "contact_messages_update_admin" ON contact_messages;
+CREATE POLICY "contact_messages_update_admin" ON contact_messages
+  FOR UPDATE USING (is_admin())
+  WITH CHECK (is_admin());
+
+DROP POLICY IF EXISTS "contact_messages_delete_admin" ON contact_messages;
+CREATE POLICY "contact_messages_delete_admin" ON contact_messages
+  FOR DELETE USING (is_admin());
+
+-- ============================================================================
+-- FUNCTION: contact_message_status_counts
+-- ============================================================================
+-- Size of each inbox tab
+CREATE OR REPLACE FUNCTION contact_message_status_counts()
+RETURNS TABLE (
+  status TEXT,
+  message_count INTEGER
+) AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  SELECT m.status, COUNT(*)::INTEGER
+  FROM contact_messages m
+  GROUP BY m.status;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- ============================================================================
+-- GRANTS
+-- ============================================================================
+
+GRANT SELECT, UPDATE, DELETE ON contact_messages TO authenticated;
+GRANT ALL ON contact_messages TO service_role;
+
+-- The inbox counts are for the dashboard only; functions are executable by
+-- PUBLIC by default
+REVOKE EXECUTE ON FUNCTION contact_message_status_counts() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION contact_message_status_counts() TO service_role;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE contact_messages IS 'Messages sent through the public contact form';
+COMMENT ON COLUMN contact_messages.status IS 'new (unopened), read or archived';
+COMMENT ON COLUMN contact_messages.notified_at IS 'When the notification email was sent; NULL if it was not';
+COMMENT ON FUNCTION contact_message_status_counts() IS 'Number of contact messages in each inbox status';
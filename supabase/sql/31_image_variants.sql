@@ -0,0 +1,60 @@
+-- Migration: Responsive Image Variants
+--
+-- Every uploaded image is also stored at a ladder of smaller widths
+-- (IMAGE_VARIANT_WIDTHS) in AVIF, WebP and the upload's own format. Pages
+-- list them in srcset so browsers download the size and format they need.
+--
+-- Variants are keyed by the URL of the image they were made from, which is
+-- the URL posts store (cover_image_url, <img src> in content).
+
+-- ============================================================================
+-- TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS image_variants (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  source_url TEXT NOT NULL,
+
+  -- Where the variant itself is stored
+  url TEXT NOT NULL,
+  path TEXT NOT NULL,
+
+  width INTEGER NOT NULL CHECK (width > 0),
+  height INTEGER NOT NULL CHECK (height > 0),
+  format TEXT NOT NULL CHECK (format IN ('avif', 'webp', 'jpeg', 'png')),
+  size_bytes INTEGER NOT NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT image_variants_unique UNIQUE (source_url, format, width)
+);
+
+-- Pages look variants up by the image URLs they show
+CREATE INDEX IF NOT EXISTS image_variants_source_url_idx ON image_variants(source_url);
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE image_variants ENABLE ROW LEVEL SECURITY;
+
+-- Variants are copies of public uploads; the API writes them with the
+-- service role
+DROP POLICY IF EXISTS "image_variants_select" ON image_variants;
+CREATE POLICY "image_variants_select" ON image_variants
+  FOR SELECT USING (true);
+
+-- ============================================================================
+-- GRANTS
+-- ============================================================================
+
+GRANT SELECT ON image_variants TO anon, authenticated;
+GRANT ALL ON image_variants TO service_role;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE image_variants IS 'Resized and re-encoded copies of uploaded images, for srcset';
+COMMENT ON COLUMN image_variants.source_url IS 'URL of the uploaded image this variant was made from';
+COMMENT ON COLUMN image_variants.format IS 'avif, webp, or the upload''s own format (jpeg or png)';
@@ -0,0 +1,71 @@
+-- Migration: Storage Migration Log
+--
+-- One row per run of the storage migration (npm run storage:migrate, or
+-- POST /api/storage/migrate), which copies every uploaded file from one
+-- STORAGE_DRIVER to another and rewrites the stored URLs that point at
+-- them. The API updates the counters while a run is in progress, so the
+-- dashboard can follow it.
+--
+-- Runs are resumable: files already in the target with the same size are
+-- skipped, so a failed or interrupted run is finished by running it again.
+
+-- ============================================================================
+-- TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS storage_migration_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  source_driver TEXT NOT NULL,
+  target_driver TEXT NOT NULL,
+
+  -- Dry runs only report what a real run would copy and rewrite
+  dry_run BOOLEAN NOT NULL DEFAULT false,
+
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+
+  files_found INTEGER NOT NULL DEFAULT 0,
+  files_copied INTEGER NOT NULL DEFAULT 0,
+  files_skipped INTEGER NOT NULL DEFAULT 0,
+  files_failed INTEGER NOT NULL DEFAULT 0,
+  bytes_copied BIGINT NOT NULL DEFAULT 0,
+
+  -- Rows whose stored URLs were rewritten, and how many URLs that was
+  rows_rewritten INTEGER NOT NULL DEFAULT 0,
+  urls_rewritten INTEGER NOT NULL DEFAULT 0,
+
+  -- [{ path, error }] for files that could not be copied
+  failures JSONB NOT NULL DEFAULT '[]'::jsonb,
+  error_message TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT storage_migration_log_drivers_check CHECK (source_driver <> target_driver)
+);
+
+CREATE INDEX IF NOT EXISTS storage_migration_log_started_at_idx
+  ON storage_migration_log(started_at DESC);
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE storage_migration_log ENABLE ROW LEVEL SECURITY;
+
+-- Admin-only: the API reads and writes it with the service role, so no
+-- policies are needed
+
+-- ============================================================================
+-- GRANTS
+-- ============================================================================
+
+GRANT ALL ON storage_migration_log TO service_role;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE storage_migration_log IS 'Runs of the storage migration between STORAGE_DRIVERs';
+COMMENT ON COLUMN storage_migration_log.files_skipped IS 'Files already in the target (copied by an earlier run)';
+COMMENT ON COLUMN storage_migration_log.failures IS 'Files that could not be copied, as [{ path, error }]';